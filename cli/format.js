@@ -0,0 +1,229 @@
+/**
+ * Text output of the CLI: the console summary table and the Markdown report.
+ */
+
+const MAX_LISTED_ISSUES = 100;
+const MAX_LISTED_FILES = 20;
+
+/**
+ * Key figures of a report as label/value rows.
+ */
+function summaryRows(report) {
+  const fsys = report.fileSystem || {};
+  const cs = report.codeStructure || {};
+  const cq = report.codeQuality || {};
+  const bySeverity = cq.summary?.bySeverity || {};
+  const topComplexity = (cq.complexity || [])[0];
+  const failedLayers = (report.meta?.layersExecuted || []).filter(l => l.status === 'failed');
+
+  const revision = report.meta?.revision;
+  const workspaces = report.techStack?.workspaces;
+  const tree = report.techStack?.dependencyTree;
+  const vulns = report.vulnerabilities;
+  const licenses = report.techStack?.licenses;
+  const outdated = report.techStack?.outdated;
+  const infra = report.techStack?.infrastructure;
+  const ci = report.ciCd;
+
+  return [
+    ...(revision ? [['Revision', `${revision.ref} (${revision.commit.slice(0, 10)})`]] : []),
+    ['Files', formatNumber(fsys.totalFiles)],
+    ['Lines', formatNumber(fsys.totalLines)],
+    ...(workspaces ? [['Packages', `${workspaces.packages.length} (${workspaces.tools.join(', ')})`]] : []),
+    ...(tree ? [['Resolved packages', `${formatNumber(tree.totalPackages)} (${tree.directPackages} direct, depth ${tree.maxDepth}, ` +
+      `${tree.duplicates.length} at several versions, ${tree.mismatches.length} range mismatches)`]] : []),
+    ...(vulns?.available ? [['Vulnerable packages', `${vulns.vulnerablePackages} of ${formatNumber(vulns.checkedPackages)} ` +
+      `(${vulns.bySeverity.critical} critical, ${vulns.bySeverity.high} high, ${vulns.advisories} advisories)`]] : []),
+    ...(licenses ? [['Licenses', `${Object.keys(licenses.byLicense).length} across ${formatNumber(licenses.totalPackages)} packages ` +
+      `(${licenses.unknown} unknown, ${licenses.violations.length} policy violations)`]] : []),
+    ...(outdated ? [['Outdated', `${outdated.major + outdated.minor + outdated.patch} of ${formatNumber(outdated.checked)} dependencies ` +
+      `(${outdated.major} major, ${outdated.minor} minor, ${outdated.patch} patch; ${outdated.libyears} libyears)`]] : []),
+    ...(infra ? [['Containers', `${infra.services.length} services, ${infra.dockerfiles.length} Dockerfiles ` +
+      `(${infra.warnings.length} warnings)`]] : []),
+    ...(ci?.available ? [['CI/CD', `${ci.pipelines.length} pipelines, ${ci.pipelines.reduce((n, p) => n + p.jobs.length, 0)} jobs ` +
+      `(${ci.providers.join(', ')}; ${ci.warnings.length} warnings)`]] : []),
+    ['Classes', formatNumber(cs.totalClasses)],
+    ['Functions', formatNumber(cs.totalFunctions)],
+    ['Issues', cq.summary
+      ? `${cq.summary.totalIssues} (${bySeverity.critical || 0} critical, ${bySeverity.warning || 0} warning, ${bySeverity.info || 0} info)`
+      : '—'],
+    ['Duplicate files', fsys.duplicates?.duplicateFiles
+      ? `${fsys.duplicates.duplicateFiles} (${formatNumber(fsys.duplicates.wastedLines)} lines)`
+      : 'none'],
+    ['Max complexity', topComplexity ? `${topComplexity.complexity} (${topComplexity.file})` : '≤ 10'],
+    ['Code score', report.codeScore?.score != null ? `${report.codeScore.score}/10` : '—'],
+    ['Duration', report.meta?.durationMs != null ? `${(report.meta.durationMs / 1000).toFixed(1)}s` : '—'],
+    ['Failed layers', failedLayers.length > 0 ? failedLayers.map(l => l.displayName || l.name).join(', ') : 'none']
+  ];
+}
+
+/**
+ * Console summary: key figures, then one PASS/FAIL line per threshold.
+ */
+function formatSummary(report, result) {
+  const rows = summaryRows(report);
+  const width = Math.max(...rows.map(([label]) => label.length)) + 3;
+  const lines = [`Code Inspector — ${report.meta?.projectName || 'Project'}`];
+  for (const [label, value] of rows) {
+    lines.push(`  ${label.padEnd(width)}${value}`);
+  }
+
+  if (result.checks.length > 0) {
+    lines.push('', 'Thresholds');
+    for (const check of result.checks) {
+      lines.push(`  ${check.passed ? 'PASS' : 'FAIL'}  ${check.message}`);
+      if (!check.passed) {
+        for (const item of (check.items || []).slice(0, MAX_LISTED_FILES)) lines.push(`          ${item}`);
+      }
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Markdown report for pull-request comments and CI artifacts.
+ */
+function reportToMarkdown(report, result) {
+  const meta = report.meta || {};
+  const lines = [`# ${meta.projectName || 'Project'}\n`];
+  if (meta.rootPath) lines.push(`**Root:** \`${meta.rootPath}\``);
+  if (meta.analyzedAt) lines.push(`**Analyzed:** ${meta.analyzedAt}`);
+  if (report.codeScore) lines.push(`**Score:** ${report.codeScore.score?.toFixed(1) ?? '—'}/10 — ${report.codeScore.message || ''}`);
+  lines.push('');
+
+  lines.push('## Summary\n', '| | |', '|---|---|');
+  for (const [label, value] of summaryRows(report)) {
+    lines.push(`| ${label} | ${escapeCell(value)} |`);
+  }
+  lines.push('');
+
+  if (result.checks.length > 0) {
+    lines.push(`## Thresholds — ${result.passed ? 'passed' : 'failed'}\n`);
+    for (const check of result.checks) {
+      lines.push(`- ${check.passed ? '✅' : '❌'} ${check.message}`);
+      if (!check.passed) {
+        for (const item of (check.items || []).slice(0, MAX_LISTED_FILES)) lines.push(`  - \`${item}\``);
+      }
+    }
+    lines.push('');
+  }
+
+  if (report.techStack) {
+    const ts = report.techStack;
+    lines.push('## Stack');
+    if (ts.languages?.length) lines.push('- Languages: ' + ts.languages.map(l => l.name).join(', '));
+    if (ts.frameworks?.length) lines.push('- Frameworks: ' + ts.frameworks.map(f => typeof f === 'string' ? f : f.name).join(', '));
+    if (ts.packageManager) lines.push('- Package manager: ' + ts.packageManager);
+    lines.push('');
+  }
+
+  const packages = report.techStack?.workspaces?.packages || [];
+  if (packages.length > 0) {
+    const scores = new Map((report.codeScore?.packages || []).map(p => [p.path, p]));
+    lines.push('## Packages\n', '| Package | Path | Files | Lines | Score | Critical | Warnings |', '|---|---|---|---|---|---|---|');
+    for (const p of packages) {
+      const s = scores.get(p.path);
+      lines.push(`| ${escapeCell(p.name || '—')} | \`${escapeCell(p.path || '.')}\` | ${p.files} | ${p.lines} | ` +
+        `${s ? s.score.toFixed(1) : '—'} | ${s ? s.issues.critical : '—'} | ${s ? s.issues.warning : '—'} |`);
+    }
+    lines.push('');
+  }
+
+  const mismatches = report.techStack?.dependencyTree?.mismatches || [];
+  if (mismatches.length > 0) {
+    lines.push('## Lockfile Mismatches\n', '| Package | Range | Locked | Manifest | Lockfile |', '|---|---|---|---|---|');
+    for (const m of mismatches.slice(0, MAX_LISTED_FILES)) {
+      lines.push(`| ${escapeCell(m.name)} | \`${escapeCell(m.range)}\` | ${escapeCell(m.locked)} | \`${escapeCell(m.source)}\` | \`${escapeCell(m.lockfile)}\` |`);
+    }
+    lines.push('');
+  }
+
+  const findings = report.vulnerabilities?.findings || [];
+  if (findings.length > 0) {
+    lines.push('## Vulnerable Dependencies\n', '| Package | Version | Severity | Advisories | Fixed in | Manifest |', '|---|---|---|---|---|---|');
+    for (const f of findings.slice(0, MAX_LISTED_ISSUES)) {
+      lines.push(`| ${escapeCell(f.name)} | ${escapeCell(f.version)} | ${f.severity} | ${escapeCell(f.advisories.map(a => a.id).join(', '))} | ` +
+        `${escapeCell(f.fixedIn || '—')} | \`${escapeCell(f.source)}\` |`);
+    }
+    lines.push('');
+  }
+
+  const violations = report.techStack?.licenses?.violations || [];
+  if (violations.length > 0) {
+    lines.push('## License Violations\n', '| Package | Version | License | Reason | Manifest |', '|---|---|---|---|---|');
+    for (const v of violations.slice(0, MAX_LISTED_ISSUES)) {
+      lines.push(`| ${escapeCell(v.name)} | ${escapeCell(v.version || '—')} | ${escapeCell(v.license || 'unknown')} | ${v.reason} | \`${escapeCell(v.source)}\` |`);
+    }
+    lines.push('');
+  }
+
+  const behind = (report.techStack?.outdated?.packages || []).filter(p => p.status !== 'current' && p.status !== 'unknown');
+  if (behind.length > 0) {
+    lines.push('## Outdated Dependencies\n', '| Package | Version | Latest | Behind | Libyears | Manifest |', '|---|---|---|---|---|---|');
+    for (const p of behind.slice(0, MAX_LISTED_ISSUES)) {
+      lines.push(`| ${escapeCell(p.name)} | ${escapeCell(p.version)} | ${escapeCell(p.latest)} | ${p.status} | ${p.libyears} | \`${escapeCell(p.source)}\` |`);
+    }
+    lines.push('');
+  }
+
+  const services = report.techStack?.infrastructure?.services || [];
+  if (services.length > 0) {
+    lines.push('## Services\n', '| Service | Image | Ports | Depends on | Compose file |', '|---|---|---|---|---|');
+    for (const s of services) {
+      const image = s.image || (s.dockerfile ? `build: ${s.dockerfile}` : '—');
+      const ports = s.ports.map(p => (p.published ? `${p.published}:${p.target}` : p.target)).join(', ') || '—';
+      lines.push(`| ${escapeCell(s.name)} | \`${escapeCell(image)}\` | ${escapeCell(ports)} | ${escapeCell(s.dependsOn.join(', ') || '—')} | \`${escapeCell(s.file)}\` |`);
+    }
+    lines.push('');
+  }
+
+  const pipelines = report.ciCd?.pipelines || [];
+  if (pipelines.length > 0) {
+    lines.push('## CI/CD\n', '| Pipeline | File | Triggers | Jobs | Runtimes |', '|---|---|---|---|---|');
+    for (const p of pipelines) {
+      const runtimes = [...new Set(p.jobs.flatMap(j => j.runtimes.map(rt => `${rt.runtime} ${rt.version}`)))];
+      lines.push(`| ${escapeCell(p.name || p.provider)} | \`${escapeCell(p.file)}\` | ${escapeCell(p.triggers.join(', ') || '—')} | ` +
+        `${escapeCell(p.jobs.map(j => j.name).join(', ') || '—')} | ${escapeCell(runtimes.join(', ') || '—')} |`);
+    }
+    lines.push('');
+  }
+
+  const complexity = report.codeQuality?.complexity || [];
+  if (complexity.length > 0) {
+    lines.push('## Most Complex Files\n', '| File | Complexity | Lines |', '|---|---|---|');
+    for (const f of complexity.slice(0, MAX_LISTED_FILES)) {
+      lines.push(`| \`${escapeCell(f.file)}\` | ${f.complexity} | ${f.lines} |`);
+    }
+    lines.push('');
+  }
+
+  const hotspots = report.gitHistory?.hotspots || [];
+  if (hotspots.length > 0) {
+    lines.push(`## Hotspots (last ${report.gitHistory.windowDays} days)\n`, '| File | Complexity | Commits | Lines changed |', '|---|---|---|---|');
+    for (const h of hotspots.slice(0, MAX_LISTED_FILES)) {
+      lines.push(`| \`${escapeCell(h.file)}\` | ${h.complexity} | ${h.commits} | ${h.churn} |`);
+    }
+    lines.push('');
+  }
+
+  const issues = report.codeQuality?.issues || [];
+  if (issues.length > 0) {
+    lines.push('## Code Quality Issues');
+    issues.slice(0, MAX_LISTED_ISSUES).forEach(i =>
+      lines.push(`- \`${i.file || i.source}\`${i.line ? `:${i.line}` : ''} [${i.severity}/${i.type}] ${i.description || i.message || ''}`));
+    if (issues.length > MAX_LISTED_ISSUES) lines.push(`- … ${issues.length - MAX_LISTED_ISSUES} more in the JSON report`);
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+function formatNumber(value) {
+  return value != null ? value.toLocaleString('en-US') : '—';
+}
+
+function escapeCell(value) {
+  return String(value).replace(/\|/g, '\\|');
+}
+
+module.exports = { formatSummary, reportToMarkdown };
@@ -0,0 +1,316 @@
+const path = require('path');
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { buildEngine } = require('../layers');
+const WorkerPool = require('../layers/core/worker-pool');
+const GitRepository = require('../layers/core/git-repo');
+const { readOsvDump, normalizeOsv, createAdvisoryIndex } = require('../layers/08-vulnerabilities/osv');
+const { buildNotice } = require('../layers/02-tech-stack/licenses');
+const { createRegistryClient } = require('../layers/02-tech-stack/outdated');
+const { checkThresholds } = require('./thresholds');
+const { formatSummary, reportToMarkdown } = require('./format');
+const { version } = require('../package.json');
+
+/**
+ * Headless CLI — runs the same layer pipeline as the dashboard, without the
+ * server or the database.
+ *
+ *   code-inspector analyze <path> [options]
+ *
+ * Exit codes: 0 — passed, 1 — a threshold was breached, 2 — usage or analysis
+ * error, 130 — interrupted (Ctrl+C).
+ */
+
+const EXIT_OK = 0;
+const EXIT_THRESHOLD = 1;
+const EXIT_ERROR = 2;
+const EXIT_INTERRUPTED = 130;
+
+// Same defaults as a project created in the dashboard
+const DEFAULT_EXCLUDED = ['node_modules', 'vendor', '.git', 'dist', 'build', 'cache', '.next', '.nuxt'];
+
+const OPTIONS = {
+  output: { type: 'string', short: 'o', default: 'code-inspector-report.json' },
+  markdown: { type: 'string', short: 'm' },
+  notice: { type: 'string' },
+  name: { type: 'string' },
+  exclude: { type: 'string', multiple: true },
+  include: { type: 'string', multiple: true },
+  ignore: { type: 'string', multiple: true },
+  plugin: { type: 'string', multiple: true },
+  workers: { type: 'string' },
+  'history-days': { type: 'string' },
+  ref: { type: 'string' },
+  'exclude-duplicates': { type: 'boolean', default: false },
+  advisories: { type: 'string' },
+  'license-allow': { type: 'string', multiple: true },
+  'license-deny': { type: 'string', multiple: true },
+  'registry-npm': { type: 'string' },
+  'registry-composer': { type: 'string' },
+  'registry-cache': { type: 'string' },
+  'min-score': { type: 'string' },
+  'max-complexity': { type: 'string' },
+  'max-new-critical': { type: 'string' },
+  baseline: { type: 'string' },
+  quiet: { type: 'boolean', short: 'q', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+  version: { type: 'boolean', short: 'v', default: false }
+};
+
+const USAGE = `Usage: code-inspector analyze <path> [options]
+
+Runs the analysis layers on a project directory, writes the report and
+exits non-zero when a threshold is breached.
+
+Output:
+  -o, --output <file>         JSON report (default: code-inspector-report.json)
+  -m, --markdown <file>       Also write a Markdown report
+      --notice <file>         Also write a third-party NOTICE (licenses of the installed packages)
+  -q, --quiet                 Print only threshold failures
+
+Project:
+      --name <name>           Project name in the report (default: directory name)
+      --exclude <folder>      Excluded folder, repeatable (default: node_modules, vendor, .git, …)
+      --include <glob>        Analyze only matching files, repeatable
+      --ignore <glob>         Skip matching files (.gitignore syntax), repeatable
+      --plugin <spec>         Plugin layer (path or package name), repeatable
+      --workers <n|auto>      Worker threads for CPU-heavy layers (default: ANALYSIS_WORKERS)
+      --history-days <n>      Git history window for churn and hotspots (default: 90)
+      --ref <ref>             Analyze a tag, branch or commit instead of the working directory
+      --exclude-duplicates    Leave copies of other files out of the later layers
+      --advisories <path>     OSV advisory dump (.zip, .json or folder) to check dependencies against
+      --license-allow <id>    Allowed dependency license (SPDX id, * wildcard), repeatable
+      --license-deny <id>     Denied dependency license (SPDX id, * wildcard), repeatable
+      --registry-npm <url>    npm registry to compare dependencies with (outdated report)
+      --registry-composer <url>  Composer repository (Composer 2 metadata) for the outdated report
+      --registry-cache <file> Keep registry answers in this JSON file between runs
+
+Thresholds:
+      --min-score <n>         Fail when codeScore.score is below n (0–10)
+      --max-complexity <n>    Fail when a file's cyclomatic complexity is above n
+      --max-new-critical <n>  Fail when more than n critical issues are new
+      --baseline <file>       Earlier JSON report; issues found there are not new
+
+  -h, --help                  Show this help
+  -v, --version               Show version`;
+
+/**
+ * @param {string[]} argv - Arguments after the executable
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  let args;
+  try {
+    args = parseCliArgs(argv);
+  } catch (err) {
+    console.error(`code-inspector: ${err.message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  if (args.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+  if (args.version) {
+    console.log(version);
+    return EXIT_OK;
+  }
+
+  try {
+    return await analyze(args);
+  } catch (err) {
+    if (args.interrupted) {
+      console.error('code-inspector: interrupted');
+      return EXIT_INTERRUPTED;
+    }
+    console.error(`code-inspector: ${err.message}`);
+    return EXIT_ERROR;
+  }
+}
+
+async function analyze(args) {
+  const log = args.quiet ? () => {} : (line) => console.log(line);
+  const baseline = args.baseline ? readReport(args.baseline) : null;
+  const revision = args.ref ? GitRepository.resolveRevision(args.rootPath, args.ref) : null;
+  const advisories = args.advisories ? readAdvisories(args.advisories) : null;
+  const registryCache = args['registry-cache'] ? readRegistryCache(args['registry-cache']) : new Map();
+  const registry = createRegistryClient({
+    npm: args['registry-npm'],
+    composer: args['registry-composer'],
+    cache: registryCache
+  });
+
+  const project = {
+    id: null,
+    name: args.name || path.basename(args.rootPath),
+    root_path: args.rootPath,
+    excluded_folders: args.exclude || DEFAULT_EXCLUDED,
+    include_globs: args.include || [],
+    exclude_globs: args.ignore || [],
+    git_history_days: args.historyDays,
+    exclude_duplicates: args['exclude-duplicates'],
+    license_allow: args['license-allow'] || [],
+    license_deny: args['license-deny'] || [],
+    project_type: 'auto',
+    framework: 'none',
+    technologies: [],
+    // Path specs are relative to where the CLI runs, package names resolve as usual
+    plugins: (args.plugin || []).map(spec => /^\.{1,2}[\\/]/.test(spec) ? path.resolve(spec) : spec)
+  };
+
+  const engine = buildEngine(project);
+  const pool = WorkerPool.fromEnv(args.workers ?? process.env.ANALYSIS_WORKERS);
+
+  // Ctrl+C stops the layers instead of leaving a half-written report
+  const controller = new AbortController();
+  const onSigint = () => {
+    args.interrupted = true;
+    controller.abort(new Error('Interrupted'));
+  };
+  process.once('SIGINT', onSigint);
+
+  let report;
+  try {
+    report = await engine.analyze(project, args.quiet ? null : progressPrinter(), {
+      signal: controller.signal,
+      pool,
+      advisories,
+      registry,
+      revision
+    });
+  } finally {
+    process.off('SIGINT', onSigint);
+    if (pool) await pool.close();
+  }
+
+  writeFile(args.output, JSON.stringify(report, null, 2));
+  if (registry && args['registry-cache']) {
+    writeFile(args['registry-cache'], JSON.stringify(Object.fromEntries(registryCache)));
+  }
+
+  const result = checkThresholds(report, args.thresholds, baseline);
+
+  if (args.markdown) {
+    writeFile(args.markdown, reportToMarkdown(report, result));
+  }
+  if (args.notice) {
+    writeFile(args.notice, buildNotice(report.techStack?.licenses, { projectName: report.meta?.projectName }));
+  }
+
+  log('');
+  log(formatSummary(report, result));
+  log('');
+  log(`Report: ${path.resolve(args.output)}`);
+  if (args.markdown) log(`Markdown: ${path.resolve(args.markdown)}`);
+  if (args.notice) log(`Notice: ${path.resolve(args.notice)}`);
+
+  for (const check of result.checks.filter(c => !c.passed)) {
+    console.error(`FAILED: ${check.message}`);
+  }
+  return result.passed ? EXIT_OK : EXIT_THRESHOLD;
+}
+
+// ─── Arguments ───
+
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  if (values.help || values.version) return values;
+
+  const [command, target, ...rest] = positionals;
+  if (command !== 'analyze') {
+    throw new Error(command ? `unknown command "${command}"` : 'missing command');
+  }
+  if (!target) throw new Error('missing project path');
+  if (rest.length > 0) throw new Error(`unexpected argument "${rest[0]}"`);
+
+  const rootPath = path.resolve(target);
+  if (!fs.existsSync(rootPath) || !fs.statSync(rootPath).isDirectory()) {
+    throw new Error(`not a directory: ${target}`);
+  }
+
+  if (values.workers !== undefined && values.workers !== 'auto' && !/^\d+$/.test(values.workers)) {
+    throw new Error('--workers must be a number or "auto"');
+  }
+  for (const name of ['registry-npm', 'registry-composer']) {
+    if (values[name] !== undefined && !/^https?:\/\/[^\s/]+/i.test(values[name])) {
+      throw new Error(`--${name} must be an http(s) URL`);
+    }
+  }
+
+  return {
+    ...values,
+    rootPath,
+    historyDays: numberOption(values, 'history-days') ?? undefined,
+    thresholds: {
+      minScore: numberOption(values, 'min-score'),
+      maxComplexity: numberOption(values, 'max-complexity'),
+      maxNewCritical: numberOption(values, 'max-new-critical')
+    }
+  };
+}
+
+function numberOption(values, name) {
+  if (values[name] === undefined) return null;
+  const value = Number(values[name]);
+  if (values[name] === '' || !Number.isFinite(value) || value < 0) {
+    throw new Error(`--${name} must be a non-negative number`);
+  }
+  return value;
+}
+
+// ─── Files ───
+
+function readReport(file) {
+  let report;
+  try {
+    report = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`cannot read baseline ${file}: ${err.message}`);
+  }
+  if (!report || typeof report !== 'object' || !report.meta) {
+    throw new Error(`baseline ${file} is not a Code Inspector report`);
+  }
+  return report;
+}
+
+// OSV dump → in-memory advisory source (the dashboard keeps them in SQLite)
+function readAdvisories(dumpPath) {
+  const advisories = [];
+  try {
+    readOsvDump(path.resolve(dumpPath), (record) => {
+      const advisory = normalizeOsv(record);
+      if (advisory) advisories.push(advisory);
+    });
+  } catch (err) {
+    throw new Error(`cannot read advisories ${dumpPath}: ${err.message}`);
+  }
+  return createAdvisoryIndex(advisories, fs.statSync(dumpPath).mtime.toISOString());
+}
+
+// Registry answers of earlier runs (key → { data, fetchedAt }); a missing file starts empty
+function readRegistryCache(file) {
+  if (!fs.existsSync(file)) return new Map();
+  try {
+    return new Map(Object.entries(JSON.parse(fs.readFileSync(file, 'utf-8'))));
+  } catch (err) {
+    throw new Error(`cannot read registry cache ${file}: ${err.message}`);
+  }
+}
+
+function writeFile(file, content) {
+  const dir = path.dirname(path.resolve(file));
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, content, 'utf-8');
+}
+
+// ─── Progress (stderr, so stdout stays the summary) ───
+
+function progressPrinter() {
+  return (progress) => {
+    // Sub-steps are too chatty for a log; failures are printed by the engine
+    if (progress.owner || progress.status !== 'running') return;
+    process.stderr.write(`[${progress.current}/${progress.total}] ${progress.displayName}…\n`);
+  };
+}
+
+module.exports = { main, EXIT_OK, EXIT_THRESHOLD, EXIT_ERROR };
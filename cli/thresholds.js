@@ -0,0 +1,86 @@
+const { fingerprintIssues } = require('../layers/core/issue-fingerprint');
+
+/**
+ * CI thresholds — the pass/fail checks of `code-inspector analyze`.
+ *
+ * Every check reads the same report fields the dashboard shows:
+ *   minScore       — codeScore.score
+ *   maxComplexity  — codeQuality.complexity[].complexity (per file; the layer
+ *                    lists files above 10, so lower limits act as 10)
+ *   maxNewCritical — codeQuality.issues with severity 'critical' that are
+ *                    not in the baseline report (all of them without one),
+ *                    matched by fingerprint
+ * A check whose layer failed (section missing from the report) fails too —
+ * a broken run must not pass the gate.
+ */
+
+/**
+ * @param {Object} report     - Analysis report
+ * @param {Object} thresholds - { minScore, maxComplexity, maxNewCritical } (null = not checked)
+ * @param {Object|null} baseline - Earlier report for "new issue" checks
+ * @returns {{ passed: boolean, checks: Array<{ name, passed, actual, limit, message, items? }> }}
+ */
+function checkThresholds(report, thresholds = {}, baseline = null) {
+  const checks = [];
+
+  if (thresholds.minScore != null) {
+    const score = report.codeScore?.score;
+    checks.push(score == null
+      ? unavailable('minScore', thresholds.minScore, 'Code score')
+      : {
+          name: 'minScore',
+          passed: score >= thresholds.minScore,
+          actual: score,
+          limit: thresholds.minScore,
+          message: `Code score ${score} (minimum ${thresholds.minScore})`
+        });
+  }
+
+  if (thresholds.maxComplexity != null) {
+    const complexity = report.codeQuality?.complexity;
+    if (!complexity) {
+      checks.push(unavailable('maxComplexity', thresholds.maxComplexity, 'Complexity'));
+    } else {
+      const over = complexity.filter(f => f.complexity > thresholds.maxComplexity);
+      const max = complexity.reduce((m, f) => Math.max(m, f.complexity), 0);
+      checks.push({
+        name: 'maxComplexity',
+        passed: over.length === 0,
+        actual: max,
+        limit: thresholds.maxComplexity,
+        message: over.length === 0
+          ? `Max file complexity ${max} (limit ${thresholds.maxComplexity})`
+          : `${over.length} file(s) over complexity ${thresholds.maxComplexity} (max ${max})`,
+        items: over.map(f => `${f.file} (${f.complexity})`)
+      });
+    }
+  }
+
+  if (thresholds.maxNewCritical != null) {
+    const issues = report.codeQuality?.issues;
+    if (!issues) {
+      checks.push(unavailable('maxNewCritical', thresholds.maxNewCritical, 'Code quality issues'));
+    } else {
+      const known = new Set(fingerprintIssues(baseline?.codeQuality?.issues || []));
+      const fingerprints = fingerprintIssues(issues);
+      const fresh = issues.filter((i, index) =>
+        i.severity === 'critical' && !i.triage && !known.has(fingerprints[index]));
+      checks.push({
+        name: 'maxNewCritical',
+        passed: fresh.length <= thresholds.maxNewCritical,
+        actual: fresh.length,
+        limit: thresholds.maxNewCritical,
+        message: `${fresh.length} new critical issue(s) (limit ${thresholds.maxNewCritical}${baseline ? '' : ', no baseline'})`,
+        items: fresh.map(i => `${i.file || i.source}${i.line ? `:${i.line}` : ''} ${i.description || i.message || i.type}`)
+      });
+    }
+  }
+
+  return { passed: checks.every(c => c.passed), checks };
+}
+
+function unavailable(name, limit, what) {
+  return { name, passed: false, actual: null, limit, message: `${what} not available (layer failed)` };
+}
+
+module.exports = { checkThresholds };
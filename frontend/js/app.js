@@ -45,11 +45,8 @@ const App = {
     await this.loadLanguage();
     this.applyLanguage();
     this.loadSettings();
-    if (this.currentReport) {
-      const activeTab = document.querySelector('.report-tab.active');
-      const tab = (activeTab?.getAttribute('onclick') || '').match(/'(overview|structure|quality)'/)?.[1] || 'overview';
-      this.showReportTab(tab);
-    }
+    if (this.currentReport) this.showReportTab(this.currentReportTab);
+    if (this.currentDiff) this.showDiffTab(this.currentDiffTab);
     if (this.currentPage === 'projects') this.renderProjects();
     if (this.currentPage === 'reports') this.loadAllReports();
     if (this.currentProject) this.renderProjectDetail(this.currentProject);
@@ -116,6 +113,7 @@ const App = {
     // Trigger page-specific logic
     if (page === 'projects') this.loadProjects();
     if (page === 'reports') this.loadAllReports();
+    if (page === 'settings') this.loadAdvisoryStats();
   },
 
   // ═══════════════════════════════════════════════════════
@@ -207,6 +205,15 @@ const App = {
       document.getElementById('pf-excluded').value = (p.excluded_folders || []).join(', ');
       document.getElementById('pf-llm').checked = p.enable_llm;
       document.getElementById('pf-notes').value = p.notes || '';
+      document.getElementById('pf-plugins').value = (p.plugins || []).join('\n');
+      document.getElementById('pf-include-globs').value = (p.include_globs || []).join('\n');
+      document.getElementById('pf-exclude-globs').value = (p.exclude_globs || []).join('\n');
+      document.getElementById('pf-license-allow').value = (p.license_allow || []).join('\n');
+      document.getElementById('pf-license-deny').value = (p.license_deny || []).join('\n');
+      document.getElementById('pf-registry-npm').value = p.registry_npm || '';
+      document.getElementById('pf-registry-composer').value = p.registry_composer || '';
+      document.getElementById('pf-history-days').value = p.git_history_days || 90;
+      document.getElementById('pf-exclude-duplicates').checked = Boolean(p.exclude_duplicates);
 
       // Project type
       document.getElementById('pf-project-type').value = p.project_type || 'auto';
@@ -295,7 +302,16 @@ const App = {
       wp_db_user: document.getElementById('pf-wp-user').value,
       wp_db_pass: document.getElementById('pf-wp-pass').value,
       enable_llm: document.getElementById('pf-llm').checked,
-      notes: document.getElementById('pf-notes').value
+      notes: document.getElementById('pf-notes').value,
+      plugins: document.getElementById('pf-plugins').value.split('\n').map(s => s.trim()).filter(Boolean),
+      include_globs: document.getElementById('pf-include-globs').value.split('\n').map(s => s.trim()).filter(Boolean),
+      exclude_globs: document.getElementById('pf-exclude-globs').value.split('\n').map(s => s.trim()).filter(Boolean),
+      license_allow: document.getElementById('pf-license-allow').value.split('\n').map(s => s.trim()).filter(Boolean),
+      license_deny: document.getElementById('pf-license-deny').value.split('\n').map(s => s.trim()).filter(Boolean),
+      registry_npm: document.getElementById('pf-registry-npm').value.trim(),
+      registry_composer: document.getElementById('pf-registry-composer').value.trim(),
+      git_history_days: parseInt(document.getElementById('pf-history-days').value, 10) || 90,
+      exclude_duplicates: document.getElementById('pf-exclude-duplicates').checked
     };
   },
 
@@ -340,6 +356,7 @@ const App = {
         return;
       }
 
+      if (this.currentProject?.id !== data.data.id) this.compareSelection = [];
       this.currentProject = data.data;
       this.renderProjectDetail(data.data);
 
@@ -395,6 +412,30 @@ const App = {
             ${(project.excluded_folders || []).map(f => `<span class="tech-badge">${this.esc(f)}</span>`).join(' ')}
           </div>
         </div>
+        ${(project.plugins || []).length > 0 ? `
+        <div class="detail-field" style="margin-top:16px">
+          <div class="detail-label">${this.t('plugins')}</div>
+          <div class="detail-value" style="margin-top:6px">
+            ${project.plugins.map(p => `<span class="tech-badge">${this.esc(p)}</span>`).join(' ')}
+          </div>
+        </div>` : ''}
+        ${['include_globs', 'exclude_globs', 'license_allow', 'license_deny'].filter(key => (project[key] || []).length > 0).map(key => `
+        <div class="detail-field" style="margin-top:16px">
+          <div class="detail-label">${this.t(key)}</div>
+          <div class="detail-value" style="margin-top:6px">
+            ${project[key].map(g => `<span class="tech-badge">${this.esc(g)}</span>`).join(' ')}
+          </div>
+        </div>`).join('')}
+        ${['registry_npm', 'registry_composer'].filter(key => project[key]).map(key => `
+        <div class="detail-field" style="margin-top:16px">
+          <div class="detail-label">${this.t(key)}</div>
+          <div class="detail-value" style="margin-top:6px;font-family:Consolas,monospace">${this.esc(project[key].replace(/^(\w+:\/\/)[^/@]+@/, '$1***@'))}</div>
+        </div>`).join('')}
+        ${project.exclude_duplicates ? `
+        <div class="detail-field" style="margin-top:16px">
+          <div class="detail-label">${this.t('exclude_duplicates')}</div>
+          <div class="detail-value"><span style="color:var(--success)">${this.t('enabled')}</span></div>
+        </div>` : ''}
         <div class="detail-field" style="margin-top:16px">
           <div class="detail-label">LLM Analysis</div>
           <div class="detail-value">${project.enable_llm ? '<span style="color:var(--success)">Enabled</span>' : '<span style="color:var(--text-muted)">Disabled</span>'}</div>
@@ -429,20 +470,26 @@ const App = {
 
       <!-- Analysis History -->
       <div class="detail-card full-width">
-        <h3>Analysis History</h3>
+        <div class="history-header">
+          <h3>Analysis History</h3>
+          ${analyses.filter(a => a.report_path).length >= 2 ? `
+            <button id="compare-btn" class="btn btn-sm btn-outline" onclick="App.compareSelected()" disabled title="${this.t('compare_hint')}">${this.t('compare_selected')}</button>
+          ` : ''}
+        </div>
         ${analyses.length > 0 ? `
           <div class="reports-list">
             ${analyses.map(a => `
               <div class="report-item" onclick="${a.report_path ? `App.viewReport(${a.id})` : ''}">
                 <div class="report-info">
-                  <h4>Analysis #${a.id}</h4>
+                  <h4>Analysis #${a.id}${a.commit ? ` <span class="tech-badge" title="${this.esc(a.commit)}">${this.esc(a.ref)} @ ${this.esc(a.commit.slice(0, 7))}</span>` : ''}</h4>
                   <div class="report-meta">
-                    <span>${this.formatDate(a.started_at)}</span>
+                    <span>${this.formatDate(a.started_at || a.queued_at)}</span>
                     ${a.duration_ms ? `<span>${(a.duration_ms / 1000).toFixed(1)}s</span>` : ''}
                   </div>
                 </div>
                 <div class="report-item-actions-container">
                   <div class="report-item-actions" onclick="event.stopPropagation()">
+                    ${a.report_path ? `<input type="checkbox" class="compare-check" title="${this.t('compare_hint')}" ${this.compareSelection.includes(a.id) ? 'checked' : ''} onchange="App.toggleCompare(${a.id}, this.checked)">` : ''}
                     <button class="btn btn-sm btn-ghost" onclick="App.deleteReportById(${a.id}, ${project.id})" title="${this.t('delete')}" style="color:var(--danger)">
                       <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/></svg>
                     </button>
@@ -461,19 +508,33 @@ const App = {
     `;
   },
 
-  async analyzeProject() {
+  // Analyze a tag, branch or commit (read from git, the working copy is not touched)
+  analyzeRef() {
+    if (!this.currentProject) return;
+    const ref = prompt(this.t('analyze_ref_prompt'), 'HEAD');
+    if (ref === null || !ref.trim()) return;
+    this.analyzeProject(ref.trim());
+  },
+
+  async analyzeProject(ref = null) {
     if (!this.currentProject) return;
 
     try {
       const res = await fetch(`${API}/analysis/start`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ projectId: this.currentProject.id })
+        body: JSON.stringify({ projectId: this.currentProject.id, ...(ref && { ref }) })
       });
 
       const data = await res.json();
 
       if (!data.success) {
+        // Already queued or running for this project — follow that run instead
+        if (res.status === 409 && data.analysisId) {
+          this.currentAnalysisId = data.analysisId;
+          this.showProgressModal();
+          return;
+        }
         this.toast(data.error || 'Failed to start analysis', 'error');
         return;
       }
@@ -483,6 +544,7 @@ const App = {
 
       // Показываем модалку с прогрессом
       this.showProgressModal();
+      if (data.data.status === 'queued') this.renderQueued(data.data.position);
 
       // Продолжаем polling (можно оставить, если нужно знать "completed")
       // this.pollAnalysis(analysisId); // ← можно удалить, если poll ведётся в startProgressPolling
@@ -515,6 +577,11 @@ const App = {
           return;
         }
 
+        if (status === 'cancelled') {
+          this.toast(this.t('analysis_cancelled'), 'info');
+          return;
+        }
+
         // Still running — poll again
         setTimeout(poll, 1000);
       } catch {
@@ -608,14 +675,19 @@ const App = {
 
       // Set title
       document.getElementById('report-title').textContent = `Report: ${this.currentReport.meta?.projectName || 'Analysis'}`;
+      const revision = this.currentReport.meta?.revision;
       document.getElementById('report-subtitle').textContent =
-        `Analyzed ${this.formatDate(this.currentReport.meta?.analyzedAt)} • ${((this.currentReport.meta?.durationMs || 0) / 1000).toFixed(1)}s`;
+        `Analyzed ${this.formatDate(this.currentReport.meta?.analyzedAt)} • ${((this.currentReport.meta?.durationMs || 0) / 1000).toFixed(1)}s` +
+        (revision ? ` • ${this.t('revision')}: ${revision.ref} @ ${revision.commit.slice(0, 7)}` : '');
 
       // Show report page
       document.querySelectorAll('.page').forEach(p => p.classList.remove('active'));
       document.getElementById('page-report').classList.add('active');
       document.querySelectorAll('.nav-item').forEach(i => i.classList.remove('active'));
 
+      this.currentPackage = null;
+      this.renderPackageSelector();
+
       // Render first tab
       this.showReportTab('overview');
     } catch (err) {
@@ -624,6 +696,7 @@ const App = {
   },
 
   backFromReport() {
+    this.currentDiff = null;
     if (this.currentProject) {
       this.viewProject(this.currentProject.id);
     } else {
@@ -667,19 +740,798 @@ const App = {
     }
   },
 
+  // ─── Report comparison ───
+  compareSelection: [],
+  currentDiff: null,
+  currentDiffTab: 'issues',
+
+  // Keeps the two most recently ticked analyses
+  toggleCompare(id, checked) {
+    this.compareSelection = this.compareSelection.filter(x => x !== id);
+    if (checked) this.compareSelection.push(id);
+    if (this.compareSelection.length > 2) {
+      const dropped = this.compareSelection.shift();
+      const box = document.querySelector(`.compare-check[onchange*="(${dropped},"]`);
+      if (box) box.checked = false;
+    }
+    const btn = document.getElementById('compare-btn');
+    if (btn) btn.disabled = this.compareSelection.length !== 2;
+  },
+
+  compareSelected() {
+    if (this.compareSelection.length !== 2) return;
+    const [a, b] = [...this.compareSelection].sort((x, y) => x - y);
+    this.compareReports(a, b);
+  },
+
+  // baseId = older analysis, otherId = newer one
+  async compareReports(baseId, otherId) {
+    try {
+      const res = await fetch(`${API}/reports/${baseId}/diff/${otherId}`);
+      const data = await res.json();
+      if (!data.success) {
+        this.toast(data.error || this.t('compare_failed'), 'error');
+        return;
+      }
+
+      this.currentDiff = data.data;
+      const { base, other } = data.data;
+      document.getElementById('diff-subtitle').textContent =
+        `#${base.id} (${this.describeRun(base)}) → #${other.id} (${this.describeRun(other)})`;
+      document.getElementById('diff-summary').innerHTML = this.renderDiffSummary(data.data.diff);
+
+      document.querySelectorAll('.page').forEach(p => p.classList.remove('active'));
+      document.getElementById('page-report-diff').classList.add('active');
+      document.querySelectorAll('.nav-item').forEach(i => i.classList.remove('active'));
+
+      this.showDiffTab('issues');
+    } catch (err) {
+      this.toast(this.t('compare_failed'), 'error');
+    }
+  },
+
+  // "date" of a working-directory run, "ref @ sha" of a revision run
+  describeRun(info) {
+    return info.revision
+      ? `${info.revision.ref} @ ${info.revision.commit.slice(0, 7)}`
+      : this.formatDate(info.analyzedAt || info.started_at);
+  },
+
+  showDiffTab(tab) {
+    this.currentDiffTab = tab;
+    document.querySelectorAll('#page-report-diff .report-tab').forEach(t => {
+      t.classList.toggle('active', (t.getAttribute('onclick') || '').includes(`'${tab}'`));
+    });
+
+    const diff = this.currentDiff?.diff;
+    if (!diff) return;
+    const container = document.getElementById('diff-content');
+    switch (tab) {
+      case 'issues': container.innerHTML = this.renderDiffIssues(diff.issues); break;
+      case 'files': container.innerHTML = this.renderDiffFiles(diff.files); break;
+      case 'dependencies': container.innerHTML = this.renderDiffDependencies(diff.dependencies); break;
+    }
+  },
+
+  // Signed change; higherIsBetter = null leaves it uncoloured
+  formatDelta(delta, higherIsBetter = true) {
+    if (delta == null || delta === 0) return `<span class="diff-delta">±0</span>`;
+    const cls = higherIsBetter === null ? '' : (higherIsBetter ? delta > 0 : delta < 0) ? 'better' : 'worse';
+    return `<span class="diff-delta ${cls}">${delta > 0 ? '+' : ''}${delta.toLocaleString()}</span>`;
+  },
+
+  renderDiffSummary(diff) {
+    const stat = (value, label, deltaHtml = '') => `
+      <div class="stat-card">
+        <span class="stat-value">${value ?? '—'}</span>
+        <span class="stat-label">${label} ${deltaHtml}</span>
+      </div>`;
+    return `
+      <div class="stats-row" style="margin-bottom:20px">
+        ${stat(diff.score.after != null ? diff.score.after.toFixed(1) : null, this.t('score_label'), this.formatDelta(diff.score.delta))}
+        ${stat((diff.totals.files.after || 0).toLocaleString(), this.t('files'), this.formatDelta(diff.totals.files.delta, null))}
+        ${stat((diff.totals.lines.after || 0).toLocaleString(), this.t('lines_of_code'), this.formatDelta(diff.totals.lines.delta, null))}
+        ${stat(diff.totals.issues.after, this.t('issues_found'), this.formatDelta(diff.totals.issues.delta, false))}
+        ${stat(`<span style="color:var(--danger)">${diff.issues.new.length}</span>`, this.t('new_issues'))}
+        ${stat(`<span style="color:var(--success)">${diff.issues.resolved.length}</span>`, this.t('resolved_issues'))}
+      </div>`;
+  },
+
+  renderDiffIssues(issues) {
+    if (issues.new.length === 0 && issues.resolved.length === 0) {
+      return `<div class="empty-state" style="padding:32px"><p>${this.t('no_issue_changes', { n: issues.unchanged })}</p></div>`;
+    }
+    const section = (title, list, cls) => list.length === 0 ? '' : `
+      <h3 class="diff-section-title ${cls}">${title} <span class="diff-count">${list.length}</span></h3>
+      ${list.map(issue => this.renderIssueItem(issue)).join('')}`;
+    return `
+      ${section(this.t('new_issues'), issues.new, 'worse')}
+      ${section(this.t('resolved_issues'), issues.resolved, 'better')}
+      <p class="form-hint" style="margin-top:12px">${this.t('unchanged_issues', { n: issues.unchanged })}</p>`;
+  },
+
+  renderDiffFiles(files) {
+    if (files.added.length + files.removed.length + files.changed.length === 0) {
+      return `<div class="empty-state" style="padding:32px"><p>${this.t('no_file_changes')}</p></div>`;
+    }
+    const row = (path, status, detail) => `
+      <tr style="border-bottom:1px solid var(--border)">
+        <td style="padding:8px 12px"><span class="diff-badge ${status}">${this.t(`diff_${status}`)}</span></td>
+        <td style="padding:8px 12px;font-family:Consolas,monospace;color:var(--accent);font-size:0.82rem">${this.esc(path)}</td>
+        <td style="padding:8px 12px">${detail}</td>
+      </tr>`;
+    return `
+      <table style="width:100%;border-collapse:collapse;font-size:0.88rem">
+        <thead>
+          <tr style="border-bottom:1px solid var(--border);text-align:left">
+            <th style="padding:8px 12px;color:var(--text-muted)"></th>
+            <th style="padding:8px 12px;color:var(--text-muted)">File</th>
+            <th style="padding:8px 12px;color:var(--text-muted)">Lines</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${files.added.map(f => row(f.path, 'added', f.lines ?? '')).join('')}
+          ${files.removed.map(f => row(f.path, 'removed', f.lines ?? '')).join('')}
+          ${files.changed.map(f => row(f.path, 'changed',
+            `${f.linesBefore ?? '?'} → ${f.linesAfter ?? '?'} ${this.formatDelta((f.linesAfter || 0) - (f.linesBefore || 0), null)}`)).join('')}
+        </tbody>
+      </table>`;
+  },
+
+  renderDiffDependencies(deps) {
+    if (deps.added.length + deps.removed.length + deps.changed.length === 0) {
+      return `<div class="empty-state" style="padding:32px"><p>${this.t('no_dependency_changes')}</p></div>`;
+    }
+    const row = (name, status, detail) => `
+      <tr style="border-bottom:1px solid var(--border)">
+        <td style="padding:8px 12px"><span class="diff-badge ${status}">${this.t(`diff_${status}`)}</span></td>
+        <td style="padding:8px 12px;font-weight:500">${this.esc(name)}</td>
+        <td style="padding:8px 12px;font-family:Consolas,monospace;font-size:0.82rem">${detail}</td>
+      </tr>`;
+    return `
+      <table style="width:100%;border-collapse:collapse;font-size:0.88rem">
+        <thead>
+          <tr style="border-bottom:1px solid var(--border);text-align:left">
+            <th style="padding:8px 12px;color:var(--text-muted)"></th>
+            <th style="padding:8px 12px;color:var(--text-muted)">${this.t('dependency')}</th>
+            <th style="padding:8px 12px;color:var(--text-muted)">${this.t('version')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${deps.added.map(d => row(d.name, 'added', this.esc(d.version))).join('')}
+          ${deps.removed.map(d => row(d.name, 'removed', this.esc(d.version))).join('')}
+          ${deps.changed.map(d => row(d.name, 'changed',
+            `${this.esc(d.versionBefore)} → ${this.esc(d.versionAfter)}${d.typeBefore !== d.typeAfter ? ` (${this.esc(d.typeBefore)} → ${this.esc(d.typeAfter)})` : ''}`)).join('')}
+        </tbody>
+      </table>`;
+  },
+
   showReportTab(tab) {
-    document.querySelectorAll('.report-tab').forEach(t => t.classList.remove('active'));
-    document.querySelector(`.report-tab[onclick*="${tab}"]`).classList.add('active');
+    document.querySelectorAll('#page-report .report-tab').forEach(t => t.classList.remove('active'));
+    document.querySelector(`#page-report .report-tab[onclick*="${tab}"]`).classList.add('active');
 
     const container = document.getElementById('report-content');
-    const r = this.currentReport;
-    if (!r) return;
+    if (!this.currentReport) return;
+    this.currentReportTab = tab;
+    const r = this.scopedReport(this.currentReport);
 
     switch (tab) {
       case 'overview': container.innerHTML = this.renderReportOverview(r); break;
       case 'structure': container.innerHTML = this.renderReportStructure(r); break;
       case 'quality': container.innerHTML = this.renderReportQuality(r); break;
+      case 'dependencies': container.innerHTML = this.renderReportDependencies(r); break;
+      case 'history': container.innerHTML = this.renderReportHistory(r); break;
+    }
+  },
+
+  // ─── Monorepo packages ───
+  currentPackage: null, // path of the selected package, null for the whole project
+  currentReportTab: 'overview',
+
+  renderPackageSelector() {
+    const select = document.getElementById('report-package');
+    const packages = this.currentReport?.techStack?.workspaces?.packages || [];
+    select.style.display = packages.length > 0 ? '' : 'none';
+    select.innerHTML = `<option value="">${this.t('all_packages')}</option>` +
+      packages.map((p, i) => `<option value="${i}">${this.esc(this.packageLabel(p))}</option>`).join('');
+    const index = packages.findIndex(p => p.path === this.currentPackage);
+    select.value = index === -1 ? '' : String(index);
+  },
+
+  packageLabel(pkg) {
+    if (pkg.root) return pkg.name ? `${pkg.name} (${this.t('package_root')})` : this.t('package_root');
+    return pkg.name && pkg.name !== pkg.path.split('/').pop() ? `${pkg.name} — ${pkg.path}` : pkg.path;
+  },
+
+  // value: index in techStack.workspaces.packages, "" for the whole project
+  selectReportPackage(value) {
+    const packages = this.currentReport?.techStack?.workspaces?.packages || [];
+    this.currentPackage = value === '' ? null : (packages[Number(value)]?.path ?? null);
+    this.renderPackageSelector();
+    this.showReportTab(this.currentReportTab);
+  },
+
+  // Deepest package folder containing a file ("" — the root package — when none does)
+  packageOf(filePath, packagePaths) {
+    let best = '';
+    for (const dir of packagePaths) {
+      if (dir && filePath.startsWith(dir + '/') && dir.length > best.length) best = dir;
+    }
+    return best;
+  },
+
+  /**
+   * The report restricted to the selected package: its files, languages,
+   * dependencies, structure, issues, score and history, with the totals
+   * recounted. The file tree, key locations and authors stay project-wide.
+   */
+  scopedReport(r) {
+    const workspaces = r.techStack?.workspaces;
+    const pkg = this.currentPackage !== null && workspaces?.packages.find(p => p.path === this.currentPackage);
+    if (!pkg) return r;
+
+    const packagePaths = workspaces.packages.map(p => p.path);
+    const inPackage = (filePath) => !!filePath && this.packageOf(filePath, packagePaths) === pkg.path;
+    const fromManifest = (d) => pkg.manifests.includes(d.source);
+
+    const fs = r.fileSystem || {};
+    const files = (fs.files || []).filter(f => inPackage(f.path));
+    const byExtension = {};
+    files.forEach(f => {
+      const ext = f.extension || '(no ext)';
+      byExtension[ext] = (byExtension[ext] || 0) + 1;
+    });
+    // A folder belongs to the package its files belong to ("." is the project root)
+    const folderStats = (fs.folderStats || []).filter(s => inPackage(s.folder === '.' ? '_' : `${s.folder}/_`));
+
+    const cs = r.codeStructure || {};
+    const structureFiles = (cs.files || []).filter(f => inPackage(f.path));
+    const sum = (fn) => structureFiles.reduce((total, f) => total + fn(f), 0);
+
+    const cq = r.codeQuality || {};
+    const issues = (cq.issues || []).filter(i => inPackage(i.file || i.source));
+    const open = issues.filter(i => !i.triage);
+    const countType = (type) => open.filter(i => i.type === type).length;
+
+    const pkgScore = (r.codeScore?.packages || []).find(p => p.path === pkg.path);
+    const gh = r.gitHistory;
+
+    return {
+      ...r,
+      fileSystem: {
+        ...fs,
+        files,
+        byExtension,
+        folderStats,
+        totalFiles: files.length,
+        totalLines: files.reduce((total, f) => total + (f.lines || 0), 0),
+        totalFolders: folderStats.length
+      },
+      techStack: {
+        ...r.techStack,
+        workspaces: undefined,
+        languages: pkg.languages || [],
+        frameworks: pkg.frameworks || [],
+        runtime: pkg.runtime || {},
+        dependencies: (r.techStack.dependencies || []).filter(fromManifest),
+        devDependencies: (r.techStack.devDependencies || []).filter(fromManifest),
+        // The resolved tree is shared by the packages; only the findings about this package's manifests are kept
+        dependencyTree: r.techStack.dependencyTree && {
+          ...r.techStack.dependencyTree,
+          mismatches: r.techStack.dependencyTree.mismatches.filter(fromManifest),
+          unlocked: r.techStack.dependencyTree.unlocked.filter(fromManifest)
+        },
+        licenses: r.techStack.licenses && {
+          ...r.techStack.licenses,
+          violations: r.techStack.licenses.violations.filter(v => inPackage(v.source))
+        },
+        outdated: this.scopedOutdated(r.techStack.outdated, fromManifest),
+        infrastructure: this.scopedInfrastructure(r.techStack.infrastructure, inPackage)
+      },
+      codeStructure: {
+        ...cs,
+        files: structureFiles,
+        totalClasses: sum(f => (f.classes || []).length),
+        totalFunctions: sum(f => (f.functions || []).length),
+        totalMethods: sum(f => (f.classes || []).reduce((n, c) => n + (c.methods || []).length, 0)),
+        totalImports: sum(f => (f.imports || []).length),
+        totalExports: sum(f => (f.exports || []).length)
+      },
+      codeQuality: {
+        ...cq,
+        issues,
+        complexity: (cq.complexity || []).filter(c => inPackage(c.file)),
+        summary: {
+          ...cq.summary,
+          totalIssues: open.length,
+          unusedFunctions: countType('unused_function'),
+          unusedMethods: countType('unused_method'),
+          unusedClasses: countType('unused_class'),
+          unusedImports: countType('unused_import'),
+          unusedDependencies: countType('unused_dependency'),
+          vulnerableDependencies: countType('vulnerable_dependency'),
+          licenseViolations: countType('license_violation'),
+          containerWarnings: countType('container_warning'),
+          ciWarnings: countType('ci_warning'),
+          commentedCode: countType('commented_code'),
+          triaged: issues.length - open.length,
+          bySeverity: {
+            critical: open.filter(i => i.severity === 'critical').length,
+            warning: open.filter(i => i.severity === 'warning').length,
+            info: open.filter(i => i.severity === 'info').length
+          }
+        }
+      },
+      codeScore: pkgScore ? { ...r.codeScore, ...pkgScore, packages: undefined } : r.codeScore,
+      vulnerabilities: r.vulnerabilities?.available ? {
+        ...r.vulnerabilities,
+        findings: r.vulnerabilities.findings.filter(f => inPackage(f.source))
+      } : r.vulnerabilities,
+      gitHistory: gh?.available ? {
+        ...gh,
+        files: (gh.files || []).filter(f => inPackage(f.path)),
+        hotspots: (gh.hotspots || []).filter(h => inPackage(h.file))
+      } : gh
+    };
+  },
+
+  // Outdated dependencies of the package's manifests, totals recounted
+  scopedOutdated(outdated, fromManifest) {
+    if (!outdated) return outdated;
+    const packages = outdated.packages.filter(fromManifest);
+    const totals = { checked: packages.length, current: 0, patch: 0, minor: 0, major: 0, unknown: 0 };
+    packages.forEach(p => totals[p.status]++);
+    const libyears = Math.round(packages.reduce((total, p) => total + p.libyears, 0) * 100) / 100;
+    return { ...outdated, ...totals, libyears, packages };
+  },
+
+  // Dockerfiles and compose files inside the package; a service also belongs to it through its Dockerfile
+  scopedInfrastructure(infra, inPackage) {
+    if (!infra) return infra;
+    const dockerfiles = infra.dockerfiles.filter(d => inPackage(d.path));
+    const services = infra.services.filter(s => inPackage(s.file) || inPackage(s.dockerfile));
+    if (dockerfiles.length === 0 && services.length === 0) return undefined;
+    return {
+      ...infra,
+      dockerfiles,
+      services,
+      composeFiles: infra.composeFiles.filter(inPackage),
+      warnings: infra.warnings.filter(w => inPackage(w.file))
+    };
+  },
+
+  // Per-package breakdown on the Overview of a monorepo (whole project only)
+  renderWorkspaces(ts, codeScore) {
+    const workspaces = ts.workspaces;
+    if (!workspaces) return '';
+    const scores = new Map((codeScore?.packages || []).map(p => [p.path, p]));
+
+    return `
+      <div class="detail-card full-width">
+        <h3>${this.t('workspace_packages', { count: workspaces.packages.length })}</h3>
+        <p class="form-hint" style="margin-bottom:12px">
+          ${workspaces.tools.map(tool => `<span class="tech-badge">${this.esc(tool)}</span>`).join(' ')}
+          ${this.t('workspace_packages_hint')}
+        </p>
+        ${this.renderTable([this.t('package'), this.t('package_languages'), this.t('package_frameworks'), this.t('package_dependencies'), this.t('files'), this.t('lines_of_code'), this.t('package_score'), this.t('package_issues')], workspaces.packages.map((p, i) => {
+            const s = scores.get(p.path);
+            return `<tr style="border-bottom:1px solid var(--border);cursor:pointer" onclick="App.selectReportPackage('${i}')">
+              ${this.cell(`<strong>${this.esc(p.root ? this.t('package_root') : (p.name || p.path))}</strong>${p.root ? '' : `<div style="font-family:Consolas,monospace;font-size:0.78rem;color:var(--text-muted)">${this.esc(p.path)}${p.version ? ` · ${this.esc(p.version)}` : ''}</div>`}`)}
+              ${this.cell((p.languages || []).slice(0, 3).map(l => this.esc(l.name)).join(', ') || '—')}
+              ${this.cell((p.frameworks || []).map(f => this.esc(f.name)).join(', ') || '—')}
+              ${this.cell(`${p.dependencies} / ${p.devDependencies}`)}
+              ${this.cell(p.files)}
+              ${this.cell(p.lines.toLocaleString())}
+              ${this.cell(s ? s.score.toFixed(1) : '—')}
+              ${this.cell(s ? `<span style="color:var(--danger)">${s.issues.critical}</span> / <span style="color:var(--warning)">${s.issues.warning}</span> / ${s.issues.info}` : '—')}
+            </tr>`;
+          }).join(''))}
+      </div>`;
+  },
+
+  // Containers on the Overview: service diagram, Dockerfiles and their warnings
+  renderInfrastructure(infra) {
+    if (!infra) return '';
+    const imageRef = (img) => img ? `${img.image}${img.tag ? `:${img.tag}` : ''}${img.digest ? `@${img.digest.slice(0, 19)}` : ''}` : '—';
+
+    return `
+      <div class="detail-card full-width">
+        <h3>${this.t('infra_title')}</h3>
+        <p class="form-hint" style="margin-bottom:12px">
+          ${this.t('infra_hint', { services: infra.services.length, dockerfiles: infra.dockerfiles.length })}
+          ${infra.composeFiles.map(f => this.fileLink(f)).join(', ')}
+        </p>
+        ${infra.services.length > 0 ? this.renderServiceDiagram(infra) : ''}
+        ${infra.volumes.length + infra.networks.length > 0 ? `
+          <div class="badge-row" style="margin-top:12px">
+            ${infra.volumes.map(v => `<span class="tech-badge">${this.t('infra_volume')}: <strong>${this.esc(v)}</strong></span>`).join('')}
+            ${infra.networks.map(n => `<span class="tech-badge">${this.t('infra_network')}: <strong>${this.esc(n)}</strong></span>`).join('')}
+          </div>` : ''}
+        ${infra.dockerfiles.length > 0 ? `
+        ${this.renderTable(['Dockerfile', this.t('infra_base_image'), this.t('infra_stages'), this.t('infra_ports'), this.t('infra_user'), this.t('infra_env')], infra.dockerfiles.map(d => `<tr style="border-bottom:1px solid var(--border)">
+            ${this.cell(this.fileLink(d.path))}
+            ${this.cell(this.mono(imageRef(d.baseImage)))}
+            ${this.cell(d.stages.length)}
+            ${this.cell(d.exposedPorts.length > 0 ? this.mono(d.exposedPorts.join(', ')) : '—')}
+            ${this.cell(d.user ? this.mono(d.user) : 'root', d.user && !/^(root|0)(:|$)/.test(d.user) ? '' : 'color:var(--warning)')}
+            ${this.cell(d.env.length > 0 ? d.env.map(e => this.mono(e.name)).join(', ') : '—')}
+          </tr>`).join(''), 'margin-top:16px')}` : ''}
+        ${infra.warnings.length > 0 ? `
+          <div style="margin-top:16px">
+            <div class="detail-label" style="margin-bottom:6px">${this.t('infra_warnings', { count: infra.warnings.length })}</div>
+            ${infra.warnings.map(w => `
+              <div style="display:flex;gap:10px;align-items:baseline;padding:4px 0;font-size:0.88rem">
+                <span style="color:var(--warning);font-weight:600;white-space:nowrap">${this.t(w.type === 'root_user' ? 'tag_root_user' : 'tag_latest_tag')}</span>
+                <span>${this.esc(this.translateIssueDescription(w.message))}</span>
+                ${this.fileLink(w.file, w.line)}
+              </div>`).join('')}
+          </div>` : ''}
+      </div>`;
+  },
+
+  /**
+   * depends_on graph as SVG: a service is drawn left of the services it
+   * depends on (column = depth of its dependency chain), arrows point to the dependency.
+   */
+  renderServiceDiagram(infra) {
+    const services = new Map();
+    for (const s of infra.services) {
+      const known = services.get(s.name);
+      if (known) known.dependsOn = [...new Set([...known.dependsOn, ...s.dependsOn])];
+      else services.set(s.name, { ...s });
+    }
+    const warned = new Set(infra.warnings.filter(w => w.service).map(w => w.service));
+    for (const s of infra.services) {
+      if (s.dockerfile && infra.warnings.some(w => !w.service && w.file === s.dockerfile)) warned.add(s.name);
+    }
+
+    // Depth: 0 for a service without (known) dependencies; a cycle counts as no further dependency
+    const depth = new Map();
+    const depthOf = (name, visiting = new Set()) => {
+      if (depth.has(name)) return depth.get(name);
+      if (visiting.has(name)) return 0;
+      visiting.add(name);
+      const deps = services.get(name).dependsOn.filter(d => services.has(d));
+      const value = deps.length === 0 ? 0 : 1 + Math.max(...deps.map(d => depthOf(d, visiting)));
+      visiting.delete(name);
+      depth.set(name, value);
+      return value;
+    };
+    services.forEach((_, name) => depthOf(name));
+    const maxDepth = Math.max(...depth.values());
+
+    const W = 190, H = 62, GAP_X = 70, GAP_Y = 18, PAD = 8;
+    const columns = [];
+    const pos = new Map();
+    services.forEach((s, name) => {
+      const col = maxDepth - depth.get(name);
+      columns[col] = columns[col] || [];
+      pos.set(name, { x: PAD + col * (W + GAP_X), y: PAD + columns[col].length * (H + GAP_Y) });
+      columns[col].push(name);
+    });
+    const width = PAD * 2 + (maxDepth + 1) * W + maxDepth * GAP_X;
+    const height = PAD * 2 + Math.max(...columns.map(c => (c || []).length)) * (H + GAP_Y) - GAP_Y;
+    const clip = (text, max) => text.length > max ? `${text.slice(0, max - 1)}…` : text;
+
+    const edges = [];
+    services.forEach((s, name) => {
+      const from = pos.get(name);
+      for (const dep of s.dependsOn.filter(d => services.has(d))) {
+        const to = pos.get(dep);
+        const x1 = from.x + W, y1 = from.y + H / 2, x2 = to.x, y2 = to.y + H / 2;
+        // Same column or backwards (cycle): a straight line between the box edges
+        edges.push(x2 > x1
+          ? `<path d="M${x1},${y1} C${x1 + GAP_X / 2},${y1} ${x2 - GAP_X / 2},${y2} ${x2 - 2},${y2}" />`
+          : `<path d="M${from.x + W / 2},${from.y + (to.y > from.y ? H : 0)} L${to.x + W / 2},${to.y + (to.y > from.y ? -2 : H + 2)}" />`);
+      }
+    });
+
+    const nodes = [...services.values()].map(s => {
+      const { x, y } = pos.get(s.name);
+      const image = s.image || (s.baseImage ? `${s.baseImage.image}${s.baseImage.tag ? `:${s.baseImage.tag}` : ''}` : (s.build ? `build: ${s.build.context}` : '—'));
+      const ports = s.ports.map(p => (p.published ? `${p.published}→${p.target}` : p.target)).join(', ');
+      return `
+        <g>
+          <title>${this.esc(`${s.name}\n${s.image || (s.dockerfile ? `build: ${s.dockerfile}` : '')}`)}</title>
+          <rect x="${x}" y="${y}" width="${W}" height="${H}" rx="6" style="fill:var(--bg-tertiary);stroke:${warned.has(s.name) ? 'var(--warning)' : 'var(--border-light)'}" />
+          <text x="${x + 10}" y="${y + 19}" style="fill:var(--text-primary);font-weight:600;font-size:13px">${this.esc(clip(s.name, 24))}</text>
+          <text x="${x + 10}" y="${y + 36}" style="fill:var(--text-secondary);font-size:11px;font-family:Consolas,monospace">${this.esc(clip(image, 28))}</text>
+          ${ports ? `<text x="${x + 10}" y="${y + 52}" style="fill:var(--accent);font-size:11px;font-family:Consolas,monospace">${this.esc(clip(ports, 28))}</text>` : ''}
+        </g>`;
+    }).join('');
+
+    return `
+      <div style="overflow-x:auto">
+        <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${this.escAttr(this.t('infra_diagram'))}">
+          <defs>
+            <marker id="infra-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+              <path d="M0,0 L10,5 L0,10 z" style="fill:var(--text-muted)" />
+            </marker>
+          </defs>
+          <g style="fill:none;stroke:var(--text-muted);stroke-width:1.5" marker-end="url(#infra-arrow)">${edges.join('')}</g>
+          ${nodes}
+        </svg>
+      </div>`;
+  },
+
+  // CI pipelines on the Overview: triggers, jobs with their runtimes and scripts, drift warnings
+  renderCiCd(ci) {
+    if (!ci?.available) return '';
+    const providers = {
+      'github-actions': 'GitHub Actions', 'gitlab-ci': 'GitLab CI', jenkins: 'Jenkins', 'bitbucket-pipelines': 'Bitbucket Pipelines',
+      circleci: 'CircleCI', 'azure-pipelines': 'Azure Pipelines', travis: 'Travis CI'
+    };
+    const drifted = new Set(ci.warnings.filter(w => w.type === 'runtime_drift').map(w => `${w.file}\0${w.job}\0${w.runtime}\0${w.version}`));
+
+    return `
+      <div class="detail-card full-width">
+        <h3>${this.t('ci_title')}</h3>
+        <div class="badge-row" style="margin-bottom:12px">
+          ${ci.providers.map(p => `<span class="tech-badge"><strong>${this.esc(providers[p] || p)}</strong></span>`).join('')}
+          ${Object.entries(ci.runtimes).map(([runtime, versions]) => `<span class="tech-badge">${this.esc(runtime)}: ${versions.map(v => this.esc(v)).join(', ')}</span>`).join('')}
+        </div>
+        ${ci.pipelines.map(p => `
+          <div style="margin-top:16px">
+            <div style="display:flex;flex-wrap:wrap;gap:8px;align-items:center;margin-bottom:6px">
+              <strong>${this.esc(p.name || p.file)}</strong>
+              ${this.fileLink(p.file)}
+              ${p.triggers.map(t => `<span class="badge-count">${this.esc(t)}</span>`).join('')}
+            </div>
+            ${this.renderTable([this.t('ci_job'), this.t('ci_runs_on'), this.t('ci_runtimes'), this.t('ci_scripts')], p.jobs.map(j => `<tr style="border-bottom:1px solid var(--border)">
+                ${this.cell(`<strong>${this.esc(j.name)}</strong>${j.stage ? ` <span class="badge-count">${this.esc(j.stage)}</span>` : ''}`)}
+                ${this.cell([j.runsOn, j.image, j.uses].filter(Boolean).map(text => this.mono(text)).join('<br>') || '—')}
+                ${this.cell(j.runtimes.map(rt => `<span style="${drifted.has(`${p.file}\0${j.id}\0${rt.runtime}\0${rt.version}`) ? 'color:var(--warning);font-weight:600' : ''}">${this.mono(`${rt.runtime} ${rt.version}`)}</span>`).join(', ') || '—')}
+                ${this.cell(j.scripts.map(text => this.mono(text)).join(', ') || '—')}
+              </tr>`).join(''))}
+          </div>`).join('')}
+        ${ci.warnings.length > 0 ? `
+          <div style="margin-top:16px">
+            <div class="detail-label" style="margin-bottom:6px">${this.t('infra_warnings', { count: ci.warnings.length })}</div>
+            ${ci.warnings.map(w => `
+              <div style="display:flex;gap:10px;align-items:baseline;padding:4px 0;font-size:0.88rem">
+                <span style="color:var(--warning);font-weight:600;white-space:nowrap">${this.t(w.type === 'runtime_drift' ? 'tag_runtime_drift' : 'tag_missing_script')}</span>
+                <span>${this.esc(this.translateIssueDescription(w.message))}</span>
+                ${this.fileLink(w.file, w.line)}
+              </div>`).join('')}
+          </div>` : ''}
+      </div>`;
+  },
+
+  // ─── Dependencies Tab ───
+
+  renderReportDependencies(r) {
+    const ts = r.techStack || {};
+    const tree = ts.dependencyTree;
+    const declared = [...(ts.dependencies || []), ...(ts.devDependencies || [])];
+    if (declared.length === 0 && !tree) {
+      return `<div class="empty-state" style="padding:32px"><p>${this.t('deps_none')}</p></div>`;
+    }
+
+    const mismatched = new Set((tree?.mismatches || []).map(m => `${m.source}\0${m.name}`));
+    const vulns = r.vulnerabilities;
+
+    const stats = tree ? `
+      <div class="stats-row">
+        <div class="stat-card">
+          <span class="stat-value">${tree.totalPackages}</span>
+          <span class="stat-label">${this.t('deps_resolved_packages')}</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value" style="color:var(--accent)">${tree.directPackages}</span>
+          <span class="stat-label">${this.t('deps_direct')}</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${tree.transitivePackages}</span>
+          <span class="stat-label">${this.t('deps_transitive')}</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${tree.maxDepth}</span>
+          <span class="stat-label">${this.t('deps_max_depth')}</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value" style="color:${tree.duplicates.length > 0 ? 'var(--warning)' : 'var(--success)'}">${tree.duplicates.length}</span>
+          <span class="stat-label">${this.t('deps_duplicates')}</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value" style="color:${tree.mismatches.length > 0 ? 'var(--danger)' : 'var(--success)'}">${tree.mismatches.length}</span>
+          <span class="stat-label">${this.t('deps_mismatches')}</span>
+        </div>
+      </div>
+
+      <div class="detail-card full-width" style="margin-top:16px">
+        <h3>${this.t('deps_lockfiles')}</h3>
+        <div class="badge-row">
+          ${tree.lockfiles.map(l => `
+            <div class="lang-badge" ${l.error ? `title="${this.escAttr(l.error)}"` : ''}>
+              <strong>${this.esc(l.path)}</strong>
+              <span class="badge-count" ${l.error ? 'style="color:var(--danger)"' : ''}>${this.esc(l.type)}${l.lockfileVersion ? ` v${this.esc(String(l.lockfileVersion))}` : ''} &mdash; ${l.error ? this.esc(l.error) : this.t('deps_lockfile_packages', { count: l.packages })}</span>
+            </div>`).join('')}
+        </div>
+        <div class="badge-row" style="margin-top:14px">
+          ${Object.entries(tree.byDepth).map(([depth, count]) => `<span class="tech-badge">${this.t('deps_depth', { depth })}: <strong>${count}</strong></span>`).join('')}
+        </div>
+      </div>` : `<p class="form-hint">${this.t('deps_no_lockfile')}</p>`;
+
+    const severityColor = { critical: 'var(--danger)', high: 'var(--danger)', moderate: 'var(--warning)' };
+    const advisoryLink = (a) => a.url
+      ? `<a href="${this.escAttr(a.url)}" target="_blank" rel="noopener" title="${this.escAttr(a.summary || '')}" style="color:var(--accent)">${this.esc(a.id)}</a>`
+      : `<span title="${this.escAttr(a.summary || '')}">${this.esc(a.id)}</span>`;
+    const vulnerabilities = !vulns?.available ? `<p class="form-hint" style="margin-top:16px">${this.t('vulns_no_database')}</p>` : `
+      <div class="detail-card full-width" style="margin-top:16px">
+        <h3>${this.t('vulns_title', { count: vulns.findings.length })}</h3>
+        <p class="form-hint" style="margin-bottom:12px">
+          ${this.t('vulns_hint', { checked: vulns.checkedPackages, advisories: vulns.database.advisories, date: this.formatDate(vulns.database.importedAt) })}
+        </p>
+        ${vulns.findings.length === 0 ? `<p style="color:var(--success)">${this.t('vulns_none')}</p>` : `
+        ${this.renderTable([this.t('package'), this.t('vulns_version'), this.t('vulns_severity'), this.t('vulns_advisories'), this.t('vulns_affected'), this.t('vulns_fixed_in'), this.t('deps_manifest')], vulns.findings.map(f => `<tr style="border-bottom:1px solid var(--border)">
+            ${this.cell(`<strong>${this.esc(f.name)}</strong>${f.direct ? '' : ` <span class="badge-count">${this.t('deps_transitive')}</span>`}`)}
+            ${this.cell(this.mono(f.version))}
+            ${this.cell(this.esc(f.severity), `color:${severityColor[f.severity] || 'var(--text-muted)'};font-weight:600`)}
+            ${this.cell(f.advisories.map(advisoryLink).join('<br>'))}
+            ${this.cell(f.advisories.map(a => this.mono(a.affected)).join('<br>'))}
+            ${this.cell(f.fixedIn ? this.mono(f.fixedIn) : '—', f.fixedIn ? 'color:var(--success)' : '')}
+            ${this.cell(this.fileLink(f.source))}
+          </tr>`).join(''))}`}
+      </div>`;
+
+    const lic = ts.licenses;
+    const reasonColor = { denied: 'var(--danger)', 'not allowed': 'var(--warning)' };
+    const licenses = lic ? `
+      <div class="detail-card full-width" style="margin-top:16px">
+        <div style="display:flex;justify-content:space-between;align-items:center;gap:12px">
+          <h3>${this.t('licenses_title', { count: Object.keys(lic.byLicense).length })}</h3>
+          ${this.currentReportId ? `<a class="btn btn-sm btn-outline" href="${API}/reports/${this.currentReportId}/notice" download>${this.t('licenses_notice')}</a>` : ''}
+        </div>
+        <p class="form-hint" style="margin-bottom:12px">
+          ${this.t('licenses_hint', { packages: lic.totalPackages, scanned: lic.installedScanned, unknown: lic.unknown })}
+          ${lic.policy.allow.length + lic.policy.deny.length === 0 ? ` ${this.t('licenses_no_policy')}` : ''}
+        </p>
+        <div class="badge-row">
+          ${Object.entries(lic.byLicense).map(([id, count]) => `<span class="tech-badge">${this.esc(id)}: <strong>${count}</strong></span>`).join('')}
+          ${lic.unknown > 0 ? `<span class="tech-badge" style="color:var(--warning)">${this.t('licenses_unknown')}: <strong>${lic.unknown}</strong></span>` : ''}
+        </div>
+        ${lic.violations.length === 0 ? (lic.policy.allow.length + lic.policy.deny.length > 0 ? `<p style="color:var(--success);margin-top:12px">${this.t('licenses_no_violations')}</p>` : '') : `
+        ${this.renderTable([this.t('package'), this.t('vulns_version'), this.t('licenses_license'), this.t('licenses_reason'), this.t('deps_manifest')], lic.violations.map(v => `<tr style="border-bottom:1px solid var(--border)">
+            ${this.cell(`<strong>${this.esc(v.name)}</strong>${v.direct ? '' : ` <span class="badge-count">${this.t('deps_transitive')}</span>`}`)}
+            ${this.cell(v.version ? this.mono(v.version) : '—')}
+            ${this.cell(v.license ? this.mono(v.license) : '—')}
+            ${this.cell(this.t(`tag_${v.reason.replace(' ', '_')}`), `color:${reasonColor[v.reason] || 'var(--text-muted)'};font-weight:600`)}
+            ${this.cell(this.fileLink(v.source))}
+          </tr>`).join(''), 'margin-top:12px')}`}
+      </div>` : '';
+
+    const out = ts.outdated;
+    const gapColor = { major: 'var(--danger)', minor: 'var(--warning)', patch: 'var(--accent)' };
+    const behind = out ? out.packages.filter(p => p.status !== 'current') : [];
+    const outdated = out ? `
+      <div class="detail-card full-width" style="margin-top:16px">
+        <h3>${this.t('outdated_title', { count: out.major + out.minor + out.patch })}</h3>
+        <p class="form-hint" style="margin-bottom:12px">
+          ${this.t('outdated_hint', { checked: out.checked, registries: Object.values(out.registries).filter(Boolean).join(', ') })}
+          ${this.t('outdated_cache', { fetched: out.fetched, cached: out.cached })}
+        </p>
+        <div class="badge-row">
+          <span class="tech-badge">${this.t('outdated_libyears')}: <strong>${out.libyears.toFixed(1)}</strong></span>
+          ${['current', 'patch', 'minor', 'major', 'unknown'].filter(s => out[s] > 0).map(s => `<span class="tech-badge" style="color:${gapColor[s] || (s === 'current' ? 'var(--success)' : 'var(--text-muted)')}">${this.t(`outdated_${s}`)}: <strong>${out[s]}</strong></span>`).join('')}
+        </div>
+        ${behind.length === 0 ? '' : `
+        ${this.renderTable([this.t('package'), this.t('vulns_version'), this.t('outdated_latest'), this.t('outdated_behind'), this.t('outdated_libyears'), this.t('deps_manifest')], behind.map(p => `<tr style="border-bottom:1px solid var(--border)">
+            ${this.cell(`<strong>${this.esc(p.name)}</strong>${p.type === 'dev' ? ' <span class="badge-count">dev</span>' : ''}`)}
+            ${this.cell(p.version ? this.mono(p.version) : '—')}
+            ${this.cell(p.latest ? this.mono(p.latest) : '—')}
+            ${this.cell(p.error ? `<span title="${this.escAttr(p.error)}">${this.t('outdated_unknown')}</span>` : this.t(`outdated_${p.status}`), `color:${gapColor[p.status] || 'var(--text-muted)'};font-weight:600`)}
+            ${this.cell(p.libyears > 0 ? p.libyears.toFixed(2) : '—')}
+            ${this.cell(this.fileLink(p.source))}
+          </tr>`).join(''), 'margin-top:12px')}`}
+      </div>` : '';
+
+    const mismatches = tree && tree.mismatches.length > 0 ? `
+      <div class="detail-card full-width" style="margin-top:16px">
+        <h3>${this.t('deps_mismatches')}</h3>
+        <p class="form-hint" style="margin-bottom:12px">${this.t('deps_mismatches_hint')}</p>
+        ${this.renderTable([this.t('package'), this.t('deps_range'), this.t('deps_locked'), this.t('deps_manifest'), this.t('deps_lockfile')], tree.mismatches.map(m => `<tr style="border-bottom:1px solid var(--border)">
+            ${this.cell(`<strong>${this.esc(m.name)}</strong>`)}${this.cell(this.mono(m.range))}${this.cell(this.mono(m.locked), 'color:var(--danger)')}${this.cell(this.fileLink(m.source))}${this.cell(this.fileLink(m.lockfile))}
+          </tr>`).join(''))}
+      </div>` : '';
+
+    const duplicates = tree && tree.duplicates.length > 0 ? `
+      <div class="detail-card full-width" style="margin-top:16px">
+        <h3>${this.t('deps_duplicates')}</h3>
+        <p class="form-hint" style="margin-bottom:12px">${this.t('deps_duplicates_hint')}</p>
+        ${this.renderTable([this.t('package'), this.t('deps_versions')], tree.duplicates.slice(0, 100).map(d => `<tr style="border-bottom:1px solid var(--border)">
+            ${this.cell(`<strong>${this.esc(d.name)}</strong>`)}
+            ${this.cell(d.versions.map(v => `<span class="tech-badge">${this.esc(v)}</span>`).join(' '))}
+          </tr>`).join(''))}
+      </div>` : '';
+
+    const unlocked = tree && tree.unlocked.length > 0 ? `
+      <div class="detail-card full-width" style="margin-top:16px">
+        <h3>${this.t('deps_unlocked')}</h3>
+        <p class="form-hint" style="margin-bottom:12px">${this.t('deps_unlocked_hint')}</p>
+        <div class="badge-row">
+          ${tree.unlocked.map(u => `<span class="tech-badge" title="${this.escAttr(u.source)}">${this.esc(u.name)} <span class="badge-count">${this.esc(u.range)}</span></span>`).join('')}
+        </div>
+      </div>` : '';
+
+    return `
+      ${stats}
+      ${vulnerabilities}
+      ${outdated}
+      ${licenses}
+      ${mismatches}
+      ${duplicates}
+      ${unlocked}
+      <div class="detail-card full-width" style="margin-top:16px">
+        <h3>${this.t('deps_declared', { count: declared.length })}</h3>
+        ${this.renderTable([this.t('package'), this.t('deps_range'), this.t('deps_locked'), this.t('deps_type'), this.t('deps_manifest')], declared.map(d => `<tr style="border-bottom:1px solid var(--border)">
+            ${this.cell(`<strong>${this.esc(d.name)}</strong>`)}
+            ${this.cell(this.mono(d.version))}
+            ${this.cell(d.locked ? this.mono(d.locked) : '—', mismatched.has(`${d.source}\0${d.name}`) ? 'color:var(--danger)' : '')}
+            ${this.cell(d.type === 'dev' ? 'dev' : 'production', 'color:var(--text-muted)')}
+            ${this.cell(d.source ? this.fileLink(d.source) : '—')}
+          </tr>`).join(''))}
+      </div>
+    `;
+  },
+
+  // ─── Git History Tab ───
+
+  renderReportHistory(r) {
+    const gh = r.gitHistory;
+    if (!gh || !gh.available) {
+      return `<div class="empty-state" style="padding:32px"><p>${this.esc(gh?.reason || this.t('git_history_missing'))}</p></div>`;
     }
+
+    const churn = (f) => `<span class="diff-delta better">+${f.added}</span> <span class="diff-delta worse">−${f.removed}</span>`;
+    const changed = gh.files.filter(f => f.commits > 0);
+
+    return `
+      <div class="stats-row">
+        <div class="stat-card">
+          <span class="stat-value">${gh.totalCommits}</span>
+          <span class="stat-label">${this.t('git_commits_in_window', { days: gh.windowDays })}</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${gh.authors.length}</span>
+          <span class="stat-label">${this.t('git_authors')}</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value">${changed.length}</span>
+          <span class="stat-label">${this.t('git_files_changed')}</span>
+        </div>
+        <div class="stat-card">
+          <span class="stat-value" style="font-family:Consolas,monospace;font-size:1.1rem">${this.esc(gh.branch || gh.head.slice(0, 10))}</span>
+          <span class="stat-label">${gh.branch ? this.esc(gh.head.slice(0, 10)) : this.t('git_detached')}</span>
+        </div>
+      </div>
+
+      <div class="detail-card full-width" style="margin-top:16px">
+        <h3>${this.t('git_hotspots')}</h3>
+        <p class="form-hint" style="margin-bottom:12px">${this.t('git_hotspots_hint')}</p>
+        ${gh.hotspots.length === 0 ? `<div class="empty-state-inline">${this.t('git_no_hotspots')}</div>` : `
+        ${this.renderTable([this.t('file'), this.t('complexity'), this.t('git_commits'), this.t('git_churn'), this.t('git_authors')], gh.hotspots.map(h => `<tr style="border-bottom:1px solid var(--border)">
+            ${this.cell(this.fileLink(h.file))}${this.cell(h.complexity)}${this.cell(h.commits)}${this.cell(h.churn.toLocaleString())}${this.cell(h.authors)}
+          </tr>`).join(''))}`}
+      </div>
+
+      <div class="detail-card full-width" style="margin-top:16px">
+        <h3>${this.t('git_file_activity')}</h3>
+        ${changed.length === 0 ? `<div class="empty-state-inline">${this.t('git_no_changes', { days: gh.windowDays })}</div>` : `
+        ${this.renderTable([this.t('file'), this.t('git_commits'), this.t('git_authors'), this.t('git_churn'), this.t('git_last_commit')], changed.slice(0, 100).map(f => `<tr style="border-bottom:1px solid var(--border)">
+            ${this.cell(this.fileLink(f.path))}${this.cell(f.commits)}${this.cell(f.authors)}${this.cell(churn(f))}
+            ${this.cell(`${this.formatDate(f.lastCommitAt)} · ${this.esc(f.lastAuthor || '')}`, 'color:var(--text-muted)')}
+          </tr>`).join(''))}`}
+      </div>
+
+      ${gh.authors.length > 0 ? `
+      <div class="detail-card full-width" style="margin-top:16px">
+        <h3>${this.t('git_authors')}</h3>
+        <div class="detail-value">
+          ${gh.authors.slice(0, 20).map(a => `<span class="tech-badge" title="${this.escAttr(a.email)}">${this.esc(a.name)} · ${a.commits}</span>`).join(' ')}
+        </div>
+      </div>` : ''}
+      ${gh.truncated ? `<p class="form-hint" style="margin-top:12px">${this.t('git_truncated')}</p>` : ''}
+    `;
   },
 
   // Map language names to CSS class suffixes
@@ -791,6 +1643,7 @@ const App = {
             ${ts.ecmaScriptVersion ? `<span class="tech-badge" style="border-color:rgba(247,223,30,0.3);color:var(--lang-js)">ECMAScript ${ts.ecmaScriptVersion}</span>` : ''}
             ${ts.phpVersion ? `<span class="tech-badge" style="border-color:rgba(119,123,180,0.3);color:var(--lang-php)">PHP ${ts.phpVersion}</span>` : ''}
             ${ts.typeScriptVersion ? `<span class="tech-badge" style="border-color:rgba(49,120,198,0.3);color:var(--lang-ts)">TypeScript ${ts.typeScriptVersion}</span>` : ''}
+            ${['python', 'go', 'ruby', 'java'].filter(key => ts.runtime?.[key]).map(key => `<span class="tech-badge">${{ python: 'Python', go: 'Go', ruby: 'Ruby', java: 'Java' }[key]} ${this.esc(ts.runtime[key])}</span>`).join('')}
           </div>
         </div>
 
@@ -828,20 +1681,60 @@ const App = {
             `).join('')}
             ${(ts.dependencies || []).length > 30 ? `<span class="tech-badge">... +${(ts.dependencies || []).length - 30} more</span>` : ''}
           </div>
+          ${ts.outdated ? `
+          <div class="badge-row" style="margin-top:14px">
+            <span class="tech-badge">${this.t('outdated_libyears')}: <strong>${ts.outdated.libyears.toFixed(1)}</strong></span>
+            ${['major', 'minor', 'patch'].map(s => `<span class="tech-badge">${this.t(`outdated_${s}`)}: <strong>${ts.outdated[s]}</strong></span>`).join('')}
+            <span class="tech-badge">${this.t('outdated_current')}: <strong>${ts.outdated.current}</strong> / ${ts.outdated.checked}</span>
+          </div>` : ''}
         </div>
 
+        <!-- Monorepo packages -->
+        ${this.renderWorkspaces(ts, scoreData)}
+
+        <!-- Containers -->
+        ${this.renderInfrastructure(ts.infrastructure)}
+
+        <!-- CI/CD -->
+        ${this.renderCiCd(r.ciCd)}
+
         <!-- Layers Executed -->
         <div class="detail-card full-width">
           <h3>Analysis Layers</h3>
           <div class="badge-row">
             ${(r.meta?.layersExecuted || []).map(l => `
-              <div class="lang-badge">
-                <strong>${this.esc(l.name)}</strong>
-                <span class="badge-count">${l.durationMs}ms &mdash; ${l.status}</span>
+              <div class="lang-badge" ${l.error ? `title="${this.esc(l.error)}"` : ''}>
+                <strong>${this.esc(l.displayName || l.name)}</strong>
+                ${l.plugin ? `<span class="tech-badge">${this.t('plugin_badge')}</span>` : ''}
+                <span class="badge-count" ${l.status === 'failed' ? 'style="color:var(--danger)"' : ''}>${l.durationMs}ms &mdash; ${l.status}</span>
               </div>
             `).join('')}
           </div>
+          ${(r.meta?.layersExecuted || []).filter(l => l.plugin && l.error).map(l => `
+            <div style="margin-top:10px;color:var(--danger);font-size:13px">${this.esc(l.displayName || l.name)}: ${this.esc(l.error)}</div>
+          `).join('')}
+          ${r.meta?.incremental ? `<div style="margin-top:14px"><span class="tech-badge">${this.t('incremental_files', { reused: r.meta.incremental.reusedFiles, reanalyzed: r.meta.incremental.reanalyzedFiles })}</span></div>` : ''}
         </div>
+
+        ${this.renderPluginResults(r)}
+      </div>
+    `;
+  },
+
+  // ─── Plugin layer output (shape is plugin-defined, shown as JSON) ───
+  renderPluginResults(r) {
+    const plugins = (r.meta?.layersExecuted || []).filter(l => l.plugin && l.status === 'completed');
+    if (plugins.length === 0) return '';
+
+    return `
+      <div class="detail-card full-width">
+        <h3>${this.t('plugin_results')}</h3>
+        ${plugins.map(l => (l.plugin.writes || []).filter(key => r[key] !== undefined).map(key => `
+          <div class="detail-field" style="margin-top:12px">
+            <div class="detail-label">${this.esc(l.displayName || l.name)} &mdash; <code>${this.esc(key)}</code></div>
+            <pre class="file-tree-pre">${this.esc(JSON.stringify(r[key], null, 2))}</pre>
+          </div>
+        `).join('')).join('')}
       </div>
     `;
   },
@@ -934,7 +1827,7 @@ const App = {
           });
         });
         (s.functions || []).forEach(fn => {
-          items.push({ name: fn.name, line: fn.line });
+          items.push({ name: fn.object ? `${fn.object} > ${fn.name}` : fn.name, line: fn.line });
         });
       }
       const symbolClick = (path, line, name) => `App.openCodePreview('${this.escAttr(path)}', ${line}, '${this.escAttr(name)}');event.stopPropagation()`;
@@ -1010,6 +1903,125 @@ const App = {
     `;
   },
 
+  /**
+   * Which exclusion rules (excluded folders, ignore files, project globs) skipped how much
+   */
+  renderExclusions(exclusions) {
+    if (exclusions.length === 0) return '';
+    return `
+      <div class="detail-card full-width" style="margin-top:16px">
+        <h3>${this.t('excluded_by_rules')}</h3>
+        <table style="width:100%;border-collapse:collapse;font-size:0.88rem">
+          <thead>
+            <tr style="border-bottom:1px solid var(--border);text-align:left">
+              <th style="padding:8px 12px;color:var(--text-muted)">${this.t('exclusion_rule')}</th>
+              <th style="padding:8px 12px;color:var(--text-muted)">${this.t('exclusion_source')}</th>
+              <th style="padding:8px 12px;color:var(--text-muted)">${this.t('files')}</th>
+              <th style="padding:8px 12px;color:var(--text-muted)">${this.t('folders')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${exclusions.map(e => `
+              <tr style="border-bottom:1px solid var(--border)">
+                <td style="padding:8px 12px;font-family:Consolas,monospace;color:var(--accent)">${this.esc(e.rule)}</td>
+                <td style="padding:8px 12px;font-family:Consolas,monospace">${this.esc(e.source)}</td>
+                <td style="padding:8px 12px">${e.files}</td>
+                <td style="padding:8px 12px">${e.folders}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <span class="form-hint">${this.t('exclusions_hint')}</span>
+      </div>`;
+  },
+
+  renderEncodings(encodings) {
+    if (!encodings || Object.keys(encodings.byEncoding).length === 0) return '';
+    const badges = (counts, dominant) => Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([key, count]) => `<span class="tech-badge"${key === dominant ? ' style="border-color:var(--accent)"' : ''}>${this.esc(key)}: ${count}</span>`)
+      .join(' ');
+    const list = encodings.inconsistencies;
+    return `
+      <div class="detail-card full-width" style="margin-top:16px">
+        <h3>${this.t('encodings_title')}</h3>
+        <div class="detail-field">
+          <div class="detail-label">${this.t('encodings_charsets')}</div>
+          <div class="detail-value" style="margin-top:6px">${badges(encodings.byEncoding, encodings.dominantEncoding)}</div>
+        </div>
+        <div class="detail-field" style="margin-top:12px">
+          <div class="detail-label">${this.t('encodings_line_endings')}</div>
+          <div class="detail-value" style="margin-top:6px">${badges(encodings.byLineEnding, encodings.dominantLineEnding) || '—'}</div>
+        </div>
+        ${encodings.binaryFiles.length > 0 ? `
+        <div class="detail-field" style="margin-top:12px">
+          <div class="detail-label">${this.t('encodings_binary', { count: encodings.binaryFiles.length })}</div>
+          <div class="detail-value" style="margin-top:6px">${encodings.binaryFiles.slice(0, 50).map(f => `<span class="tech-badge">${this.esc(f)}</span>`).join(' ')}</div>
+        </div>` : ''}
+        ${list.length > 0 ? `
+        <table style="width:100%;border-collapse:collapse;font-size:0.88rem;margin-top:12px">
+          <thead>
+            <tr style="border-bottom:1px solid var(--border);text-align:left">
+              <th style="padding:8px 12px;color:var(--text-muted)">${this.t('file')}</th>
+              <th style="padding:8px 12px;color:var(--text-muted)">${this.t('encodings_kind')}</th>
+              <th style="padding:8px 12px;color:var(--text-muted)">${this.t('encodings_found')}</th>
+              <th style="padding:8px 12px;color:var(--text-muted)">${this.t('encodings_expected')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${list.map(i => `
+              <tr style="border-bottom:1px solid var(--border)">
+                <td style="padding:8px 12px;font-family:Consolas,monospace;color:var(--accent)">${this.esc(i.file)}</td>
+                <td style="padding:8px 12px">${this.t(i.kind === 'encoding' ? 'encodings_kind_charset' : 'encodings_kind_line_endings')}</td>
+                <td style="padding:8px 12px;font-family:Consolas,monospace">${this.esc(i.value)}</td>
+                <td style="padding:8px 12px;font-family:Consolas,monospace">${this.esc(i.expected || '—')}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        ${encodings.totalInconsistencies > list.length ? `<span class="form-hint">${this.t('encodings_more', { count: encodings.totalInconsistencies - list.length })}</span>` : ''}
+        ` : `<span class="form-hint">${this.t('encodings_consistent')}</span>`}
+      </div>`;
+  },
+
+  renderDuplicates(duplicates) {
+    if (!duplicates || duplicates.duplicateFiles === 0) return '';
+    const groupRows = (groups) => groups.map(g => `
+      <tr style="border-bottom:1px solid var(--border);vertical-align:top">
+        ${this.cell(`<div style="color:var(--accent)">${this.esc(g.files[0].path)}</div>
+          ${g.files.slice(1).map(f => `<div style="color:var(--text-muted)">${this.esc(f.path)}</div>`).join('')}`, 'font-family:Consolas,monospace')}
+        ${this.cell(`${Math.round(g.similarity * 100)}%`)}
+        ${this.cell(this.formatSize(g.wastedBytes))}
+        ${this.cell(g.wastedLines)}
+      </tr>`).join('');
+    const table = (title, groups) => groups.length === 0 ? '' : `
+      <h4 style="margin:16px 0 8px">${title}</h4>
+      ${this.renderTable([this.t('duplicates_files'), this.t('duplicates_similarity'), this.t('duplicates_wasted_bytes'), this.t('duplicates_wasted_lines')], groupRows(groups))}`;
+
+    return `
+      <div class="detail-card full-width" style="margin-top:16px">
+        <h3>${this.t('duplicates_title')}</h3>
+        <div style="display:flex;flex-wrap:wrap;gap:6px">
+          <span class="tech-badge">${this.t('duplicates_copies', { count: duplicates.duplicateFiles })}</span>
+          <span class="tech-badge">${this.formatSize(duplicates.wastedBytes)}</span>
+          <span class="tech-badge">${this.t('duplicates_lines', { count: duplicates.wastedLines })}</span>
+          ${duplicates.excluded ? `<span class="tech-badge" style="color:var(--success)">${this.t('duplicates_excluded')}</span>` : ''}
+        </div>
+        ${duplicates.folders.length > 0 ? `
+        <h4 style="margin:16px 0 8px">${this.t('duplicates_folders')}</h4>
+        ${this.renderTable([this.t('duplicates_original'), this.t('duplicates_copy'), this.t('files'), this.t('duplicates_wasted_bytes')], duplicates.folders.map(f => `
+          <tr style="border-bottom:1px solid var(--border)">
+            ${this.cell(this.esc(f.original || '/'), 'font-family:Consolas,monospace;color:var(--accent)')}
+            ${this.cell(this.esc(f.copy || '/'), 'font-family:Consolas,monospace')}
+            ${this.cell(`${f.files} (${Math.round(f.coverage * 100)}%)`)}
+            ${this.cell(this.formatSize(f.wastedBytes))}
+          </tr>`).join(''))}` : ''}
+        ${table(this.t('duplicates_exact'), duplicates.exact)}
+        ${table(this.t('duplicates_near'), duplicates.near)}
+        <span class="form-hint">${this.t('duplicates_hint')}</span>
+      </div>`;
+  },
+
   structureExpanded: true,
 
   collapseAllStructure() {
@@ -1087,7 +2099,10 @@ const App = {
             <span class="tree-total-label">${this.t('size')}</span>
           </div>
         </div>
-      </div>`;
+      </div>
+      ${this.renderExclusions(fs.exclusions || [])}
+      ${this.renderEncodings(fs.encodings)}
+      ${this.renderDuplicates(fs.duplicates)}`;
   },
 
   renderScoreDeductions(codeScore) {
@@ -1097,7 +2112,8 @@ const App = {
       commented_code: () => App.t('deduction_commented_code', { count: deductions.find(d => d.key === 'commented_code')?.count || 0 }),
       large_huge: () => App.t('deduction_large_huge', { count: deductions.find(d => d.key === 'large_huge')?.count || 0 }),
       large_big: () => App.t('deduction_large_big', { count: deductions.find(d => d.key === 'large_big')?.count || 0 }),
-      unsafe_sql: () => App.t('deduction_unsafe_sql')
+      unsafe_sql: () => App.t('deduction_unsafe_sql'),
+      vulnerable_dependencies: () => App.t('deduction_vulnerable_dependencies', { count: deductions.find(d => d.key === 'vulnerable_dependencies')?.count || 0 })
     };
     const items = deductions.map(d => labels[d.key] ? labels[d.key]() : d.key).filter(Boolean);
     if (items.length === 0) return '';
@@ -1118,27 +2134,6 @@ const App = {
       return `<div class="empty-state" style="padding:32px"><h3 style="color:var(--success)">${this.t('no_issues')}</h3><p>${this.t('code_clean')}</p></div>`;
     }
 
-    // Severity icons
-    const severityIcon = { critical: '!!', warning: '!', info: 'i' };
-
-    const typeLabels = {
-      unused_function: () => this.t('issue_unused_function'),
-      unused_method: () => this.t('issue_unused_method'),
-      unused_class: () => this.t('issue_unused_class'),
-      commented_code: () => this.t('issue_commented_code'),
-      unused_import: () => this.t('issue_unused_import'),
-      unused_dependency: () => this.t('issue_unused_dependency'),
-      large_function: () => this.t('issue_large_function')
-    };
-    const tagLabels = {
-      'never called': () => this.t('tag_never_called'),
-      'never instantiated': () => this.t('tag_never_instantiated'),
-      'possibly dynamic': () => this.t('tag_possibly_dynamic'),
-      'never used': () => this.t('tag_never_used'),
-      'not imported': () => this.t('tag_not_imported'),
-      'dynamic?': () => this.t('tag_dynamic')
-    };
-
     return `
       <div class="stats-row" style="margin-bottom:20px">
         <div class="stat-card">
@@ -1165,10 +2160,40 @@ const App = {
           <span class="stat-value">${summary.unusedDependencies || 0}</span>
           <span class="stat-label">${this.t('unused_dependencies')}</span>
         </div>
+        ${summary.vulnerableDependencies ? `
+        <div class="stat-card">
+          <span class="stat-value" style="color:var(--danger)">${summary.vulnerableDependencies}</span>
+          <span class="stat-label">${this.t('vulnerable_dependencies')}</span>
+        </div>
+        ` : ''}
+        ${summary.licenseViolations ? `
+        <div class="stat-card">
+          <span class="stat-value" style="color:var(--warning)">${summary.licenseViolations}</span>
+          <span class="stat-label">${this.t('license_violations')}</span>
+        </div>
+        ` : ''}
+        ${summary.containerWarnings ? `
+        <div class="stat-card">
+          <span class="stat-value" style="color:var(--warning)">${summary.containerWarnings}</span>
+          <span class="stat-label">${this.t('container_warnings')}</span>
+        </div>
+        ` : ''}
+        ${summary.ciWarnings ? `
+        <div class="stat-card">
+          <span class="stat-value" style="color:var(--warning)">${summary.ciWarnings}</span>
+          <span class="stat-label">${this.t('ci_warnings')}</span>
+        </div>
+        ` : ''}
         <div class="stat-card">
           <span class="stat-value">${summary.commentedCode || 0}</span>
           <span class="stat-label">${this.t('commented_code')}</span>
         </div>
+        ${summary.triaged ? `
+        <div class="stat-card">
+          <span class="stat-value" style="color:var(--text-muted)">${summary.triaged}</span>
+          <span class="stat-label">${this.t('triaged_issues')}</span>
+        </div>
+        ` : ''}
       </div>
 
       ${this.renderScoreDeductions(r.codeScore)}
@@ -1181,34 +2206,7 @@ const App = {
         </div>
       ` : ''}
 
-      ${issues.length > 0 ? issues.map(issue => {
-        const tagRaw = issue.tag || issue.severity;
-        const tag = (tagLabels[tagRaw] ? tagLabels[tagRaw]() : (/^\d+\s*lines?$/.test(tagRaw) ? this.t('tag_lines', { n: tagRaw.split(/\s/)[0] }) : tagRaw));
-        const labelFn = typeLabels[issue.type];
-        const label = labelFn ? labelFn() : issue.type.replace(/_/g, ' ');
-        const fileClick = issue.file ? `onclick="App.openCodePreview('${this.escAttr(issue.file)}', ${issue.line || 0}, '${this.escAttr(issue.name)}')"` : '';
-
-        return `
-          <div class="issue-item">
-            <div class="issue-left ${issue.severity}"></div>
-            <div class="issue-main">
-              <div class="issue-icon ${issue.severity}">${severityIcon[issue.severity] || '?'}</div>
-              <div class="issue-center">
-                <div class="issue-title">
-                  ${this.esc(issue.name)}
-                  <span class="issue-type-badge">${label}</span>
-                  ${issue.dynamic ? `<span class="issue-type-badge" style="background:var(--accent-soft);color:var(--accent)">${this.t('tag_dynamic')}</span>` : ''}
-                </div>
-                ${issue.file ? `<span class="issue-location" ${fileClick}>${this.esc(issue.file)}${issue.line ? ':' + issue.line : ''}</span>` : ''}
-                <div class="issue-desc">${this.esc(this.translateIssueDescription(issue.description))}</div>
-              </div>
-            </div>
-            <div class="issue-right">
-              <span class="issue-tag ${issue.severity}">${this.esc(tag)}</span>
-              <span class="issue-severity-label">${this.t(issue.severity === 'critical' ? 'critical' : issue.severity === 'warning' ? 'warning' : 'info')}</span>
-            </div>
-          </div>`;
-      }).join('') : ''}
+      ${this.sortTriagedLast(issues).map(issue => this.renderIssueItem(issue, { triage: true })).join('')}
 
       ${cq.complexity && cq.complexity.length > 0 ? `
         <div class="detail-card full-width" style="margin-top:20px">
@@ -1241,6 +2239,134 @@ const App = {
     `;
   },
 
+  // ─── One issue row (quality tab, report comparison) ───
+  // options.triage — show Ignore / Won't fix / Reopen actions (needs issue.fingerprint)
+  renderIssueItem(issue, options = {}) {
+    // Severity icons
+    const severityIcon = { critical: '!!', warning: '!', info: 'i' };
+
+    const typeLabels = {
+      unused_function: () => this.t('issue_unused_function'),
+      unused_method: () => this.t('issue_unused_method'),
+      unused_class: () => this.t('issue_unused_class'),
+      commented_code: () => this.t('issue_commented_code'),
+      unused_import: () => this.t('issue_unused_import'),
+      unused_dependency: () => this.t('issue_unused_dependency'),
+      vulnerable_dependency: () => this.t('issue_vulnerable_dependency'),
+      license_violation: () => this.t('issue_license_violation'),
+      container_warning: () => this.t('issue_container_warning'),
+      ci_warning: () => this.t('issue_ci_warning'),
+      large_function: () => this.t('issue_large_function')
+    };
+    const tagLabels = {
+      'never called': () => this.t('tag_never_called'),
+      'never instantiated': () => this.t('tag_never_instantiated'),
+      'possibly dynamic': () => this.t('tag_possibly_dynamic'),
+      'never used': () => this.t('tag_never_used'),
+      'not imported': () => this.t('tag_not_imported'),
+      'dynamic?': () => this.t('tag_dynamic'),
+      high: () => this.t('tag_severity_high'),
+      moderate: () => this.t('tag_severity_moderate'),
+      low: () => this.t('tag_severity_low'),
+      denied: () => this.t('tag_denied'),
+      'not allowed': () => this.t('tag_not_allowed'),
+      unknown: () => this.t('tag_unknown'),
+      'latest tag': () => this.t('tag_latest_tag'),
+      'root user': () => this.t('tag_root_user'),
+      'runtime drift': () => this.t('tag_runtime_drift'),
+      'missing script': () => this.t('tag_missing_script')
+    };
+
+    const tagRaw = issue.tag || issue.severity;
+    const tag = (tagLabels[tagRaw] ? tagLabels[tagRaw]() : (/^\d+\s*lines?$/.test(tagRaw) ? this.t('tag_lines', { n: tagRaw.split(/\s/)[0] }) : tagRaw));
+    const labelFn = typeLabels[issue.type];
+    const label = labelFn ? labelFn() : issue.type.replace(/_/g, ' ');
+    const fileClick = issue.file ? `onclick="App.openCodePreview('${this.escAttr(issue.file)}', ${issue.line || 0}, '${this.escAttr(issue.name)}')"` : '';
+
+    const triage = issue.triage && issue.triage.state !== 'open' ? issue.triage : null;
+    const canTriage = options.triage && issue.fingerprint;
+
+    return `
+      <div class="issue-item ${triage ? 'triaged' : ''}">
+        <div class="issue-left ${issue.severity}"></div>
+        <div class="issue-main">
+          <div class="issue-icon ${issue.severity}">${severityIcon[issue.severity] || '?'}</div>
+          <div class="issue-center">
+            <div class="issue-title">
+              ${this.esc(issue.name)}
+              <span class="issue-type-badge">${label}</span>
+              ${issue.dynamic ? `<span class="issue-type-badge" style="background:var(--accent-soft);color:var(--accent)">${this.t('tag_dynamic')}</span>` : ''}
+              ${triage ? `<span class="issue-type-badge triage-badge">${this.t(`triage_${triage.state}`)}</span>` : ''}
+            </div>
+            ${issue.file ? `<span class="issue-location" ${fileClick}>${this.esc(issue.file)}${issue.line ? ':' + issue.line : ''}</span>` : ''}
+            <div class="issue-desc">${this.esc(this.translateIssueDescription(issue.description))}</div>
+            ${triage && (triage.comment || triage.author) ? `
+              <div class="issue-triage-note">${this.esc(triage.comment)}${triage.author ? ` — ${this.esc(triage.author)}` : ''}</div>
+            ` : ''}
+            ${canTriage ? `
+              <div class="issue-triage-actions">
+                ${triage ? `
+                  <button class="btn btn-sm btn-ghost" onclick="App.triageIssue('${issue.fingerprint}', 'open')">${this.t('triage_reopen')}</button>
+                ` : `
+                  <button class="btn btn-sm btn-ghost" onclick="App.triageIssue('${issue.fingerprint}', 'ignored')">${this.t('triage_ignore')}</button>
+                  <button class="btn btn-sm btn-ghost" onclick="App.triageIssue('${issue.fingerprint}', 'wontfix')">${this.t('triage_wontfix_action')}</button>
+                `}
+              </div>
+            ` : ''}
+          </div>
+        </div>
+        <div class="issue-right">
+          <span class="issue-tag ${issue.severity}">${this.esc(tag)}</span>
+          <span class="issue-severity-label">${this.t(issue.severity === 'critical' ? 'critical' : issue.severity === 'warning' ? 'warning' : 'info')}</span>
+        </div>
+      </div>`;
+  },
+
+  // Open issues first; ignored / won't fix at the end (stable within each group)
+  sortTriagedLast(issues) {
+    const isTriaged = (i) => Boolean(i.triage && i.triage.state !== 'open');
+    return [...issues.filter(i => !isTriaged(i)), ...issues.filter(isTriaged)];
+  },
+
+  // ─── Issue triage (ignored / won't fix issues do not count from the next analysis on) ───
+  async triageIssue(fingerprint, state) {
+    const r = this.currentReport;
+    const projectId = r?.meta?.projectId ?? this.currentProject?.id;
+    const issue = (r?.codeQuality?.issues || []).find(i => i.fingerprint === fingerprint);
+    if (!projectId || !issue) return;
+
+    let comment = '';
+    if (state !== 'open') {
+      comment = prompt(this.t('triage_comment_prompt'), issue.triage?.comment || '');
+      if (comment === null) return;
+    }
+
+    try {
+      const res = await fetch(`${API}/projects/${projectId}/triage/${encodeURIComponent(fingerprint)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          state,
+          comment,
+          author: localStorage.getItem('ci-author') || '',
+          issue: { type: issue.type, file: issue.file || issue.source, name: issue.name }
+        })
+      });
+      const data = await res.json();
+      if (!data.success) {
+        this.toast(data.error || this.t('triage_failed'), 'error');
+        return;
+      }
+
+      if (state === 'open') delete issue.triage;
+      else issue.triage = { state, comment: data.data.comment, author: data.data.author };
+      this.showReportTab('quality');
+      this.toast(this.t('triage_saved'), 'success');
+    } catch (err) {
+      this.toast(this.t('triage_failed'), 'error');
+    }
+  },
+
   showExportModal() {
     if (!this.currentReport) return;
     document.getElementById('export-modal-overlay').style.display = 'flex';
@@ -1267,7 +2393,8 @@ const App = {
       out.meta = {
         projectName: meta.projectName,
         rootPath: meta.rootPath,
-        analyzedAt: meta.analyzedAt
+        analyzedAt: meta.analyzedAt,
+        ...(meta.revision && { revision: meta.revision })
       };
       out.techStack = {};
       if (r.techStack) {
@@ -1320,6 +2447,7 @@ const App = {
       lines.push(`# ${report.meta.projectName || 'Project'}\n`);
       if (report.meta.rootPath) lines.push(`**Root:** \`${report.meta.rootPath}\``);
       if (report.meta.analyzedAt) lines.push(`**Analyzed:** ${report.meta.analyzedAt}`);
+      if (report.meta.revision) lines.push(`**Revision:** ${report.meta.revision.ref} (\`${report.meta.revision.commit}\`)`);
       if (report.codeScore) lines.push(`**Score:** ${report.codeScore.score?.toFixed(1) || '—'}/10 — ${this.getScoreMessage(report.codeScore.score) || report.codeScore.message || ''}`);
       lines.push('');
     }
@@ -1577,9 +2705,82 @@ const App = {
     document.querySelectorAll('.lang-btn').forEach(btn => {
       btn.classList.toggle('active', btn.dataset.lang === this.lang);
     });
+    const author = document.getElementById('setting-author');
+    if (author) author.value = localStorage.getItem('ci-author') || '';
     this.applyLanguage();
   },
 
+  saveAuthor(value) {
+    localStorage.setItem('ci-author', value.trim());
+  },
+
+  // ─── Vulnerability database (offline OSV advisories) ───
+  async loadAdvisoryStats() {
+    try {
+      const res = await fetch(`${API}/advisories`);
+      const data = await res.json();
+      if (data.success) this.renderAdvisoryStats(data.data);
+    } catch (err) {
+      this.renderAdvisoryStats(null);
+    }
+  },
+
+  renderAdvisoryStats(stats) {
+    const el = document.getElementById('advisory-stats');
+    if (!el) return;
+    if (!stats || !stats.advisories) {
+      el.textContent = this.t('advisory_db_empty');
+      return;
+    }
+    const ecosystems = Object.entries(stats.byEcosystem).map(([eco, n]) => `${eco}: ${n}`).join(', ');
+    el.textContent = this.t('advisory_db_stats', { count: stats.advisories, packages: stats.packages, date: this.formatDate(stats.importedAt) }) +
+      (ecosystems ? ` (${ecosystems})` : '');
+  },
+
+  importAdvisories() {
+    const dumpPath = document.getElementById('advisory-path').value.trim();
+    if (!dumpPath) {
+      this.toast(this.t('advisory_path_required'), 'error');
+      return;
+    }
+    this.sendAdvisories(JSON.stringify({ path: dumpPath }), 'application/json');
+  },
+
+  uploadAdvisories(input) {
+    const file = input.files[0];
+    input.value = '';
+    if (file) this.sendAdvisories(file, 'application/octet-stream');
+  },
+
+  async sendAdvisories(body, contentType) {
+    this.toast(this.t('advisory_importing'), 'info');
+    try {
+      const res = await fetch(`${API}/advisories/import`, { method: 'POST', headers: { 'Content-Type': contentType }, body });
+      const data = await res.json();
+      if (!data.success) {
+        this.toast(data.error || this.t('advisory_import_failed'), 'error');
+        return;
+      }
+      this.toast(this.t('advisory_imported', { count: data.data.imported, skipped: data.data.skipped }), 'success');
+      this.renderAdvisoryStats(data.data.database);
+    } catch (err) {
+      this.toast(this.t('advisory_import_failed'), 'error');
+    }
+  },
+
+  clearAdvisories() {
+    this.confirm(this.t('advisory_clear'), this.t('confirm_clear_advisories'), async () => {
+      try {
+        const res = await fetch(`${API}/advisories`, { method: 'DELETE' });
+        const data = await res.json();
+        if (data.success) this.renderAdvisoryStats(data.data);
+        else this.toast(data.error, 'error');
+      } catch (err) {
+        this.toast(this.t('advisory_import_failed'), 'error');
+      }
+    });
+  },
+
   // ═══════════════════════════════════════════════════════
   // Modal
   // ═══════════════════════════════════════════════════════
@@ -1588,18 +2789,81 @@ const App = {
   showProgressModal() {
     const overlay = document.getElementById('progress-overlay');
     overlay.style.display = 'flex';
-    this.startProgressPolling();
+    document.getElementById('progress-cancel-btn').disabled = false;
+    document.getElementById('progress-layers').innerHTML = '';
+    this.watchAnalysis();
   },
 
   hideProgressModal() {
     const overlay = document.getElementById('progress-overlay');
     overlay.style.display = 'none';
+    if (this.progressSource) {
+      this.progressSource.close();
+      this.progressSource = null;
+    }
     if (this.progressInterval) {
       clearInterval(this.progressInterval);
       this.progressInterval = null;
     }
   },
 
+  async cancelAnalysis() {
+    if (!this.currentAnalysisId) return;
+    const btn = document.getElementById('progress-cancel-btn');
+    btn.disabled = true;
+
+    try {
+      const res = await fetch(`${API}/analysis/${this.currentAnalysisId}/cancel`, { method: 'POST' });
+      const data = await res.json();
+      if (!data.success) {
+        this.toast(data.error || this.t('cancel_failed'), 'error');
+        btn.disabled = false;
+        return;
+      }
+      // A queued job is cancelled at once; a running one once its layers have stopped
+      if (data.data.status === 'cancelled') {
+        this.onAnalysisFinished('cancelled');
+        return;
+      }
+      document.getElementById('progress-step').textContent = this.t('cancelling');
+    } catch (err) {
+      this.toast(this.t('cancel_failed'), 'error');
+      btn.disabled = false;
+    }
+  },
+
+  // ─── Analysis progress: SSE stream, polling as fallback ───
+  watchAnalysis() {
+    if (!window.EventSource) {
+      this.startProgressPolling();
+      return;
+    }
+
+    const source = new EventSource(`${API}/analysis/${this.currentAnalysisId}/events`);
+    this.progressSource = source;
+
+    source.addEventListener('status', (e) => {
+      const { status, position } = JSON.parse(e.data);
+      if (status === 'queued') this.renderQueued(position);
+    });
+    source.addEventListener('layer', (e) => this.renderProgressLayer(JSON.parse(e.data)));
+    source.addEventListener('progress', (e) => this.renderProgress(JSON.parse(e.data)));
+    source.addEventListener('done', (e) => {
+      source.close();
+      this.progressSource = null;
+      const done = JSON.parse(e.data);
+      this.onAnalysisFinished(done.status, done.error);
+    });
+
+    // Stream unavailable or dropped before 'done' — switch to polling
+    source.onerror = () => {
+      if (this.progressSource !== source) return;
+      source.close();
+      this.progressSource = null;
+      this.startProgressPolling();
+    };
+  },
+
   startProgressPolling() {
     this.progressInterval = setInterval(async () => {
       try {
@@ -1609,56 +2873,92 @@ const App = {
 
         const status = data.data.status;
 
-        // Check completion FIRST — when completed, progress is null (runningAnalyses was cleared)
-        if (status === 'completed') {
-          this.hideProgressModal();
-          this.toast('Analysis completed!', 'success');
-          if (this.currentProject) {
-            this.viewProject(this.currentProject.id);
-          }
+        if (status === 'queued') {
+          this.renderQueued(data.data.position);
           return;
         }
-        if (status === 'failed') {
-          this.hideProgressModal();
-          this.toast(`Analysis failed: ${data.data.error_message || 'Unknown error'}`, 'error');
+
+        // Check completion FIRST — when completed, progress is null (the run was cleared)
+        if (status !== 'running') {
+          this.onAnalysisFinished(status, data.data.error_message);
           return;
         }
 
         // Update progress UI (only when running, progress may be null initially)
-        const progress = data.data.progress;
-        if (progress) {
-          const stepEl = document.getElementById('progress-step');
-          const countEl = document.getElementById('progress-count');
-          const fillEl = document.getElementById('progress-fill');
-
-          const total = progress.total || 1;
-          const current = progress.subStep
-            ? (progress.current ?? 0)
-            : (progress.current ?? progress.step ?? 0);
-          const pct = Math.min(100, (current / total) * 100);
-
-          const layerDisplay = {
-            'file-system': 'File System',
-            'tech-stack': 'Tech Stack',
-            'code-structure': 'Code Structure',
-            'code-quality': 'Code Quality',
-            'starting': 'Starting...'
-          };
-          const layerName = layerDisplay[progress.layer] || progress.layer || progress.detail || 'Processing';
-          stepEl.textContent = progress.subStep && progress.detail
-            ? `${layerName}: ${progress.detail}`
-            : layerName;
-          countEl.textContent = progress.subStep
-            ? `${progress.current ?? 0} / ${progress.total ?? 0}`
-            : `${current} / ${total} layers`;
-          fillEl.style.width = `${pct}%`;
+        for (const layer of data.data.layers || []) {
+          if (layer.status) this.renderProgressLayer(layer);
         }
+        if (data.data.progress) this.renderProgress(data.data.progress);
       } catch (err) {
         console.error('Failed to poll progress', err);
       }
     }, 500);
   },
 
+  onAnalysisFinished(status, error) {
+    this.hideProgressModal();
+    if (status === 'completed') {
+      this.toast('Analysis completed!', 'success');
+    } else if (status === 'cancelled') {
+      this.toast(this.t('analysis_cancelled'), 'info');
+    } else {
+      this.toast(`Analysis failed: ${error || 'Unknown error'}`, 'error');
+      return;
+    }
+    if (this.currentProject) {
+      this.viewProject(this.currentProject.id);
+    }
+  },
+
+  renderProgress(progress) {
+    const stepEl = document.getElementById('progress-step');
+    const countEl = document.getElementById('progress-count');
+    const fillEl = document.getElementById('progress-fill');
+
+    const total = progress.total || 1;
+    const current = progress.subStep
+      ? (progress.current ?? 0)
+      : (progress.current ?? progress.step ?? 0);
+    const pct = Math.min(100, (current / total) * 100);
+
+    // The server reports layer display names (plugins included)
+    const layerName = progress.layer === 'starting'
+      ? 'Starting...'
+      : progress.layer === 'cancelling'
+        ? this.t('cancelling')
+        : (progress.layer || progress.detail || 'Processing');
+    stepEl.textContent = progress.subStep && progress.detail
+      ? `${layerName}: ${progress.detail}`
+      : layerName;
+    countEl.textContent = progress.subStep
+      ? `${progress.current ?? 0} / ${progress.total ?? 0}`
+      : `${current} / ${total} layers`;
+    fillEl.style.width = `${pct}%`;
+  },
+
+  // Waiting for a free slot in the analysis queue
+  renderQueued(position) {
+    document.getElementById('progress-step').textContent = position
+      ? this.t('queued_position', { n: position })
+      : this.t('queued');
+    document.getElementById('progress-count').textContent = '';
+    document.getElementById('progress-fill').style.width = '0%';
+  },
+
+  // One badge per layer that has started; concurrent layers show as running together
+  renderProgressLayer(layer) {
+    const container = document.getElementById('progress-layers');
+    let badge = container.querySelector(`[data-layer="${CSS.escape(layer.name)}"]`);
+    if (!badge) {
+      badge = document.createElement('span');
+      badge.dataset.layer = layer.name;
+      container.appendChild(badge);
+    }
+    badge.className = `status-badge ${layer.status}`;
+    badge.textContent = layer.displayName || layer.name;
+    badge.title = layer.error || '';
+  },
+
   // ═══════════════════════════════════════════════════════
   // Code Preview Modal
   // ═══════════════════════════════════════════════════════
@@ -1682,7 +2982,9 @@ const App = {
     loading.style.display = 'flex';
 
     try {
-      const res = await fetch(`${API}/reports/file-preview/${projectId}?path=${encodeURIComponent(filePath)}`);
+      // Reports of a git revision show the file as it was in that commit
+      const commit = this.currentReport?.meta?.revision?.commit;
+      const res = await fetch(`${API}/reports/file-preview/${projectId}?path=${encodeURIComponent(filePath)}${commit ? `&ref=${commit}` : ''}`);
       const data = await res.json();
 
       if (!data.success) {
@@ -1695,6 +2997,12 @@ const App = {
       if (typeof raw !== 'string') raw = String(raw);
       loading.style.display = 'none';
 
+      // Transcoded on the server — name the original charset
+      const encoding = data.data.encoding;
+      if (encoding && encoding !== 'ascii' && encoding !== 'utf-8') {
+        subtitle.textContent += `${subtitle.textContent ? ' • ' : ''}${encoding}`;
+      }
+
       const langMap = { php: 'php', js: 'javascript', jsx: 'jsx', mjs: 'javascript', ts: 'typescript', tsx: 'tsx', vue: 'javascript', html: 'markup', htm: 'markup', css: 'css', scss: 'css', sass: 'css', less: 'css', json: 'json' };
       const ext = (filePath.match(/\.(\w+)$/i) || [])[1] || '';
       const lang = langMap[ext.toLowerCase()] || 'javascript';
@@ -1764,11 +3072,56 @@ const App = {
     if (m) return this.t('desc_import_never_used', { specifier: m[1], source: m[2] });
     m = s.match(/^Dependency "([^"]+)" is listed but not imported$/);
     if (m) return this.t('desc_dependency_not_imported', { name: m[1] });
+    m = s.match(/^(.+)@(\S+)( \(transitive\))? is affected by (.+) — (?:fixed in (.+)|no fixed version)$/);
+    if (m) {
+      return this.t(m[3] ? 'desc_vulnerable_transitive' : 'desc_vulnerable', { name: m[1], version: m[2], advisories: m[4] }) +
+        (m[5] ? this.t('desc_vulnerable_fixed', { version: m[5] }) : this.t('desc_vulnerable_no_fix'));
+    }
+    m = s.match(/^(\S+) is licensed under (.+), which (?:the license policy denies|is not an allowed license)$/);
+    if (m) return this.t(s.endsWith('denies') ? 'desc_license_denied' : 'desc_license_not_allowed', { name: m[1], license: m[2] });
+    m = s.match(/^(\S+) has no detectable license$/);
+    if (m) return this.t('desc_license_unknown', { name: m[1] });
+    m = s.match(/^Image "([^"]+)" is not pinned to a version \(latest tag\)$/);
+    if (m) return this.t('desc_image_unpinned', { image: m[1] });
+    m = s.match(/^The container runs as root (?:\(USER (.+)\)|— the final stage sets no USER)$/);
+    if (m) return m[1] ? this.t('desc_container_root_user', { user: m[1] }) : this.t('desc_container_root_no_user');
+    m = s.match(/^Service "([^"]+)" runs as root \(user: (.+)\)$/);
+    if (m) return this.t('desc_service_root', { name: m[1], user: m[2] });
+    m = s.match(/^CI uses (.+?) (\S+), but the project requires (.+)$/);
+    if (m) return this.t('desc_ci_runtime_drift', { runtime: m[1], version: m[2], required: m[3] });
+    m = s.match(/^CI runs "([^"]+)" but package.json has no "([^"]+)" script$/);
+    if (m) return this.t('desc_ci_missing_script', { command: m[1], name: m[2] });
     m = s.match(/^(\d+) consecutive commented lines$/);
     if (m) return this.t('desc_commented_lines', { n: m[1] });
     return desc;
   },
 
+  // ─── Report tables ───
+
+  // Header from the column labels (already escaped), rows as the joined <tr> markup
+  renderTable(columns, rows, style = '') {
+    return `
+      <table style="width:100%;border-collapse:collapse;font-size:0.88rem;${style}">
+        <thead><tr style="border-bottom:1px solid var(--border);text-align:left">
+          ${columns.map(label => `<th style="padding:8px 12px;color:var(--text-muted)">${label}</th>`).join('')}
+        </tr></thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+  },
+
+  cell(content, style = '') {
+    return `<td style="padding:8px 12px;${style}">${content}</td>`;
+  },
+
+  mono(text) {
+    return `<span style="font-family:Consolas,monospace;font-size:0.82rem">${this.esc(text)}</span>`;
+  },
+
+  // A path that opens the code preview (at a line, when given)
+  fileLink(path, line = 0) {
+    return `<span class="proj-tree-symbol-clickable" onclick="App.openCodePreview('${this.escAttr(path)}', ${line || 0}, '${this.escAttr(path)}')" style="cursor:pointer;font-family:Consolas,monospace;color:var(--accent);font-size:0.82rem">${this.esc(path)}</span>`;
+  },
+
   esc(str) {
     if (!str) return '';
     const div = document.createElement('div');
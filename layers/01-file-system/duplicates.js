@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+
+/**
+ * Duplicate files: exact copies (same content hash) and near-duplicates —
+ * files whose sets of distinct lines are at least NEAR_SIMILARITY alike
+ * (Jaccard), e.g. one library at two versions. Near-duplicates are found with
+ * MinHash signatures and locality-sensitive hashing, so files are not compared
+ * pairwise.
+ *
+ * In every group the shallowest path (then alphabetical) is the original; the
+ * other members are copies. Folder pairs sum up groups whose files share the
+ * path below two different folders (vendor/lib-1.2/src/x.js ↔ lib/src/x.js).
+ */
+
+const NEAR_SIMILARITY = 0.8;
+// Files with fewer distinct lines are not compared for similarity
+const MIN_NEAR_LINES = 10;
+// Exact duplicates smaller than this are ignored (empty files, "{}")
+const MIN_EXACT_BYTES = 64;
+const MAX_NEAR_BYTES = 1024 * 1024;
+const SIGNATURE_SIZE = 64;
+const BANDS = 16; // SIGNATURE_SIZE / BANDS rows per band
+const MAX_PAIRWISE_BUCKET = 50;
+const MIN_FOLDER_FILES = 3;
+
+// Random (a, b) pairs for the hash permutations, fixed so reports are stable
+const PERMUTATIONS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => {
+  const digest = crypto.createHash('sha1').update(`minhash-${i}`).digest();
+  return [digest.readUInt32LE(0) | 1, digest.readUInt32LE(4)];
+});
+
+/**
+ * @param {Array<{ relativePath, content, size, lines }>} files - Scanned files (content null when not read)
+ * @param {Function} tick - async (current, total) called between files (progress, cancellation)
+ * @returns {Promise<{ exact: Array, near: Array, folders: Array, copies: Map<string, string> }>}
+ *   copies: copy path → path of its original
+ */
+async function findDuplicates(files, tick = async () => {}) {
+  const readable = files.filter(f => f.content !== null);
+
+  // 1. Exact copies
+  const byHash = new Map();
+  for (const f of readable) {
+    if (f.size < MIN_EXACT_BYTES) continue;
+    const hash = f.hash || crypto.createHash('sha1').update(f.content).digest('hex');
+    if (!byHash.has(hash)) byHash.set(hash, []);
+    byHash.get(hash).push(f);
+  }
+  const exact = [...byHash.values()].filter(group => group.length > 1).map(group => describeGroup(group, 1));
+
+  // 2. Near-duplicates among the remaining files (one original per exact group)
+  const exactCopies = new Set(exact.flatMap(g => g.files.slice(1).map(f => f.path)));
+  const candidates = [];
+  for (let i = 0; i < readable.length; i++) {
+    const f = readable[i];
+    if (!exactCopies.has(f.relativePath) && f.size <= MAX_NEAR_BYTES) {
+      const lines = distinctLines(f.content);
+      if (lines.size >= MIN_NEAR_LINES) candidates.push({ file: f, lines, signature: minHash(lines) });
+    }
+    if (i % 200 === 199) await tick(i + 1, readable.length);
+  }
+  const near = nearGroups(candidates).map(({ members, similarity }) => describeGroup(members, similarity));
+
+  const copies = new Map();
+  for (const group of [...exact, ...near]) {
+    for (const f of group.files.slice(1)) copies.set(f.path, group.files[0].path);
+  }
+
+  return {
+    exact: sortGroups(exact),
+    near: sortGroups(near),
+    folders: folderPairs([...exact, ...near], files),
+    copies
+  };
+}
+
+// ─── Near-duplicates ───
+
+function distinctLines(content) {
+  const lines = new Set();
+  for (const line of content.split('\n')) {
+    const normalized = line.trim().replace(/\s+/g, ' ');
+    // Lines without a letter or digit ("}", "});") say nothing about the file
+    if (/[A-Za-z0-9]/.test(normalized)) lines.add(normalized);
+  }
+  return lines;
+}
+
+function minHash(lines) {
+  const signature = new Uint32Array(SIGNATURE_SIZE).fill(0xFFFFFFFF);
+  for (const line of lines) {
+    const h = fnv1a(line);
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+      const value = (Math.imul(PERMUTATIONS[i][0], h) + PERMUTATIONS[i][1]) >>> 0;
+      if (value < signature[i]) signature[i] = value;
+    }
+  }
+  return signature;
+}
+
+function fnv1a(text) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Candidate pairs share one band of their signatures; each is confirmed with
+ * the exact Jaccard similarity of the line sets. Confirmed pairs are joined
+ * into groups (union-find); a group's similarity is its weakest pair.
+ */
+function nearGroups(candidates) {
+  const rows = SIGNATURE_SIZE / BANDS;
+  const buckets = new Map();
+  candidates.forEach((c, index) => {
+    for (let band = 0; band < BANDS; band++) {
+      const key = `${band}:${Array.from(c.signature.subarray(band * rows, (band + 1) * rows)).join(',')}`;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(index);
+    }
+  });
+
+  const parent = candidates.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const checked = new Set();
+  const weakest = new Map(); // root → lowest confirmed similarity
+
+  for (const bucket of buckets.values()) {
+    // Large buckets (many near-identical generated files) are compared with
+    // their first file only — enough to join them into one group
+    const anchors = bucket.length > MAX_PAIRWISE_BUCKET ? 1 : bucket.length;
+    for (let x = 0; x < anchors; x++) {
+      for (let y = x + 1; y < bucket.length; y++) {
+        const pair = `${bucket[x]},${bucket[y]}`;
+        if (checked.has(pair)) continue;
+        checked.add(pair);
+
+        const similarity = jaccard(candidates[bucket[x]].lines, candidates[bucket[y]].lines);
+        if (similarity < NEAR_SIMILARITY) continue;
+        const a = find(bucket[x]);
+        const b = find(bucket[y]);
+        const lowest = Math.min(similarity, weakest.get(a) ?? 1, weakest.get(b) ?? 1);
+        parent[b] = a;
+        weakest.set(a, lowest);
+      }
+    }
+  }
+
+  const groups = new Map();
+  candidates.forEach((c, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(c.file);
+  });
+  return [...groups.entries()]
+    .filter(([, members]) => members.length > 1)
+    .map(([root, members]) => ({ members, similarity: weakest.get(root) }));
+}
+
+function jaccard(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let common = 0;
+  for (const line of small) if (large.has(line)) common++;
+  return common / (a.size + b.size - common);
+}
+
+// ─── Report ───
+
+function describeGroup(members, similarity) {
+  const sorted = [...members].sort((a, b) =>
+    depth(a.relativePath) - depth(b.relativePath) || a.relativePath.localeCompare(b.relativePath));
+  const copies = sorted.slice(1);
+  return {
+    similarity: Math.round(similarity * 100) / 100,
+    files: sorted.map(f => ({ path: f.relativePath, size: f.size, lines: f.lines })),
+    wastedBytes: copies.reduce((sum, f) => sum + f.size, 0),
+    wastedLines: copies.reduce((sum, f) => sum + f.lines, 0)
+  };
+}
+
+function sortGroups(groups) {
+  return groups.sort((a, b) => b.wastedBytes - a.wastedBytes || a.files[0].path.localeCompare(b.files[0].path));
+}
+
+function depth(relativePath) {
+  return relativePath.split('/').length;
+}
+
+/**
+ * Folders holding copies of each other's files: for every original/copy pair
+ * the common path suffix is stripped, leaving the two folders. Pairs with at
+ * least MIN_FOLDER_FILES matching files are reported, with the share of the
+ * copy folder's files they cover.
+ */
+function folderPairs(groups, files) {
+  const pairs = new Map();
+  for (const group of groups) {
+    const original = group.files[0].path.split('/');
+    for (const copy of group.files.slice(1)) {
+      const parts = copy.path.split('/');
+      let common = 0;
+      while (common < original.length && common < parts.length &&
+        original[original.length - 1 - common] === parts[parts.length - 1 - common]) common++;
+      // Renamed copies say nothing about folders
+      if (common === 0) continue;
+
+      const originalFolder = original.slice(0, original.length - common).join('/');
+      const copyFolder = parts.slice(0, parts.length - common).join('/');
+      if (originalFolder === copyFolder) continue;
+      const key = `${originalFolder}\0${copyFolder}`;
+      if (!pairs.has(key)) pairs.set(key, { original: originalFolder, copy: copyFolder, files: 0, wastedBytes: 0 });
+      const pair = pairs.get(key);
+      pair.files++;
+      pair.wastedBytes += copy.size;
+    }
+  }
+
+  return [...pairs.values()]
+    .filter(p => p.files >= MIN_FOLDER_FILES)
+    .map(p => {
+      const prefix = p.copy ? `${p.copy}/` : '';
+      const total = files.filter(f => f.relativePath.startsWith(prefix)).length;
+      return { ...p, coverage: total > 0 ? Math.round((p.files / total) * 100) / 100 : 0 };
+    })
+    .sort((a, b) => b.wastedBytes - a.wastedBytes);
+}
+
+module.exports = { findDuplicates, NEAR_SIMILARITY };
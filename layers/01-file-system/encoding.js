@@ -0,0 +1,140 @@
+/**
+ * Byte-level decoding of scanned files: binary detection, BOM and charset
+ * detection with transcoding to a JS string, and line-ending statistics.
+ *
+ * Charsets without a BOM are detected heuristically:
+ *   - only 7-bit bytes                 → "ascii"
+ *   - valid UTF-8                      → "utf-8"
+ *   - otherwise a legacy single-byte charset: runs of high bytes (words) mean
+ *     Cyrillic — windows-1251 or koi8-r, whichever decodes to mostly
+ *     lowercase letters — and isolated ones (accents) mean windows-1252
+ */
+
+// Files are classified by their first bytes, like git
+const SNIFF_BYTES = 8000;
+// Share of control bytes (other than tab, CR, LF, FF, ESC) that makes a file binary
+const MAX_CONTROL_RATIO = 0.1;
+
+// Signatures of common binary formats that may start without a NUL byte
+const MAGIC_NUMBERS = [
+  [0x89, 0x50, 0x4E, 0x47], // PNG
+  [0xFF, 0xD8, 0xFF], // JPEG
+  [0x47, 0x49, 0x46, 0x38], // GIF8
+  [0x25, 0x50, 0x44, 0x46, 0x2D], // %PDF-
+  [0x50, 0x4B, 0x03, 0x04], // ZIP (jar, docx, …)
+  [0x1F, 0x8B], // gzip
+  [0x42, 0x5A, 0x68], // bzip2
+  [0xFD, 0x37, 0x7A, 0x58, 0x5A], // xz
+  [0x37, 0x7A, 0xBC, 0xAF], // 7z
+  [0x52, 0x49, 0x46, 0x46], // RIFF (webp, wav, avi)
+  [0x77, 0x4F, 0x46, 0x46], // wOFF
+  [0x77, 0x4F, 0x46, 0x32], // wOF2
+  [0x4F, 0x67, 0x67, 0x53], // OggS
+  [0x66, 0x4C, 0x61, 0x43], // fLaC
+  [0x7F, 0x45, 0x4C, 0x46], // ELF
+  [0xCA, 0xFE, 0xBA, 0xBE], // Java class / Mach-O fat
+  [0xCF, 0xFA, 0xED, 0xFE] // Mach-O
+];
+
+const BOMS = [
+  { bytes: [0xEF, 0xBB, 0xBF], encoding: 'utf-8-bom', decoder: 'utf-8' },
+  { bytes: [0xFF, 0xFE], encoding: 'utf-16le', decoder: 'utf-16le' },
+  { bytes: [0xFE, 0xFF], encoding: 'utf-16be', decoder: 'utf-16be' }
+];
+
+/**
+ * @param {Buffer} buffer
+ * @returns {{ binary: true } | { binary: false, text: string, encoding: string, lineEndings: string|null, lines: number }}
+ *   encoding: ascii, utf-8, utf-8-bom, utf-16le, utf-16be, windows-1251, koi8-r, windows-1252
+ *   lineEndings: lf, crlf, cr, mixed — null when the file has no line break
+ */
+function decodeFile(buffer) {
+  const bom = BOMS.find(b => b.bytes.every((byte, i) => buffer[i] === byte));
+  if (!bom && isBinary(buffer)) return { binary: true };
+
+  let text;
+  let encoding;
+  if (bom) {
+    text = new TextDecoder(bom.decoder).decode(buffer.subarray(bom.bytes.length));
+    encoding = bom.encoding;
+  } else {
+    encoding = detectCharset(buffer);
+    text = encoding === 'ascii' || encoding === 'utf-8'
+      ? buffer.toString('utf-8')
+      : new TextDecoder(encoding).decode(buffer);
+  }
+
+  const counts = countLineEndings(text);
+  return { binary: false, text, encoding, lineEndings: lineEndingStyle(counts), lines: counts.crlf + counts.lf + counts.cr + 1 };
+}
+
+/**
+ * A known binary signature, a NUL byte, or too many control bytes, in the
+ * first SNIFF_BYTES bytes.
+ */
+function isBinary(buffer) {
+  if (MAGIC_NUMBERS.some(magic => magic.every((byte, i) => buffer[i] === byte))) return true;
+  const sample = buffer.subarray(0, SNIFF_BYTES);
+  if (sample.includes(0)) return true;
+
+  let control = 0;
+  for (const byte of sample) {
+    if (byte < 0x20 && byte !== 0x09 && byte !== 0x0A && byte !== 0x0D && byte !== 0x0C && byte !== 0x1B) control++;
+  }
+  return sample.length > 0 && control / sample.length > MAX_CONTROL_RATIO;
+}
+
+function detectCharset(buffer) {
+  if (!buffer.some(byte => byte >= 0x80)) return 'ascii';
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return 'utf-8';
+  } catch {
+    // Not UTF-8 — a legacy single-byte charset
+  }
+
+  // Average length of runs of high bytes: Cyrillic words vs. accented Latin letters
+  let highBytes = 0;
+  let runs = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    if (buffer[i] < 0x80) continue;
+    highBytes++;
+    if (i === 0 || buffer[i - 1] < 0x80) runs++;
+  }
+  if (highBytes / runs < 2) return 'windows-1252';
+
+  return lowercaseShare(buffer, 'windows-1251') >= lowercaseShare(buffer, 'koi8-r') ? 'windows-1251' : 'koi8-r';
+}
+
+// Running text is mostly lowercase; the wrong Cyrillic charset swaps the cases
+function lowercaseShare(buffer, encoding) {
+  let lower = 0;
+  let letters = 0;
+  for (const char of new TextDecoder(encoding).decode(buffer)) {
+    if (char.charCodeAt(0) < 0x80 || !/\p{L}/u.test(char)) continue;
+    letters++;
+    if (char !== char.toUpperCase()) lower++;
+  }
+  return letters > 0 ? lower / letters : 0;
+}
+
+function countLineEndings(text) {
+  const counts = { crlf: 0, lf: 0, cr: 0 };
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code === 13) {
+      if (text.charCodeAt(i + 1) === 10) { counts.crlf++; i++; } else counts.cr++;
+    } else if (code === 10) {
+      counts.lf++;
+    }
+  }
+  return counts;
+}
+
+function lineEndingStyle(counts) {
+  const styles = Object.keys(counts).filter(style => counts[style] > 0);
+  if (styles.length === 0) return null;
+  return styles.length === 1 ? styles[0] : 'mixed';
+}
+
+module.exports = { SNIFF_BYTES, decodeFile, isBinary };
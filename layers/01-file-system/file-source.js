@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Where FileSystemLayer reads the project from: the working directory on disk
+ * or the tree of a git commit. Both take "/"-separated paths relative to the
+ * project root ("" is the root itself).
+ *
+ *   list(dir)      → [{ name, isDirectory, isFile }] ([] when unreadable)
+ *   stat(file)     → { size, mtime: Date, mtimeMs } | null
+ *   readText(file) → string | null (UTF-8)
+ *   readBytes(file) → Buffer | null
+ *   readHead(file, length) → Buffer | null (the first bytes only)
+ *   close()        — releases open files
+ */
+
+class DiskSource {
+  constructor(rootPath) {
+    this.rootPath = rootPath;
+  }
+
+  resolve(relativePath) {
+    return path.join(this.rootPath, relativePath);
+  }
+
+  list(dir) {
+    try {
+      return fs.readdirSync(this.resolve(dir), { withFileTypes: true })
+        .map(e => ({ name: e.name, isDirectory: e.isDirectory(), isFile: e.isFile() }));
+    } catch {
+      return [];
+    }
+  }
+
+  stat(file) {
+    try {
+      const stat = fs.statSync(this.resolve(file));
+      return { size: stat.size, mtime: stat.mtime, mtimeMs: stat.mtimeMs };
+    } catch {
+      return null;
+    }
+  }
+
+  readText(file) {
+    try {
+      return fs.readFileSync(this.resolve(file), 'utf-8');
+    } catch {
+      return null;
+    }
+  }
+
+  readBytes(file) {
+    try {
+      return fs.readFileSync(this.resolve(file));
+    } catch {
+      return null;
+    }
+  }
+
+  readHead(file, length) {
+    let fd = null;
+    try {
+      fd = fs.openSync(this.resolve(file), 'r');
+      const buffer = Buffer.alloc(length);
+      return buffer.subarray(0, fs.readSync(fd, buffer, 0, length, 0));
+    } catch {
+      return null;
+    } finally {
+      if (fd !== null) fs.closeSync(fd);
+    }
+  }
+
+  close() {}
+}
+
+/**
+ * Files of a commit, read from the object store — the working copy is not
+ * touched. Every file gets the commit date as its modification time.
+ * Symlinks and submodules are skipped (like special files on disk).
+ */
+class GitTreeSource {
+  /**
+   * @param {GitRepository} repo
+   * @param {string} commit - Commit SHA
+   * @param {string} prefix - Project root inside the repository ("" for the repository root)
+   */
+  constructor(repo, commit, prefix = '') {
+    this.repo = repo;
+    const info = repo.readCommit(commit);
+    if (!info) throw new Error(`Commit ${commit} not found`);
+    this.mtime = new Date(info.committer.time);
+    this.rootTree = repo.treeAt(commit, prefix);
+    if (!this.rootTree) throw new Error(`"${prefix}" does not exist in commit ${commit.slice(0, 10)}`);
+    this.trees = new Map(); // dir → tree entries
+    this.lastBlob = { file: null, data: null }; // stat() and readText() of the same file
+  }
+
+  entries(dir) {
+    if (!this.trees.has(dir)) {
+      let entries = null;
+      if (dir === '') {
+        entries = this.repo.readTree(this.rootTree);
+      } else {
+        const parentDir = dir.includes('/') ? dir.slice(0, dir.lastIndexOf('/')) : '';
+        const entry = (this.entries(parentDir) || []).find(e => e.name === dir.slice(dir.lastIndexOf('/') + 1));
+        entries = entry?.type === 'tree' ? this.repo.readTree(entry.sha) : null;
+      }
+      this.trees.set(dir, entries);
+    }
+    return this.trees.get(dir);
+  }
+
+  blob(file) {
+    if (this.lastBlob.file === file) return this.lastBlob.data;
+    const dir = file.includes('/') ? file.slice(0, file.lastIndexOf('/')) : '';
+    const entry = (this.entries(dir) || []).find(e => e.name === file.slice(file.lastIndexOf('/') + 1));
+    const data = entry && entry.type === 'blob' && entry.mode !== '120000'
+      ? this.repo.readObject(entry.sha)?.data || null
+      : null;
+    this.lastBlob = { file, data };
+    return data;
+  }
+
+  list(dir) {
+    return (this.entries(dir) || [])
+      .filter(e => e.type !== 'commit')
+      .map(e => ({
+        name: e.name,
+        isDirectory: e.type === 'tree',
+        isFile: e.type === 'blob' && e.mode !== '120000'
+      }));
+  }
+
+  stat(file) {
+    const data = this.blob(file);
+    return data ? { size: data.length, mtime: this.mtime, mtimeMs: this.mtime.getTime() } : null;
+  }
+
+  readText(file) {
+    const data = this.blob(file);
+    return data ? data.toString('utf-8') : null;
+  }
+
+  readBytes(file) {
+    return this.blob(file);
+  }
+
+  readHead(file, length) {
+    return this.blob(file)?.subarray(0, length) || null;
+  }
+
+  close() {
+    this.repo.close();
+  }
+}
+
+module.exports = { DiskSource, GitTreeSource };
@@ -1,6 +1,12 @@
 const BaseLayer = require('../core/base-layer');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const IgnoreRules = require('./ignore-rules');
+const { SNIFF_BYTES, decodeFile, isBinary } = require('./encoding');
+const { findDuplicates } = require('./duplicates');
+const { DiskSource, GitTreeSource } = require('./file-source');
+const GitRepository = require('../core/git-repo');
 
 /**
  * FileSystemLayer — scans project directory, builds file tree, collects stats.
@@ -8,7 +14,11 @@ const path = require('path');
  */
 class FileSystemLayer extends BaseLayer {
   constructor() {
-    super('file-system');
+    super('file-system', {
+      displayName: 'File System',
+      reads: [],
+      writes: ['fileSystem', '_fileContents']
+    });
   }
 
   // Extensions we read & analyze as code
@@ -21,6 +31,15 @@ class FileSystemLayer extends BaseLayer {
     '.twig', '.blade.php', '.ejs', '.pug', '.hbs'
   ]);
 
+  // Files read regardless of their extension (manifests and lockfiles parsed by the tech stack layer)
+  static CONTENT_FILES = new Set([
+    'yarn.lock', 'composer.lock', 'Gemfile.lock',
+    'pyproject.toml', 'go.mod', 'build.gradle', 'build.gradle.kts'
+  ]);
+
+  // Dockerfile.prod, api.dockerfile, Containerfile.dev
+  static CONTENT_FILE_PATTERN = /^(Dockerfile|Containerfile)[.-]|\.(dockerfile|containerfile)$/i;
+
   // Extensions shown individually in the file tree (programming-related)
   static TREE_CODE_EXTENSIONS = new Set([
     '.php', '.js', '.jsx', '.ts', '.tsx', '.vue', '.svelte',
@@ -43,24 +62,57 @@ class FileSystemLayer extends BaseLayer {
     '.map', '.min.js', '.min.css', '.txt', '.log'
   ]);
 
+  // Files listed in fileSystem.encodings.inconsistencies
+  static MAX_ENCODING_ISSUES = 200;
+  // Groups listed in fileSystem.duplicates.exact / .near
+  static MAX_DUPLICATE_GROUPS = 100;
+
   async process(snapshot, context) {
     const { project } = context;
     const rootPath = project.root_path;
-    const excluded = this.parseExcluded(project.excluded_folders);
 
     if (!fs.existsSync(rootPath)) {
       throw new Error(`Root path does not exist: ${rootPath}`);
     }
 
+    // A git revision is read from the object store, the working copy is not touched
+    const source = context.revision ? this.revisionSource(rootPath, context.revision) : new DiskSource(rootPath);
+    const rules = new IgnoreRules(source, {
+      excludedFolders: this.parseExcluded(project.excluded_folders),
+      excludeGlobs: this.parseList(project.exclude_globs),
+      includeGlobs: this.parseList(project.include_globs)
+    });
+    const exclusions = new Map(); // "source\0rule" → { rule, source, files, folders }
+    this.cache = context.cache || null;
+    this.signal = context.signal || null;
+
     const files = [];
     const folderStats = {};
     let totalFolders = 0;
 
-    // Scan directory recursively
-    await this.scanDirectory(rootPath, rootPath, excluded, files, folderStats, () => totalFolders++);
+    let fileTree;
+    try {
+      // Scan directory recursively
+      await this.scanDirectory(source, '', rules, files, folderStats, () => totalFolders++, { n: 0 }, exclusions);
+
+      // Build smart file tree (code files shown, assets collapsed). With include
+      // globs, folders without any included file are left out.
+      const keepDirs = rules.hasIncludes ? this.ancestorDirs(files) : null;
+      fileTree = this.buildFileTree(source, rules, keepDirs);
+    } finally {
+      source.close();
+    }
 
-    // Build smart file tree (code files shown, assets collapsed)
-    const fileTree = this.buildFileTree(rootPath, excluded);
+    // Exact and near-duplicate files. With project.exclude_duplicates the
+    // copies lose their content, so later layers skip them like unread files.
+    const duplicates = await findDuplicates(files, (current, total) => this.tick(context, current, total));
+    const excludeCopies = Boolean(project.exclude_duplicates);
+    for (const f of files) {
+      f.duplicateOf = duplicates.copies.get(f.relativePath) || null;
+      f.vendoredCopy = excludeCopies && f.duplicateOf !== null;
+      // No layer reads an excluded copy — not a reanalyzed file, nothing to cache
+      if (f.vendoredCopy && this.cache) this.cache.untrack(f.relativePath);
+    }
 
     // Stats by extension
     const byExtension = {};
@@ -86,6 +138,10 @@ class FileSystemLayer extends BaseLayer {
         byExtension,
         fileTree,
         folderStats: folderStatsArray,
+        exclusions: [...exclusions.values()]
+          .sort((a, b) => (b.files + b.folders) - (a.files + a.folders) || a.source.localeCompare(b.source)),
+        encodings: this.summarizeEncodings(files),
+        duplicates: this.summarizeDuplicates(duplicates, excludeCopies),
         files: files.map(f => ({
           path: f.relativePath,
           name: f.name,
@@ -93,12 +149,18 @@ class FileSystemLayer extends BaseLayer {
           size: f.size,
           lines: f.lines,
           lastModified: f.lastModified,
-          obfuscated: f.obfuscated
+          hash: f.hash || null,
+          obfuscated: f.obfuscated,
+          binary: f.binary,
+          encoding: f.encoding,
+          lineEndings: f.lineEndings,
+          duplicateOf: f.duplicateOf,
+          vendoredCopy: f.vendoredCopy
         }))
       },
       // Internal: file contents for other layers to use (stripped from final report)
       _fileContents: files.reduce((map, f) => {
-        if (f.content !== null) {
+        if (f.content !== null && !f.vendoredCopy) {
           map[f.relativePath] = f.content;
         }
         return map;
@@ -108,29 +170,45 @@ class FileSystemLayer extends BaseLayer {
 
   // ─── Directory Scanner ───
 
-  async scanDirectory(dirPath, rootPath, excluded, files, folderStats, onFolder, fileCount = { n: 0 }) {
-    let entries;
+  /**
+   * Files of a commit instead of the working directory.
+   * @param {{ commit: string }} revision - context.revision
+   */
+  revisionSource(rootPath, { commit }) {
+    const repo = GitRepository.open(rootPath);
+    if (!repo) throw new Error(`Not a git repository: ${rootPath}`);
     try {
-      entries = fs.readdirSync(dirPath, { withFileTypes: true });
+      return new GitTreeSource(repo, commit, repo.relativePath(rootPath));
     } catch (err) {
-      return;
+      repo.close();
+      throw err;
     }
+  }
 
+  async scanDirectory(source, dir, rules, files, folderStats, onFolder, fileCount = { n: 0 }, exclusions = new Map()) {
+    const entries = source.list(dir);
     const YIELD_EVERY = 80; // Yield to event loop every N files to prevent UI freeze
 
     for (const entry of entries) {
-      const fullPath = path.join(dirPath, entry.name);
-      const relativePath = path.relative(rootPath, fullPath).replace(/\\/g, '/');
+      this.signal?.throwIfAborted();
+
+      const relativePath = dir ? `${dir}/${entry.name}` : entry.name;
 
-      if (this.isExcluded(entry.name, relativePath, excluded)) continue;
+      if (!entry.isDirectory && !entry.isFile) continue;
 
-      if (entry.isDirectory()) {
+      const excludedBy = rules.check(relativePath, entry.isDirectory);
+      if (excludedBy) {
+        this.countExclusion(exclusions, excludedBy, entry.isDirectory);
+        continue;
+      }
+
+      if (entry.isDirectory) {
         onFolder();
-        await this.scanDirectory(fullPath, rootPath, excluded, files, folderStats, onFolder, fileCount);
-      } else if (entry.isFile()) {
+        await this.scanDirectory(source, relativePath, rules, files, folderStats, onFolder, fileCount, exclusions);
+      } else {
         if (this.isMinified(entry.name)) continue;
 
-        const fileInfo = this.analyzeFile(fullPath, rootPath, relativePath);
+        const fileInfo = this.analyzeFile(source, relativePath);
         if (fileInfo) {
           files.push(fileInfo);
           fileCount.n++;
@@ -145,17 +223,29 @@ class FileSystemLayer extends BaseLayer {
 
           if (fileCount.n % YIELD_EVERY === 0) {
             await new Promise(r => setImmediate(r));
+            this.signal?.throwIfAborted();
           }
         }
       }
     }
   }
 
-  analyzeFile(fullPath, rootPath, relativePath) {
+  /**
+   * Tally one excluded entry under the rule that excluded it. Excluded folders
+   * are not walked, so the files inside them are not counted.
+   */
+  countExclusion(exclusions, { rule, source }, isDir) {
+    const key = `${source}\0${rule}`;
+    if (!exclusions.has(key)) exclusions.set(key, { rule, source, files: 0, folders: 0 });
+    exclusions.get(key)[isDir ? 'folders' : 'files']++;
+  }
+
+  analyzeFile(source, relativePath) {
     try {
-      const stat = fs.statSync(fullPath);
-      const ext = path.extname(fullPath).toLowerCase();
-      const name = path.basename(fullPath);
+      const stat = source.stat(relativePath);
+      if (!stat) return null;
+      const ext = path.extname(relativePath).toLowerCase();
+      const name = path.basename(relativePath);
 
       // Skip very large files (>5MB)
       if (stat.size > 5 * 1024 * 1024) {
@@ -166,22 +256,35 @@ class FileSystemLayer extends BaseLayer {
           size: stat.size,
           lines: 0,
           lastModified: stat.mtime.toISOString(),
-          content: null
+          content: null,
+          binary: this.sniffBinary(source, relativePath)
         };
       }
 
-      // Read content for code files only
+      // Read content for code files only, transcoded to a string; binary
+      // files (extension-less executables, mislabelled data) have none
       let content = null;
       let lines = 0;
-
-      if (FileSystemLayer.CODE_EXTENSIONS.has(ext) || ext === '') {
-        try {
-          content = fs.readFileSync(fullPath, 'utf-8');
-          lines = content.split('\n').length;
-        } catch {
-          content = null;
+      let decoded = null;
+
+      if (FileSystemLayer.CODE_EXTENSIONS.has(ext) || ext === '' || FileSystemLayer.CONTENT_FILES.has(name) || FileSystemLayer.CONTENT_FILE_PATTERN.test(name)) {
+        const bytes = source.readBytes(relativePath);
+        decoded = bytes ? decodeFile(bytes) : null;
+        if (decoded && !decoded.binary) {
+          content = decoded.text;
+          lines = decoded.lines;
         }
       }
+      // Assets are not decoded, their first bytes tell whether they are binary
+      const binary = decoded ? decoded.binary : this.sniffBinary(source, relativePath);
+
+      // Content hash of every read file (report diffs, duplicates); in incremental
+      // mode an unchanged size + mtime reuses the previous hash
+      let hash = null;
+      if (content !== null) {
+        hash = this.cache?.knownHash(relativePath, stat.size, stat.mtimeMs) || this.hashContent(content);
+        this.cache?.track(relativePath, { size: stat.size, mtimeMs: stat.mtimeMs, hash });
+      }
 
       const isJsLike = ['.js', '.jsx', '.mjs'].includes(ext);
       const obfuscated = isJsLike && content && this.isLikelyObfuscated(content, name);
@@ -194,40 +297,117 @@ class FileSystemLayer extends BaseLayer {
         lines,
         lastModified: stat.mtime.toISOString(),
         content,
-        obfuscated: !!obfuscated
+        hash,
+        obfuscated: !!obfuscated,
+        binary,
+        encoding: decoded?.encoding || null,
+        lineEndings: decoded?.lineEndings || null
       };
     } catch {
       return null;
     }
   }
 
+  // ─── Encodings ───
+
+  sniffBinary(source, relativePath) {
+    const head = source.readHead(relativePath, SNIFF_BYTES);
+    return !!head && isBinary(head);
+  }
+
+  /**
+   * Encodings and line endings of the read files, and the files that differ
+   * from the project's usual ones. Pure ASCII fits any single-byte charset and
+   * UTF-8, so it never counts as inconsistent.
+   */
+  summarizeEncodings(files) {
+    const byEncoding = {};
+    const byLineEnding = {};
+    const binaryFiles = [];
+    for (const f of files) {
+      if (f.binary) binaryFiles.push(f.relativePath);
+      if (f.encoding) byEncoding[f.encoding] = (byEncoding[f.encoding] || 0) + 1;
+      if (f.lineEndings) byLineEnding[f.lineEndings] = (byLineEnding[f.lineEndings] || 0) + 1;
+    }
+
+    const mostCommon = (counts, skip) => Object.entries(counts)
+      .filter(([key]) => key !== skip)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0]?.[0] || null;
+    // ASCII files are valid UTF-8: they count for it, and name the charset when no file needs more
+    const { ascii = 0, ...nonAscii } = byEncoding;
+    const dominant = mostCommon({ ...nonAscii, 'utf-8': (nonAscii['utf-8'] || 0) + ascii }, null);
+    const dominantEncoding = dominant === 'utf-8' && !nonAscii['utf-8'] ? (ascii ? 'ascii' : null) : dominant;
+    const dominantLineEnding = mostCommon(byLineEnding, 'mixed');
+
+    const inconsistencies = [];
+    for (const f of files) {
+      if (f.encoding && f.encoding !== 'ascii' && f.encoding !== dominantEncoding) {
+        inconsistencies.push({ file: f.relativePath, kind: 'encoding', value: f.encoding, expected: dominantEncoding });
+      }
+      if (f.lineEndings === 'mixed' || (f.lineEndings && dominantLineEnding && f.lineEndings !== dominantLineEnding)) {
+        inconsistencies.push({ file: f.relativePath, kind: 'line-endings', value: f.lineEndings, expected: dominantLineEnding });
+      }
+    }
+
+    return {
+      byEncoding,
+      byLineEnding,
+      dominantEncoding,
+      dominantLineEnding,
+      binaryFiles,
+      totalInconsistencies: inconsistencies.length,
+      inconsistencies: inconsistencies.slice(0, FileSystemLayer.MAX_ENCODING_ISSUES)
+    };
+  }
+
+  // ─── Duplicates ───
+
+  summarizeDuplicates({ exact, near, folders, copies }, excluded) {
+    const groups = [...exact, ...near];
+    return {
+      duplicateFiles: copies.size,
+      wastedBytes: groups.reduce((sum, g) => sum + g.wastedBytes, 0),
+      wastedLines: groups.reduce((sum, g) => sum + g.wastedLines, 0),
+      excluded,
+      exact: exact.slice(0, FileSystemLayer.MAX_DUPLICATE_GROUPS),
+      near: near.slice(0, FileSystemLayer.MAX_DUPLICATE_GROUPS),
+      folders
+    };
+  }
+
+  async tick(context, current, total) {
+    context.onProgress?.({ layer: 'Finding duplicate files', current, total });
+    await new Promise(r => setImmediate(r));
+    this.signal?.throwIfAborted();
+  }
+
+  hashContent(content) {
+    return crypto.createHash('sha1').update(content).digest('hex');
+  }
+
   // ─── Smart File Tree Builder ───
   // Shows code files individually, collapses assets/media into "N files"
 
-  buildFileTree(rootPath, excluded) {
+  buildFileTree(source, rules, keepDirs = null) {
     const lines = [];
-    this._buildTree(rootPath, rootPath, '', excluded, lines);
+    this._buildTree(source, '', '', rules, lines, keepDirs);
     return lines.join('\n');
   }
 
-  _buildTree(dirPath, rootPath, prefix, excluded, lines) {
-    let entries;
-    try {
-      entries = fs.readdirSync(dirPath, { withFileTypes: true });
-    } catch {
-      return;
-    }
+  _buildTree(source, dir, prefix, rules, lines, keepDirs = null) {
+    const relativeTo = (name) => dir ? `${dir}/${name}` : name;
 
     // Filter excluded
-    const allItems = entries.filter(e => {
-      const rel = path.relative(rootPath, path.join(dirPath, e.name)).replace(/\\/g, '/');
-      return !this.isExcluded(e.name, rel, excluded);
+    const allItems = source.list(dir).filter(e => {
+      const rel = relativeTo(e.name);
+      if (rules.check(rel, e.isDirectory)) return false;
+      return !keepDirs || !e.isDirectory || keepDirs.has(rel);
     });
 
     // Separate: directories, code files (shown), asset files (collapsed)
-    const dirs = allItems.filter(e => e.isDirectory()).sort((a, b) => a.name.localeCompare(b.name));
-    const codeFiles = allItems.filter(e => e.isFile() && this.isTreeCodeFile(e.name)).sort((a, b) => a.name.localeCompare(b.name));
-    const assetFiles = allItems.filter(e => e.isFile() && !this.isTreeCodeFile(e.name) && !this.isMinified(e.name));
+    const dirs = allItems.filter(e => e.isDirectory).sort((a, b) => a.name.localeCompare(b.name));
+    const codeFiles = allItems.filter(e => e.isFile && this.isTreeCodeFile(e.name)).sort((a, b) => a.name.localeCompare(b.name));
+    const assetFiles = allItems.filter(e => e.isFile && !this.isTreeCodeFile(e.name) && !this.isMinified(e.name));
 
     // Build the visible items list: dirs + code files + one summary line for assets
     const visibleItems = [];
@@ -244,20 +424,18 @@ class FileSystemLayer extends BaseLayer {
       const nextPrefix = isLast ? '    ' : '│   ';
 
       if (item.type === 'dir') {
-        const fullPath = path.join(dirPath, item.entry.name);
         lines.push(`${prefix}${connector}${item.entry.name}/`);
-        this._buildTree(fullPath, rootPath, prefix + nextPrefix, excluded, lines);
+        this._buildTree(source, relativeTo(item.entry.name), prefix + nextPrefix, rules, lines, keepDirs);
       } else if (item.type === 'file') {
-        const fullPath = path.join(dirPath, item.entry.name);
-        try {
-          const stat = fs.statSync(fullPath);
+        const stat = source.stat(relativeTo(item.entry.name));
+        if (stat) {
           const cutoff = Date.now() - 30 * 24 * 60 * 60 * 1000; // 30 days
           const isRecent = stat.mtime.getTime() > cutoff;
           const dateStr = isRecent
             ? `${String(stat.mtime.getDate()).padStart(2, '0')}.${String(stat.mtime.getMonth() + 1).padStart(2, '0')}.${stat.mtime.getFullYear()} ${String(stat.mtime.getHours()).padStart(2, '0')}:${String(stat.mtime.getMinutes()).padStart(2, '0')}`
             : '';
           lines.push(`${prefix}${connector}${item.entry.name}${dateStr ? ` (${dateStr})` : ''}`);
-        } catch {
+        } else {
           lines.push(`${prefix}${connector}${item.entry.name}`);
         }
       } else if (item.type === 'assets') {
@@ -327,17 +505,24 @@ class FileSystemLayer extends BaseLayer {
     return [...new Set([...FileSystemLayer.ALWAYS_EXCLUDED, ...list])];
   }
 
-  isExcluded(name, relativePath, excluded) {
-    // Skip hidden files/dirs (except .env, .htaccess, etc.)
-    if (name.startsWith('.') && !name.startsWith('.env') && !name.startsWith('.htaccess')) {
-      return true;
-    }
+  // Include / exclude globs: array or JSON string (as stored on the project)
+  parseList(value) {
+    if (Array.isArray(value)) return value;
+    if (typeof value === 'string') { try { return JSON.parse(value); } catch { return value.split('\n').map(s => s.trim()).filter(Boolean); } }
+    return [];
+  }
 
-    for (const pattern of excluded) {
-      if (name === pattern) return true;
-      if (relativePath.includes(pattern)) return true;
+  // Every folder that contains a scanned file, at any depth
+  ancestorDirs(files) {
+    const dirs = new Set();
+    for (const f of files) {
+      let dir = path.posix.dirname(f.relativePath);
+      while (dir !== '.' && !dirs.has(dir)) {
+        dirs.add(dir);
+        dir = path.posix.dirname(dir);
+      }
     }
-    return false;
+    return dirs;
   }
 }
 
@@ -0,0 +1,142 @@
+const { parseIgnorePattern } = require('../core/glob');
+
+/**
+ * IgnoreRules — decides which files and folders FileSystemLayer skips.
+ *
+ * Checked in this order, the first that applies decides:
+ *   1. excluded_folders (+ ALWAYS_EXCLUDED) — a path segment equal to the name,
+ *      or a path starting with it when the entry contains "/"
+ *   2. hidden entries (leading ".") except .env*, .htaccess and the CI
+ *      configuration in CI_PATHS (GitHub workflows, GitLab CI, CircleCI, Travis)
+ *   3. ignore patterns — .git/info/exclude, then .gitignore and .ignore of every
+ *      directory from the root down, then the project's exclude_globs;
+ *      the last matching pattern wins, so "!pattern" re-includes
+ *   4. include_globs (files only) — when set, a file must match one of them
+ *
+ * Ignore files are read lazily, once per directory. An excluded folder is not
+ * walked, so (as in git) nothing below it can be re-included.
+ */
+class IgnoreRules {
+  static IGNORE_FILES = ['.gitignore', '.ignore'];
+
+  // Hidden CI configuration read by the CI/CD layer; the rest of .github/ and .circleci/ stays hidden
+  static CI_PATHS = /^(\.github(\/workflows(\/[^/]+\.ya?ml)?)?|\.circleci(\/config\.ya?ml)?|\.gitlab-ci\.ya?ml|\.travis\.ya?ml)$/;
+
+  /**
+   * @param {DiskSource|GitTreeSource} source - Reads the ignore files (see file-source.js)
+   * @param {Object} options
+   * @param {string[]} options.excludedFolders - Folder names or relative paths
+   * @param {string[]} options.excludeGlobs    - .gitignore-style patterns
+   * @param {string[]} options.includeGlobs    - .gitignore-style patterns
+   */
+  constructor(source, { excludedFolders = [], excludeGlobs = [], includeGlobs = [] } = {}) {
+    this.source = source;
+    this.excludedFolders = excludedFolders.map(f => f.replace(/\\/g, '/').replace(/^\.?\/|\/+$/g, '')).filter(Boolean);
+    this.excludeRules = compileList(excludeGlobs, 'exclude_globs');
+    this.includeRules = compileList(includeGlobs, 'include_globs');
+    this.rootRules = this.readIgnoreFile('.git/info/exclude');
+    this.dirRules = new Map(); // relative dir → rules of its ignore files
+  }
+
+  get hasIncludes() {
+    return this.includeRules.length > 0;
+  }
+
+  /**
+   * @param {string} relativePath - "/"-separated, relative to the root
+   * @param {boolean} isDir
+   * @returns {{ rule: string, source: string } | null} The rule that excludes the entry, or null
+   */
+  check(relativePath, isDir) {
+    const name = relativePath.slice(relativePath.lastIndexOf('/') + 1);
+
+    for (const folder of this.excludedFolders) {
+      const matches = folder.includes('/')
+        ? relativePath === folder || relativePath.startsWith(folder + '/')
+        : name === folder;
+      if (matches) return { rule: folder, source: 'excluded_folders' };
+    }
+
+    const hidden = (name.startsWith('.') && !name.startsWith('.env') && !name.startsWith('.htaccess')) ||
+      /^\.(github|circleci)\//.test(relativePath);
+    if (hidden && !IgnoreRules.CI_PATHS.test(relativePath)) {
+      return { rule: 'hidden files', source: 'built-in' };
+    }
+
+    const match = this.lastMatch(relativePath, isDir);
+    if (match && !match.negate) return { rule: match.pattern, source: match.source };
+
+    if (!isDir && this.hasIncludes) {
+      const include = lastMatching(this.includeRules, relativePath, isDir);
+      if (!include || include.negate) {
+        return { rule: include ? include.pattern : 'not in include_globs', source: 'include_globs' };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Last ignore pattern matching the path: project exclude_globs first (they
+   * apply last), then ignore files from the deepest directory up.
+   */
+  lastMatch(relativePath, isDir) {
+    const fromProject = lastMatching(this.excludeRules, relativePath, isDir);
+    if (fromProject) return fromProject;
+
+    const segments = relativePath.split('/');
+    for (let depth = segments.length - 1; depth >= 0; depth--) {
+      const dir = segments.slice(0, depth).join('/');
+      const rules = this.rulesOf(dir);
+      if (rules.length === 0) continue;
+      const match = lastMatching(rules, segments.slice(depth).join('/'), isDir);
+      if (match) return match;
+    }
+
+    return lastMatching(this.rootRules, relativePath, isDir);
+  }
+
+  /**
+   * Rules of the ignore files in one directory (.ignore after .gitignore, so it wins).
+   */
+  rulesOf(dir) {
+    if (!this.dirRules.has(dir)) {
+      const rules = [];
+      for (const file of IgnoreRules.IGNORE_FILES) {
+        const relativePath = dir ? `${dir}/${file}` : file;
+        rules.push(...this.readIgnoreFile(relativePath));
+      }
+      this.dirRules.set(dir, rules);
+    }
+    return this.dirRules.get(dir);
+  }
+
+  readIgnoreFile(relativePath) {
+    const content = this.source.readText(relativePath);
+    if (content === null) return [];
+    const rules = [];
+    content.split('\n').forEach((line, index) => {
+      const rule = parseIgnorePattern(line);
+      if (rule) rules.push({ ...rule, source: `${relativePath}:${index + 1}` });
+    });
+    return rules;
+  }
+}
+
+function compileList(patterns, source) {
+  return patterns
+    .map(p => parseIgnorePattern(p.trim()))
+    .filter(Boolean)
+    .map(rule => ({ ...rule, source }));
+}
+
+function lastMatching(rules, relativePath, isDir) {
+  for (let i = rules.length - 1; i >= 0; i--) {
+    const rule = rules[i];
+    if (rule.dirOnly && !isDir) continue;
+    if (rule.regex.test(relativePath)) return rule;
+  }
+  return null;
+}
+
+module.exports = IgnoreRules;
@@ -0,0 +1,377 @@
+const path = require('path');
+const { parseYaml } = require('../core/yaml');
+const { DEPENDENCY_DIRS } = require('./workspaces');
+
+/**
+ * Container topology from Dockerfiles and docker-compose files:
+ *
+ *   Dockerfile, Dockerfile.*, *.Dockerfile, Containerfile
+ *       stages (base images with tag / digest), exposed ports, ENV, VOLUME, USER
+ *   docker-compose*.yml, compose*.yml
+ *       services — image or build (linked to its Dockerfile), ports, environment,
+ *       volumes, depends_on, networks — plus the named volumes and networks
+ *
+ * Warnings: base images without a pinned version (no tag or "latest", no
+ * digest) and containers running as root (a final stage without a non-root
+ * USER, a service with user: root). Values of secret-looking environment
+ * variables are masked.
+ */
+
+const DOCKERFILE = /^(Dockerfile|Containerfile)([.-].+)?$|\.(dockerfile|containerfile)$/i;
+const COMPOSE_FILE = /^(docker-)?compose([.-][\w.-]+)?\.ya?ml$/i;
+const SECRET_NAME = /pass(word)?|passwd|pwd|secret|token|api[-_]?key|private[-_]?key|credential|auth/i;
+const MASK = '***';
+
+function isDockerfile(name) {
+  return DOCKERFILE.test(name);
+}
+
+function isComposeFile(name) {
+  return COMPOSE_FILE.test(name);
+}
+
+/**
+ * @param {Object<string, string>} fileContents - _fileContents
+ * @param {Array<{ path, name }>} files - fileSystem.files
+ * @returns {Object|null} techStack.infrastructure; null without Dockerfiles and compose files
+ */
+function analyzeContainers(fileContents, files) {
+  const readable = files.filter(f => typeof fileContents[f.path] === 'string' && !DEPENDENCY_DIRS.test(f.path));
+  const dockerfiles = readable.filter(f => isDockerfile(f.name)).map(f => parseDockerfile(fileContents[f.path], f.path));
+  const composeFiles = readable.filter(f => isComposeFile(f.name)).map(f => parseCompose(fileContents[f.path], f.path));
+  if (dockerfiles.length === 0 && composeFiles.length === 0) return null;
+
+  const byPath = new Map(dockerfiles.map(d => [d.path, d]));
+  const services = composeFiles.flatMap(c => c.services);
+  for (const service of services) {
+    const dockerfile = service.build && byPath.get(service.build.dockerfile);
+    if (dockerfile) {
+      service.dockerfile = dockerfile.path;
+      service.baseImage = dockerfile.baseImage;
+    }
+  }
+
+  const warnings = [
+    ...dockerfiles.flatMap(d => d.warnings),
+    ...composeFiles.flatMap(c => c.warnings)
+  ].sort((a, b) => a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0));
+
+  return {
+    dockerfiles: dockerfiles.map(({ warnings: _, ...d }) => d),
+    composeFiles: composeFiles.map(c => c.path),
+    services,
+    volumes: [...new Set(composeFiles.flatMap(c => c.volumes))].sort(),
+    networks: [...new Set(composeFiles.flatMap(c => c.networks))].sort(),
+    warnings
+  };
+}
+
+// ─── Dockerfile ───
+
+function parseDockerfile(content, filePath) {
+  const stages = [];
+  const globalArgs = {};
+  const warnings = [];
+  let stage = null;
+
+  for (const { line, instruction, args } of dockerInstructions(content)) {
+    if (instruction === 'ARG' && !stage) {
+      const [name, value] = args.split('=');
+      globalArgs[name.trim()] = value === undefined ? null : unquote(value.trim());
+      continue;
+    }
+
+    if (instruction === 'FROM') {
+      const words = args.split(/\s+/).filter(w => !w.startsWith('--'));
+      const ref = substitute(words[0] || '', globalArgs);
+      const alias = /^as$/i.test(words[1] || '') ? words[2] : null;
+      const parent = stages.find(s => s.name && s.name.toLowerCase() === ref.toLowerCase());
+      stage = {
+        name: alias || null,
+        ...(parent ? { image: ref, tag: null, digest: null, stage: true } : parseImage(ref)),
+        line,
+        parent: parent || null,
+        exposedPorts: [],
+        env: [],
+        volumes: [],
+        user: null,
+        userLine: null,
+        healthcheck: false
+      };
+      stages.push(stage);
+      continue;
+    }
+    if (!stage) continue;
+
+    switch (instruction) {
+      case 'EXPOSE':
+        stage.exposedPorts.push(...args.split(/\s+/).filter(Boolean));
+        break;
+      case 'ENV':
+        stage.env.push(...parseEnvInstruction(args));
+        break;
+      case 'VOLUME':
+        stage.volumes.push(...(parseJsonArray(args) || args.split(/\s+/).filter(Boolean)));
+        break;
+      case 'USER':
+        stage.user = args.trim();
+        stage.userLine = line;
+        break;
+      case 'HEALTHCHECK':
+        stage.healthcheck = !/^NONE\b/i.test(args.trim());
+        break;
+    }
+  }
+
+  for (const s of stages) {
+    if (s.stage || s.image === 'scratch' || s.digest || s.image.includes('$')) continue;
+    if (!s.tag || s.tag === 'latest') {
+      warnings.push(latestWarning(filePath, s.line, s.tag ? `${s.image}:${s.tag}` : s.image));
+    }
+  }
+
+  // The final stage inherits everything of the stages it is built FROM
+  const final = stages[stages.length - 1] || null;
+  const chain = [];
+  for (let s = final; s && chain.length <= stages.length; s = s.parent) chain.unshift(s);
+  const user = [...chain].reverse().find(s => s.user);
+  const base = chain[0] || null;
+
+  if (final && !(user && !isRoot(user.user))) {
+    warnings.push({
+      type: 'root_user',
+      file: filePath,
+      line: user ? user.userLine : final.line,
+      message: user ? `The container runs as root (USER ${user.user})` : 'The container runs as root — the final stage sets no USER'
+    });
+  }
+
+  return {
+    path: filePath,
+    stages: stages.map(s => ({ name: s.name, image: s.image, tag: s.tag, digest: s.digest, line: s.line, ...(s.stage ? { stage: true } : {}) })),
+    baseImage: base ? { image: base.image, tag: base.tag, digest: base.digest } : null,
+    exposedPorts: [...new Set(chain.flatMap(s => s.exposedPorts))],
+    env: mergeEnv(chain.flatMap(s => s.env)),
+    volumes: [...new Set(chain.flatMap(s => s.volumes))],
+    user: user ? user.user : null,
+    healthcheck: chain.some(s => s.healthcheck),
+    warnings
+  };
+}
+
+/**
+ * Instructions of a Dockerfile with the line they start on; continuation
+ * lines (trailing "\") are joined, comments skipped.
+ */
+function dockerInstructions(content) {
+  const instructions = [];
+  const lines = String(content).replace(/\r\n?/g, '\n').split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const start = i + 1;
+    let text = lines[i];
+    if (/^\s*#/.test(text)) continue;
+    while (/\\\s*$/.test(text) && i + 1 < lines.length) {
+      i++;
+      // Comment lines inside a continuation are dropped
+      if (!/^\s*#/.test(lines[i])) text = text.replace(/\\\s*$/, ' ') + lines[i];
+    }
+    const match = /^\s*([A-Za-z]+)\s+(.*)$/.exec(text);
+    if (match) instructions.push({ line: start, instruction: match[1].toUpperCase(), args: match[2].trim() });
+  }
+  return instructions;
+}
+
+// "ENV A=1 B=\"x y\"" or the legacy "ENV A some value"
+function parseEnvInstruction(args) {
+  if (!/^[\w.-]+=/.test(args)) {
+    const [name, ...value] = args.split(/\s+/);
+    return [envVar(name, value.join(' '))];
+  }
+  return [...args.matchAll(/([\w.-]+)=("(?:[^"\\]|\\.)*"|'[^']*'|\S*)/g)].map(m => envVar(m[1], unquote(m[2])));
+}
+
+// ─── docker-compose ───
+
+function parseCompose(content, filePath) {
+  const doc = parseYaml(content);
+  const dir = path.posix.dirname(filePath);
+  const result = { path: filePath, services: [], volumes: [], networks: [], warnings: [] };
+  if (!doc || typeof doc !== 'object') return result;
+
+  result.volumes = Object.keys(isObject(doc.volumes) ? doc.volumes : {});
+  result.networks = Object.keys(isObject(doc.networks) ? doc.networks : {});
+
+  for (const [name, raw] of Object.entries(isObject(doc.services) ? doc.services : {})) {
+    const svc = isObject(raw) ? raw : {};
+    const line = lineOfKey(content, name);
+    const build = svc.build ? parseBuild(svc.build, dir) : null;
+    const image = typeof svc.image === 'string' ? svc.image : null;
+
+    const service = {
+      name,
+      file: filePath,
+      line,
+      image,
+      build,
+      dockerfile: null,
+      baseImage: null,
+      ports: asList(svc.ports).map(parsePort).filter(Boolean),
+      expose: asList(svc.expose).map(String),
+      environment: parseEnvironment(svc.environment),
+      envFiles: asList(svc.env_file).map(e => (isObject(e) ? e.path : e)).filter(e => typeof e === 'string'),
+      volumes: asList(svc.volumes).map(parseVolume).filter(Boolean),
+      dependsOn: isObject(svc.depends_on) ? Object.keys(svc.depends_on) : asList(svc.depends_on).map(String),
+      networks: isObject(svc.networks) ? Object.keys(svc.networks) : asList(svc.networks).map(String),
+      user: svc.user != null ? String(svc.user) : null,
+      restart: typeof svc.restart === 'string' ? svc.restart : null,
+      healthcheck: isObject(svc.healthcheck) && svc.healthcheck.disable !== true
+    };
+    result.services.push(service);
+
+    // With build, "image" names the image being built
+    if (image && !build && !image.includes('$')) {
+      const ref = parseImage(image);
+      if (!ref.digest && (!ref.tag || ref.tag === 'latest')) result.warnings.push({ ...latestWarning(filePath, line, image), service: name });
+    }
+    if (service.user && isRoot(service.user)) {
+      result.warnings.push({ type: 'root_user', file: filePath, line, service: name, message: `Service "${name}" runs as root (user: ${service.user})` });
+    }
+  }
+  return result;
+}
+
+// build: "./api" or { context, dockerfile } → { context, dockerfile } (paths from the project root)
+function parseBuild(build, dir) {
+  const context = typeof build === 'string' ? build : (typeof build.context === 'string' ? build.context : '.');
+  const dockerfile = isObject(build) && typeof build.dockerfile === 'string' ? build.dockerfile : 'Dockerfile';
+  const contextPath = path.posix.normalize(path.posix.join(dir, context));
+  return {
+    context: contextPath,
+    dockerfile: path.posix.normalize(path.posix.join(contextPath, dockerfile)).replace(/^\.\//, '')
+  };
+}
+
+// "127.0.0.1:8080:80/tcp" | 80 | { target, published, protocol } → { published, target, protocol }
+function parsePort(port) {
+  if (isObject(port)) {
+    if (port.target == null) return null;
+    return { published: port.published != null ? String(port.published) : null, target: String(port.target), protocol: port.protocol || 'tcp' };
+  }
+  if (port == null) return null;
+  const [mapping, protocol = 'tcp'] = String(port).split('/');
+  const parts = mapping.split(':');
+  return { published: parts.length > 1 ? parts[parts.length - 2] : null, target: parts[parts.length - 1], protocol };
+}
+
+// "./data:/var/lib/data:ro" | { type, source, target } → { type: bind | volume | anonymous, source, target, readOnly }
+function parseVolume(volume) {
+  if (isObject(volume)) {
+    if (!volume.target) return null;
+    return { type: volume.type || (volume.source ? 'volume' : 'anonymous'), source: volume.source || null, target: String(volume.target), readOnly: volume.read_only === true };
+  }
+  if (typeof volume !== 'string') return null;
+  const parts = volume.split(':');
+  if (parts.length === 1) return { type: 'anonymous', source: null, target: parts[0], readOnly: false };
+  const source = parts[0];
+  return {
+    type: /^[./~]|^\$/.test(source) ? 'bind' : 'volume',
+    source,
+    target: parts[1],
+    readOnly: /(^|,)ro(,|$)/.test(parts[2] || '')
+  };
+}
+
+// ["A=1", "B"] | { A: 1, B: null } → [{ name, value }]
+function parseEnvironment(environment) {
+  if (isObject(environment)) {
+    return Object.entries(environment).map(([name, value]) => envVar(name, value == null ? null : String(value)));
+  }
+  return asList(environment).filter(e => typeof e === 'string').map(e => {
+    const eq = e.indexOf('=');
+    return eq === -1 ? envVar(e, null) : envVar(e.slice(0, eq), e.slice(eq + 1));
+  });
+}
+
+// Line of a service key ("  web:") in the compose file
+function lineOfKey(content, key) {
+  const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const match = new RegExp(`^[ \\t]+["']?${escaped}["']?[ \\t]*:`, 'm').exec(content);
+  return match ? content.slice(0, match.index).split('\n').length : null;
+}
+
+// ─── Helpers ───
+
+/**
+ * "registry:5000/team/app:1.2@sha256:…" → { image: 'registry:5000/team/app', tag: '1.2', digest: 'sha256:…' }
+ */
+function parseImage(ref) {
+  let rest = String(ref);
+  let digest = null;
+  const at = rest.indexOf('@');
+  if (at !== -1) {
+    digest = rest.slice(at + 1);
+    rest = rest.slice(0, at);
+  }
+  const colon = rest.lastIndexOf(':');
+  const tag = colon > rest.lastIndexOf('/') ? rest.slice(colon + 1) : null;
+  return { image: tag !== null ? rest.slice(0, colon) : rest, tag, digest };
+}
+
+function latestWarning(file, line, image) {
+  return {
+    type: 'latest_tag',
+    file,
+    line,
+    image,
+    message: `Image "${image}" is not pinned to a version (latest tag)`
+  };
+}
+
+// root, 0, root:root, 0:0
+function isRoot(user) {
+  return /^(root|0)(:|$)/.test(String(user).trim());
+}
+
+// ${NAME}, ${NAME:-default} and $NAME from the ARGs declared before the first FROM
+function substitute(text, args) {
+  return text.replace(/\$\{(\w+)(?::?-([^}]*))?\}|\$(\w+)/g, (all, braced, fallback, bare) => {
+    const value = args[braced || bare];
+    return value != null && value !== '' ? value : fallback !== undefined ? fallback : all;
+  });
+}
+
+function envVar(name, value) {
+  return { name, value: value != null && SECRET_NAME.test(name) ? MASK : value };
+}
+
+// The last value of a variable wins
+function mergeEnv(vars) {
+  const byName = new Map();
+  for (const v of vars) byName.set(v.name, v);
+  return [...byName.values()];
+}
+
+function parseJsonArray(text) {
+  if (!text.startsWith('[')) return null;
+  try {
+    const list = JSON.parse(text);
+    return Array.isArray(list) ? list.map(String) : null;
+  } catch {
+    return null;
+  }
+}
+
+function unquote(value) {
+  return /^(["']).*\1$/.test(value) ? value.slice(1, -1) : value;
+}
+
+function asList(value) {
+  if (Array.isArray(value)) return value;
+  return value == null ? [] : [value];
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = { analyzeContainers, isDockerfile, isComposeFile, parseImage };
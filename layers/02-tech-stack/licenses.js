@@ -0,0 +1,497 @@
+const fs = require('fs');
+const path = require('path');
+const { ecosystemOf } = require('./manifests');
+
+/**
+ * Licenses of the installed npm and Composer dependencies, checked against
+ * the project's allow / deny policy, and the attribution (NOTICE) document
+ * built from them.
+ *
+ * A package's license comes from, first match wins:
+ *   1. its installed manifest — node_modules/<name>/package.json (nested
+ *      node_modules and pnpm's .pnpm store included) or vendor/composer/installed.json
+ *   2. the lockfile (package-lock.json v2+, composer.lock)
+ *   3. its LICENSE / COPYING file, recognised by text
+ * LICENSE files also give the copyright lines and the license texts of the
+ * NOTICE document. Installed packages are read from disk only for
+ * working-directory runs (node_modules and vendor are not in git).
+ *
+ * Policy: project.license_allow / license_deny — SPDX ids, case-insensitive,
+ * "*" matches any characters ("GPL-*"). An expression passes when one of its
+ * alternatives ("MIT OR GPL-3.0") has no denied license and, with an allow
+ * list, only allowed ones.
+ */
+
+const MAX_INSTALLED_PACKAGES = 20000;
+const MAX_NESTING = 8;
+const MAX_LICENSE_TEXT = 20 * 1024;
+const MAX_COPYRIGHT_LINES = 3;
+
+const LICENSE_FILE = /^(licen[cs]e|copying|unlicense)(\.(md|txt|markdown|rst))?$|^licen[cs]e[-_.]/i;
+
+// Common non-SPDX spellings found in manifests
+const ALIASES = {
+  'apache 2.0': 'Apache-2.0',
+  'apache2': 'Apache-2.0',
+  'apache-2': 'Apache-2.0',
+  'apache license 2.0': 'Apache-2.0',
+  'apache license, version 2.0': 'Apache-2.0',
+  'mit license': 'MIT',
+  'the mit license': 'MIT',
+  'new bsd': 'BSD-3-Clause',
+  'bsd-3': 'BSD-3-Clause',
+  'bsd-2': 'BSD-2-Clause',
+  'gplv2': 'GPL-2.0',
+  'gplv3': 'GPL-3.0',
+  'lgplv3': 'LGPL-3.0'
+};
+
+// License texts, most specific first
+const TEXT_SIGNATURES = [
+  { id: 'AGPL-3.0', test: /GNU AFFERO GENERAL PUBLIC LICENSE/i },
+  { id: 'LGPL-3.0', test: /GNU LESSER GENERAL PUBLIC LICENSE[\s\S]{0,200}Version 3/i },
+  { id: 'LGPL-2.1', test: /GNU LESSER GENERAL PUBLIC LICENSE[\s\S]{0,200}Version 2\.1/i },
+  { id: 'GPL-3.0', test: /GNU GENERAL PUBLIC LICENSE[\s\S]{0,200}Version 3/i },
+  { id: 'GPL-2.0', test: /GNU GENERAL PUBLIC LICENSE[\s\S]{0,200}Version 2/i },
+  { id: 'MPL-2.0', test: /Mozilla Public License,? [Vv]ersion 2\.0/ },
+  { id: 'Apache-2.0', test: /Apache License[\s\S]{0,100}Version 2\.0/i },
+  { id: 'Unlicense', test: /This is free and unencumbered software released into the public domain/i },
+  { id: 'CC0-1.0', test: /CC0 1\.0 Universal/i },
+  { id: 'ISC', test: /Permission to use, copy, modify, and(\/or)? distribute this software for any\s+purpose with or without fee/i },
+  { id: 'MIT', test: /Permission is hereby granted, free of charge, to any person obtaining a copy/i },
+  { id: 'BSD-3-Clause', test: /Redistribution and use in source and binary forms[\s\S]*Neither the name/i },
+  { id: 'BSD-2-Clause', test: /Redistribution and use in source and binary forms/i }
+];
+
+/**
+ * License inventory of the project's dependencies.
+ *
+ * @param {Object} techStack - dependencies, devDependencies, dependencyTree
+ * @param {Object} options
+ * @param {string|null} options.rootPath - Project root; null skips installed packages (revision runs)
+ * @param {{ allow: string[], deny: string[] }} options.policy
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object|null>} techStack.licenses; null when the project has no dependencies
+ */
+async function analyzeLicenses(techStack, { rootPath, policy, signal }) {
+  const declared = [...(techStack.dependencies || []), ...(techStack.devDependencies || [])]
+    .filter(d => d.source && !d.workspace && ['npm', 'composer'].includes(ecosystemOf(d.source)) &&
+      !(ecosystemOf(d.source) === 'composer' && isPlatform(d.name)));
+  const tree = techStack.dependencyTree;
+  if (declared.length === 0 && !tree?.packages?.length) return null;
+
+  const manifestDirs = [...new Set(['', ...declared.map(d => dirOf(d.source))])];
+  const installed = rootPath ? await scanInstalled(rootPath, manifestDirs, signal) : new Map();
+  const installedByName = new Map();
+  for (const pkg of installed.values()) {
+    const key = `${pkg.ecosystem}:${pkg.name.toLowerCase()}`;
+    if (!installedByName.has(key)) installedByName.set(key, pkg);
+  }
+
+  // ─── Packages: lockfile tree, else what is installed, plus declared ones found nowhere ───
+  const packages = new Map(); // ecosystem:name@version → entry
+  const add = (pkg) => {
+    const key = `${pkg.ecosystem}:${pkg.name.toLowerCase()}@${pkg.version}`;
+    if (!packages.has(key)) packages.set(key, { ...pkg, sources: [] });
+    return packages.get(key);
+  };
+  for (const p of tree?.packages || []) {
+    add({ name: p.name, version: p.version, ecosystem: p.ecosystem, direct: p.direct, dev: p.dev, lockfile: p.lockfile, lockLicense: p.license, locked: true });
+  }
+  const locked = new Set((tree?.packages || []).map(p => p.ecosystem));
+  for (const pkg of installed.values()) {
+    if (!locked.has(pkg.ecosystem)) add({ name: pkg.name, version: pkg.version, ecosystem: pkg.ecosystem, direct: false, dev: false, owner: pkg.owner });
+  }
+  for (const d of declared) {
+    const ecosystem = ecosystemOf(d.source);
+    const name = d.name.toLowerCase();
+    const matches = [...packages.values()].filter(p => p.ecosystem === ecosystem && p.name.toLowerCase() === name &&
+      (!d.locked || p.version === d.locked));
+    const entries = matches.length > 0 ? matches : [add({ name: d.name, version: d.locked || null, ecosystem, direct: true, dev: d.type === 'dev' })];
+    for (const entry of entries) {
+      entry.direct = true;
+      // Without a lockfile a package is dev-only when every manifest declares it as a dev dependency
+      if (!entry.locked) entry.dev = (entry.sources.length === 0 || entry.dev) && d.type === 'dev';
+      if (!entry.sources.includes(d.source)) entry.sources.push(d.source);
+    }
+  }
+
+  // ─── License of every package ───
+  const texts = {};
+  const inventory = [];
+  let i = 0;
+  for (const pkg of packages.values()) {
+    if (++i % 200 === 0) signal?.throwIfAborted();
+    const lookupName = pkg.name.toLowerCase();
+    const disk = installed.get(`${pkg.ecosystem}:${lookupName}@${pkg.version}`) ||
+      installedByName.get(`${pkg.ecosystem}:${lookupName}`);
+    const file = disk ? await readLicenseFile(disk.dir, disk.licenseFile) : null;
+
+    let license = null;
+    let licenseSource = null;
+    if (disk?.license) {
+      license = disk.license;
+      licenseSource = 'manifest';
+    } else if (pkg.lockLicense) {
+      license = normalizeLicense(pkg.lockLicense);
+      licenseSource = 'lockfile';
+    } else if (file?.license) {
+      license = file.license;
+      licenseSource = 'file';
+    }
+
+    // One text per license for the NOTICE document (a recognisable license only from a file that reads like it)
+    const single = parseExpression(license);
+    const id = single && single.length === 1 && single[0].length === 1 ? single[0][0] : null;
+    const recognisable = TEXT_SIGNATURES.some(s => s.id === id);
+    if (id && file?.text && !texts[id] && (file.license === id || !recognisable)) {
+      texts[id] = file.text;
+    }
+
+    const sources = pkg.sources.length > 0 ? pkg.sources
+      : [pkg.lockfile || (pkg.owner ?? null)].filter(s => s !== null);
+    inventory.push({
+      name: pkg.name,
+      version: pkg.version,
+      ecosystem: pkg.ecosystem,
+      license,
+      licenseSource,
+      copyright: file?.copyright || [],
+      direct: Boolean(pkg.direct),
+      dev: Boolean(pkg.dev),
+      sources
+    });
+  }
+
+  inventory.sort((a, b) => Number(b.direct) - Number(a.direct) || a.name.localeCompare(b.name));
+
+  // ─── Policy ───
+  const cleanPolicy = {
+    allow: (policy?.allow || []).map(s => String(s).trim()).filter(Boolean),
+    deny: (policy?.deny || []).map(s => String(s).trim()).filter(Boolean)
+  };
+  const violations = [];
+  for (const pkg of inventory) {
+    const reason = evaluatePolicy(pkg.license, cleanPolicy);
+    if (!reason) continue;
+    for (const source of pkg.sources.length > 0 ? pkg.sources : [null]) {
+      violations.push({ name: pkg.name, version: pkg.version, ecosystem: pkg.ecosystem, license: pkg.license, reason, direct: pkg.direct, dev: pkg.dev, source });
+    }
+  }
+  const order = ['denied', 'not allowed', 'unknown'];
+  violations.sort((a, b) => order.indexOf(a.reason) - order.indexOf(b.reason) || a.name.localeCompare(b.name));
+
+  const byLicense = {};
+  for (const pkg of inventory) {
+    if (pkg.license) byLicense[pkg.license] = (byLicense[pkg.license] || 0) + 1;
+  }
+
+  return {
+    policy: cleanPolicy,
+    totalPackages: inventory.length,
+    installedScanned: installed.size,
+    unknown: inventory.filter(p => !p.license).length,
+    byLicense: Object.fromEntries(Object.entries(byLicense).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))),
+    violations,
+    packages: inventory.map(({ sources, ...p }) => p),
+    texts
+  };
+}
+
+// ─── Installed packages (node_modules, vendor) ───
+
+/**
+ * @returns {Promise<Map<string, { name, version, ecosystem, license, licenseFile, dir, owner }>>}
+ *   keyed by ecosystem:lowercased-name@version
+ */
+async function scanInstalled(rootPath, manifestDirs, signal) {
+  const installed = new Map();
+  for (const dir of manifestDirs) {
+    signal?.throwIfAborted();
+    const base = path.join(rootPath, dir);
+    await scanNodeModules(path.join(base, 'node_modules'), installed, path.posix.join(dir, 'package.json'), 0);
+    await scanVendor(path.join(base, 'vendor'), installed, path.posix.join(dir, 'composer.json'));
+  }
+  return installed;
+}
+
+async function scanNodeModules(dir, installed, owner, nesting) {
+  if (nesting > MAX_NESTING || installed.size >= MAX_INSTALLED_PACKAGES) return;
+  const entries = await readDir(dir);
+  for (const entry of entries) {
+    if (entry.startsWith('.') && entry !== '.pnpm') continue;
+    if (entry === '.pnpm') {
+      // pnpm store: .pnpm/<name>@<version>[_peers]/node_modules/<name>
+      for (const stored of await readDir(path.join(dir, entry))) {
+        const at = stored.indexOf('@', 1);
+        if (at <= 0) continue;
+        const name = stored.slice(0, at).replace('+', '/');
+        await readNpmPackage(path.join(dir, entry, stored, 'node_modules', name), installed, owner);
+      }
+      continue;
+    }
+    const names = entry.startsWith('@')
+      ? (await readDir(path.join(dir, entry))).map(scoped => `${entry}/${scoped}`)
+      : [entry];
+    for (const name of names) {
+      const packageDir = path.join(dir, name);
+      // Workspace links point back into the project — those are not installed packages
+      const real = await fs.promises.realpath(packageDir).catch(() => null);
+      if (!real || !real.split(path.sep).includes('node_modules')) continue;
+      await readNpmPackage(packageDir, installed, owner);
+      await scanNodeModules(path.join(packageDir, 'node_modules'), installed, owner, nesting + 1);
+    }
+  }
+}
+
+async function readNpmPackage(dir, installed, owner) {
+  const manifest = parseJson(await readText(path.join(dir, 'package.json')));
+  if (!manifest || typeof manifest.name !== 'string' || !manifest.version) return;
+  const key = `npm:${manifest.name.toLowerCase()}@${manifest.version}`;
+  if (installed.has(key)) return;
+
+  let license = manifest.license ?? manifest.licenses;
+  if (Array.isArray(license)) license = license.map(l => (typeof l === 'object' ? l?.type : l)).filter(Boolean).join(' OR ');
+  else if (license && typeof license === 'object') license = license.type;
+  // "SEE LICENSE IN <file>" — the file is recognised by its text
+  const seeFile = typeof license === 'string' && license.match(/^SEE LICEN[CS]E IN (.+)$/i);
+
+  installed.set(key, {
+    name: manifest.name,
+    version: String(manifest.version),
+    ecosystem: 'npm',
+    license: seeFile ? null : normalizeLicense(license),
+    licenseFile: seeFile ? seeFile[1].trim() : null,
+    dir,
+    owner
+  });
+}
+
+async function scanVendor(vendorDir, installed, owner) {
+  const data = parseJson(await readText(path.join(vendorDir, 'composer', 'installed.json')));
+  // Composer 2: { packages: [...] }; Composer 1: [...]
+  const list = Array.isArray(data) ? data : Array.isArray(data?.packages) ? data.packages : [];
+  for (const p of list) {
+    if (typeof p?.name !== 'string' || !p.version) continue;
+    const key = `composer:${p.name.toLowerCase()}@${p.version}`;
+    if (installed.has(key)) continue;
+    installed.set(key, {
+      name: p.name,
+      version: String(p.version),
+      ecosystem: 'composer',
+      license: normalizeLicense(p.license),
+      licenseFile: null,
+      dir: p['install-path'] ? path.resolve(vendorDir, 'composer', p['install-path']) : path.join(vendorDir, p.name),
+      owner
+    });
+  }
+}
+
+/**
+ * LICENSE / COPYING file of an installed package.
+ * @returns {Promise<{ file, license, text, copyright }|null>}
+ */
+async function readLicenseFile(dir, named = null) {
+  let file = named;
+  if (!file) {
+    const candidates = (await readDir(dir)).filter(name => LICENSE_FILE.test(name)).sort((a, b) => a.length - b.length);
+    file = candidates[0];
+  }
+  if (!file) return null;
+  const text = await readText(path.join(dir, file));
+  if (text === null) return null;
+  return {
+    file,
+    license: detectLicenseText(text),
+    text: text.length > MAX_LICENSE_TEXT ? text.slice(0, MAX_LICENSE_TEXT) + '\n[…]' : text,
+    copyright: copyrightLines(text)
+  };
+}
+
+function detectLicenseText(text) {
+  return TEXT_SIGNATURES.find(s => s.test.test(text))?.id || null;
+}
+
+function copyrightLines(text) {
+  const lines = [];
+  for (const line of text.split(/\r?\n/)) {
+    const trimmed = line.trim().replace(/^[#*/\s]+/, '');
+    if (!/^(copyright\b|\(c\)|©)/i.test(trimmed) || !/\d{4}|[A-Za-z]{3,}\s+[A-Za-z]/.test(trimmed.slice(9))) continue;
+    // Skip the license's own boilerplate ("Copyright notice", "copyright holders")
+    if (/^copyright (notice|holder|and permission|law|\(c\) <year>)/i.test(trimmed)) continue;
+    const clean = trimmed.slice(0, 200);
+    if (!lines.includes(clean)) lines.push(clean);
+    if (lines.length >= MAX_COPYRIGHT_LINES) break;
+  }
+  return lines;
+}
+
+// ─── Expressions and policy ───
+
+/**
+ * Manifest license value → SPDX expression string (null when missing).
+ * Composer lists are alternatives ("MIT OR GPL-2.0").
+ */
+function normalizeLicense(value) {
+  if (Array.isArray(value)) {
+    const parts = value.map(v => normalizeLicense(v)).filter(Boolean);
+    if (parts.length === 0) return null;
+    return parts.length === 1 ? parts[0] : parts.map(p => (/\s/.test(p) ? `(${p})` : p)).join(' OR ');
+  }
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  if (!text) return null;
+  return ALIASES[text.toLowerCase()] || text;
+}
+
+/**
+ * SPDX expression → OR-list of AND-lists of license ids ("WITH" exceptions
+ * are kept on their license); null when it cannot be read.
+ */
+function parseExpression(expression) {
+  if (!expression) return null;
+  const tokens = String(expression).replace(/[()]/g, ' $& ').trim().split(/\s+/);
+  let pos = 0;
+
+  const parseOr = () => {
+    let result = parseAnd();
+    while (result && /^or$/i.test(tokens[pos] || '')) {
+      pos++;
+      const right = parseAnd();
+      if (!right) return null;
+      result = [...result, ...right];
+    }
+    return result;
+  };
+  const parseAnd = () => {
+    let result = parseAtom();
+    while (result && /^and$/i.test(tokens[pos] || '')) {
+      pos++;
+      const right = parseAtom();
+      if (!right) return null;
+      result = result.flatMap(left => right.map(r => [...left, ...r]));
+    }
+    return result;
+  };
+  const parseAtom = () => {
+    const token = tokens[pos++];
+    if (token === '(') {
+      const inner = parseOr();
+      return tokens[pos++] === ')' ? inner : null;
+    }
+    if (!token || /^(and|or|with|\))$/i.test(token)) return null;
+    let id = token;
+    if (/^with$/i.test(tokens[pos] || '') && tokens[pos + 1]) {
+      id = `${token} WITH ${tokens[pos + 1]}`;
+      pos += 2;
+    }
+    return [[id]];
+  };
+
+  const result = parseOr();
+  return result && pos === tokens.length ? result : null;
+}
+
+/**
+ * @returns {'denied'|'not allowed'|'unknown'|null} null when the license passes (or there is no policy)
+ */
+function evaluatePolicy(license, policy) {
+  const { allow = [], deny = [] } = policy || {};
+  if (allow.length === 0 && deny.length === 0) return null;
+
+  const alternatives = parseExpression(license);
+  if (!alternatives) return allow.length > 0 ? 'unknown' : null;
+
+  // "Apache-2.0 WITH LLVM-exception" matches "Apache-2.0" patterns too
+  const matches = (id, patterns) => patterns.some(p => {
+    const re = patternToRegExp(p);
+    return re.test(id) || re.test(id.replace(/ WITH .*$/, ''));
+  });
+  const denied = (set) => set.some(id => matches(id, deny));
+  const allowed = (set) => allow.length === 0 || set.every(id => matches(id, allow));
+  if (alternatives.some(set => !denied(set) && allowed(set))) return null;
+  return alternatives.every(denied) ? 'denied' : 'not allowed';
+}
+
+function patternToRegExp(pattern) {
+  const escaped = pattern.trim().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+// ─── NOTICE document ───
+
+/**
+ * Attribution document: every package with its license and copyright lines,
+ * followed by the text of each license.
+ * @param {Object} licenses - techStack.licenses
+ * @param {Object} options
+ * @param {string} options.projectName
+ * @param {boolean} options.includeDev - Also list dev-only packages (not shipped with the product)
+ * @returns {string}
+ */
+function buildNotice(licenses, { projectName = 'This project', includeDev = false } = {}) {
+  const packages = (licenses?.packages || []).filter(p => includeDev || !p.dev)
+    .slice().sort((a, b) => a.name.localeCompare(b.name) || String(a.version).localeCompare(String(b.version)));
+  const rule = '='.repeat(72);
+  const lines = [
+    'THIRD-PARTY SOFTWARE NOTICES',
+    '',
+    `${projectName} includes the following third-party packages.`,
+    ''
+  ];
+
+  for (const p of packages) {
+    lines.push(rule, `${p.name}${p.version ? ` ${p.version}` : ''} (${p.ecosystem})`, `License: ${p.license || 'UNKNOWN'}`);
+    lines.push(...p.copyright);
+    lines.push('');
+  }
+
+  const used = new Set(packages.flatMap(p => (parseExpression(p.license) || []).flat()));
+  const texts = Object.entries(licenses?.texts || {}).filter(([id]) => used.has(id)).sort((a, b) => a[0].localeCompare(b[0]));
+  if (texts.length > 0) {
+    lines.push(rule, 'LICENSE TEXTS', '');
+    for (const [id, text] of texts) {
+      lines.push(`${'-'.repeat(20)} ${id} ${'-'.repeat(20)}`, '', text.trim(), '');
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+// ─── Helpers ───
+
+// Composer platform requirements (php, ext-*, lib-*) are not packages
+function isPlatform(name) {
+  return /^(php(-64bit)?|hhvm|composer(-plugin|-runtime)?-api|ext-.+|lib-.+)$/i.test(name);
+}
+
+function dirOf(filePath) {
+  const dir = path.posix.dirname(filePath);
+  return dir === '.' ? '' : dir;
+}
+
+async function readDir(dir) {
+  try {
+    return await fs.promises.readdir(dir);
+  } catch {
+    return [];
+  }
+}
+
+async function readText(file) {
+  try {
+    return await fs.promises.readFile(file, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+function parseJson(text) {
+  if (text === null) return null;
+  try {
+    return JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { analyzeLicenses, parseExpression, evaluatePolicy, normalizeLicense, detectLicenseText, buildNotice };
@@ -0,0 +1,451 @@
+const path = require('path');
+const { parseYaml } = require('../core/yaml');
+const { satisfies, compareVersions } = require('../core/semver');
+const { DEPENDENCY_DIRS } = require('./workspaces');
+const { ecosystemOf } = require('./manifests');
+
+/**
+ * Lockfiles: the exact versions installed for the manifest ranges, and the
+ * transitive dependency tree behind them.
+ *
+ *   package-lock.json / npm-shrinkwrap.json   v1 (nested) and v2/v3 (flat "packages")
+ *   yarn.lock                                 classic v1 and Berry (YAML)
+ *   pnpm-lock.yaml                            v5, v6 and v9
+ *   composer.lock
+ *
+ * Every parser returns the same graph — packages keyed by a parser-specific
+ * id, each with its resolved dependency ids — plus `direct(importer, name,
+ * range)`, which finds the package a manifest in `importer` (folder relative
+ * to the lockfile) gets for a dependency.
+ */
+
+// In one folder the first lockfile of an ecosystem wins (npm-shrinkwrap.json overrides package-lock.json)
+const LOCKFILES = [
+  { name: 'pnpm-lock.yaml', type: 'pnpm', ecosystem: 'npm', parse: parsePnpmLock },
+  { name: 'yarn.lock', type: 'yarn', ecosystem: 'npm', parse: parseYarnLock },
+  { name: 'npm-shrinkwrap.json', type: 'npm', ecosystem: 'npm', parse: parseNpmLock },
+  { name: 'package-lock.json', type: 'npm', ecosystem: 'npm', parse: parseNpmLock },
+  { name: 'composer.lock', type: 'composer', ecosystem: 'composer', parse: parseComposerLock }
+];
+
+const LOCKFILE_NAMES = new Set(LOCKFILES.map(l => l.name));
+
+const PLATFORM_PACKAGE = /^(php(-64bit)?|hhvm|composer(-plugin|-runtime)?-api|ext-.+|lib-.+)$/i;
+
+/**
+ * Parses the project's lockfiles and resolves the declared dependencies.
+ * Declared dependencies found in a lockfile get `locked` (the installed version).
+ *
+ * @param {Object<string, string>} fileContents - _fileContents
+ * @param {Array<{ path, name, size }>} files - fileSystem.files
+ * @param {Array<{ name, version, type, source, workspace? }>} declared - techStack dependencies + devDependencies
+ * @returns {Object|null} techStack.dependencyTree; null when the project has no lockfile
+ */
+function analyzeLockfiles(fileContents, files, declared) {
+  const found = files
+    .filter(f => LOCKFILE_NAMES.has(f.name) && !DEPENDENCY_DIRS.test(f.path))
+    .sort((a, b) => a.path.localeCompare(b.path));
+  if (found.length === 0) return null;
+
+  const lockfiles = found.map(f => {
+    const def = LOCKFILES.find(l => l.name === f.name);
+    const entry = { path: f.path, type: def.type, ecosystem: def.ecosystem, dir: dirOf(f.path), priority: LOCKFILES.indexOf(def) };
+    const content = fileContents[f.path];
+    if (typeof content !== 'string') {
+      entry.error = 'Not read (too large or not a text file)';
+      return entry;
+    }
+    try {
+      entry.graph = def.parse(content);
+    } catch (err) {
+      entry.error = `Cannot parse: ${err.message}`;
+    }
+    return entry;
+  });
+
+  // ─── Declared dependencies → locked packages ───
+  const roots = new Map(lockfiles.map(l => [l, []])); // lockfile → [{ id, dev }]
+  const mismatches = [];
+  const unlocked = [];
+  for (const dep of declared) {
+    // Links to other workspace packages are not installed from a registry
+    if (dep.workspace || !dep.source) continue;
+    const ecosystem = ecosystemOf(dep.source);
+    // Python, Go, Ruby and Java manifests carry their own pins (manifests.js)
+    if (ecosystem !== 'npm' && ecosystem !== 'composer') continue;
+    // Platform requirements (php, ext-*, lib-*) are not installed packages
+    if (ecosystem === 'composer' && PLATFORM_PACKAGE.test(dep.name)) continue;
+    const manifestDir = dirOf(dep.source);
+    const lockfile = nearestLockfile(lockfiles, manifestDir, ecosystem);
+    if (!lockfile?.graph) continue;
+
+    const importer = lockfile.dir ? manifestDir.slice(lockfile.dir.length + 1) : manifestDir;
+    const id = lockfile.graph.direct(importer, dep.name, dep.version);
+    const pkg = id && lockfile.graph.packages.get(id);
+    if (!pkg) {
+      unlocked.push({ name: dep.name, range: dep.version, type: dep.type, source: dep.source, lockfile: lockfile.path });
+      continue;
+    }
+
+    dep.locked = pkg.version;
+    roots.get(lockfile).push({ id, dev: dep.type === 'dev' });
+    if (satisfies(pkg.version, dep.version, ecosystem) === false) {
+      mismatches.push({ name: dep.name, range: dep.version, locked: pkg.version, type: dep.type, source: dep.source, lockfile: lockfile.path });
+    }
+  }
+
+  // ─── Tree: depth of every package (1 = direct), production or dev only ───
+  const packages = new Map(); // ecosystem:name@version → entry
+  for (const lockfile of lockfiles) {
+    if (!lockfile.graph) continue;
+    const { depth, production } = walkTree(lockfile.graph, roots.get(lockfile));
+    for (const [id, pkg] of lockfile.graph.packages) {
+      const key = `${lockfile.ecosystem}:${pkg.name}@${pkg.version}`;
+      const d = depth.has(id) ? depth.get(id) : null;
+      const existing = packages.get(key);
+      if (!existing) {
+        packages.set(key, {
+          name: pkg.name,
+          version: pkg.version,
+          ecosystem: lockfile.ecosystem,
+          depth: d,
+          direct: d === 1,
+          dev: !production.has(id),
+          lockfile: lockfile.path,
+          // package-lock.json v2+ and composer.lock record the license
+          ...(pkg.license ? { license: pkg.license } : {})
+        });
+      } else {
+        if (d !== null && (existing.depth === null || d < existing.depth)) existing.depth = d;
+        existing.direct = existing.direct || d === 1;
+        existing.dev = existing.dev && !production.has(id);
+      }
+    }
+  }
+
+  const packageList = [...packages.values()].sort((a, b) =>
+    (a.depth ?? Infinity) - (b.depth ?? Infinity) || a.name.localeCompare(b.name) || compareVersions(a.version, b.version));
+  const byDepth = {};
+  for (const p of packageList) {
+    if (p.depth !== null) byDepth[p.depth] = (byDepth[p.depth] || 0) + 1;
+  }
+
+  return {
+    lockfiles: lockfiles.map(l => ({
+      path: l.path,
+      type: l.type,
+      lockfileVersion: l.graph ? l.graph.lockfileVersion : null,
+      packages: l.graph ? l.graph.packages.size : 0,
+      ...(l.error ? { error: l.error } : {})
+    })),
+    totalPackages: packageList.length,
+    directPackages: packageList.filter(p => p.direct).length,
+    transitivePackages: packageList.filter(p => !p.direct).length,
+    maxDepth: Math.max(0, ...packageList.map(p => p.depth || 0)),
+    byDepth,
+    duplicates: findDuplicates(packageList),
+    mismatches,
+    unlocked,
+    packages: packageList
+  };
+}
+
+function dirOf(filePath) {
+  const dir = path.posix.dirname(filePath);
+  return dir === '.' ? '' : dir;
+}
+
+// The lockfile of the ecosystem in the manifest's folder or the closest folder above it
+function nearestLockfile(lockfiles, manifestDir, ecosystem) {
+  let best = null;
+  for (const l of lockfiles) {
+    if (l.ecosystem !== ecosystem) continue;
+    if (l.dir && manifestDir !== l.dir && !manifestDir.startsWith(l.dir + '/')) continue;
+    if (!best || l.dir.length > best.dir.length || (l.dir.length === best.dir.length && l.priority < best.priority)) best = l;
+  }
+  return best;
+}
+
+function walkTree(graph, roots) {
+  const depth = new Map();
+  let queue = [];
+  for (const { id } of roots) {
+    if (!depth.has(id)) { depth.set(id, 1); queue.push(id); }
+  }
+  for (let level = 2; queue.length > 0; level++) {
+    const next = [];
+    for (const id of queue) {
+      for (const dep of graph.packages.get(id)?.dependencies || []) {
+        if (!depth.has(dep)) { depth.set(dep, level); next.push(dep); }
+      }
+    }
+    queue = next;
+  }
+
+  const production = new Set();
+  const stack = roots.filter(r => !r.dev).map(r => r.id);
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (production.has(id)) continue;
+    production.add(id);
+    stack.push(...(graph.packages.get(id)?.dependencies || []));
+  }
+  return { depth, production };
+}
+
+// Packages installed at more than one version
+function findDuplicates(packageList) {
+  const byName = new Map();
+  for (const p of packageList) {
+    const key = `${p.ecosystem}:${p.name}`;
+    if (!byName.has(key)) byName.set(key, { name: p.name, ecosystem: p.ecosystem, versions: [] });
+    const entry = byName.get(key);
+    if (!entry.versions.includes(p.version)) entry.versions.push(p.version);
+  }
+  return [...byName.values()]
+    .filter(d => d.versions.length > 1)
+    .map(d => ({ ...d, versions: d.versions.sort(compareVersions) }))
+    .sort((a, b) => b.versions.length - a.versions.length || a.name.localeCompare(b.name));
+}
+
+// ─── npm ───
+
+function parseNpmLock(content) {
+  const data = JSON.parse(content);
+  const entries = new Map(); // install path ("node_modules/a/node_modules/b") → lock entry
+
+  if (data.packages) {
+    // v2 / v3: flat list of install paths ("" is the root, workspace folders are importers)
+    for (const [key, entry] of Object.entries(data.packages)) {
+      if (key.includes('node_modules/')) entries.set(key, entry);
+    }
+  } else {
+    // v1: nested "dependencies" with "requires"
+    const walk = (deps, parent) => {
+      for (const [name, entry] of Object.entries(deps || {})) {
+        const key = parent ? `${parent}/node_modules/${name}` : `node_modules/${name}`;
+        entries.set(key, { version: entry.version, dependencies: entry.requires });
+        walk(entry.dependencies, key);
+      }
+    };
+    walk(data.dependencies, '');
+  }
+
+  // Node's resolution: the closest node_modules folder up the tree
+  const resolve = (from, name) => {
+    let base = from;
+    for (;;) {
+      const candidate = base ? `${base}/node_modules/${name}` : `node_modules/${name}`;
+      const entry = entries.get(candidate);
+      // Links point to workspace packages, which are not installed packages
+      if (entry) return entry.link ? null : candidate;
+      if (!base) return null;
+      const parent = base.lastIndexOf('/node_modules/');
+      base = parent === -1 ? '' : base.slice(0, parent);
+    }
+  };
+
+  const packages = new Map();
+  for (const [key, entry] of entries) {
+    if (entry.link) continue;
+    const names = Object.keys({ ...entry.dependencies, ...entry.optionalDependencies, ...entry.peerDependencies });
+    packages.set(key, {
+      name: entry.name || key.slice(key.lastIndexOf('node_modules/') + 'node_modules/'.length),
+      version: String(entry.version ?? ''),
+      license: typeof entry.license === 'string' ? entry.license : null,
+      dependencies: names.map(name => resolve(key, name)).filter(Boolean)
+    });
+  }
+
+  return {
+    lockfileVersion: data.lockfileVersion ?? 1,
+    packages,
+    direct: (importer, name) => resolve(importer, name)
+  };
+}
+
+// ─── Yarn ───
+
+function parseYarnLock(content) {
+  const berry = /^__metadata:/m.test(content);
+  const blocks = berry ? berryBlocks(content) : classicBlocks(content);
+
+  const packages = new Map(); // name@version → package
+  const bySpec = new Map(); // "name@range" → name@version
+  const ranges = []; // [package, { name: range }]
+  for (const block of blocks) {
+    const specs = block.specs.map(parseSpec).filter(Boolean);
+    if (specs.length === 0 || !block.version) continue;
+    // Berry lists the workspace packages themselves
+    if (specs.every(s => s.range.startsWith('workspace:')) || block.version === '0.0.0-use.local') continue;
+
+    const id = `${specs[0].name}@${block.version}`;
+    if (!packages.has(id)) {
+      packages.set(id, { name: specs[0].name, version: block.version, dependencies: [] });
+      ranges.push([packages.get(id), block.dependencies]);
+    }
+    for (const s of specs) bySpec.set(`${s.name}@${s.range}`, id);
+  }
+
+  // Berry writes "npm:^1.0" in the keys but "^1.0" in dependency lists
+  const lookup = (name, range) => bySpec.get(`${name}@${range}`) || bySpec.get(`${name}@npm:${range}`) || null;
+  for (const [pkg, deps] of ranges) {
+    pkg.dependencies = Object.entries(deps).map(([name, range]) => lookup(name, range)).filter(Boolean);
+  }
+
+  const versionLine = content.match(/^# yarn lockfile v(\d+)/m);
+  return {
+    lockfileVersion: berry ? (blocks.metadataVersion ?? null) : Number(versionLine?.[1] ?? 1),
+    packages,
+    direct: (importer, name, range) => lookup(name, range)
+  };
+}
+
+/**
+ * yarn.lock v1: not YAML — "spec, spec:" headers, then indented
+ * `version "x"` and `dependencies:` blocks of `name "range"` lines.
+ */
+function classicBlocks(content) {
+  const blocks = [];
+  let block = null;
+  let section = null;
+  for (const line of content.split(/\r?\n/)) {
+    if (!line.trim() || line.startsWith('#')) continue;
+    const indent = line.length - line.trimStart().length;
+    const text = line.trim();
+    if (indent === 0) {
+      block = { specs: splitSpecs(text.replace(/:$/, '')), version: null, dependencies: {} };
+      blocks.push(block);
+      section = null;
+    } else if (block && indent === 2) {
+      section = /^(dependencies|optionalDependencies):$/.test(text) ? 'deps' : null;
+      const version = text.match(/^version:?\s+"?([^"]+)"?$/);
+      if (version) block.version = version[1];
+    } else if (block && section === 'deps') {
+      const dep = text.match(/^("(?:[^"]+)"|\S+):?\s+"?([^"]*)"?$/);
+      if (dep) block.dependencies[dep[1].replace(/^"|"$/g, '')] = dep[2];
+    }
+  }
+  return blocks;
+}
+
+function berryBlocks(content) {
+  const data = parseYaml(content) || {};
+  const blocks = [];
+  for (const [key, entry] of Object.entries(data)) {
+    if (key === '__metadata' || !entry || typeof entry !== 'object') continue;
+    blocks.push({
+      specs: splitSpecs(key),
+      version: entry.version != null ? String(entry.version) : null,
+      dependencies: { ...entry.dependencies, ...entry.optionalDependencies }
+    });
+  }
+  blocks.metadataVersion = data.__metadata?.version ?? null;
+  return blocks;
+}
+
+function splitSpecs(header) {
+  return header.split(/,\s*/).map(s => s.trim().replace(/^"|"$/g, '')).filter(Boolean);
+}
+
+// "@scope/name@^1.0" → { name: "@scope/name", range: "^1.0" }
+function parseSpec(spec) {
+  const at = spec.indexOf('@', 1);
+  return at === -1 ? null : { name: spec.slice(0, at), range: spec.slice(at + 1) };
+}
+
+// ─── pnpm ───
+
+function parsePnpmLock(content) {
+  const data = parseYaml(content) || {};
+  const packages = new Map(); // name@version → package
+
+  const addPackages = (section) => {
+    for (const [key, entry] of Object.entries(section || {})) {
+      const parsed = parsePnpmKey(key);
+      if (!parsed) continue;
+      const id = `${parsed.name}@${parsed.version}`;
+      if (!packages.has(id)) packages.set(id, { name: parsed.name, version: parsed.version, dependencies: [] });
+      const pkg = packages.get(id);
+      for (const [name, ref] of Object.entries({ ...entry?.dependencies, ...entry?.optionalDependencies })) {
+        const dep = pnpmRef(name, ref);
+        if (dep && !pkg.dependencies.includes(dep)) pkg.dependencies.push(dep);
+      }
+    }
+  };
+  addPackages(data.packages);
+  // v9 keeps the dependencies of each peer-resolved variant in "snapshots"
+  addPackages(data.snapshots);
+  for (const pkg of packages.values()) pkg.dependencies = pkg.dependencies.filter(id => packages.has(id));
+
+  // Workspaces have "importers"; older single-project lockfiles list the root's dependencies at the top
+  const importers = data.importers || { '.': data };
+  const direct = (importer, name) => {
+    const imp = importers[importer || '.'];
+    if (!imp) return null;
+    for (const section of ['dependencies', 'devDependencies', 'optionalDependencies']) {
+      const ref = imp[section]?.[name];
+      if (ref == null) continue;
+      // v6+ importers: { specifier, version }
+      const id = pnpmRef(name, typeof ref === 'object' ? ref.version : ref);
+      return id && packages.has(id) ? id : null;
+    }
+    return null;
+  };
+
+  return { lockfileVersion: data.lockfileVersion != null ? String(data.lockfileVersion) : null, packages, direct };
+}
+
+/**
+ * Package key → { name, version }, peer suffixes removed:
+ *   v5 "/@scope/name/1.0.0_react@18.2.0", v6 "/name@1.0.0(react@18.2.0)", v9 "name@1.0.0(react@18.2.0)"
+ */
+function parsePnpmKey(key) {
+  const text = String(key).replace(/^\//, '').replace(/\(.*$/, '');
+  const v5 = text.match(/^((?:@[^/]+\/)?[^/@]+)\/([^/]+)$/);
+  if (v5) return { name: v5[1], version: v5[2].replace(/_.*$/, '') };
+  const at = text.indexOf('@', 1);
+  if (at === -1) return null;
+  return { name: text.slice(0, at), version: text.slice(at + 1).replace(/_.*$/, '') };
+}
+
+// Dependency reference → package id; workspace links and local paths → null
+function pnpmRef(name, ref) {
+  if (ref == null) return null;
+  const text = String(ref);
+  if (/^(link|file|workspace):/.test(text)) return null;
+  // Aliases point to another package: "/string-width@4.2.3", "string-width@4.2.3"
+  if (text.startsWith('/') || text.indexOf('@', 1) !== -1 && !/^\d/.test(text)) {
+    const parsed = parsePnpmKey(text);
+    return parsed ? `${parsed.name}@${parsed.version}` : null;
+  }
+  return `${name}@${text.replace(/\(.*$/, '').replace(/_.*$/, '')}`;
+}
+
+// ─── Composer ───
+
+function parseComposerLock(content) {
+  const data = JSON.parse(content);
+  const locked = [...(data.packages || []), ...(data['packages-dev'] || [])];
+  const byName = new Map(locked.map(p => [String(p.name).toLowerCase(), `${p.name}@${p.version}`]));
+
+  const packages = new Map();
+  for (const p of locked) {
+    packages.set(`${p.name}@${p.version}`, {
+      name: p.name,
+      version: String(p.version ?? ''),
+      // Alternatives, like in composer.json
+      license: Array.isArray(p.license) && p.license.length > 0 ? p.license.join(' OR ') : null,
+      // Platform requirements (php, ext-*) are not packages
+      dependencies: Object.keys(p.require || {}).map(name => byName.get(name.toLowerCase())).filter(Boolean)
+    });
+  }
+
+  return {
+    lockfileVersion: null,
+    packages,
+    direct: (importer, name) => byName.get(name.toLowerCase()) || null
+  };
+}
+
+module.exports = { analyzeLockfiles, LOCKFILE_NAMES };
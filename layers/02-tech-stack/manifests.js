@@ -0,0 +1,502 @@
+const path = require('path');
+const { parseToml } = require('../core/toml');
+
+/**
+ * Manifests of the Python, Go, Ruby and Java ecosystems, read into the same
+ * runtime / dependencies / frameworks structure as package.json and
+ * composer.json:
+ *
+ *   pypi       pyproject.toml (PEP 621, Poetry, dependency groups), Pipfile,
+ *              requirements*.txt
+ *   go         go.mod
+ *   rubygems   Gemfile (+ Gemfile.lock for the installed versions)
+ *   maven      pom.xml, build.gradle, build.gradle.kts
+ *
+ * Every manifest of these ecosystems counts, wherever it is — a polyglot repo
+ * keeps its services in subfolders. In one folder pyproject.toml (when it
+ * declares dependencies) wins over Pipfile, Pipfile over requirements files.
+ *
+ * Dependencies pinned to one version (==1.2.3, go.mod requirements, Maven
+ * versions) or resolved by Gemfile.lock get `locked`, like lockfile-resolved
+ * npm and Composer dependencies.
+ */
+
+// Manifest file name → ecosystem of the dependencies it declares
+const MANIFEST_ECOSYSTEMS = {
+  'package.json': 'npm',
+  'composer.json': 'composer',
+  'pyproject.toml': 'pypi',
+  Pipfile: 'pypi',
+  'go.mod': 'go',
+  Gemfile: 'rubygems',
+  'pom.xml': 'maven',
+  'build.gradle': 'maven',
+  'build.gradle.kts': 'maven'
+};
+
+// Manifests in these folders belong to installed packages or virtualenvs, not to the project
+const DEPENDENCY_DIRS = /(^|\/)(node_modules|vendor|bower_components|venv|site-packages|target|build)\//;
+
+// requirements-dev.txt, dev-requirements.txt, requirements/test.txt
+const DEV_REQUIREMENTS = /(^|[/_.-])(dev|develop|development|test|tests|testing|lint|docs?|ci)([/_.-]|$)/i;
+
+const FRAMEWORKS = {
+  pypi: [
+    { dep: 'django', name: 'Django' },
+    { dep: 'flask', name: 'Flask' },
+    { dep: 'fastapi', name: 'FastAPI' },
+    { dep: 'tornado', name: 'Tornado' },
+    { dep: 'sqlalchemy', name: 'SQLAlchemy' },
+    { dep: 'celery', name: 'Celery' },
+    { dep: 'pytest', name: 'pytest' }
+  ],
+  go: [
+    { dep: 'github.com/gin-gonic/gin', name: 'Gin' },
+    { dep: 'github.com/labstack/echo', name: 'Echo', prefix: true },
+    { dep: 'github.com/gofiber/fiber', name: 'Fiber', prefix: true },
+    { dep: 'gorm.io/gorm', name: 'GORM' }
+  ],
+  rubygems: [
+    { dep: 'rails', name: 'Rails' },
+    { dep: 'sinatra', name: 'Sinatra' },
+    { dep: 'rspec', name: 'RSpec' },
+    { dep: 'rspec-rails', name: 'RSpec' }
+  ],
+  maven: [
+    { dep: 'org.springframework.boot:', name: 'Spring Boot', prefix: true },
+    { dep: 'org.springframework:', name: 'Spring', prefix: true },
+    { dep: 'io.quarkus:', name: 'Quarkus', prefix: true },
+    { dep: 'org.hibernate.orm:hibernate-core', name: 'Hibernate' },
+    { dep: 'org.hibernate:hibernate-core', name: 'Hibernate' },
+    { dep: 'org.junit.jupiter:', name: 'JUnit', prefix: true },
+    { dep: 'junit:junit', name: 'JUnit' }
+  ]
+};
+
+/**
+ * Ecosystem of a manifest's dependencies, by the manifest's file name
+ * (package.json when unknown).
+ * @param {string} source - Manifest path
+ * @returns {'npm'|'composer'|'pypi'|'go'|'rubygems'|'maven'}
+ */
+function ecosystemOf(source) {
+  const name = path.posix.basename(source || '');
+  if (isRequirementsFile(source || '')) return 'pypi';
+  return MANIFEST_ECOSYSTEMS[name] || 'npm';
+}
+
+/**
+ * Reads every Python, Go, Ruby and Java manifest of the project.
+ * @param {Object<string, string>} fileContents - _fileContents
+ * @param {Array<{ path, name }>} files - fileSystem.files
+ * @returns {Array<{ source: string, ecosystem: string, packageManager: string, runtime: Object,
+ *   dependencies: Object[], devDependencies: Object[], frameworks: Object[] }>} sorted by path
+ */
+function analyzeManifests(fileContents, files) {
+  const byFolder = new Map();
+  for (const f of files) {
+    if (DEPENDENCY_DIRS.test(f.path) || typeof fileContents[f.path] !== 'string') continue;
+    const ecosystem = MANIFEST_ECOSYSTEMS[f.name];
+    if (!(ecosystem && !['npm', 'composer'].includes(ecosystem)) && !isRequirementsFile(f.path)) continue;
+    // requirements/dev.txt belongs to the folder above
+    const dir = path.posix.dirname(f.path).replace(/(^|\/)requirements$/, '') || '.';
+    if (!byFolder.has(dir)) byFolder.set(dir, []);
+    byFolder.get(dir).push(f.path);
+  }
+
+  const manifests = [];
+  for (const [dir, paths] of byFolder) {
+    const sibling = (name) => (dir === '.' ? name : `${dir}/${name}`);
+    const python = [];
+
+    for (const filePath of paths.sort()) {
+      const content = fileContents[filePath];
+      const name = path.posix.basename(filePath);
+      if (name === 'pyproject.toml') python.push(parsePyproject(content, filePath, fileContents));
+      else if (name === 'Pipfile') python.push(parsePipfile(content, filePath));
+      else if (isRequirementsFile(filePath)) python.push(parseRequirements(content, filePath));
+      else if (name === 'go.mod') manifests.push(parseGoMod(content, filePath));
+      else if (name === 'Gemfile') manifests.push(parseGemfile(content, filePath, fileContents[sibling('Gemfile.lock')]));
+      else if (name === 'pom.xml') manifests.push(parsePom(content, filePath));
+      else if (name === 'build.gradle' || name === 'build.gradle.kts') manifests.push(parseGradle(content, filePath));
+    }
+
+    // One Python manifest kind per folder: the one the package manager installs from
+    const declares = (m) => m.dependencies.length + m.devDependencies.length > 0;
+    const preferred = python.find(m => m.kind === 'pyproject' && declares(m)) || python.find(m => m.kind === 'pipfile');
+    if (preferred) {
+      manifests.push(preferred);
+      // Runtime of a pyproject.toml that only configures tools still counts
+      for (const m of python) if (m !== preferred && !declares(m)) manifests.push(m);
+    } else {
+      manifests.push(...python);
+    }
+  }
+
+  return manifests
+    .map(({ kind, platform, ...m }) => ({ ...m, frameworks: detectFrameworks(m, platform) }))
+    .sort((a, b) => a.source.localeCompare(b.source));
+}
+
+// ─── Python ───
+
+function isRequirementsFile(filePath) {
+  const name = path.posix.basename(filePath);
+  if (!name.endsWith('.txt')) return false;
+  return /(^|[-_.])requirements([-_.]|$)/i.test(name) || /(^|\/)requirements\/[^/]+\.txt$/.test(filePath);
+}
+
+/**
+ * requirements.txt: one PEP 508 requirement per line; options (-r, -e,
+ * --index-url), URLs and local paths are skipped.
+ */
+function parseRequirements(content, source) {
+  const type = DEV_REQUIREMENTS.test(path.posix.basename(source, '.txt')) ? 'dev' : 'production';
+  const deps = [];
+  for (const raw of String(content).replace(/\\\r?\n/g, ' ').split(/\r?\n/)) {
+    // Per-requirement options (--hash=…) follow the requirement
+    const line = raw.replace(/(^|\s)#.*$/, '').replace(/\s--?[a-z].*$/i, '').trim();
+    if (!line || line.startsWith('-') || /^(\.|\/|[a-z+]+:\/\/|git\+)/i.test(line)) continue;
+    const dep = pep508(line, type, source);
+    if (dep) deps.push(dep);
+  }
+  return manifest('requirements', source, 'pip', {}, deps);
+}
+
+/**
+ * pyproject.toml: PEP 621 [project] (optional-dependencies groups named
+ * dev / test / lint / docs are dev), PEP 735 [dependency-groups] (dev) and
+ * Poetry's [tool.poetry] tables.
+ */
+function parsePyproject(content, source, fileContents) {
+  const toml = parseToml(content);
+  const project = toml.project || {};
+  const poetry = toml.tool?.poetry || {};
+  const runtime = {};
+  const deps = [];
+
+  for (const spec of asArray(project.dependencies)) {
+    const dep = pep508(spec, 'production', source);
+    if (dep) deps.push(dep);
+  }
+  for (const [group, specs] of Object.entries(project['optional-dependencies'] || {})) {
+    const type = DEV_REQUIREMENTS.test(group) ? 'dev' : 'production';
+    for (const spec of asArray(specs)) {
+      const dep = pep508(spec, type, source);
+      if (dep) deps.push(dep);
+    }
+  }
+  for (const specs of Object.values(toml['dependency-groups'] || {})) {
+    for (const spec of asArray(specs)) {
+      const dep = typeof spec === 'string' ? pep508(spec, 'dev', source) : null;
+      if (dep) deps.push(dep);
+    }
+  }
+
+  const poetryDeps = (table, type) => {
+    for (const [name, spec] of Object.entries(table || {})) {
+      if (name.toLowerCase() === 'python') {
+        runtime.python = runtime.python || String(typeof spec === 'object' ? spec.version : spec);
+        continue;
+      }
+      deps.push(poetryDependency(name, spec, type, source));
+    }
+  };
+  poetryDeps(poetry.dependencies, 'production');
+  poetryDeps(poetry['dev-dependencies'], 'dev');
+  for (const group of Object.values(poetry.group || {})) poetryDeps(group?.dependencies, 'dev');
+
+  if (typeof project['requires-python'] === 'string') runtime.python = project['requires-python'];
+
+  const dir = path.posix.dirname(source);
+  const lockfile = (name) => (dir === '.' ? name : `${dir}/${name}`) in fileContents;
+  const packageManager = toml.tool?.poetry ? 'poetry'
+    : toml.tool?.pdm ? 'pdm'
+      : toml.tool?.uv || lockfile('uv.lock') ? 'uv'
+        : 'pip';
+  return manifest('pyproject', source, packageManager, runtime, deps);
+}
+
+/**
+ * Pipfile (TOML): [packages], [dev-packages], [requires] python_version.
+ */
+function parsePipfile(content, source) {
+  const toml = parseToml(content);
+  const runtime = {};
+  const python = toml.requires?.python_full_version || toml.requires?.python_version;
+  if (python) runtime.python = String(python);
+
+  const deps = [];
+  for (const [table, type] of [['packages', 'production'], ['dev-packages', 'dev']]) {
+    for (const [name, spec] of Object.entries(toml[table] || {})) {
+      const version = typeof spec === 'object' ? spec.version : spec;
+      deps.push(dependency(name, typeof version === 'string' ? version : '*', type, source, exactPin(version)));
+    }
+  }
+  return manifest('pipfile', source, 'pipenv', runtime, deps);
+}
+
+// "requests[socks]>=2.31,<3 ; python_version > '3.8'" → { name: 'requests', version: '>=2.31,<3' }
+function pep508(spec, type, source) {
+  const match = /^\s*([A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:\[[^\]]*\])?\s*([^;]*?)\s*(?:;.*)?$/.exec(String(spec));
+  if (!match) return null;
+  let version = match[2].replace(/^\((.*)\)$/, '$1').trim();
+  // "name @ https://…" — a direct reference instead of a version
+  if (version.startsWith('@')) version = version.slice(1).trim();
+  return dependency(match[1], version || '*', type, source, exactPin(version));
+}
+
+function poetryDependency(name, spec, type, source) {
+  const version = typeof spec === 'object' && spec !== null
+    ? (spec.version || spec.git || spec.path || spec.url || '*')
+    : String(spec);
+  // Poetry reads a bare version as an exact one
+  const pinned = /^\d[\w.]*$/.test(version) ? version : exactPin(version);
+  return dependency(name, version, type, source, pinned);
+}
+
+// "==1.2.3" → "1.2.3"; ranges and wildcards (==1.2.*) → null
+function exactPin(version) {
+  const match = /^\s*===?\s*([\w.+!-]+)\s*$/.exec(String(version ?? ''));
+  return match && !match[1].includes('*') ? match[1] : null;
+}
+
+// ─── Go ───
+
+/**
+ * go.mod: the "go" directive is the runtime; requirements marked
+ * "// indirect" are transitive and left out. Go has no dev dependencies.
+ */
+function parseGoMod(content, source) {
+  const runtime = {};
+  const deps = [];
+  let inRequire = false;
+
+  for (const raw of String(content).split(/\r?\n/)) {
+    const indirect = /\/\/\s*indirect\b/.test(raw);
+    const line = raw.replace(/\/\/.*$/, '').trim();
+    if (!line) continue;
+
+    if (inRequire) {
+      if (line === ')') inRequire = false;
+      else if (!indirect) addGoRequirement(line);
+      continue;
+    }
+    const go = /^go\s+(\S+)$/.exec(line);
+    if (go) runtime.go = go[1];
+    if (/^require\s*\($/.test(line)) inRequire = true;
+    else if (/^require\s+/.test(line) && !indirect) addGoRequirement(line.replace(/^require\s+/, ''));
+  }
+
+  function addGoRequirement(line) {
+    const [name, version] = line.split(/\s+/);
+    if (name && version) deps.push(dependency(name, version, 'production', source, version.replace(/^v/, '')));
+  }
+  return manifest('go', source, 'go modules', runtime, deps);
+}
+
+// ─── Ruby ───
+
+/**
+ * Gemfile: `gem` lines, with `group :development, :test do … end` blocks and
+ * `group:` options marking dev gems; `ruby` is the runtime. Gemfile.lock next
+ * to it adds the installed versions (and the Ruby version when the Gemfile has none).
+ */
+function parseGemfile(content, source, lockContent) {
+  const runtime = {};
+  const deps = [];
+  // Open blocks: the groups of a group block, null for any other block
+  const blocks = [];
+  const devGroup = (groups) => groups.length > 0 && groups.every(g => /^(development|test)$/.test(g));
+  const symbols = (text) => [...String(text).matchAll(/:(\w+)|['"](\w+)['"]/g)].map(m => m[1] || m[2]);
+
+  for (const raw of String(content).split(/\r?\n/)) {
+    const line = raw.replace(/(^|\s)#.*$/, '').trim();
+    if (!line) continue;
+
+    const group = /^group\s+(.+?)\s+do\b/.exec(line);
+    if (group) {
+      blocks.push(symbols(group[1]));
+      continue;
+    }
+    if (/^end\b/.test(line)) {
+      blocks.pop();
+      continue;
+    }
+    if (/\bdo(\s*\|[^|]*\|)?$/.test(line) || /^(if|unless|case|while|until|begin)\b/.test(line)) {
+      blocks.push(null);
+      continue;
+    }
+
+    const ruby = /^ruby\s+['"]([^'"]+)['"]/.exec(line);
+    if (ruby) runtime.ruby = ruby[1];
+
+    const gem = /^gem\s*\(?\s*['"]([^'"]+)['"](.*)$/.exec(line);
+    if (!gem) continue;
+    const rest = gem[2];
+    const requirements = [...rest.replace(/\b\w+:\s*(\[[^\]]*\]|['"][^'"]*['"]|:\w+|\S+)/g, '').matchAll(/['"]([^'"]+)['"]/g)].map(m => m[1]);
+    const option = /\bgroups?:\s*(\[[^\]]*\]|:\w+|['"]\w+['"])/.exec(rest);
+    const inDevBlock = blocks.some(g => g && devGroup(g));
+    const type = inDevBlock || (option && devGroup(symbols(option[1]))) ? 'dev' : 'production';
+    deps.push(dependency(gem[1], requirements.join(', ') || '*', type, source, null));
+  }
+
+  if (lockContent) {
+    const lock = parseGemfileLock(lockContent);
+    for (const dep of deps) {
+      if (lock.versions.has(dep.name)) dep.locked = lock.versions.get(dep.name);
+    }
+    if (!runtime.ruby && lock.ruby) runtime.ruby = lock.ruby;
+  }
+  return manifest('gemfile', source, 'bundler', runtime, deps);
+}
+
+// Gemfile.lock: "    name (version)" spec lines of the GEM / GIT / PATH sections, RUBY VERSION
+function parseGemfileLock(content) {
+  const versions = new Map();
+  let ruby = null;
+  let section = null;
+  for (const line of String(content).split(/\r?\n/)) {
+    if (/^\S/.test(line)) {
+      section = line.trim();
+      continue;
+    }
+    const spec = /^ {4}([^\s(]+) \(([^)]+)\)$/.exec(line);
+    if (spec && ['GEM', 'GIT', 'PATH'].includes(section) && !versions.has(spec[1])) {
+      // Platform gems: 1.15.4-x86_64-linux
+      versions.set(spec[1], spec[2].replace(/-(x86|x64|arm|aarch64|java|universal|mingw|mswin|darwin|linux).*$/, ''));
+    }
+    const rubyVersion = /^\s+ruby (\d[\w.]*?)(p\d+)?$/.exec(line);
+    if (section === 'RUBY VERSION' && rubyVersion) ruby = rubyVersion[1];
+  }
+  return { versions, ruby };
+}
+
+// ─── Java ───
+
+/**
+ * pom.xml: <dependencies> outside <dependencyManagement>, <build> and
+ * <profiles>; ${properties} in versions are resolved, scope "test" is dev.
+ * The Java version comes from java.version / maven.compiler.* properties.
+ */
+function parsePom(content, source) {
+  const xml = String(content).replace(/<!--[\s\S]*?-->/g, '');
+  const properties = {};
+  const propertiesBlock = /<properties>([\s\S]*?)<\/properties>/.exec(xml);
+  if (propertiesBlock) {
+    for (const m of propertiesBlock[1].matchAll(/<([\w.-]+)>\s*([^<]*?)\s*<\/\1>/g)) properties[m[1]] = m[2];
+  }
+  const parent = /<parent>([\s\S]*?)<\/parent>/.exec(xml)?.[1] || '';
+  const projectVersion = tag(xml.replace(/<(parent|dependencies|dependencyManagement|build|profiles)>[\s\S]*?<\/\1>/g, ''), 'version');
+  const resolve = (value) => value && value.replace(/\$\{([^}]+)\}/g, (all, key) => {
+    if (key === 'project.version' || key === 'version') return projectVersion || all;
+    return properties[key] ?? all;
+  });
+
+  const runtime = {};
+  const java = ['java.version', 'maven.compiler.release', 'maven.compiler.source', 'maven.compiler.target'].find(key => properties[key]);
+  if (java) runtime.java = resolve(properties[java]);
+
+  const deps = [];
+  const body = xml.replace(/<(dependencyManagement|build|profiles|parent)>[\s\S]*?<\/\1>/g, '');
+  for (const m of body.matchAll(/<dependency>([\s\S]*?)<\/dependency>/g)) {
+    const groupId = resolve(tag(m[1], 'groupId'));
+    const artifactId = resolve(tag(m[1], 'artifactId'));
+    if (!groupId || !artifactId) continue;
+    const version = resolve(tag(m[1], 'version')) || '*';
+    const type = tag(m[1], 'scope') === 'test' ? 'dev' : 'production';
+    deps.push(dependency(`${groupId}:${artifactId}`, version, type, source, mavenPin(version)));
+  }
+
+  // The Spring Boot parent versions the starters
+  const parentName = `${tag(parent, 'groupId')}:${tag(parent, 'artifactId')}`;
+  const result = manifest('pom', source, 'maven', runtime, deps);
+  if (parentName === 'org.springframework.boot:spring-boot-starter-parent') {
+    result.platform = { name: 'Spring Boot', version: resolve(tag(parent, 'version')) || '*' };
+  }
+  return result;
+}
+
+/**
+ * build.gradle / build.gradle.kts: dependency declarations in the string
+ * ("group:name:version") and map (group: / name: / version:) notations;
+ * test* and androidTest* configurations are dev. The Spring Boot plugin
+ * versions the starters.
+ */
+function parseGradle(content, source) {
+  const text = String(content).replace(/\/\*[\s\S]*?\*\//g, '').replace(/(^|[^:])\/\/.*$/gm, '$1');
+  const configurations = 'implementation|api|compileOnly|runtimeOnly|annotationProcessor|kapt|compile|runtime|' +
+    'testImplementation|testCompileOnly|testRuntimeOnly|testAnnotationProcessor|testCompile|androidTestImplementation';
+  const deps = [];
+  const typeOf = (configuration) => (/^(test|androidTest)/.test(configuration) ? 'dev' : 'production');
+  const add = (configuration, group, name, version) => {
+    const range = version || '*';
+    deps.push(dependency(`${group}:${name}`, range, typeOf(configuration), source, /\$/.test(range) ? null : mavenPin(range)));
+  };
+
+  const stringNotation = new RegExp(`^\\s*(${configurations})\\s*\\(?\\s*['"]([^'":\\s]+):([^'":\\s]+)(?::([^'":\\s@]+))?(?:@\\w+)?['"]`, 'gm');
+  for (const m of text.matchAll(stringNotation)) add(m[1], m[2], m[3], m[4]);
+  const mapNotation = new RegExp(`^\\s*(${configurations})\\s*\\(?\\s*group\\s*[:=]\\s*['"]([^'"]+)['"]\\s*,\\s*name\\s*[:=]\\s*['"]([^'"]+)['"](?:\\s*,\\s*version\\s*[:=]\\s*['"]([^'"]+)['"])?`, 'gm');
+  for (const m of text.matchAll(mapNotation)) add(m[1], m[2], m[3], m[4]);
+
+  const runtime = {};
+  const java = /JavaLanguageVersion\.of\(\s*(\d+)\s*\)/.exec(text) || /jvmToolchain\(\s*(\d+)\s*\)/.exec(text) ||
+    /sourceCompatibility\s*=?\s*(?:JavaVersion\.VERSION_([\d_]+)|['"]?([\d.]+)['"]?)/.exec(text);
+  if (java) runtime.java = (java[1] || java[2]).replace(/^1_(\d)$/, '1.$1').replace(/_/g, '.');
+
+  const result = manifest('gradle', source, 'gradle', runtime, deps);
+  const boot = /id\s*\(?\s*['"]org\.springframework\.boot['"]\s*\)?\s*version\s*\(?\s*['"]([^'"]+)['"]/.exec(text);
+  if (boot) result.platform = { name: 'Spring Boot', version: boot[1] };
+  else if (/apply\s+plugin:\s*['"]org\.springframework\.boot['"]|id\s*\(?\s*['"]org\.springframework\.boot['"]/.test(text)) {
+    result.platform = { name: 'Spring Boot', version: '*' };
+  }
+  return result;
+}
+
+// "3.2.1" → "3.2.1"; ranges ([1.0,2.0)), properties and "*" → null
+function mavenPin(version) {
+  return /^\d[\w.-]*$/.test(version) ? version : null;
+}
+
+function tag(xml, name) {
+  const match = new RegExp(`<${name}>\\s*([^<]*?)\\s*</${name}>`).exec(xml);
+  return match ? match[1] : null;
+}
+
+// ─── Helpers ───
+
+function manifest(kind, source, packageManager, runtime, deps) {
+  return {
+    kind,
+    source,
+    ecosystem: ecosystemOf(source),
+    packageManager,
+    runtime,
+    dependencies: deps.filter(d => d.type === 'production'),
+    devDependencies: deps.filter(d => d.type === 'dev')
+  };
+}
+
+function dependency(name, version, type, source, locked) {
+  return locked ? { name, version, type, source, locked } : { name, version, type, source };
+}
+
+// Frameworks from the dependency names; a platform (Spring Boot parent / plugin) comes first
+function detectFrameworks({ ecosystem, source, dependencies, devDependencies }, platform) {
+  const frameworks = platform ? [{ ...platform, source }] : [];
+  const deps = [...dependencies, ...devDependencies];
+  const normalize = (name) => (ecosystem === 'pypi' ? name.toLowerCase().replace(/[-_.]+/g, '-') : name);
+
+  for (const check of FRAMEWORKS[ecosystem] || []) {
+    if (frameworks.some(fw => fw.name === check.name)) continue;
+    const dep = deps.find(d => (check.prefix ? normalize(d.name).startsWith(check.dep) : normalize(d.name) === check.dep));
+    if (dep) frameworks.push({ name: check.name, version: dep.version, source });
+  }
+  return frameworks;
+}
+
+function asArray(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+module.exports = { analyzeManifests, ecosystemOf, MANIFEST_ECOSYSTEMS };
@@ -0,0 +1,303 @@
+const { satisfies, compareVersions, parseVersion } = require('../core/semver');
+const { ecosystemOf } = require('./manifests');
+
+/**
+ * Outdated dependencies: the version each npm and Composer dependency is on
+ * against the newest release in a package registry — the public ones or an
+ * internal mirror (Verdaccio, Nexus, Satis, Private Packagist).
+ *
+ *   npm        GET <registry>/<name>                 dist-tags.latest, time
+ *   composer   GET <registry>/p2/<vendor>/<name>.json  Composer 2 metadata (stable releases)
+ *
+ * A dependency is on its locked version, else on the newest release its range
+ * allows. It is `current`, or `patch`, `minor` or `major` behind the latest
+ * release; `libyears` is the time between the release dates of the two.
+ *
+ * Registry answers are kept in a cache (the server's SQLite table, the CLI's
+ * --registry-cache file) for REGISTRY_CACHE_HOURS (default 24), so repeated
+ * analyses do not query the registry again.
+ */
+
+const DEFAULT_CACHE_HOURS = 24;
+const REQUEST_TIMEOUT_MS = 15000;
+const CONCURRENT_REQUESTS = 6;
+const YEAR_MS = 365.25 * 24 * 3600 * 1000;
+
+const PLATFORM_PACKAGE = /^(php(-64bit)?|hhvm|composer(-plugin|-runtime)?-api|ext-.+|lib-.+)$/i;
+// Dependencies not installed from the registry: local paths, links, git and tarball URLs, aliases
+const NOT_FROM_REGISTRY = /^(file|link|portal|workspace|npm|git(\+\w+)?|github|gitlab|bitbucket|https?):|^(\.{0,2}|~)\/|^[\w.-]+\/[\w.-]+(#.*)?$/;
+
+// ─── Registry client ───
+
+/**
+ * Registry client for `context.registry`.
+ *
+ * @param {Object} options
+ * @param {string} [options.npm] - npm registry URL (https://registry.npmjs.org, a Verdaccio mirror)
+ * @param {string} [options.composer] - Composer repository URL (https://repo.packagist.org, a Satis mirror)
+ * @param {{ get(key), set(key, entry) }} [options.cache] - Entries { data, fetchedAt } (a Map will do)
+ * @param {number} [options.maxAgeMs] - Cache lifetime (default: REGISTRY_CACHE_HOURS or 24 hours)
+ * @returns {Object|null} null when no registry is configured
+ */
+function createRegistryClient({ npm, composer, cache = null, maxAgeMs = cacheMaxAge() } = {}) {
+  const registries = { npm: cleanUrl(npm), composer: cleanUrl(composer) };
+  if (!registries.npm && !registries.composer) return null;
+
+  const stats = { fetched: 0, cached: 0 };
+  const pending = new Map();
+
+  return {
+    // Shown in the report, without credentials
+    registries: {
+      npm: registries.npm && maskCredentials(registries.npm),
+      composer: registries.composer && maskCredentials(registries.composer)
+    },
+    stats,
+
+    /**
+     * Releases of a package.
+     * @returns {Promise<{ latest: string|null, releases: Object<string, string|null> }|null>}
+     *   null when the registry does not know the package
+     * @throws when the registry cannot be reached
+     */
+    async metadata(ecosystem, name, signal) {
+      const registry = registries[ecosystem];
+      if (!registry) throw new Error(`No ${ecosystem} registry configured`);
+      // Without the registry's credentials — the key is stored in the cache as is
+      const key = `${ecosystem}:${maskCredentials(registry)}:${name.toLowerCase()}`;
+
+      const hit = cache?.get(key);
+      if (hit && Date.now() - hit.fetchedAt < maxAgeMs) {
+        stats.cached++;
+        return hit.data;
+      }
+      if (!pending.has(key)) {
+        pending.set(key, fetchMetadata(registry, ecosystem, name, signal)
+          .then((data) => {
+            stats.fetched++;
+            cache?.set(key, { data, fetchedAt: Date.now() });
+            return data;
+          })
+          .finally(() => pending.delete(key)));
+      }
+      return pending.get(key);
+    }
+  };
+}
+
+function cacheMaxAge() {
+  const hours = Number(process.env.REGISTRY_CACHE_HOURS);
+  return (Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_CACHE_HOURS) * 3600 * 1000;
+}
+
+function cleanUrl(url) {
+  const text = typeof url === 'string' ? url.trim().replace(/\/+$/, '') : '';
+  return text || null;
+}
+
+function maskCredentials(url) {
+  return url.replace(/^(\w+:\/\/)[^/@]+@/, '$1***@');
+}
+
+async function fetchMetadata(registry, ecosystem, name, signal) {
+  const url = ecosystem === 'npm'
+    ? `${registry}/${name.replace('/', '%2F')}`
+    : `${registry}/p2/${name.toLowerCase()}.json`;
+  const doc = await getJson(url, signal);
+  if (doc === null) return null;
+  return ecosystem === 'npm' ? npmReleases(doc) : composerReleases(doc, name.toLowerCase());
+}
+
+/**
+ * GET a JSON document; user:password in the URL becomes Basic authorization.
+ * @returns {Promise<Object|null>} null on 404
+ */
+async function getJson(url, signal) {
+  const target = new URL(url);
+  const headers = { accept: 'application/json' };
+  if (target.username) {
+    const credentials = `${decodeURIComponent(target.username)}:${decodeURIComponent(target.password)}`;
+    headers.authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    target.username = '';
+    target.password = '';
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new Error(`Registry timeout after ${REQUEST_TIMEOUT_MS / 1000}s`)), REQUEST_TIMEOUT_MS);
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', onAbort, { once: true });
+  try {
+    const response = await fetch(target, { headers, signal: controller.signal });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw Object.assign(new Error(`Registry answered ${response.status} ${response.statusText}`.trim()), { status: response.status });
+    }
+    return await response.json().catch((err) => {
+      throw Object.assign(new Error(`Registry answered invalid JSON: ${err.message}`), { status: response.status });
+    });
+  } catch (err) {
+    if (signal?.aborted) throw signal.reason;
+    if (err.status) throw err;
+    // Not an answer of the registry — the remaining packages are not tried
+    const failure = controller.signal.aborted ? controller.signal.reason : new Error(`Registry unreachable: ${err.cause?.message || err.message}`);
+    failure.unreachable = true;
+    throw failure;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+// npm packument → the versions and their publish times
+function npmReleases(doc) {
+  const releases = {};
+  for (const version of Object.keys(doc.versions || {})) {
+    releases[version] = doc.time?.[version] || null;
+  }
+  return { latest: doc['dist-tags']?.latest || null, releases };
+}
+
+// Composer 2 metadata ("minified": every version lists only what changed since the previous one)
+function composerReleases(doc, name) {
+  const entries = doc.packages?.[name] || [];
+  const minified = doc.minified === 'composer/2.0';
+  const releases = {};
+  let previous = {};
+  for (const entry of entries) {
+    const version = minified ? { ...previous, ...entry } : entry;
+    if (minified) {
+      for (const [key, value] of Object.entries(version)) if (value === '__unset') delete version[key];
+      previous = version;
+    }
+    if (typeof version.version !== 'string' || /^dev-|-dev$/.test(version.version)) continue;
+    releases[version.version] = version.time || null;
+  }
+  const stable = Object.keys(releases).filter(v => parseVersion(v)?.prerelease.length === 0);
+  const latest = stable.sort(compareVersions).pop() || null;
+  return { latest, releases };
+}
+
+// ─── Outdated report ───
+
+/**
+ * Compares the declared npm and Composer dependencies with the registry.
+ *
+ * @param {Object} techStack - dependencies and devDependencies (with `locked` from the lockfiles)
+ * @param {Object} registry - createRegistryClient()
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Object|null>} techStack.outdated; null when no dependency uses a configured registry
+ */
+async function analyzeOutdated(techStack, registry, signal) {
+  const declared = [...(techStack.dependencies || []), ...(techStack.devDependencies || [])]
+    .map(d => ({ ...d, ecosystem: d.source && ecosystemOf(d.source) }))
+    .filter(d => !d.workspace && registry.registries[d.ecosystem] &&
+      !(d.ecosystem === 'npm' && NOT_FROM_REGISTRY.test(String(d.version).trim())) &&
+      !(d.ecosystem === 'composer' && PLATFORM_PACKAGE.test(d.name)));
+  if (declared.length === 0) return null;
+
+  // One request per package, a few at a time
+  const names = [...new Set(declared.map(d => `${d.ecosystem}\0${d.name}`))];
+  const metadata = new Map();
+  const unreachable = {};
+  let next = 0;
+  const worker = async () => {
+    while (next < names.length) {
+      const key = names[next++];
+      signal?.throwIfAborted();
+      const [ecosystem, name] = key.split('\0');
+      if (unreachable[ecosystem]) {
+        metadata.set(key, { error: unreachable[ecosystem] });
+        continue;
+      }
+      try {
+        metadata.set(key, await registry.metadata(ecosystem, name, signal));
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        if (err.unreachable) unreachable[ecosystem] = err.message;
+        metadata.set(key, { error: err.message });
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(CONCURRENT_REQUESTS, names.length) }, worker));
+
+  const packages = declared.map(d => compareWithRegistry(d, metadata.get(`${d.ecosystem}\0${d.name}`)));
+  const order = ['major', 'minor', 'patch', 'unknown', 'current'];
+  packages.sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status) || b.libyears - a.libyears || a.name.localeCompare(b.name));
+
+  return {
+    registries: registry.registries,
+    ...summarizeOutdated(packages),
+    fetched: registry.stats.fetched,
+    cached: registry.stats.cached,
+    packages
+  };
+}
+
+/**
+ * Totals of an outdated package list (also used for a monorepo package's share).
+ * @returns {{ checked, current, patch, minor, major, unknown, libyears }}
+ */
+function summarizeOutdated(packages) {
+  const summary = { checked: packages.length, current: 0, patch: 0, minor: 0, major: 0, unknown: 0, libyears: 0 };
+  for (const pkg of packages) {
+    summary[pkg.status]++;
+    summary.libyears += pkg.libyears;
+  }
+  summary.libyears = round(summary.libyears);
+  return summary;
+}
+
+function compareWithRegistry(dep, meta) {
+  const entry = {
+    name: dep.name,
+    ecosystem: dep.ecosystem,
+    type: dep.type,
+    source: dep.source,
+    range: dep.version,
+    version: null,
+    latest: null,
+    status: 'unknown',
+    libyears: 0
+  };
+  if (!meta) return { ...entry, error: 'Not found in the registry' };
+  if (meta.error) return { ...entry, error: meta.error };
+
+  const releases = Object.keys(meta.releases);
+  const released = (version) => {
+    const match = releases.find(r => compareVersions(r, version) === 0);
+    return match ? meta.releases[match] : null;
+  };
+
+  // Locked, else the newest release the range allows
+  entry.version = dep.locked || releases
+    .filter(r => satisfies(r, dep.version, dep.ecosystem))
+    .sort(compareVersions).pop() || null;
+  entry.latest = meta.latest;
+  if (!entry.version || !parseVersion(entry.version) || !parseVersion(entry.latest)) return entry;
+
+  entry.status = versionGap(entry.version, entry.latest);
+  if (entry.status !== 'current') {
+    const from = Date.parse(released(entry.version));
+    const to = Date.parse(released(entry.latest));
+    if (from && to) entry.libyears = round(Math.max(0, to - from) / YEAR_MS);
+  }
+  return entry;
+}
+
+/**
+ * @returns {'current'|'patch'|'minor'|'major'} how far `version` is behind `latest`
+ */
+function versionGap(version, latest) {
+  if (compareVersions(version, latest) >= 0) return 'current';
+  const a = parseVersion(version);
+  const b = parseVersion(latest);
+  if (a.major !== b.major) return 'major';
+  if (a.minor !== b.minor) return 'minor';
+  return 'patch';
+}
+
+function round(years) {
+  return Math.round(years * 100) / 100;
+}
+
+module.exports = { createRegistryClient, analyzeOutdated, summarizeOutdated, versionGap };
@@ -1,13 +1,33 @@
 const BaseLayer = require('../core/base-layer');
 const path = require('path');
+const { detectWorkspaces, packageOf } = require('./workspaces');
+const { analyzeLockfiles } = require('./lockfiles');
+const { analyzeLicenses } = require('./licenses');
+const { analyzeManifests } = require('./manifests');
+const { analyzeContainers } = require('./docker');
+const { analyzeOutdated } = require('./outdated');
 
 /**
  * TechStackLayer — detects languages, frameworks, versions, and dependencies
  * by analyzing config files (package.json, composer.json, tsconfig.json, etc.)
+ * and the Python, Go, Ruby and Java manifests (manifests.js).
+ *
+ * Monorepos (npm / yarn / pnpm workspaces, lerna, nested composer.json files)
+ * also get a per-package breakdown in techStack.workspaces. Lockfiles add the
+ * installed version of each dependency and techStack.dependencyTree; the
+ * installed packages' licenses are checked against the project's license
+ * policy (techStack.licenses). Dockerfiles and docker-compose files become
+ * techStack.infrastructure — images, ports, services and their links (docker.js).
+ * With a package registry configured (`context.registry`) each npm and
+ * Composer dependency is compared with its latest release (techStack.outdated).
  */
 class TechStackLayer extends BaseLayer {
   constructor() {
-    super('tech-stack');
+    super('tech-stack', {
+      displayName: 'Tech Stack',
+      reads: ['fileSystem', '_fileContents'],
+      writes: ['techStack']
+    });
   }
 
   async process(snapshot, context) {
@@ -30,8 +50,17 @@ class TechStackLayer extends BaseLayer {
     // ─── Detect languages from file extensions ───
     result.languages = this.detectLanguages(byExtension, files);
 
+    // ─── Workspaces (monorepos) ───
+    // In a monorepo only the root manifests describe the root package; the
+    // members' manifests are analyzed per package below
+    const workspaces = detectWorkspaces(fileContents, files);
+    const rootManifest = (filename) => (workspaces
+      ? (filename in fileContents ? filename : null)
+      : this.findManifest(fileContents, filename));
+
     // ─── Analyze package.json (Node.js / JS) ───
-    const packageJson = this.findAndParse(fileContents, 'package.json');
+    const packageJsonPath = rootManifest('package.json');
+    const packageJson = packageJsonPath && this.parseJson(fileContents[packageJsonPath]);
     if (packageJson) {
       result.configFiles.push('package.json');
       result.packageManager = 'npm';
@@ -40,59 +69,20 @@ class TechStackLayer extends BaseLayer {
       if (files.some(f => f.name === 'yarn.lock')) result.packageManager = 'yarn';
       if (files.some(f => f.name === 'pnpm-lock.yaml')) result.packageManager = 'pnpm';
 
-      // Node.js version
-      if (packageJson.engines && packageJson.engines.node) {
-        result.runtime.node = packageJson.engines.node;
-      }
-
       // Scripts
       if (packageJson.scripts) {
         result.scripts = packageJson.scripts;
       }
 
-      // Dependencies
-      if (packageJson.dependencies) {
-        result.dependencies = Object.entries(packageJson.dependencies).map(([name, version]) => ({
-          name, version, type: 'production', source: 'package.json'
-        }));
-      }
-      if (packageJson.devDependencies) {
-        result.devDependencies = Object.entries(packageJson.devDependencies).map(([name, version]) => ({
-          name, version, type: 'dev', source: 'package.json'
-        }));
-      }
-
-      // Detect JS frameworks from dependencies
-      const allDeps = { ...packageJson.dependencies, ...packageJson.devDependencies };
-      result.frameworks.push(...this.detectJsFrameworks(allDeps));
+      this.mergeManifest(result, this.analyzePackageJson(packageJson, packageJsonPath));
     }
 
     // ─── Analyze composer.json (PHP) ───
-    const composerJson = this.findAndParse(fileContents, 'composer.json');
+    const composerJsonPath = rootManifest('composer.json');
+    const composerJson = composerJsonPath && this.parseJson(fileContents[composerJsonPath]);
     if (composerJson) {
       result.configFiles.push('composer.json');
 
-      // PHP version
-      if (composerJson.require && composerJson.require.php) {
-        result.runtime.php = composerJson.require.php;
-      }
-
-      // Dependencies
-      if (composerJson.require) {
-        const phpDeps = Object.entries(composerJson.require)
-          .filter(([name]) => name !== 'php' && !name.startsWith('ext-'))
-          .map(([name, version]) => ({
-            name, version, type: 'production', source: 'composer.json'
-          }));
-        result.dependencies.push(...phpDeps);
-      }
-      if (composerJson['require-dev']) {
-        const phpDevDeps = Object.entries(composerJson['require-dev']).map(([name, version]) => ({
-          name, version, type: 'dev', source: 'composer.json'
-        }));
-        result.devDependencies.push(...phpDevDeps);
-      }
-
       // PHP extensions required
       if (composerJson.require) {
         result.phpExtensions = Object.keys(composerJson.require)
@@ -100,9 +90,39 @@ class TechStackLayer extends BaseLayer {
           .map(name => name.replace('ext-', ''));
       }
 
-      // Detect PHP frameworks
-      const allPhpDeps = { ...composerJson.require, ...composerJson['require-dev'] };
-      result.frameworks.push(...this.detectPhpFrameworks(allPhpDeps));
+      this.mergeManifest(result, this.analyzeComposerJson(composerJson, composerJsonPath));
+    }
+
+    if (workspaces) {
+      result.workspaces = this.analyzeWorkspaces(workspaces, result, fileContents, files);
+    }
+
+    // ─── Python, Go, Ruby and Java manifests ───
+    for (const manifest of analyzeManifests(fileContents, files)) {
+      // requirements/dev.txt keeps its folder
+      const name = manifest.source.split('/').slice(/(^|\/)requirements\/[^/]+$/.test(manifest.source) ? -2 : -1).join('/');
+      if (!result.configFiles.includes(name)) result.configFiles.push(name);
+      result.packageManager = result.packageManager || manifest.packageManager;
+      this.mergeManifest(result, manifest);
+    }
+
+    // ─── Lockfiles: installed versions and the transitive tree ───
+    const dependencyTree = analyzeLockfiles(fileContents, files, [...result.dependencies, ...result.devDependencies]);
+    if (dependencyTree) result.dependencyTree = dependencyTree;
+
+    // ─── Licenses: inventory and the project's allow / deny policy ───
+    // node_modules / vendor are read from disk, so not for a git revision
+    const licenses = await analyzeLicenses(result, {
+      rootPath: context.revision ? null : project.root_path,
+      policy: { allow: project.license_allow || [], deny: project.license_deny || [] },
+      signal: context.signal
+    });
+    if (licenses) result.licenses = licenses;
+
+    // ─── Outdated dependencies: latest releases from the configured registry ───
+    if (context.registry) {
+      const outdated = await analyzeOutdated(result, context.registry, context.signal);
+      if (outdated) result.outdated = outdated;
     }
 
     // ─── Analyze tsconfig.json (TypeScript) ───
@@ -154,6 +174,10 @@ class TechStackLayer extends BaseLayer {
       }
     }
 
+    // ─── Containers: Dockerfiles and docker-compose services ───
+    const infrastructure = analyzeContainers(fileContents, files);
+    if (infrastructure) result.infrastructure = infrastructure;
+
     // ─── Analyze ECMAScript version from code patterns ───
     result.ecmaScriptVersion = this.detectEcmaScriptVersion(fileContents, files);
 
@@ -173,6 +197,126 @@ class TechStackLayer extends BaseLayer {
     return { techStack: result };
   }
 
+  // ─── Manifests ───
+
+  /**
+   * Runtime, dependencies and frameworks declared by a package.json.
+   * @param {Object} packageJson
+   * @param {string} source - Path of the manifest
+   */
+  analyzePackageJson(packageJson, source) {
+    const runtime = {};
+    if (packageJson.engines && packageJson.engines.node) {
+      runtime.node = packageJson.engines.node;
+    }
+    const list = (deps, type) => Object.entries(deps || {}).map(([name, version]) => ({ name, version, type, source }));
+    return {
+      runtime,
+      dependencies: list(packageJson.dependencies, 'production'),
+      devDependencies: list(packageJson.devDependencies, 'dev'),
+      frameworks: this.detectJsFrameworks({ ...packageJson.dependencies, ...packageJson.devDependencies }, source)
+    };
+  }
+
+  /**
+   * Runtime, dependencies and frameworks declared by a composer.json
+   * (the "php" requirement is the runtime; "ext-*" are not dependencies).
+   */
+  analyzeComposerJson(composerJson, source) {
+    const runtime = {};
+    if (composerJson.require && composerJson.require.php) {
+      runtime.php = composerJson.require.php;
+    }
+    const dependencies = Object.entries(composerJson.require || {})
+      .filter(([name]) => name !== 'php' && !name.startsWith('ext-'))
+      .map(([name, version]) => ({ name, version, type: 'production', source }));
+    const devDependencies = Object.entries(composerJson['require-dev'] || {})
+      .map(([name, version]) => ({ name, version, type: 'dev', source }));
+    return {
+      runtime,
+      dependencies,
+      devDependencies,
+      frameworks: this.detectPhpFrameworks({ ...composerJson.require, ...composerJson['require-dev'] }, source)
+    };
+  }
+
+  // Adds a manifest's findings to the result; a framework is listed once, from its first manifest
+  mergeManifest(result, manifest) {
+    result.runtime = { ...manifest.runtime, ...result.runtime };
+    result.dependencies.push(...manifest.dependencies);
+    result.devDependencies.push(...manifest.devDependencies);
+    for (const framework of manifest.frameworks) {
+      if (!result.frameworks.some(fw => fw.name === framework.name)) result.frameworks.push(framework);
+    }
+  }
+
+  // ─── Workspaces ───
+
+  /**
+   * Per-package breakdown of a monorepo. Member manifests are added to the
+   * project's dependencies and frameworks (source: the manifest path);
+   * dependencies on other members are marked `workspace: true`. Every file
+   * belongs to the deepest package containing it — the root package keeps
+   * the rest.
+   */
+  analyzeWorkspaces(workspaces, result, fileContents, files) {
+    const packagePaths = workspaces.packages.map(p => p.path);
+    const filesByPackage = new Map(packagePaths.map(p => [p, []]));
+    for (const f of files) filesByPackage.get(packageOf(f.path, packagePaths)).push(f);
+
+    const packages = workspaces.packages.map(pkg => {
+      const entry = {
+        name: null,
+        path: pkg.path,
+        root: pkg.path === '',
+        manifests: pkg.manifests,
+        version: null,
+        private: false,
+        runtime: {},
+        frameworks: [],
+        dependencies: 0,
+        devDependencies: 0
+      };
+
+      for (const manifestPath of pkg.manifests) {
+        const json = this.parseJson(fileContents[manifestPath]);
+        if (!json) continue;
+        entry.name = entry.name || json.name || null;
+        entry.version = entry.version || json.version || null;
+        entry.private = entry.private || json.private === true;
+
+        const manifest = manifestPath.endsWith('composer.json')
+          ? this.analyzeComposerJson(json, manifestPath)
+          : this.analyzePackageJson(json, manifestPath);
+        // The root manifests are already part of the project's stack
+        if (!entry.root) this.mergeManifest(result, manifest);
+        Object.assign(entry.runtime, manifest.runtime);
+        entry.frameworks.push(...manifest.frameworks);
+        entry.dependencies += manifest.dependencies.length;
+        entry.devDependencies += manifest.devDependencies.length;
+      }
+
+      const packageFiles = filesByPackage.get(pkg.path);
+      const byExtension = {};
+      for (const f of packageFiles) {
+        const ext = f.extension || '(no ext)';
+        byExtension[ext] = (byExtension[ext] || 0) + 1;
+      }
+      entry.name = entry.name || (entry.root ? null : pkg.path.split('/').pop());
+      entry.languages = this.detectLanguages(byExtension, packageFiles);
+      entry.files = packageFiles.length;
+      entry.lines = packageFiles.reduce((sum, f) => sum + f.lines, 0);
+      return entry;
+    });
+
+    const memberNames = new Set(packages.filter(p => !p.root && p.name).map(p => p.name));
+    for (const dep of [...result.dependencies, ...result.devDependencies]) {
+      if (memberNames.has(dep.name)) dep.workspace = true;
+    }
+
+    return { tools: workspaces.tools, packages };
+  }
+
   // ─── Language Detection ───
 
   detectLanguages(byExtension, files) {
@@ -217,7 +361,7 @@ class TechStackLayer extends BaseLayer {
 
   // ─── JS Framework Detection ───
 
-  detectJsFrameworks(deps) {
+  detectJsFrameworks(deps, source = 'package.json') {
     const frameworks = [];
     const checks = [
       { dep: 'react', name: 'React' },
@@ -250,7 +394,7 @@ class TechStackLayer extends BaseLayer {
         frameworks.push({
           name: check.name,
           version: deps[check.dep],
-          source: 'package.json'
+          source
         });
       }
     }
@@ -260,7 +404,7 @@ class TechStackLayer extends BaseLayer {
 
   // ─── PHP Framework Detection ───
 
-  detectPhpFrameworks(deps) {
+  detectPhpFrameworks(deps, source = 'composer.json') {
     const frameworks = [];
     const checks = [
       { dep: 'laravel/framework', name: 'Laravel' },
@@ -280,7 +424,7 @@ class TechStackLayer extends BaseLayer {
         frameworks.push({
           name: check.name,
           version: deps[check.dep],
-          source: 'composer.json'
+          source
         });
       }
     }
@@ -363,17 +507,30 @@ class TechStackLayer extends BaseLayer {
 
   // ─── Helpers ───
 
+  /**
+   * Path of a manifest: the shallowest file with that name (the project root
+   * first), null when there is none.
+   */
+  findManifest(fileContents, filename) {
+    let found = null;
+    for (const filePath of Object.keys(fileContents)) {
+      if (path.basename(filePath) !== filename) continue;
+      if (!found || filePath.split('/').length < found.split('/').length) found = filePath;
+    }
+    return found;
+  }
+
   findAndParse(fileContents, filename) {
-    for (const [filePath, content] of Object.entries(fileContents)) {
-      if (path.basename(filePath) === filename) {
-        try {
-          return JSON.parse(content);
-        } catch {
-          return null;
-        }
-      }
+    const filePath = this.findManifest(fileContents, filename);
+    return filePath ? this.parseJson(fileContents[filePath]) : null;
+  }
+
+  parseJson(content) {
+    try {
+      return JSON.parse(content);
+    } catch {
+      return null;
     }
-    return null;
   }
 }
 
@@ -0,0 +1,135 @@
+const path = require('path');
+const { globToRegExp } = require('../core/glob');
+
+/**
+ * Monorepo layouts: the member packages of npm / yarn / pnpm workspaces and
+ * lerna, and PHP projects made of several composer.json files.
+ *
+ *   package.json "workspaces"   ["packages/*"] or { packages: [...] } (yarn)
+ *   pnpm-workspace.yaml         packages: - 'apps/*' - '!apps/legacy'
+ *   lerna.json "packages"       default ["packages/*"]
+ *   nested composer.json        every composer.json below the root
+ *
+ * Only manifests at the project root declare workspaces; member globs match
+ * package folders, "!" patterns exclude them again.
+ */
+
+// Manifests in these folders belong to installed packages, not to the project
+const DEPENDENCY_DIRS = /(^|\/)(node_modules|vendor|bower_components)\//;
+
+/**
+ * @param {Object<string, string>} fileContents - _fileContents
+ * @param {Array<{ path, name }>} files - fileSystem.files
+ * @returns {{ tools: string[], packages: Array<{ path: string, manifests: string[] }> } | null}
+ *   packages: the root first (path ""), then members sorted by path.
+ *   null when the project is not a monorepo.
+ */
+function detectWorkspaces(fileContents, files) {
+  const tools = [];
+  const npmPatterns = [];
+
+  const rootPackage = parseJson(fileContents['package.json']);
+  const declared = rootPackage && (Array.isArray(rootPackage.workspaces) ? rootPackage.workspaces : rootPackage.workspaces?.packages);
+  if (Array.isArray(declared) && declared.length > 0) {
+    tools.push(files.some(f => f.path === 'yarn.lock') ? 'yarn-workspaces' : 'npm-workspaces');
+    npmPatterns.push(...declared);
+  }
+
+  const pnpmPatterns = parsePnpmWorkspace(fileContents['pnpm-workspace.yaml']);
+  if (pnpmPatterns.length > 0) {
+    tools.push('pnpm-workspaces');
+    npmPatterns.push(...pnpmPatterns);
+  }
+
+  const lerna = parseJson(fileContents['lerna.json']);
+  if (lerna) {
+    tools.push('lerna');
+    // With useWorkspaces lerna takes the packages from package.json
+    if (!lerna.useWorkspaces) npmPatterns.push(...(Array.isArray(lerna.packages) ? lerna.packages : ['packages/*']));
+  }
+
+  const manifests = files
+    .filter(f => (f.name === 'package.json' || f.name === 'composer.json') && !DEPENDENCY_DIRS.test(f.path))
+    .map(f => f.path);
+
+  // One package per folder — a folder may hold both a package.json and a composer.json
+  const byFolder = new Map();
+  const matchesMember = memberMatcher(npmPatterns);
+  for (const manifest of manifests) {
+    const dir = path.posix.dirname(manifest);
+    if (dir === '.') continue;
+    const isNpm = path.posix.basename(manifest) === 'package.json';
+    if (isNpm && !matchesMember(dir)) continue;
+    if (!isNpm && !tools.includes('composer')) tools.push('composer');
+    if (!byFolder.has(dir)) byFolder.set(dir, { path: dir, manifests: [] });
+    byFolder.get(dir).manifests.push(manifest);
+  }
+  if (byFolder.size === 0) return null;
+
+  const packages = [...byFolder.values()].sort((a, b) => a.path.localeCompare(b.path));
+  packages.unshift({ path: '', manifests: ['package.json', 'composer.json'].filter(m => manifests.includes(m)) });
+  return { tools, packages };
+}
+
+/**
+ * Deepest package containing a file ("" — the root — when none does).
+ * @param {string} filePath
+ * @param {string[]} packagePaths - Member package folders
+ */
+function packageOf(filePath, packagePaths) {
+  let best = '';
+  for (const dir of packagePaths) {
+    if (dir && filePath.startsWith(dir + '/') && dir.length > best.length) best = dir;
+  }
+  return best;
+}
+
+// ─── Manifests ───
+
+function memberMatcher(patterns) {
+  const include = [];
+  const exclude = [];
+  for (const pattern of patterns) {
+    if (typeof pattern !== 'string' || !pattern.trim()) continue;
+    const negate = pattern.startsWith('!');
+    (negate ? exclude : include).push(globToRegExp(negate ? pattern.slice(1) : pattern));
+  }
+  return (dir) => include.some(r => r.test(dir)) && !exclude.some(r => r.test(dir));
+}
+
+/**
+ * The "packages" list of pnpm-workspace.yaml — block ("- 'a/*'") or flow
+ * ("['a/*']") style. Not a YAML parser: other keys are ignored.
+ */
+function parsePnpmWorkspace(content) {
+  if (!content) return [];
+  const lines = content.split(/\r?\n/);
+  const start = lines.findIndex(l => /^packages\s*:/.test(l));
+  if (start === -1) return [];
+
+  const unquote = (value) => value.trim().replace(/^(['"])(.*)\1$/, '$2');
+  const flow = lines[start].replace(/^packages\s*:/, '').replace(/\s#.*$/, '').trim();
+  if (flow.startsWith('[')) {
+    return flow.replace(/^\[|\]$/g, '').split(',').map(unquote).filter(Boolean);
+  }
+
+  const patterns = [];
+  for (const line of lines.slice(start + 1)) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+    const item = line.match(/^\s*-\s*(.+?)\s*(?:\s#.*)?$/);
+    if (!item) break;
+    patterns.push(unquote(item[1]));
+  }
+  return patterns.filter(Boolean);
+}
+
+function parseJson(content) {
+  if (!content) return null;
+  try {
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { detectWorkspaces, packageOf, DEPENDENCY_DIRS };
@@ -1,18 +1,32 @@
 const BaseLayer = require('../core/base-layer');
 const path = require('path');
+const { analyzeJsAst } = require('./js-ast');
+const { analyzePhpTokens } = require('./php-tokens');
 
 /**
  * CodeStructureLayer — extracts classes, functions, methods, imports, exports,
- * and comments from PHP and JS/TS files using regex-based pattern matching.
+ * and comments from PHP and JS/TS files. JS/TS is parsed into an AST
+ * (js-ast.js), with regex-based pattern matching for files the parser
+ * rejects; PHP is read from its token stream (php-tokens.js).
  */
 class CodeStructureLayer extends BaseLayer {
   constructor() {
-    super('code-structure');
+    super('code-structure', {
+      displayName: 'Code Structure',
+      reads: ['fileSystem', '_fileContents'],
+      writes: ['codeStructure'],
+      workerModule: __filename,
+      // 2: JS/TS from the AST — end lines, parameters, nesting, object methods
+      // 3: PHP from tokens — interfaces, traits, enums, FQNs, class references
+      // 4: JS/TS with recoverable syntax errors falls back to the regex extractor
+      cacheVersion: 4
+    });
   }
 
   async process(snapshot, context) {
     const fileContents = snapshot._fileContents || {};
     const filesList = (snapshot.fileSystem && snapshot.fileSystem.files) || [];
+    const cache = context.cache;
 
     const filesAnalysis = [];
     let totalClasses = 0;
@@ -21,23 +35,27 @@ class CodeStructureLayer extends BaseLayer {
     let totalImports = 0;
     let totalExports = 0;
 
-    for (const fileInfo of filesList) {
-      if (fileInfo.obfuscated) continue;
-
-      const content = fileContents[fileInfo.path];
-      if (!content) continue;
-
-      const ext = fileInfo.extension;
-      let analysis = null;
+    // Unchanged files reuse cached results; the rest are analyzed in shards
+    // (worker threads when the engine has a pool)
+    const eligible = filesList.filter(f => !f.obfuscated && fileContents[f.path]);
+    const results = new Map();
+    const pending = [];
+    for (const fileInfo of eligible) {
+      const cached = cache ? cache.get(this, fileInfo.path) : undefined;
+      if (cached !== undefined) results.set(fileInfo.path, cached);
+      else pending.push({ content: fileContents[fileInfo.path], fileInfo });
+    }
 
-      if (ext === '.php') {
-        analysis = this.analyzePhp(content, fileInfo.path);
-      } else if (['.js', '.jsx', '.mjs', '.ts', '.tsx'].includes(ext)) {
-        analysis = this.analyzeJs(content, fileInfo.path);
-      } else if (ext === '.vue') {
-        analysis = this.analyzeVue(content, fileInfo.path);
-      }
+    const analyzed = context.runSharded
+      ? await context.runSharded(pending, null, 'Extracting code structure')
+      : this.analyzeShard(pending);
+    pending.forEach(({ fileInfo }, i) => {
+      results.set(fileInfo.path, analyzed[i]);
+      if (cache) cache.set(this, fileInfo.path, analyzed[i]);
+    });
 
+    for (const fileInfo of eligible) {
+      const analysis = results.get(fileInfo.path);
       if (analysis) {
         filesAnalysis.push(analysis);
         totalClasses += analysis.classes.length;
@@ -60,94 +78,48 @@ class CodeStructureLayer extends BaseLayer {
     };
   }
 
+  /**
+   * Worker-safe per-file analysis: items are { content, fileInfo }.
+   */
+  analyzeShard(items) {
+    return items.map(({ content, fileInfo }) => this.analyzeFile(content, fileInfo));
+  }
+
+  /**
+   * Dispatch a file to its language analyzer. Returns null for unsupported files.
+   */
+  analyzeFile(content, fileInfo) {
+    const ext = fileInfo.extension;
+    if (ext === '.php') return this.analyzePhp(content, fileInfo.path);
+    if (['.js', '.jsx', '.mjs', '.ts', '.tsx'].includes(ext)) return this.analyzeJs(content, fileInfo.path);
+    if (ext === '.vue') return this.analyzeVue(content, fileInfo.path);
+    return null;
+  }
+
   // ═══════════════════════════════════════════════════════
   // PHP Analysis
   // ═══════════════════════════════════════════════════════
 
+  /**
+   * PHP structure from the token stream (php-tokens.js): classes, interfaces,
+   * traits and enums with namespace-qualified names, functions, `use` and
+   * require/include imports, comments, and the classes the file references.
+   */
   analyzePhp(content, filePath) {
+    const structure = analyzePhpTokens(content);
     const result = {
       path: filePath,
       language: 'php',
-      classes: [],
-      functions: [],
-      imports: [],
+      parser: 'tokens',
+      namespace: structure.namespace,
+      classes: structure.classes,
+      functions: structure.functions,
+      imports: structure.imports,
       exports: [],
-      comments: []
+      comments: structure.comments,
+      classReferences: structure.classReferences
     };
 
-    const lines = content.split('\n');
-
-    // ─── Extract comments (single-line // and block /** */)
-    const commentRegex = /\/\/\s*(.+)/g;
-    let match;
-    while ((match = commentRegex.exec(content)) !== null) {
-      const line = content.substring(0, match.index).split('\n').length;
-      result.comments.push({ text: match[1].trim(), line });
-    }
-
-    // ─── Extract namespace and use statements (imports)
-    const useRegex = /^use\s+([\w\\]+)(?:\s+as\s+(\w+))?\s*;/gm;
-    while ((match = useRegex.exec(content)) !== null) {
-      const line = content.substring(0, match.index).split('\n').length;
-      result.imports.push({
-        source: match[1],
-        alias: match[2] || null,
-        line
-      });
-    }
-
-    // ─── Extract require/include
-    const requireRegex = /(?:require|include)(?:_once)?\s*(?:\(?\s*['"]([^'"]+)['"]\s*\)?|(\$\w+))/gm;
-    while ((match = requireRegex.exec(content)) !== null) {
-      const line = content.substring(0, match.index).split('\n').length;
-      result.imports.push({
-        source: match[1] || match[2],
-        type: 'require',
-        line
-      });
-    }
-
-    // ─── Extract classes
-    const classRegex = /(?:(?:abstract|final)\s+)?class\s+(\w+)(?:\s+extends\s+(\w+))?(?:\s+implements\s+([\w,\s\\]+))?\s*\{/g;
-    while ((match = classRegex.exec(content)) !== null) {
-      const line = content.substring(0, match.index).split('\n').length;
-      const className = match[1];
-      const extendsClass = match[2] || null;
-      const implementsList = match[3] ? match[3].split(',').map(s => s.trim()) : [];
-
-      // Find methods inside this class
-      const classBody = this.extractBlock(content, match.index + match[0].length - 1);
-      const methods = this.extractPhpMethods(classBody, content.substring(0, match.index).split('\n').length);
-
-      // Find properties
-      const properties = this.extractPhpProperties(classBody);
-
-      result.classes.push({
-        name: className,
-        extends: extendsClass,
-        implements: implementsList,
-        methods,
-        properties,
-        line
-      });
-    }
-
-    // ─── Extract standalone functions
-    const funcRegex = /(?:^|\n)\s*function\s+(\w+)\s*\(([^)]*)\)(?:\s*:\s*([\w|?\\]+))?\s*\{/g;
-    while ((match = funcRegex.exec(content)) !== null) {
-      // Make sure this function is NOT inside a class
-      const beforeFunc = content.substring(0, match.index);
-      if (this.isInsideClass(beforeFunc)) continue;
-
-      const line = beforeFunc.split('\n').length;
-      result.functions.push({
-        name: match[1],
-        params: this.parseParams(match[2]),
-        returnType: match[3] || null,
-        line
-      });
-    }
-
     if (result.classes.length === 0 && result.functions.length === 0) {
       const previewLines = content.split('\n').slice(0, 25);
       result.previewLines = previewLines;
@@ -156,48 +128,36 @@ class CodeStructureLayer extends BaseLayer {
     return result;
   }
 
-  extractPhpMethods(classBody, classStartLine) {
-    const methods = [];
-    // visibility optional — ловим и public/private/protected, и методы без модификатора (PHP4, или без явного)
-    const methodRegex = /(?:(?:abstract|final)\s+)?(public|protected|private|static)?\s*(?:static\s+)?function\s+(\w+)\s*\(([^)]*)\)(?:\s*:\s*([\w|?\\]+))?\s*\{/g;
-    let match;
-
-    while ((match = methodRegex.exec(classBody)) !== null) {
-      const line = classStartLine + classBody.substring(0, match.index).split('\n').length - 1;
-      methods.push({
-        name: match[2],
-        visibility: match[1] || null, // null = без модификатора
-        params: this.parseParams(match[3]),
-        returnType: match[4] || null,
-        isStatic: match[0].includes('static'),
-        line
-      });
-    }
-
-    return methods;
-  }
-
-  extractPhpProperties(classBody) {
-    const properties = [];
-    const propRegex = /(public|protected|private)\s+(?:static\s+)?(?:([\w|?\\]+)\s+)?\$(\w+)/g;
-    let match;
-
-    while ((match = propRegex.exec(classBody)) !== null) {
-      properties.push({
-        name: match[3],
-        visibility: match[1],
-        type: match[2] || null
-      });
-    }
-
-    return properties;
-  }
-
   // ═══════════════════════════════════════════════════════
   // JavaScript / TypeScript Analysis
   // ═══════════════════════════════════════════════════════
 
-  analyzeJs(content, filePath) {
+  /**
+   * JS/TS structure from the AST; a file that does not parse (syntax the
+   * parser does not know, a broken file) falls back to the regex extractor,
+   * with `parseError` saying why.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.typescript] - Default: by extension
+   * @param {number} [options.lineOffset] - Line of the code inside its file (Vue <script>)
+   */
+  analyzeJs(content, filePath, { typescript = /\.tsx?$/.test(filePath), lineOffset = 0 } = {}) {
+    const language = typescript ? 'typescript' : 'javascript';
+    try {
+      // .ts has no JSX: <T>value is a type assertion there
+      const structure = analyzeJsAst(content, { typescript, jsx: !/\.ts$/.test(filePath), lineOffset });
+      return { path: filePath, language, parser: 'ast', ...structure };
+    } catch (err) {
+      const result = this.analyzeJsRegex(content, filePath);
+      result.language = language;
+      result.parser = 'regex';
+      result.parseError = { message: err.message.replace(/\s*\(\d+:\d+\)$/, ''), line: err.loc ? err.loc.line + lineOffset : null };
+      if (lineOffset) this.shiftLines(result, lineOffset);
+      return result;
+    }
+  }
+
+  analyzeJsRegex(content, filePath) {
     const result = {
       path: filePath,
       language: filePath.match(/\.tsx?$/) ? 'typescript' : 'javascript',
@@ -375,14 +335,27 @@ class CodeStructureLayer extends BaseLayer {
     }
 
     const scriptContent = scriptMatch[1];
-    const isSetup = scriptMatch[0].includes('setup');
-    const result = this.analyzeJs(scriptContent, filePath);
+    const openTag = scriptMatch[0].slice(0, scriptMatch[0].indexOf('>') + 1);
+    const isSetup = openTag.includes('setup');
+    // Lines of the script block count from its <script> tag's line
+    const lineOffset = content.substring(0, scriptMatch.index + openTag.length).split('\n').length - 1;
+    const result = this.analyzeJs(scriptContent, filePath, {
+      typescript: /\blang=["']tsx?["']/.test(openTag),
+      lineOffset
+    });
     result.language = 'vue';
     result.isScriptSetup = isSetup;
 
     return result;
   }
 
+  // Regex results of a code block inside a larger file: lines relative to the file
+  shiftLines(result, offset) {
+    const shift = (item) => { item.line += offset; };
+    result.classes.forEach(c => { shift(c); c.methods.forEach(shift); });
+    [result.functions, result.imports, result.exports, result.comments].forEach(list => list.forEach(shift));
+  }
+
   // ═══════════════════════════════════════════════════════
   // Helpers
   // ═══════════════════════════════════════════════════════
@@ -0,0 +1,558 @@
+const { parse } = require('@babel/parser');
+
+/**
+ * JavaScript / TypeScript structure from a Babel AST — the same result shape
+ * as the regex extractor in code-structure-layer.js, plus end lines, typed
+ * parameters with their defaults, decorators and nesting:
+ *
+ *   - functions: declarations, `const f = () => …` / `function` expressions,
+ *     object-literal methods (`object`: the object they belong to), functions
+ *     assigned to members (`exports.f = …`), anonymous default exports
+ *     (name "default"); `parent` is the enclosing function, method or class
+ *   - classes: declarations and named class expressions, with methods (class
+ *     fields holding a function included) and the other fields as properties
+ *   - imports: ES imports, require() calls, dynamic import(), TS import = require()
+ *   - exports: ES exports (declarations included), module.exports / exports.x
+ *
+ * Throws a SyntaxError when the file does not parse, recoverable errors
+ * included; the caller falls back to the regex extractor.
+ */
+
+const BASE_PLUGINS = ['decorators-legacy', 'classProperties', 'classPrivateProperties', 'classPrivateMethods', 'topLevelAwait'];
+
+/**
+ * @param {string} content
+ * @param {Object} options
+ * @param {boolean} options.typescript - .ts / .tsx / <script lang="ts">
+ * @param {boolean} options.jsx - JSX allowed (not for .ts, where <T>x is a type assertion)
+ * @param {number} [options.lineOffset] - Added to every line (a Vue <script> block inside its file)
+ * @returns {{ classes, functions, imports, exports, comments }}
+ */
+function analyzeJsAst(content, { typescript = false, jsx = true, lineOffset = 0 } = {}) {
+  const plugins = [...BASE_PLUGINS];
+  if (typescript) plugins.push('typescript');
+  else if (/@flow\b/.test(content.slice(0, 2000))) plugins.push('flow');
+  if (jsx) plugins.push('jsx');
+
+  const ast = parse(content, {
+    sourceType: 'unambiguous',
+    plugins,
+    errorRecovery: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    allowImportExportEverywhere: true,
+    allowUndeclaredExports: true,
+    allowSuperOutsideMethod: true
+  });
+  // A recovered tree misses whatever the errors cut out — treat it as not parsed
+  if (ast.errors?.length) throw ast.errors[0];
+
+  const extractor = new Extractor(content, lineOffset);
+  extractor.visit(ast.program, { parent: null, exported: false });
+
+  for (const comment of ast.comments || []) {
+    if (comment.type !== 'CommentLine') continue;
+    const text = comment.value.trim();
+    // Triple-slash directives and separators are not comments about the code
+    if (!text || comment.value.startsWith('/')) continue;
+    extractor.result.comments.push({ text, line: extractor.line(comment) });
+  }
+  return extractor.result;
+}
+
+class Extractor {
+  constructor(content, lineOffset) {
+    this.content = content;
+    this.lineOffset = lineOffset;
+    this.result = { classes: [], functions: [], imports: [], exports: [], comments: [] };
+  }
+
+  line(node) {
+    return node.loc.start.line + this.lineOffset;
+  }
+
+  endLine(node) {
+    return node.loc.end.line + this.lineOffset;
+  }
+
+  source(node) {
+    return node ? this.content.slice(node.start, node.end) : null;
+  }
+
+  // ─── Traversal ───
+
+  /**
+   * Visits a node and its children. `ctx.parent` — name of the enclosing
+   * function / method / class; `ctx.exported` — the node is exported.
+   */
+  visit(node, ctx) {
+    if (!node || typeof node.type !== 'string') return;
+    const handler = this[node.type];
+    if (handler && handler.call(this, node, ctx) === false) return;
+    this.visitChildren(node, ctx);
+  }
+
+  visitChildren(node, ctx) {
+    for (const key of Object.keys(node)) {
+      if (key === 'loc' || key === 'leadingComments' || key === 'trailingComments' || key === 'innerComments' ||
+          key === 'typeAnnotation' || key === 'returnType' || key === 'typeParameters') continue;
+      const value = node[key];
+      const inner = { parent: ctx.parent, exported: false };
+      if (Array.isArray(value)) {
+        for (const child of value) if (child && typeof child.type === 'string') this.visit(child, inner);
+      } else if (value && typeof value.type === 'string') {
+        this.visit(value, inner);
+      }
+    }
+  }
+
+  // ─── Imports ───
+
+  ImportDeclaration(node) {
+    this.result.imports.push({
+      source: node.source.value,
+      // Local names — an aliased import is used by its alias
+      specifiers: node.specifiers.map(s => s.local.name),
+      type: 'es6',
+      ...(node.importKind === 'type' && { typeOnly: true }),
+      line: this.line(node)
+    });
+    return false;
+  }
+
+  TSImportEqualsDeclaration(node) {
+    const ref = node.moduleReference;
+    if (ref.type === 'TSExternalModuleReference') {
+      this.result.imports.push({ source: ref.expression.value, specifiers: [node.id.name], type: 'commonjs', line: this.line(node) });
+    }
+    return false;
+  }
+
+  CallExpression(node, ctx) {
+    const arg = node.arguments[0];
+    const literal = arg && (arg.type === 'StringLiteral' || (arg.type === 'TemplateLiteral' && arg.expressions.length === 0));
+    if (!literal) return;
+    const source = arg.type === 'StringLiteral' ? arg.value : arg.quasis[0].value.cooked;
+    if (node.callee.type === 'Identifier' && node.callee.name === 'require' && node.arguments.length === 1) {
+      this.result.imports.push({ source, specifiers: ctx.bindings || [], type: 'commonjs', line: this.line(node) });
+    } else if (node.callee.type === 'Import') {
+      this.result.imports.push({ source, specifiers: [], type: 'dynamic', line: this.line(node) });
+    }
+  }
+
+  ImportExpression(node) {
+    if (node.source.type === 'StringLiteral') {
+      this.result.imports.push({ source: node.source.value, specifiers: [], type: 'dynamic', line: this.line(node) });
+    }
+  }
+
+  // ─── Exports ───
+
+  ExportNamedDeclaration(node, ctx) {
+    const source = node.source ? node.source.value : null;
+    for (const s of node.specifiers) {
+      const exported = moduleName(s.exported);
+      const local = s.type === 'ExportSpecifier' ? moduleName(s.local) : exported;
+      this.result.exports.push({
+        name: local,
+        ...(exported !== local && { as: exported }),
+        type: 'es6',
+        ...(source && { source }),
+        line: this.line(node)
+      });
+    }
+    const decl = node.declaration;
+    if (decl) {
+      for (const name of declaredNames(decl)) this.result.exports.push({ name, type: 'es6', line: this.line(node) });
+      this.visit(decl, { ...ctx, exported: true, exportLine: this.line(node) });
+    }
+    return false;
+  }
+
+  ExportAllDeclaration(node) {
+    this.result.exports.push({
+      name: node.exported ? moduleName(node.exported) : '*',
+      type: 'es6',
+      source: node.source.value,
+      line: this.line(node)
+    });
+    return false;
+  }
+
+  ExportDefaultDeclaration(node, ctx) {
+    const decl = node.declaration;
+    const name = decl.type === 'Identifier' ? decl.name : (decl.id && decl.id.name) || 'default';
+    this.result.exports.push({ name, type: 'default', line: this.line(node) });
+    const inner = { ...ctx, exported: true, isDefault: true, exportLine: this.line(node) };
+    if (isFunction(decl)) this.addFunction(decl, inner, { name: (decl.id && decl.id.name) || 'default' });
+    else this.visit(decl, inner);
+    return false;
+  }
+
+  TSExportAssignment(node, ctx) {
+    if (node.expression.type === 'Identifier') {
+      this.result.exports.push({ name: node.expression.name, type: 'commonjs', line: this.line(node) });
+    }
+    this.visit(node.expression, ctx);
+    return false;
+  }
+
+  // module.exports = …, exports.x = …, obj.method = function () {}
+  AssignmentExpression(node, ctx) {
+    if (node.operator !== '=' || node.left.type !== 'MemberExpression') return;
+    const target = this.source(node.left);
+    const right = node.right;
+
+    if (target === 'module.exports') {
+      if (right.type === 'ObjectExpression') {
+        for (const prop of right.properties) {
+          const name = prop.type === 'SpreadElement' ? null : propertyName(prop.key, prop.computed);
+          if (name) this.result.exports.push({ name, type: 'commonjs', line: this.line(node) });
+        }
+        this.visitObject(right, 'module.exports', { parent: ctx.parent });
+        return false;
+      }
+      const name = right.type === 'Identifier' ? right.name : right.id && right.id.name;
+      if (name) this.result.exports.push({ name, type: 'commonjs', line: this.line(node) });
+      // module.exports = function () {} / class {} — the module's default export
+      const inner = { parent: ctx.parent, exported: true, isDefault: true };
+      if (isFunction(right)) {
+        this.addFunction(right, inner, { name: name || 'default', line: this.line(node) });
+        return false;
+      }
+      if (right.type === 'ClassExpression') {
+        this.addClass(right, inner, { name: name || 'default', line: this.line(node) });
+        return false;
+      }
+    } else if (/^(module\.)?exports\.[\w$]+$/.test(target)) {
+      this.result.exports.push({ name: target.split('.').pop(), type: 'commonjs', line: this.line(node) });
+    }
+
+    const member = !node.left.computed && propertyName(node.left.property, false);
+    if (member && isFunction(right)) {
+      const object = this.source(node.left.object);
+      const exported = object === 'exports' || object === 'module.exports';
+      this.addFunction(right, { parent: ctx.parent, exported }, { name: member, object, line: this.line(node) });
+      return false;
+    }
+    if (member && right.type === 'ObjectExpression') {
+      this.visit(node.left, ctx);
+      this.visitObject(right, target, ctx);
+      return false;
+    }
+    if (right.type === 'ClassExpression') {
+      this.addClass(right, ctx, { name: right.id ? right.id.name : member || 'default' });
+      return false;
+    }
+  }
+
+  // ─── Declarations ───
+
+  FunctionDeclaration(node, ctx) {
+    this.addFunction(node, ctx, { name: node.id ? node.id.name : 'default' });
+    return false;
+  }
+
+  ClassDeclaration(node, ctx) {
+    this.addClass(node, ctx, { name: node.id ? node.id.name : 'default' });
+    return false;
+  }
+
+  ClassExpression(node, ctx) {
+    // Anonymous class expressions (mixins, inline arguments) are not listed
+    if (!node.id) return;
+    this.addClass(node, ctx, { name: node.id.name });
+    return false;
+  }
+
+  // `export const a = …, b = …` — every declarator is exported
+  VariableDeclaration(node, ctx) {
+    for (const declarator of node.declarations) this.visit(declarator, { parent: ctx.parent, exported: ctx.exported });
+    return false;
+  }
+
+  VariableDeclarator(node, ctx) {
+    const init = node.init;
+    if (!init || node.id.type !== 'Identifier') {
+      // const { a, b } = require('x')
+      if (init && isRequire(init)) {
+        this.visit(init, { ...ctx, bindings: patternNames(node.id) });
+        return false;
+      }
+      return;
+    }
+    const name = node.id.name;
+    if (isFunction(init)) {
+      this.addFunction(init, ctx, { name, line: this.line(node) });
+      return false;
+    }
+    if (init.type === 'ClassExpression') {
+      this.addClass(init, ctx, { name: init.id ? init.id.name : name, line: this.line(node) });
+      return false;
+    }
+    if (init.type === 'ObjectExpression') {
+      this.visitObject(init, name, { parent: ctx.parent });
+      return false;
+    }
+    // const x = require('x'), const y = require('x').y
+    const call = init.type === 'MemberExpression' && isRequire(init.object) ? init.object : init;
+    if (isRequire(call)) {
+      this.visit(call, { ...ctx, bindings: [name] });
+      return false;
+    }
+  }
+
+  // Object literals outside a declaration: arguments, return values, defaults
+  ObjectExpression(node, ctx) {
+    // export default { data() {} } — a Vue options object
+    this.visitObject(node, ctx.isDefault ? 'default' : null, { parent: ctx.parent });
+    return false;
+  }
+
+  /**
+   * Methods and function-valued properties of an object literal become
+   * functions of `object`; nested literals extend the name ("api.users").
+   */
+  visitObject(node, object, ctx) {
+    for (const prop of node.properties) {
+      if (prop.type === 'SpreadElement') {
+        this.visit(prop.argument, ctx);
+        continue;
+      }
+      const key = propertyName(prop.key, prop.computed);
+      if (prop.computed) this.visit(prop.key, ctx);
+      if (prop.type === 'ObjectMethod') {
+        this.addFunction(prop, ctx, { name: key || this.source(prop.key), object, type: 'method', kind: prop.kind });
+      } else if (isFunction(prop.value)) {
+        this.addFunction(prop.value, ctx, { name: key || this.source(prop.key), object, line: this.line(prop) });
+      } else if (prop.value && prop.value.type === 'ObjectExpression') {
+        this.visitObject(prop.value, object && key ? `${object}.${key}` : key, ctx);
+      } else {
+        this.visit(prop.value, ctx);
+      }
+    }
+  }
+
+  // ─── Entries ───
+
+  /**
+   * @param {Object} node - Function / arrow / method node
+   * @param {Object} info - name, object, type, kind, line (default: the node's)
+   */
+  addFunction(node, ctx, info) {
+    const type = info.type || (node.type === 'ArrowFunctionExpression' ? 'arrow'
+      : node.type === 'FunctionExpression' ? 'expression' : null);
+    // TypeScript overload signatures and `declare function` have no body
+    if (node.type === 'TSDeclareFunction') return;
+
+    const entry = {
+      name: info.name,
+      ...(type && { type }),
+      params: node.params.map(p => this.param(p).name),
+      parameters: node.params.map(p => this.param(p)),
+      returnType: this.typeText(node.returnType),
+      isAsync: Boolean(node.async),
+      isGenerator: Boolean(node.generator),
+      isExported: Boolean(ctx.exported),
+      ...(ctx.isDefault && { isDefault: true }),
+      ...(info.object !== undefined && { object: info.object }),
+      ...(info.kind === 'get' && { isGetter: true }),
+      ...(info.kind === 'set' && { isSetter: true }),
+      parent: ctx.parent,
+      line: info.line || ctx.exportLine || this.line(node),
+      endLine: this.endLine(node)
+    };
+    this.result.functions.push(entry);
+
+    const qualified = info.object ? `${info.object}.${info.name}` : info.name;
+    const inner = { parent: ctx.parent ? `${ctx.parent} > ${qualified}` : qualified, exported: false };
+    for (const p of node.params) this.visit(p, inner);
+    this.visit(node.body, inner);
+  }
+
+  addClass(node, ctx, info) {
+    const cls = {
+      name: info.name,
+      extends: node.superClass ? this.source(node.superClass) : null,
+      ...(node.implements && node.implements.length > 0 && { implements: node.implements.map(i => this.source(i.expression || i.id || i)) }),
+      ...(node.abstract && { isAbstract: true }),
+      decorators: this.decorators(node),
+      methods: [],
+      properties: [],
+      isExported: Boolean(ctx.exported),
+      ...(ctx.isDefault && { isDefault: true }),
+      parent: ctx.parent,
+      line: info.line || ctx.exportLine || (node.id ? this.line(node.id) : this.line(node)),
+      endLine: this.endLine(node)
+    };
+    // Class registered before its members, so nested classes follow it
+    this.result.classes.push(cls);
+    if (node.superClass) this.visit(node.superClass, { parent: ctx.parent });
+
+    const inner = { parent: ctx.parent ? `${ctx.parent} > ${cls.name}` : cls.name, exported: false };
+    for (const member of node.body.body) {
+      this.classMember(cls, member, inner);
+    }
+  }
+
+  classMember(cls, member, ctx) {
+    const privateName = member.key && member.key.type === 'PrivateName';
+    const name = privateName ? `#${member.key.id.name}` : member.key && (propertyName(member.key, member.computed) || this.source(member.key));
+    const visibility = member.accessibility || (privateName ? 'private' : null);
+    if (member.computed) this.visit(member.key, ctx);
+
+    switch (member.type) {
+      case 'ClassMethod':
+      case 'ClassPrivateMethod':
+      case 'TSDeclareMethod': {
+        // Overload signatures; abstract methods are listed
+        if (member.type === 'TSDeclareMethod' && !member.abstract) return;
+        cls.methods.push(this.method(member, name, visibility));
+        if (member.body) {
+          for (const p of member.params) this.visit(p, { ...ctx, parent: `${ctx.parent}.${name}` });
+          this.visit(member.body, { ...ctx, parent: `${ctx.parent}.${name}` });
+        }
+        return;
+      }
+      case 'ClassProperty':
+      case 'ClassPrivateProperty':
+      case 'ClassAccessorProperty': {
+        const value = member.value;
+        if (isFunction(value)) {
+          // handleClick = () => {} — a method held by a field
+          cls.methods.push({
+            ...this.method(value, name, visibility),
+            type: value.type === 'ArrowFunctionExpression' ? 'arrow' : 'expression',
+            isStatic: Boolean(member.static),
+            decorators: this.decorators(member),
+            line: this.line(member)
+          });
+          this.visit(value.body, { ...ctx, parent: `${ctx.parent}.${name}` });
+          return;
+        }
+        cls.properties.push({
+          name,
+          visibility,
+          type: this.typeText(member.typeAnnotation),
+          isStatic: Boolean(member.static),
+          ...(member.readonly && { isReadonly: true }),
+          decorators: this.decorators(member),
+          line: this.line(member)
+        });
+        if (value) this.visit(value, ctx);
+        return;
+      }
+      case 'StaticBlock':
+        for (const statement of member.body) this.visit(statement, ctx);
+        return;
+      default:
+        // Index signatures and other type-only members
+    }
+  }
+
+  method(node, name, visibility) {
+    return {
+      name,
+      params: node.params.map(p => this.param(p).name),
+      parameters: node.params.map(p => this.param(p)),
+      returnType: this.typeText(node.returnType),
+      visibility,
+      isStatic: Boolean(node.static),
+      isAsync: Boolean(node.async),
+      isGenerator: Boolean(node.generator),
+      isGetter: node.kind === 'get',
+      isSetter: node.kind === 'set',
+      ...(node.abstract && { isAbstract: true }),
+      decorators: this.decorators(node),
+      line: node.decorators && node.decorators.length > 0 ? this.line(node.key) : this.line(node),
+      endLine: this.endLine(node)
+    };
+  }
+
+  /**
+   * @returns {{ name, type, default, optional, rest }} name: the identifier,
+   *   or the pattern's source for destructuring ("{ id, name }")
+   */
+  param(node) {
+    if (node.type === 'TSParameterProperty') return this.param(node.parameter);
+    let target = node;
+    let defaultValue = null;
+    let rest = false;
+    if (target.type === 'AssignmentPattern') {
+      defaultValue = this.source(target.right);
+      target = target.left;
+    }
+    if (target.type === 'RestElement') {
+      rest = true;
+      target = target.argument;
+    }
+    const name = target.type === 'Identifier'
+      ? target.name
+      : this.source(target).replace(/\s*:[\s\S]*$/, '').replace(/\s+/g, ' ');
+    return {
+      name,
+      type: this.typeText(target.typeAnnotation || node.typeAnnotation),
+      default: defaultValue,
+      optional: Boolean(target.optional) || defaultValue !== null,
+      rest
+    };
+  }
+
+  // `: string` annotation → "string"
+  typeText(annotation) {
+    if (!annotation) return null;
+    const node = annotation.typeAnnotation || annotation;
+    return this.source(node);
+  }
+
+  decorators(node) {
+    return (node.decorators || []).map(d => {
+      const expr = d.expression;
+      return this.source(expr.type === 'CallExpression' ? expr.callee : expr);
+    });
+  }
+}
+
+// ─── AST helpers ───
+
+function isFunction(node) {
+  return Boolean(node) && (node.type === 'ArrowFunctionExpression' || node.type === 'FunctionExpression');
+}
+
+function isRequire(node) {
+  return node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'require';
+}
+
+function propertyName(key, computed) {
+  if (!key) return null;
+  if (!computed && key.type === 'Identifier') return key.name;
+  if (key.type === 'StringLiteral' || key.type === 'NumericLiteral') return String(key.value);
+  return null;
+}
+
+// `export { a as "b c" }` — string module export names
+function moduleName(node) {
+  return node.type === 'StringLiteral' ? node.value : node.name;
+}
+
+// Names a pattern binds: { a, b: c, ...d } → a, c, d
+function patternNames(node) {
+  if (!node) return [];
+  switch (node.type) {
+    case 'Identifier': return [node.name];
+    case 'ObjectPattern': return node.properties.flatMap(p => patternNames(p.type === 'RestElement' ? p.argument : p.value));
+    case 'ArrayPattern': return node.elements.flatMap(patternNames);
+    case 'AssignmentPattern': return patternNames(node.left);
+    case 'RestElement': return patternNames(node.argument);
+    default: return [];
+  }
+}
+
+// Names declared by an exported declaration
+function declaredNames(decl) {
+  if (decl.type === 'VariableDeclaration') return decl.declarations.flatMap(d => patternNames(d.id));
+  if (decl.id && decl.id.type === 'Identifier') return [decl.id.name];
+  return [];
+}
+
+module.exports = { analyzeJsAst };
@@ -0,0 +1,900 @@
+/**
+ * PHP structure from a token stream. The tokenizer knows PHP's lexical
+ * grammar — inline HTML around <?php ?> tags, comments, single / double
+ * quoted strings (with {$…} interpolation), heredoc / nowdoc, attributes — so
+ * braces and keywords inside strings and comments are never mistaken for code.
+ *
+ * The extractor walks the tokens with a scope stack and records:
+ *   - namespaces and `use` imports (class, function, const; grouped `use A\{B, C}`)
+ *   - classes, interfaces, traits, enums and anonymous classes with their
+ *     namespace-qualified name (`fqn`), methods, properties (promoted
+ *     constructor parameters included), constants, enum cases, `use` traits,
+ *     attributes and start / end lines
+ *   - functions (also the ones declared inside `if (!function_exists())`)
+ *   - classReferences: every class name the file uses (new, ::, extends,
+ *     implements, type declarations, catch, instanceof, attributes, trait use,
+ *     "App\Models\User" strings) resolved to its fully qualified name
+ *
+ * Class names are resolved as PHP does: `\A\B` is fully qualified, an imported
+ * alias stands for its import, any other name is relative to the namespace.
+ */
+
+const MODIFIERS = new Set(['public', 'protected', 'private', 'static', 'abstract', 'final', 'readonly', 'var']);
+const VISIBILITIES = new Set(['public', 'protected', 'private']);
+const BUILTIN_TYPES = new Set([
+  'array', 'bool', 'boolean', 'callable', 'double', 'false', 'float', 'int', 'integer', 'iterable', 'mixed',
+  'never', 'null', 'object', 'parent', 'resource', 'self', 'static', 'string', 'true', 'void'
+]);
+const KEYWORDS = new Set([
+  'abstract', 'and', 'as', 'break', 'case', 'catch', 'class', 'clone', 'const', 'continue', 'declare', 'default',
+  'die', 'do', 'echo', 'else', 'elseif', 'empty', 'enddeclare', 'endfor', 'endforeach', 'endif', 'endswitch',
+  'endwhile', 'enum', 'eval', 'exit', 'extends', 'final', 'finally', 'fn', 'for', 'foreach', 'from', 'function',
+  'global', 'goto', 'if', 'implements', 'include', 'include_once', 'instanceof', 'insteadof', 'interface', 'isset',
+  'list', 'match', 'namespace', 'new', 'or', 'print', 'private', 'protected', 'public', 'readonly', 'require',
+  'require_once', 'return', 'switch', 'throw', 'trait', 'try', 'unset', 'use', 'var', 'while', 'xor', 'yield',
+  '__halt_compiler', '__class__', '__dir__', '__file__', '__function__', '__line__', '__method__',
+  '__namespace__', '__trait__'
+]);
+// A string holding a class name: 'App\Models\User', "App\\Models\\User"
+const FQN_STRING = /^\\{0,2}[A-Za-z_]\w*(?:\\{1,2}[A-Za-z_]\w*)+$/;
+
+// ─── Tokenizer ───
+
+const NAME = /\\?[A-Za-z_\x80-\uffff][\w\x80-\uffff]*(?:\\[A-Za-z_\x80-\uffff][\w\x80-\uffff]*)*(?:\\(?=\s*\{))?/y;
+const OPEN_TAG = /<\?(?:php(?![\w])|=|(?=\s))/gi;
+const HEREDOC = /<<<[ \t]*(["']?)([A-Za-z_]\w*)\1\r?\n/y;
+const PUNCTUATION = [
+  '<<=', '>>=', '**=', '??=', '...', '<=>', '===', '!==', '?->',
+  '->', '::', '=>', '#[', '==', '!=', '<>', '<=', '>=', '&&', '||', '??', '++', '--',
+  '+=', '-=', '*=', '/=', '.=', '%=', '&=', '|=', '^=', '<<', '>>', '**'
+];
+
+/**
+ * Splits PHP source into tokens { type, value, line, start, end }:
+ * html, open, close, comment, doc, string, variable, name, number, punct.
+ * String values are the contents without quotes (single-quoted ones unescaped).
+ */
+function tokenizePhp(content) {
+  const tokens = [];
+  const length = content.length;
+  let pos = 0;
+  let line = 1;
+
+  const advance = (end) => {
+    for (let k = pos; k < end; k++) if (content.charCodeAt(k) === 10) line++;
+    pos = end;
+  };
+  const emit = (type, end, value) => {
+    tokens.push({ type, value: value === undefined ? content.slice(pos, end) : value, line, start: pos, end });
+    advance(end);
+  };
+  const whitespace = /\s+/y;
+
+  while (pos < length) {
+    // Inline HTML up to the next open tag
+    OPEN_TAG.lastIndex = pos;
+    const open = OPEN_TAG.exec(content);
+    if (!open) {
+      emit('html', length);
+      break;
+    }
+    if (open.index > pos) emit('html', open.index);
+    emit('open', open.index + open[0].length);
+
+    while (pos < length) {
+      const c = content[pos];
+      const next = content[pos + 1];
+
+      if (/\s/.test(c)) {
+        whitespace.lastIndex = pos;
+        whitespace.exec(content);
+        advance(whitespace.lastIndex);
+        continue;
+      }
+      if (c === '?' && next === '>') {
+        // The newline right after ?> belongs to the tag
+        emit('close', content[pos + 2] === '\n' ? pos + 3 : content.startsWith('\r\n', pos + 2) ? pos + 4 : pos + 2);
+        break;
+      }
+      if ((c === '#' && next !== '[') || (c === '/' && next === '/')) {
+        let end = pos;
+        while (end < length && content[end] !== '\n' && !(content[end] === '?' && content[end + 1] === '>')) end++;
+        emit('comment', end, content.slice(pos + (c === '#' ? 1 : 2), end).trim());
+        continue;
+      }
+      if (c === '/' && next === '*') {
+        const close = content.indexOf('*/', pos + 2);
+        const end = close === -1 ? length : close + 2;
+        emit(content[pos + 2] === '*' && content[pos + 3] !== '/' ? 'doc' : 'comment', end);
+        continue;
+      }
+      if (c === "'") {
+        const end = skipQuoted(content, pos, "'");
+        emit('string', end, content.slice(pos + 1, end - 1).replace(/\\([\\'])/g, '$1'));
+        continue;
+      }
+      if (c === '"' || c === '`') {
+        const end = skipQuoted(content, pos, c);
+        emit('string', end, content.slice(pos + 1, end - 1));
+        continue;
+      }
+      if (c === '<' && content.startsWith('<<<', pos)) {
+        HEREDOC.lastIndex = pos;
+        const heredoc = HEREDOC.exec(content);
+        if (heredoc) {
+          const closing = new RegExp(`^[ \\t]*${heredoc[2]}(?![\\w\\x80-\\uffff])`, 'mg');
+          closing.lastIndex = HEREDOC.lastIndex;
+          const match = closing.exec(content);
+          const end = match ? match.index + match[0].length : length;
+          emit('string', end, content.slice(HEREDOC.lastIndex, match ? match.index : length));
+          continue;
+        }
+      }
+      if (c === '$' && /[A-Za-z_\x80-\uffff]/.test(next || '')) {
+        NAME.lastIndex = pos + 1;
+        NAME.exec(content);
+        emit('variable', NAME.lastIndex);
+        continue;
+      }
+      if (/[A-Za-z_\x80-\uffff\\]/.test(c)) {
+        NAME.lastIndex = pos;
+        if (NAME.exec(content)) {
+          emit('name', NAME.lastIndex);
+          continue;
+        }
+      }
+      if (/\d/.test(c)) {
+        const number = /\d[\w.]*/y;
+        number.lastIndex = pos;
+        number.exec(content);
+        emit('number', number.lastIndex);
+        continue;
+      }
+      const punct = PUNCTUATION.find(p => content.startsWith(p, pos)) || c;
+      emit('punct', pos + punct.length);
+    }
+  }
+  return tokens;
+}
+
+// End of a quoted string starting at `start` (past the closing quote)
+function skipQuoted(content, start, quote) {
+  let i = start + 1;
+  while (i < content.length) {
+    const c = content[i];
+    if (c === '\\') {
+      i += 2;
+    } else if (c === quote) {
+      return i + 1;
+    } else if (quote !== "'" && c === '{' && content[i + 1] === '$') {
+      // {$a['key']} — quotes inside an interpolation do not end the string
+      let depth = 0;
+      while (i < content.length) {
+        const d = content[i];
+        if (d === "'" || d === '"') i = skipQuoted(content, i, d) - 1;
+        else if (d === '{') depth++;
+        else if (d === '}' && --depth === 0) break;
+        i++;
+      }
+      i++;
+    } else {
+      i++;
+    }
+  }
+  return content.length;
+}
+
+// ─── Extractor ───
+
+/**
+ * @param {string} content - PHP file
+ * @returns {{ namespace, classes, functions, imports, comments, classReferences }}
+ */
+function analyzePhpTokens(content) {
+  const extractor = new PhpExtractor(content, tokenizePhp(content));
+  extractor.run();
+  return extractor.result;
+}
+
+class PhpExtractor {
+  constructor(content, tokens) {
+    this.content = content;
+    this.tokens = tokens.filter(t => t.type !== 'comment' && t.type !== 'doc' && t.type !== 'html');
+    this.result = { namespace: null, classes: [], functions: [], imports: [], comments: [], classReferences: [] };
+    for (const t of tokens) {
+      if (t.type === 'comment' && t.value) this.result.comments.push({ text: t.value, line: t.line });
+    }
+
+    this.i = 0;
+    this.namespace = '';
+    this.uses = { class: new Map(), function: new Map(), const: new Map() };
+    this.scopes = [{ kind: 'file', entry: null }];
+    this.references = new Map();
+    this.pendingAttributes = [];
+    this.pendingModifiers = [];
+    this.lastAttributeEnd = -1;
+  }
+
+  run() {
+    while (this.i < this.tokens.length) this.step();
+    // Declarations left open by a truncated file end with it
+    const last = this.tokens[this.tokens.length - 1];
+    for (const scope of this.scopes) if (scope.entry && scope.entry.endLine === null) scope.entry.endLine = last.line;
+    this.result.classReferences = [...this.references.values()].sort();
+  }
+
+  // ─── Token helpers ───
+
+  peek(offset = 0) {
+    return this.tokens[this.i + offset];
+  }
+
+  is(token, value) {
+    return Boolean(token) && (token.type === 'punct' || token.type === 'name') && token.value.toLowerCase() === value;
+  }
+
+  source(from, to) {
+    return this.content.slice(from.start, to.end).replace(/\s+/g, ' ').trim();
+  }
+
+  scope() {
+    return this.scopes[this.scopes.length - 1];
+  }
+
+  atStatementStart() {
+    const prev = this.tokens[this.i - 1];
+    if (!prev || prev.type === 'open' || prev.type === 'close' || this.i - 1 === this.lastAttributeEnd) return true;
+    return prev.type === 'punct' && (prev.value === ';' || prev.value === '{' || prev.value === '}');
+  }
+
+  resetPending() {
+    this.pendingAttributes = [];
+    this.pendingModifiers = [];
+  }
+
+  /**
+   * Index of the token closing the bracket at `index` (, [, {, #[
+   */
+  matching(index) {
+    let depth = 0;
+    for (let k = index; k < this.tokens.length; k++) {
+      const t = this.tokens[k];
+      if (t.type !== 'punct') continue;
+      if (t.value === '(' || t.value === '[' || t.value === '{' || t.value === '#[') depth++;
+      else if ((t.value === ')' || t.value === ']' || t.value === '}') && --depth === 0) return k;
+    }
+    return this.tokens.length - 1;
+  }
+
+  /**
+   * Top-level comma-separated segments of tokens[from, to) as [start, end) pairs
+   */
+  segments(from, to) {
+    const parts = [];
+    let start = from;
+    for (let k = from; k < to; k++) {
+      const t = this.tokens[k];
+      if (t.type === 'punct' && ['(', '[', '{', '#['].includes(t.value)) {
+        k = this.matching(k);
+      } else if (t.type === 'punct' && t.value === ',') {
+        parts.push([start, k]);
+        start = k + 1;
+      }
+    }
+    if (start < to) parts.push([start, to]);
+    return parts;
+  }
+
+  // ─── Main loop ───
+
+  step() {
+    const tok = this.peek();
+    if (tok.type === 'close') {
+      this.i++;
+      this.resetPending();
+      return;
+    }
+    if (tok.type === 'string') {
+      if (FQN_STRING.test(tok.value)) this.addReference(tok.value.replace(/\\\\/g, '\\').replace(/^\\/, ''));
+      this.i++;
+      return;
+    }
+    if (tok.type === 'punct') {
+      this.i++;
+      if (tok.value === '#[') {
+        this.i--;
+        this.pendingAttributes.push(...this.attributes());
+      } else if (tok.value === '{') {
+        this.scopes.push({ kind: 'block', entry: null });
+        this.resetPending();
+      } else if (tok.value === '}') {
+        this.closeScope(tok);
+        this.resetPending();
+      } else if (tok.value === ';') {
+        this.resetPending();
+      }
+      return;
+    }
+    if (tok.type !== 'name') {
+      this.i++;
+      return;
+    }
+
+    if (this.scope().kind === 'class' && this.atStatementStart()) {
+      this.classMember();
+      return;
+    }
+
+    const word = tok.value.toLowerCase();
+    const prev = this.tokens[this.i - 1];
+    const next = this.peek(1);
+    if (prev && prev.type === 'punct' && (prev.value === '->' || prev.value === '?->' || prev.value === '::')) {
+      this.i++;
+      return;
+    }
+
+    switch (word) {
+      case 'namespace':
+        if (!next || next.type === 'name' || this.is(next, '{')) return this.namespaceStatement();
+        break;
+      case 'use':
+        if (this.atStatementStart()) return this.useStatement();
+        break;
+      case 'class':
+        if (this.is(prev, 'new')) return this.classDeclaration('class', true);
+        if (next && next.type === 'name') return this.classDeclaration('class', false);
+        break;
+      case 'interface':
+      case 'trait':
+        if (next && next.type === 'name') return this.classDeclaration(word, false);
+        break;
+      case 'enum': {
+        const after = this.peek(2);
+        if (next && next.type === 'name' && (this.is(after, '{') || this.is(after, ':') || this.is(after, 'implements'))) {
+          return this.classDeclaration('enum', false);
+        }
+        break;
+      }
+      case 'function':
+        return this.functionDeclaration([], tok.line);
+      case 'abstract':
+      case 'final':
+      case 'readonly':
+        this.pendingModifiers.push(tok);
+        break;
+      case 'require':
+      case 'require_once':
+      case 'include':
+      case 'include_once':
+        return this.include();
+      default:
+        // Class names; calls of functions, declare(strict_types=1) and named arguments are not
+        if (KEYWORDS.has(word) || this.is(next, '=') || this.is(next, ':')) break;
+        if (!(this.is(next, '(') && !this.is(prev, 'new'))) this.addReference(this.resolve(tok.value));
+    }
+    this.i++;
+  }
+
+  closeScope(tok) {
+    if (this.scopes.length === 1) return;
+    const scope = this.scopes.pop();
+    if (scope.entry) scope.entry.endLine = tok.line;
+    if (scope.kind === 'namespace') this.enterNamespace('');
+  }
+
+  // ─── Names ───
+
+  enterNamespace(name) {
+    this.namespace = name;
+    this.uses = { class: new Map(), function: new Map(), const: new Map() };
+    if (name && !this.result.namespace) this.result.namespace = name;
+  }
+
+  qualify(name) {
+    return this.namespace ? `${this.namespace}\\${name}` : name;
+  }
+
+  /**
+   * Fully qualified class name of a name as written; null for builtin types and keywords.
+   */
+  resolve(name) {
+    if (name.startsWith('\\')) return name.slice(1);
+    const lower = name.toLowerCase();
+    if (BUILTIN_TYPES.has(lower) || KEYWORDS.has(lower)) return null;
+    if (lower.startsWith('namespace\\')) return this.qualify(name.slice('namespace\\'.length));
+    const [first, ...rest] = name.split('\\');
+    const imported = this.uses.class.get(first.toLowerCase());
+    if (imported) return [imported, ...rest].join('\\');
+    return this.qualify(name);
+  }
+
+  addReference(fqn) {
+    // PHP class names are case-insensitive
+    if (fqn && !this.references.has(fqn.toLowerCase())) this.references.set(fqn.toLowerCase(), fqn);
+  }
+
+  /**
+   * Class names used in an expression (defaults, constant values, attribute arguments)
+   */
+  referenceRange(from, to) {
+    for (let k = from; k < to; k++) {
+      const t = this.tokens[k];
+      if (t.type === 'string' && FQN_STRING.test(t.value)) this.addReference(t.value.replace(/\\\\/g, '\\').replace(/^\\/, ''));
+      if (t.type !== 'name' || KEYWORDS.has(t.value.toLowerCase())) continue;
+      const prev = this.tokens[k - 1];
+      const next = this.tokens[k + 1];
+      if (prev && prev.type === 'punct' && ['->', '?->', '::'].includes(prev.value)) continue;
+      if (this.is(next, '(') && !this.is(prev, 'new')) continue;
+      this.addReference(this.resolve(t.value));
+    }
+  }
+
+  /**
+   * Type declaration text of tokens[from, to) — `?Foo`, `A|B`, `(A&B)|null`; its class names are references.
+   */
+  typeOf(from, to) {
+    if (from >= to) return null;
+    for (let k = from; k < to; k++) {
+      if (this.tokens[k].type === 'name') this.addReference(this.resolve(this.tokens[k].value));
+    }
+    return this.source(this.tokens[from], this.tokens[to - 1]);
+  }
+
+  // ─── Statements ───
+
+  namespaceStatement() {
+    const start = this.peek();
+    this.i++;
+    let name = '';
+    if (this.peek() && this.peek().type === 'name') {
+      name = this.peek().value.replace(/^\\/, '');
+      this.i++;
+    }
+    if (this.is(this.peek(), '{')) {
+      this.i++;
+      this.scopes.push({ kind: 'namespace', entry: null, line: start.line });
+    } else if (this.is(this.peek(), ';')) {
+      this.i++;
+    }
+    this.enterNamespace(name);
+    this.resetPending();
+  }
+
+  // use A\B; use A\B as C, D; use function A\f; use A\{B, C as D, function e};
+  useStatement() {
+    const line = this.peek().line;
+    this.i++;
+    let kind = 'class';
+    if (this.is(this.peek(), 'function') || this.is(this.peek(), 'const')) {
+      kind = this.peek().value.toLowerCase();
+      this.i++;
+    }
+
+    const add = (name, alias, importKind, importLine) => {
+      const fqn = name.replace(/^\\/, '');
+      const as = alias || fqn.split('\\').pop();
+      this.uses[importKind].set(importKind === 'const' ? as : as.toLowerCase(), fqn);
+      this.result.imports.push({ source: fqn, alias: alias || null, kind: importKind, line: importLine });
+      if (importKind === 'class') this.addReference(fqn);
+    };
+    const aliasAt = () => {
+      if (!this.is(this.peek(), 'as')) return null;
+      this.i += 2;
+      return this.tokens[this.i - 1].value;
+    };
+
+    while (this.i < this.tokens.length) {
+      const nameTok = this.peek();
+      if (!nameTok || nameTok.type !== 'name') break;
+      this.i++;
+      if (nameTok.value.endsWith('\\') && this.is(this.peek(), '{')) {
+        const prefix = nameTok.value;
+        const close = this.matching(this.i);
+        this.i++;
+        while (this.i < close) {
+          let entryKind = kind;
+          if ((this.is(this.peek(), 'function') || this.is(this.peek(), 'const')) && this.peek(1).type === 'name') {
+            entryKind = this.peek().value.toLowerCase();
+            this.i++;
+          }
+          const entry = this.peek();
+          if (entry.type !== 'name') {
+            this.i++;
+            continue;
+          }
+          this.i++;
+          add(prefix + entry.value, aliasAt(), entryKind, entry.line);
+          if (this.is(this.peek(), ',')) this.i++;
+        }
+        this.i = close + 1;
+      } else {
+        add(nameTok.value, aliasAt(), kind, line);
+      }
+      if (!this.is(this.peek(), ',')) break;
+      this.i++;
+    }
+    while (this.i < this.tokens.length && !this.is(this.peek(), ';') && this.peek().type !== 'close') this.i++;
+  }
+
+  // require 'x.php'; require_once __DIR__ . '/x.php'; include $file;
+  include() {
+    const keyword = this.peek();
+    this.i++;
+    const from = this.i;
+    let k = from;
+    while (k < this.tokens.length) {
+      const t = this.tokens[k];
+      if (t.type === 'close' || (t.type === 'punct' && (t.value === ';' || t.value === ',' || t.value === ')' || t.value === ']'))) break;
+      if (t.type === 'punct' && (t.value === '(' || t.value === '[')) k = this.matching(k);
+      k++;
+    }
+    if (k === from) return;
+    let [first, last] = [from, k - 1];
+    if (this.is(this.tokens[first], '(') && this.matching(first) === last) {
+      first++;
+      last--;
+    }
+    const only = first === last ? this.tokens[first] : null;
+    this.result.imports.push({
+      source: only && (only.type === 'string' || only.type === 'variable') ? only.value : this.source(this.tokens[first], this.tokens[last]),
+      type: 'require',
+      line: keyword.line
+    });
+  }
+
+  /**
+   * #[A, B(…)] at the current token — the attribute names as written.
+   */
+  attributes() {
+    const close = this.matching(this.i);
+    const names = [];
+    for (const [from, to] of this.segments(this.i + 1, close)) {
+      const t = this.tokens[from];
+      if (t && t.type === 'name') {
+        names.push(t.value);
+        this.addReference(this.resolve(t.value));
+      }
+      this.referenceRange(from + 1, to);
+    }
+    this.i = close + 1;
+    this.lastAttributeEnd = close;
+    return names;
+  }
+
+  // ─── Declarations ───
+
+  classDeclaration(kind, anonymous) {
+    const keyword = this.peek();
+    const modifiers = this.pendingModifiers.map(t => t.value.toLowerCase());
+    const line = this.pendingModifiers.length > 0 ? this.pendingModifiers[0].line : keyword.line;
+    const attributes = this.pendingAttributes;
+    this.resetPending();
+    this.i++;
+
+    let name = null;
+    if (!anonymous) {
+      name = this.peek().value;
+      this.i++;
+    } else if (this.is(this.peek(), '(')) {
+      const close = this.matching(this.i);
+      this.referenceRange(this.i + 1, close);
+      this.i = close + 1;
+    }
+
+    const parents = [];
+    const interfaces = [];
+    let backingType = null;
+    let list = null;
+    while (this.i < this.tokens.length && !this.is(this.peek(), '{')) {
+      const t = this.peek();
+      if (this.is(t, ';') || t.type === 'close') return;
+      if (this.is(t, 'extends')) list = parents;
+      else if (this.is(t, 'implements')) list = interfaces;
+      else if (this.is(t, ':') && kind === 'enum') backingType = this.peek(1) && this.peek(1).value;
+      else if (t.type === 'name' && list) {
+        list.push(t.value);
+        this.addReference(this.resolve(t.value));
+      }
+      this.i++;
+    }
+    if (this.i >= this.tokens.length) return;
+
+    const entry = {
+      name: name || 'class@anonymous',
+      fqn: name ? this.qualify(name) : null,
+      kind,
+      // Interfaces may extend several interfaces
+      extends: parents.length > 0 ? parents.join(', ') : null,
+      implements: interfaces,
+      traits: [],
+      ...(anonymous && { isAnonymous: true }),
+      isAbstract: modifiers.includes('abstract'),
+      isFinal: modifiers.includes('final'),
+      isReadonly: modifiers.includes('readonly'),
+      ...(kind === 'enum' && { backingType, cases: [] }),
+      attributes,
+      constants: [],
+      methods: [],
+      properties: [],
+      line,
+      endLine: null
+    };
+    this.result.classes.push(entry);
+    this.i++;
+    this.scopes.push({ kind: 'class', entry });
+  }
+
+  /**
+   * A member at the start of a class body statement: method, constant, enum
+   * case, trait use or property.
+   */
+  classMember() {
+    const cls = this.scope().entry;
+    const start = this.peek();
+    const modifiers = [];
+    while (this.peek() && this.peek().type === 'name' && MODIFIERS.has(this.peek().value.toLowerCase())) {
+      modifiers.push(this.peek().value.toLowerCase());
+      this.i++;
+    }
+    const tok = this.peek();
+    if (!tok) return;
+    const word = tok.type === 'name' ? tok.value.toLowerCase() : '';
+
+    if (word === 'function') return this.functionDeclaration(modifiers, start.line);
+    if (word === 'const') return this.classConstants(cls, modifiers);
+    if (word === 'case' && cls.kind === 'enum') return this.enumCase(cls);
+    if (word === 'use' && modifiers.length === 0) return this.traitUse(cls);
+    return this.properties(cls, modifiers);
+  }
+
+  // use TraitA, TraitB { TraitA::x insteadof TraitB; }
+  traitUse(cls) {
+    this.i++;
+    while (this.i < this.tokens.length) {
+      const t = this.peek();
+      if (this.is(t, ';') || t.type === 'close') {
+        this.i++;
+        break;
+      }
+      if (this.is(t, '{')) {
+        this.i = this.matching(this.i) + 1;
+        break;
+      }
+      if (t.type === 'name') {
+        cls.traits.push(t.value);
+        this.addReference(this.resolve(t.value));
+      }
+      this.i++;
+    }
+    this.resetPending();
+  }
+
+  // [final] [public] const [type] A = 1, B = 2;
+  classConstants(cls, modifiers) {
+    this.i++;
+    const end = this.statementEnd();
+    for (const [from, to] of this.segments(this.i, end)) {
+      let eq = from;
+      while (eq < to && !this.is(this.tokens[eq], '=')) eq++;
+      const nameTok = this.tokens[eq - 1];
+      if (!nameTok || nameTok.type !== 'name' || eq >= to) continue;
+      cls.constants.push({
+        name: nameTok.value,
+        visibility: modifiers.find(m => VISIBILITIES.has(m)) || null,
+        type: this.typeOf(from, eq - 1),
+        value: this.source(this.tokens[eq + 1], this.tokens[to - 1]),
+        line: nameTok.line
+      });
+      this.referenceRange(eq + 1, to);
+    }
+    this.finishStatement(end);
+  }
+
+  // case Hearts = 'H';
+  enumCase(cls) {
+    this.i++;
+    const end = this.statementEnd();
+    const nameTok = this.peek();
+    if (nameTok && nameTok.type === 'name') {
+      const eq = this.is(this.peek(1), '=') ? this.i + 1 : -1;
+      cls.cases.push({
+        name: nameTok.value,
+        value: eq > 0 && eq + 1 < end ? this.source(this.tokens[eq + 1], this.tokens[end - 1]) : null,
+        line: nameTok.line
+      });
+    }
+    this.finishStatement(end);
+  }
+
+  // public static ?Foo $a = null, $b; — PHP 8.4 hooks { get => … } are skipped
+  properties(cls, modifiers) {
+    const end = this.statementEnd();
+    const attributes = this.pendingAttributes;
+    for (const [from, to] of this.segments(this.i, end)) {
+      let v = from;
+      while (v < to && this.tokens[v].type !== 'variable') v++;
+      if (v >= to) continue;
+      const eq = this.is(this.tokens[v + 1], '=') ? v + 1 : -1;
+      const hooks = this.tokens.slice(v + 1, to).findIndex(t => this.is(t, '{'));
+      const valueEnd = hooks >= 0 ? v + 1 + hooks : to;
+      cls.properties.push({
+        name: this.tokens[v].value.slice(1),
+        visibility: modifiers.find(m => VISIBILITIES.has(m)) || (modifiers.includes('var') ? 'public' : null),
+        // The type is declared once, before the first property of the statement
+        type: from === this.i ? this.typeOf(from, v) : cls.properties[cls.properties.length - 1]?.type || null,
+        isStatic: modifiers.includes('static'),
+        isReadonly: modifiers.includes('readonly') || cls.isReadonly,
+        default: eq > 0 && eq + 1 < valueEnd ? this.source(this.tokens[eq + 1], this.tokens[valueEnd - 1]) : null,
+        attributes,
+        line: this.tokens[v].line
+      });
+      if (eq > 0) this.referenceRange(eq + 1, valueEnd);
+    }
+    this.finishStatement(end);
+  }
+
+  // Index of the `;` (or ?> / the class's `}`) ending the statement at the current token
+  statementEnd() {
+    let k = this.i;
+    while (k < this.tokens.length) {
+      const t = this.tokens[k];
+      if (t.type === 'close' || (t.type === 'punct' && (t.value === ';' || t.value === '}'))) return k;
+      if (t.type === 'punct' && ['(', '[', '{', '#['].includes(t.value)) {
+        k = this.matching(k);
+        // A property with hooks ends with its block
+        if (t.value === '{') return k + 1;
+      }
+      k++;
+    }
+    return k;
+  }
+
+  finishStatement(end) {
+    const t = this.tokens[end];
+    this.i = t && (this.is(t, ';') || t.type === 'close') ? end + 1 : end;
+    this.resetPending();
+  }
+
+  /**
+   * `function` at the current token: a method in a class body, a named
+   * function elsewhere, or a closure (only its body scope is tracked).
+   */
+  functionDeclaration(modifiers, line) {
+    const attributes = this.pendingAttributes;
+    const declared = this.pendingModifiers.map(t => t.value.toLowerCase());
+    this.resetPending();
+    this.i++;
+    let byRef = false;
+    if (this.is(this.peek(), '&')) {
+      byRef = true;
+      this.i++;
+    }
+    let name = null;
+    if (this.peek() && this.peek().type === 'name') {
+      name = this.peek().value;
+      this.i++;
+    }
+    if (!this.is(this.peek(), '(')) return;
+
+    const close = this.matching(this.i);
+    const cls = this.scope().kind === 'class' ? this.scope().entry : null;
+    const parameters = this.parameters(this.i + 1, close, cls && name && name.toLowerCase() === '__construct' ? cls : null);
+    this.i = close + 1;
+
+    // Closure: function () use ($a, &$b)
+    if (!name && this.is(this.peek(), 'use') && this.is(this.peek(1), '(')) this.i = this.matching(this.i + 1) + 1;
+
+    let returnType = null;
+    if (this.is(this.peek(), ':')) {
+      const from = ++this.i;
+      while (this.i < this.tokens.length && !this.is(this.peek(), '{') && !this.is(this.peek(), ';') && this.peek().type !== 'close') this.i++;
+      returnType = this.typeOf(from, this.i);
+    }
+
+    let entry = null;
+    if (name) {
+      const hasBody = this.is(this.peek(), '{');
+      const allModifiers = [...declared, ...modifiers];
+      entry = cls
+        ? {
+          name,
+          visibility: allModifiers.find(m => VISIBILITIES.has(m)) || null,
+          params: parameters.map(p => p.name),
+          parameters,
+          returnType,
+          isStatic: allModifiers.includes('static'),
+          // Interface methods and abstract methods have no body
+          isAbstract: allModifiers.includes('abstract') || (!hasBody && cls.kind === 'interface'),
+          isFinal: allModifiers.includes('final'),
+          ...(byRef && { byRef: true }),
+          attributes,
+          line,
+          endLine: null
+        }
+        : {
+          name,
+          fqn: this.qualify(name),
+          params: parameters.map(p => p.name),
+          parameters,
+          returnType,
+          ...(byRef && { byRef: true }),
+          attributes,
+          line,
+          endLine: null
+        };
+      (cls ? cls.methods : this.result.functions).push(entry);
+    }
+
+    if (this.is(this.peek(), '{')) {
+      this.i++;
+      this.scopes.push({ kind: 'function', entry });
+    } else if (this.peek()) {
+      if (entry) entry.endLine = this.peek().line;
+      if (this.is(this.peek(), ';')) this.i++;
+    }
+  }
+
+  /**
+   * Parameters of tokens[from, to): { name, type, default, optional, rest }
+   * (+ byRef, promoted). Promoted constructor parameters become properties of `cls`.
+   */
+  parameters(from, to, cls) {
+    const parameters = [];
+    for (const [start, end] of this.segments(from, to)) {
+      let k = start;
+      const attributes = [];
+      const modifiers = [];
+      if (this.is(this.tokens[k], '#[')) {
+        const i = this.i;
+        this.i = k;
+        attributes.push(...this.attributes());
+        k = this.i;
+        this.i = i;
+      }
+      while (k < end && this.tokens[k].type === 'name' && MODIFIERS.has(this.tokens[k].value.toLowerCase())) {
+        modifiers.push(this.tokens[k].value.toLowerCase());
+        k++;
+      }
+      let v = k;
+      while (v < end && this.tokens[v].type !== 'variable') v++;
+      if (v >= end) continue;
+
+      let typeEnd = v;
+      const rest = this.is(this.tokens[typeEnd - 1], '...');
+      if (rest) typeEnd--;
+      const byRef = this.is(this.tokens[typeEnd - 1], '&');
+      if (byRef) typeEnd--;
+      const eq = this.is(this.tokens[v + 1], '=') ? v + 1 : -1;
+      const defaultValue = eq > 0 && eq + 1 < end ? this.source(this.tokens[eq + 1], this.tokens[end - 1]) : null;
+      if (eq > 0) this.referenceRange(eq + 1, end);
+
+      const param = {
+        name: this.tokens[v].value,
+        type: this.typeOf(k, typeEnd),
+        default: defaultValue,
+        optional: defaultValue !== null || rest,
+        rest,
+        ...(byRef && { byRef: true })
+      };
+      const visibility = modifiers.find(m => VISIBILITIES.has(m));
+      if (cls && (visibility || modifiers.includes('readonly'))) {
+        param.promoted = visibility || 'public';
+        cls.properties.push({
+          name: param.name.slice(1),
+          visibility: visibility || 'public',
+          type: param.type,
+          isStatic: false,
+          isReadonly: modifiers.includes('readonly') || cls.isReadonly,
+          default: null,
+          attributes,
+          promoted: true,
+          line: this.tokens[v].line
+        });
+      }
+      parameters.push(param);
+    }
+    return parameters;
+  }
+}
+
+module.exports = { tokenizePhp, analyzePhpTokens };
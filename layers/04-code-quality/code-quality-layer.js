@@ -1,6 +1,8 @@
 // ..\..\nodejs\code-inspector\layers\04-code-quality\code-quality-layer.js
 
 const BaseLayer = require('../core/base-layer');
+const { contentHash, fingerprintIssues } = require('../core/issue-fingerprint');
+const { ecosystemOf } = require('../02-tech-stack/manifests');
 
 /**
  * CodeQualityLayer — detects unused code, unused imports/dependencies,
@@ -14,7 +16,15 @@ const BaseLayer = require('../core/base-layer');
  */
 class CodeQualityLayer extends BaseLayer {
   constructor() {
-    super('code-quality');
+    super('code-quality', {
+      displayName: 'Code Quality',
+      reads: ['fileSystem', '_fileContents', 'codeStructure', 'techStack', 'vulnerabilities', 'ciCd'],
+      writes: ['codeQuality'],
+      workerModule: __filename,
+      // 2: unused imports from the AST imports of Code Structure (local names, no imports in comments)
+      // 3: PHP imports from tokens (grouped `use` expanded, `kind`)
+      cacheVersion: 3
+    });
   }
 
   async process(snapshot, context) {
@@ -31,6 +41,10 @@ class CodeQualityLayer extends BaseLayer {
 
     this.context = context;
     this.obfuscatedPaths = obfuscatedPaths;
+    this.fileOutputs = new Map();
+
+    // ─── Per-file passes (sharded, worker threads when available) ───
+    await this.precomputeFileOutputs(filesAnalysis, fileContents);
 
     // ─── Collect declared symbols ──────────────────────
     const declared = this.collectDeclaredSymbols(filesAnalysis);
@@ -47,7 +61,8 @@ class CodeQualityLayer extends BaseLayer {
     // ─── Find unused symbols ───────────────────────────
     const unusedFunctions = this.findUnusedSymbols(declared.functions, referenced);
     const unusedMethods = this.findUnusedSymbols(declared.methods, referenced);
-    const unusedClasses = this.findUnusedClasses(declared.classes, referenced, hasDynamicLoading);
+    const classReferences = this.collectClassReferences(filesAnalysis);
+    const unusedClasses = this.findUnusedClasses(declared.classes, referenced, hasDynamicLoading, classReferences);
     await this.yieldControl();
 
     // ─── Find unused imports ───────────────────────────
@@ -58,6 +73,18 @@ class CodeQualityLayer extends BaseLayer {
     const unusedDependencies = await this.findUnusedDependenciesChunked(techStack, fileContents);
     await this.yieldControl();
 
+    // ─── Vulnerable dependencies (advisory matches) ────
+    const vulnerableDependencies = this.vulnerableDependencies(snapshot.vulnerabilities);
+
+    // ─── License policy violations ─────────────────────
+    const licenseViolations = this.licenseViolations(snapshot.techStack?.licenses);
+
+    // ─── Container warnings (Dockerfile / compose) ─────
+    const containerWarnings = this.containerWarnings(snapshot.techStack?.infrastructure);
+
+    // ─── CI warnings (runtime drift, missing scripts) ──
+    const ciWarnings = this.ciWarnings(snapshot.ciCd);
+
     // ─── Commented-out code blocks ─────────────────────
     const commentedCode = await this.findCommentedCodeChunked(fileContents);
     await this.yieldControl();
@@ -66,6 +93,13 @@ class CodeQualityLayer extends BaseLayer {
     const complexity = await this.analyzeComplexityChunked(fileContents);
     await this.yieldControl();
 
+    // ─── Store per-file results for incremental runs ───
+    if (context.cache) {
+      for (const [filePath, outputs] of this.fileOutputs) {
+        context.cache.set(this, filePath, outputs);
+      }
+    }
+
     // ─── Build issues list ─────────────────────────────
     const issues = [];
     unusedFunctions.forEach(f => issues.push({ ...f, type: 'unused_function', severity: 'warning', tag: 'never called' }));
@@ -73,8 +107,28 @@ class CodeQualityLayer extends BaseLayer {
     unusedClasses.forEach(f => issues.push({ ...f, type: 'unused_class', tag: f.dynamic ? 'possibly dynamic' : 'never instantiated' }));
     unusedImports.forEach(f => issues.push({ ...f, type: 'unused_import', severity: 'info', tag: 'never used' }));
     unusedDependencies.forEach(f => issues.push({ ...f, type: 'unused_dependency', severity: 'info', tag: 'not imported' }));
+    vulnerableDependencies.forEach(f => issues.push({ ...f, type: 'vulnerable_dependency' }));
+    licenseViolations.forEach(f => issues.push({ ...f, type: 'license_violation' }));
+    containerWarnings.forEach(f => issues.push({ ...f, type: 'container_warning', severity: 'warning' }));
+    ciWarnings.forEach(f => issues.push({ ...f, type: 'ci_warning', severity: 'warning' }));
     commentedCode.forEach(f => issues.push({ ...f, type: 'commented_code', severity: 'info', tag: `${f.lines} lines` }));
 
+    // ─── Fingerprints + triage ────────────────────────
+    // The content of an issue's lines tells apart issues of one name in a file
+    for (const issue of issues) {
+      const hash = issue.file && issue.line ? contentHash(fileContents[issue.file], issue.line, issue.lines) : null;
+      if (hash) issue.contentHash = hash;
+    }
+    // Ignored / won't-fix issues stay listed (so they can be reopened) but do not count
+    const fingerprints = fingerprintIssues(issues);
+    issues.forEach((issue, i) => {
+      issue.fingerprint = fingerprints[i];
+      const triage = context.triage?.get(issue.fingerprint);
+      if (triage) issue.triage = triage;
+    });
+    const open = issues.filter(i => !i.triage);
+    const countType = (type) => open.filter(i => i.type === type).length;
+
     // Sort: critical → warning → info
     const severityOrder = { critical: 0, warning: 1, info: 2 };
     issues.sort((a, b) => (severityOrder[a.severity] ?? 9) - (severityOrder[b.severity] ?? 9));
@@ -82,18 +136,23 @@ class CodeQualityLayer extends BaseLayer {
     return {
       codeQuality: {
         summary: {
-          totalIssues: issues.length,
-          unusedFunctions: unusedFunctions.length,
-          unusedMethods: unusedMethods.length,
-          unusedClasses: unusedClasses.length,
-          unusedImports: unusedImports.length,
-          unusedDependencies: unusedDependencies.length,
-          commentedCode: commentedCode.length,
+          totalIssues: open.length,
+          unusedFunctions: countType('unused_function'),
+          unusedMethods: countType('unused_method'),
+          unusedClasses: countType('unused_class'),
+          unusedImports: countType('unused_import'),
+          unusedDependencies: countType('unused_dependency'),
+          vulnerableDependencies: countType('vulnerable_dependency'),
+          licenseViolations: countType('license_violation'),
+          containerWarnings: countType('container_warning'),
+          ciWarnings: countType('ci_warning'),
+          commentedCode: countType('commented_code'),
+          triaged: issues.length - open.length,
           hasDynamicLoading,
           bySeverity: {
-            critical: issues.filter(i => i.severity === 'critical').length,
-            warning: issues.filter(i => i.severity === 'warning').length,
-            info: issues.filter(i => i.severity === 'info').length
+            critical: open.filter(i => i.severity === 'critical').length,
+            warning: open.filter(i => i.severity === 'warning').length,
+            info: open.filter(i => i.severity === 'info').length
           }
         },
         issues,
@@ -109,14 +168,84 @@ class CodeQualityLayer extends BaseLayer {
   }
 
   // ─────────────────────────────────────────────────────────────
-  // Yield control to prevent blocking the event loop
+  // Yield control to prevent blocking the event loop;
+  // also the point where a cancelled analysis stops
   // ─────────────────────────────────────────────────────────────
   async yieldControl() {
-    if (this.context?.onProgress) {
+    this.context?.signal?.throwIfAborted();
+    if (this.context?.onProgress || this.context?.signal) {
       await new Promise(resolve => setImmediate(resolve));
     }
   }
 
+  // ─────────────────────────────────────────────────────────────
+  // Per-file results: reuse from context.cache when the file is unchanged,
+  // or from precomputeFileOutputs()
+  // ─────────────────────────────────────────────────────────────
+  fileResult(filePath, key, compute) {
+    let outputs = this.fileOutputs.get(filePath);
+    if (!outputs) {
+      outputs = { ...(this.context?.cache?.get(this, filePath) || {}) };
+      this.fileOutputs.set(filePath, outputs);
+    }
+    if (!(key in outputs)) outputs[key] = compute();
+    return outputs[key];
+  }
+
+  /**
+   * Run every per-file pass up front for files without cached outputs.
+   * The chunked passes below then only aggregate via fileResult().
+   */
+  async precomputeFileOutputs(filesAnalysis, fileContents) {
+    const structureByPath = new Map(filesAnalysis.map(f => [f.path, f]));
+    const pending = [];
+
+    for (const [filePath, content] of Object.entries(fileContents)) {
+      if (!content) continue;
+      const outputs = { ...(this.context?.cache?.get(this, filePath) || {}) };
+      this.fileOutputs.set(filePath, outputs);
+
+      const keys = this.fileOutputKeys(filePath, structureByPath.has(filePath)).filter(k => !(k in outputs));
+      if (keys.length > 0) {
+        pending.push({ filePath, content, file: structureByPath.get(filePath) || null, keys });
+      }
+    }
+
+    const computed = this.context?.runSharded
+      ? await this.context.runSharded(pending, null, 'Analyzing files')
+      : this.analyzeShard(pending);
+    pending.forEach(({ filePath }, i) => Object.assign(this.fileOutputs.get(filePath), computed[i]));
+  }
+
+  /**
+   * Per-file output keys that apply to a file (mirrors the filters of the passes).
+   */
+  fileOutputKeys(filePath, hasStructure) {
+    const keys = [];
+    const obfuscated = this.obfuscatedPaths?.has(filePath);
+    if (!obfuscated) keys.push('references');
+    if (hasStructure) keys.push('unusedImports');
+    if (!obfuscated && /\.(php|js|jsx|ts|tsx|vue)$/.test(filePath)) keys.push('commentedCode');
+    if (!obfuscated && /\.(php|js|jsx|ts|tsx)$/.test(filePath)) keys.push('complexity');
+    return keys;
+  }
+
+  /**
+   * Worker-safe per-file analysis: items are { filePath, content, file, keys }.
+   */
+  analyzeShard(items) {
+    return items.map(({ filePath, content, file, keys }) => {
+      const outputs = {};
+      for (const key of keys) {
+        if (key === 'references') outputs.references = this.collectFileReferences(content);
+        else if (key === 'unusedImports') outputs.unusedImports = this.findFileUnusedImports(file, content);
+        else if (key === 'commentedCode') outputs.commentedCode = this.findFileCommentedCode(filePath, content);
+        else if (key === 'complexity') outputs.complexity = this.analyzeFileComplexity(filePath, content);
+      }
+      return outputs;
+    });
+  }
+
   // ═══════════════════════════════════════════════════════
   // Detect Dynamic Class Loading (PHP)
   // ═══════════════════════════════════════════════════════
@@ -143,6 +272,10 @@ class CodeQualityLayer extends BaseLayer {
 
     for (const file of filesAnalysis) {
       for (const func of (file.functions || [])) {
+        // Object members and class fields are looked up by key (labels[key](),
+        // onClick={this.handle}) rather than called by name; anonymous default
+        // exports have no name to call
+        if (func.object !== undefined || (func.isDefault && func.name === 'default')) continue;
         functions.push({
           name: func.name,
           file: file.path,
@@ -152,8 +285,10 @@ class CodeQualityLayer extends BaseLayer {
       }
 
       for (const cls of (file.classes || [])) {
+        if (cls.isAnonymous) continue;
         classes.push({
           name: cls.name,
+          fqn: cls.fqn || null,
           file: file.path,
           line: cls.line,
           language: file.language
@@ -161,6 +296,9 @@ class CodeQualityLayer extends BaseLayer {
 
         for (const method of (cls.methods || [])) {
           if (method.name === 'constructor' || method.name === '__construct' || method.name.startsWith('__')) continue;
+          if (method.type) continue;
+          // Interface and abstract methods are contracts; their implementations are checked
+          if (method.isAbstract) continue;
           methods.push({
             name: method.name,
             className: cls.name,
@@ -184,50 +322,14 @@ class CodeQualityLayer extends BaseLayer {
     const references = new Set();
     const entries = Object.entries(fileContents);
     const total = entries.length;
-    const MAX_CONTENT_LEN = 300000; // 300KB — limit per file to avoid blocking on huge files
 
     for (let i = 0; i < entries.length; i++) {
       const [filePath, content] = entries[i];
       if (!content) continue;
       if (this.obfuscatedPaths?.has(filePath)) continue;
 
-      const text = content.length > MAX_CONTENT_LEN ? content.slice(0, MAX_CONTENT_LEN) : content;
-      let match;
-
-      // Match function calls, but exclude declarations (function name(, public function name(, etc.)
-      const funcCallRegex = /\b(\w+)\s*\(/g;
-      while ((match = funcCallRegex.exec(text)) !== null) {
-        const before = text.slice(Math.max(0, match.index - 60), match.index);
-        if (/\b(?:async\s+)?(?:function\s*\*?\s*|(?:public|protected|private|static)\s+(?:static\s+)?function\s+)$/m.test(before)) {
-          continue; // Skip: this is a declaration, not a call
-        }
-        references.add(match[1]);
-      }
-
-      const methodCallRegex = /(?:->|\.|\:\:)\s*(\w+)\s*\(/g;
-      while ((match = methodCallRegex.exec(text)) !== null) {
-        references.add(match[1]);
-      }
-
-      const newClassRegex = /new\s+(\w+)/g;
-      while ((match = newClassRegex.exec(text)) !== null) {
-        references.add(match[1]);
-      }
-
-      const classRefRegex = /(?:extends|implements|instanceof|\:\s*)\s*(\w+)/g;
-      while ((match = classRefRegex.exec(text)) !== null) {
-        references.add(match[1]);
-      }
-
-      const staticCallRegex = /(\w+)\:\:/g;
-      while ((match = staticCallRegex.exec(text)) !== null) {
-        references.add(match[1]);
-      }
-
-      const importRefRegex = /(?:import|require|use)\s+.*?(\w+)/g;
-      while ((match = importRefRegex.exec(text)) !== null) {
-        references.add(match[1]);
-      }
+      const fileRefs = this.fileResult(filePath, 'references', () => this.collectFileReferences(content));
+      for (const ref of fileRefs) references.add(ref);
 
       await this.yieldControl();
       if (i % 25 === 0 && this.context?.onProgress) {
@@ -242,6 +344,50 @@ class CodeQualityLayer extends BaseLayer {
     return references;
   }
 
+  collectFileReferences(content) {
+    const references = new Set();
+    const MAX_CONTENT_LEN = 300000; // 300KB — limit per file to avoid blocking on huge files
+    const text = content.length > MAX_CONTENT_LEN ? content.slice(0, MAX_CONTENT_LEN) : content;
+    let match;
+
+    // Match function calls, but exclude declarations (function name(, public function name(, etc.)
+    const funcCallRegex = /\b(\w+)\s*\(/g;
+    while ((match = funcCallRegex.exec(text)) !== null) {
+      const before = text.slice(Math.max(0, match.index - 60), match.index);
+      if (/\b(?:async\s+)?(?:function\s*\*?\s*|(?:public|protected|private|static)\s+(?:static\s+)?function\s+)$/m.test(before)) {
+        continue; // Skip: this is a declaration, not a call
+      }
+      references.add(match[1]);
+    }
+
+    const methodCallRegex = /(?:->|\.|\:\:)\s*(\w+)\s*\(/g;
+    while ((match = methodCallRegex.exec(text)) !== null) {
+      references.add(match[1]);
+    }
+
+    const newClassRegex = /new\s+(\w+)/g;
+    while ((match = newClassRegex.exec(text)) !== null) {
+      references.add(match[1]);
+    }
+
+    const classRefRegex = /(?:extends|implements|instanceof|\:\s*)\s*(\w+)/g;
+    while ((match = classRefRegex.exec(text)) !== null) {
+      references.add(match[1]);
+    }
+
+    const staticCallRegex = /(\w+)\:\:/g;
+    while ((match = staticCallRegex.exec(text)) !== null) {
+      references.add(match[1]);
+    }
+
+    const importRefRegex = /(?:import|require|use)\s+.*?(\w+)/g;
+    while ((match = importRefRegex.exec(text)) !== null) {
+      references.add(match[1]);
+    }
+
+    return [...references];
+  }
+
   // ═══════════════════════════════════════════════════════
   // Find Unused Symbols
   // ═══════════════════════════════════════════════════════
@@ -265,24 +411,41 @@ class CodeQualityLayer extends BaseLayer {
     return unused;
   }
 
-  findUnusedClasses(declaredClasses, referenced, hasDynamicLoading) {
+  /**
+   * Fully qualified class names the PHP files reference (lower-cased — PHP
+   * class names are case-insensitive), resolved by Code Structure against
+   * each file's namespace and `use` imports.
+   */
+  collectClassReferences(filesAnalysis) {
+    const references = new Set();
+    for (const file of filesAnalysis) {
+      for (const fqn of (file.classReferences || [])) references.add(fqn.toLowerCase());
+    }
+    return references;
+  }
+
+  findUnusedClasses(declaredClasses, referenced, hasDynamicLoading, classReferences = new Set()) {
     const unused = [];
     for (const cls of declaredClasses) {
       const name = cls.name;
       if (this.isEntryPoint(name)) continue;
-      if (!referenced.has(name)) {
+      // Namespaced PHP classes: App\Models\User is not used by a reference to App\Admin\User
+      const isReferenced = cls.fqn ? classReferences.has(cls.fqn.toLowerCase()) : referenced.has(name);
+      if (!isReferenced) {
         const isPhp = cls.language === 'php';
         const isDynamic = isPhp && hasDynamicLoading;
+        const label = cls.fqn || name;
         unused.push({
           name,
+          ...(cls.fqn && cls.fqn !== name && { fqn: cls.fqn }),
           file: cls.file,
           line: cls.line,
           language: cls.language,
           dynamic: isDynamic,
           severity: isDynamic ? 'info' : 'warning',
           description: isDynamic
-            ? `"${name}" has no direct reference — likely loaded dynamically`
-            : `"${name}" is declared but never referenced`
+            ? `"${label}" has no direct reference — likely loaded dynamically`
+            : `"${label}" is declared but never referenced`
         });
       }
     }
@@ -312,32 +475,14 @@ class CodeQualityLayer extends BaseLayer {
   async findUnusedImportsChunked(filesAnalysis, fileContents) {
     const unusedImports = [];
     const total = filesAnalysis.length;
-    const MAX_LEN = 300000;
 
     for (let i = 0; i < filesAnalysis.length; i++) {
       await this.yieldControl();
       const file = filesAnalysis[i];
       const raw = fileContents[file.path];
       if (!raw) continue;
-      const content = raw.length > MAX_LEN ? raw.slice(0, MAX_LEN) : raw;
-
-      for (const imp of (file.imports || [])) {
-        const specifiers = [...(imp.specifiers || []), ...(imp.alias ? [imp.alias] : [])];
-        for (const specifier of specifiers) {
-          if (!specifier || specifier.startsWith('$')) continue;
-          const regex = new RegExp(`\\b${this.escapeRegex(specifier)}\\b`, 'g');
-          const allMatches = content.match(regex);
-          if (!allMatches || allMatches.length <= 1) {
-            unusedImports.push({
-              name: specifier,
-              source: imp.source,
-              file: file.path,
-              line: imp.line,
-              description: `Import "${specifier}" from "${imp.source}" is never used`
-            });
-          }
-        }
-      }
+
+      unusedImports.push(...this.fileResult(file.path, 'unusedImports', () => this.findFileUnusedImports(file, raw)));
 
       if (i % 25 === 0 && this.context?.onProgress) {
         this.context.onProgress({ layer: 'Checking unused imports', current: i + 1, total });
@@ -347,13 +492,40 @@ class CodeQualityLayer extends BaseLayer {
     return unusedImports;
   }
 
+  findFileUnusedImports(file, raw) {
+    const unusedImports = [];
+    const MAX_LEN = 300000;
+    const content = raw.length > MAX_LEN ? raw.slice(0, MAX_LEN) : raw;
+
+    for (const imp of (file.imports || [])) {
+      const specifiers = [...(imp.specifiers || []), ...(imp.alias ? [imp.alias] : [])];
+      for (const specifier of specifiers) {
+        if (!specifier || specifier.startsWith('$')) continue;
+        const regex = new RegExp(`\\b${this.escapeRegex(specifier)}\\b`, 'g');
+        const allMatches = content.match(regex);
+        if (!allMatches || allMatches.length <= 1) {
+          unusedImports.push({
+            name: specifier,
+            source: imp.source,
+            file: file.path,
+            line: imp.line,
+            description: `Import "${specifier}" from "${imp.source}" is never used`
+          });
+        }
+      }
+    }
+
+    return unusedImports;
+  }
+
   // ═══════════════════════════════════════════════════════
   // Find Unused Dependencies (chunked)
   // ═══════════════════════════════════════════════════════
 
   async findUnusedDependenciesChunked(techStack, fileContents) {
     const unused = [];
-    const deps = techStack.dependencies || [];
+    // Only npm and Composer imports are recognised; Python, Go, Ruby and Java dependencies are not checked
+    const deps = (techStack.dependencies || []).filter(d => ['npm', 'composer'].includes(ecosystemOf(d.source)));
     const total = deps.length;
     const MAX_LEN = 200000;
 
@@ -398,6 +570,83 @@ class CodeQualityLayer extends BaseLayer {
     return unused;
   }
 
+  // ═══════════════════════════════════════════════════════
+  // Vulnerable Dependencies
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * One issue per vulnerable package and manifest (transitive packages: their
+   * lockfile). Critical / high advisories make a critical issue, the rest a warning.
+   */
+  vulnerableDependencies(vulnerabilities) {
+    return (vulnerabilities?.findings || []).map(f => {
+      const ids = f.advisories.map(a => a.id);
+      return {
+        name: f.name,
+        version: f.version,
+        source: f.source,
+        severity: ['critical', 'high'].includes(f.severity) ? 'critical' : 'warning',
+        tag: f.severity,
+        advisories: ids,
+        fixedIn: f.fixedIn,
+        description: `${f.name}@${f.version}${f.direct ? '' : ' (transitive)'} is affected by ${ids.join(', ')}` +
+          (f.fixedIn ? ` — fixed in ${f.fixedIn}` : ' — no fixed version')
+      };
+    });
+  }
+
+  /**
+   * Packages whose license fails the project's policy: denied licenses are
+   * critical, licenses outside the allow list and undetectable ones warnings.
+   */
+  licenseViolations(licenses) {
+    const reasons = {
+      denied: (v) => `is licensed under ${v.license}, which the license policy denies`,
+      'not allowed': (v) => `is licensed under ${v.license}, which is not an allowed license`,
+      unknown: () => 'has no detectable license'
+    };
+    return (licenses?.violations || []).map(v => ({
+      name: v.name,
+      version: v.version,
+      source: v.source,
+      license: v.license,
+      severity: v.reason === 'denied' ? 'critical' : 'warning',
+      tag: v.reason,
+      description: `${v.name}${v.version ? `@${v.version}` : ''} ${reasons[v.reason](v)}`
+    }));
+  }
+
+  /**
+   * Unpinned base images and containers running as root, from the
+   * Dockerfiles and compose files (techStack.infrastructure).
+   */
+  containerWarnings(infrastructure) {
+    const tags = { latest_tag: 'latest tag', root_user: 'root user' };
+    return (infrastructure?.warnings || []).map(w => ({
+      name: w.service || w.image || w.file,
+      file: w.file,
+      line: w.line,
+      tag: tags[w.type],
+      description: w.message
+    }));
+  }
+
+  /**
+   * CI runtimes the project's requirement does not allow and scripts CI runs
+   * that package.json does not define (ciCd.warnings).
+   */
+  ciWarnings(ciCd) {
+    const tags = { runtime_drift: 'runtime drift', missing_script: 'missing script' };
+    return (ciCd?.warnings || []).map(w => ({
+      name: w.type === 'missing_script' ? w.script : `${w.runtime} ${w.version}`,
+      file: w.file,
+      line: w.line,
+      job: w.job,
+      tag: tags[w.type],
+      description: w.message
+    }));
+  }
+
   // ═══════════════════════════════════════════════════════
   // Find Commented-Out Code Blocks (chunked)
   // ═══════════════════════════════════════════════════════
@@ -406,8 +655,6 @@ class CodeQualityLayer extends BaseLayer {
     const results = [];
     const entries = Object.entries(fileContents);
     const total = entries.length;
-    const MIN_BLOCK = 8;
-    const MAX_LEN = 300000;
 
     for (let i = 0; i < entries.length; i++) {
       await this.yieldControl();
@@ -415,51 +662,7 @@ class CodeQualityLayer extends BaseLayer {
       if (!content || !/\.(php|js|jsx|ts|tsx|vue)$/.test(filePath)) continue;
       if (this.obfuscatedPaths?.has(filePath)) continue;
 
-      const text = content.length > MAX_LEN ? content.slice(0, MAX_LEN) : content;
-      const lines = text.split('\n');
-      let blockStart = -1, blockLines = 0, inBlockComment = false, isDocBlock = false;
-
-      const flushBlock = (endLine) => {
-        if (blockLines >= MIN_BLOCK && !isDocBlock) {
-          results.push({
-            name: `${blockLines} commented lines`,
-            file: filePath,
-            line: blockStart + 1,
-            lines: blockLines,
-            description: `${blockLines} consecutive commented lines`
-          });
-        }
-        blockStart = -1;
-        blockLines = 0;
-        isDocBlock = false;
-      };
-
-      for (let j = 0; j < lines.length; j++) {
-        const trimmed = lines[j].trim();
-        if (!inBlockComment) {
-          if (trimmed.startsWith('/*')) {
-            isDocBlock = trimmed.startsWith('/**') || trimmed.startsWith('/*!');
-            inBlockComment = true;
-            if (blockStart === -1) blockStart = j;
-            blockLines++;
-            if (trimmed.includes('*/')) inBlockComment = false;
-            continue;
-          }
-          if (trimmed.startsWith('//') || (trimmed.startsWith('#') && !trimmed.startsWith('#!'))) {
-            if (blockStart === -1) blockStart = j;
-            blockLines++;
-            continue;
-          }
-          if (blockLines > 0) flushBlock(j);
-        } else {
-          blockLines++;
-          if (trimmed.includes('*/')) {
-            inBlockComment = false;
-            if (!this._isNextLineComment(lines, j + 1)) flushBlock(j + 1);
-          }
-        }
-      }
-      if (blockLines > 0) flushBlock(lines.length);
+      results.push(...this.fileResult(filePath, 'commentedCode', () => this.findFileCommentedCode(filePath, content)));
 
       if (i % 25 === 0 && this.context?.onProgress) {
         this.context.onProgress({ layer: 'Scanning commented code', current: i + 1, total });
@@ -469,6 +672,59 @@ class CodeQualityLayer extends BaseLayer {
     return results;
   }
 
+  findFileCommentedCode(filePath, content) {
+    const results = [];
+    const MIN_BLOCK = 8;
+    const MAX_LEN = 300000;
+    const text = content.length > MAX_LEN ? content.slice(0, MAX_LEN) : content;
+    const lines = text.split('\n');
+    let blockStart = -1, blockLines = 0, inBlockComment = false, isDocBlock = false;
+
+    const flushBlock = (endLine) => {
+      if (blockLines >= MIN_BLOCK && !isDocBlock) {
+        results.push({
+          name: `${blockLines} commented lines`,
+          file: filePath,
+          line: blockStart + 1,
+          lines: blockLines,
+          description: `${blockLines} consecutive commented lines`
+        });
+      }
+      blockStart = -1;
+      blockLines = 0;
+      isDocBlock = false;
+    };
+
+    for (let j = 0; j < lines.length; j++) {
+      const trimmed = lines[j].trim();
+      if (!inBlockComment) {
+        if (trimmed.startsWith('/*')) {
+          isDocBlock = trimmed.startsWith('/**') || trimmed.startsWith('/*!');
+          inBlockComment = true;
+          if (blockStart === -1) blockStart = j;
+          blockLines++;
+          if (trimmed.includes('*/')) inBlockComment = false;
+          continue;
+        }
+        if (trimmed.startsWith('//') || (trimmed.startsWith('#') && !trimmed.startsWith('#!'))) {
+          if (blockStart === -1) blockStart = j;
+          blockLines++;
+          continue;
+        }
+        if (blockLines > 0) flushBlock(j);
+      } else {
+        blockLines++;
+        if (trimmed.includes('*/')) {
+          inBlockComment = false;
+          if (!this._isNextLineComment(lines, j + 1)) flushBlock(j + 1);
+        }
+      }
+    }
+    if (blockLines > 0) flushBlock(lines.length);
+
+    return results;
+  }
+
   _isNextLineComment(lines, idx) {
     if (idx >= lines.length) return false;
     const trimmed = lines[idx].trim();
@@ -483,7 +739,6 @@ class CodeQualityLayer extends BaseLayer {
     const fileComplexity = [];
     const entries = Object.entries(fileContents);
     const total = entries.length;
-    const MAX_LEN = 300000;
 
     for (let i = 0; i < entries.length; i++) {
       await this.yieldControl();
@@ -491,29 +746,8 @@ class CodeQualityLayer extends BaseLayer {
       if (!content || !/\.(php|js|jsx|ts|tsx)$/.test(filePath)) continue;
       if (this.obfuscatedPaths?.has(filePath)) continue;
 
-      const text = content.length > MAX_LEN ? content.slice(0, MAX_LEN) : content;
-      const ifCount = (text.match(/\bif\s*\(/g) || []).length;
-      const elseCount = (text.match(/\belse\b/g) || []).length;
-      const forCount = (text.match(/\bfor\s*\(/g) || []).length;
-      const whileCount = (text.match(/\bwhile\s*\(/g) || []).length;
-      const switchCount = (text.match(/\bswitch\s*\(/g) || []).length;
-      const caseCount = (text.match(/\bcase\s+/g) || []).length;
-      const catchCount = (text.match(/\bcatch\s*\(/g) || []).length;
-      const ternaryCount = (text.match(/\?[^?.:]/g) || []).length;
-      const andOrCount = (text.match(/&&|\|\|/g) || []).length;
-
-      const complexity = 1 + ifCount + elseCount + forCount + whileCount + switchCount + caseCount + catchCount + ternaryCount + andOrCount;
-      const lines = text.split('\n').length;
-
-      if (complexity > 10) {
-        fileComplexity.push({
-          file: filePath,
-          complexity,
-          lines,
-          complexityPerLine: +(complexity / lines).toFixed(3),
-          breakdown: { if: ifCount, else: elseCount, for: forCount, while: whileCount, switch: switchCount, case: caseCount, catch: catchCount, ternary: ternaryCount, logicalOps: andOrCount }
-        });
-      }
+      const entry = this.fileResult(filePath, 'complexity', () => this.analyzeFileComplexity(filePath, content));
+      if (entry) fileComplexity.push(entry);
 
       if (i % 25 === 0 && this.context?.onProgress) {
         this.context.onProgress({ layer: 'Calculating complexity', current: i + 1, total });
@@ -523,6 +757,36 @@ class CodeQualityLayer extends BaseLayer {
     return fileComplexity.sort((a, b) => b.complexity - a.complexity);
   }
 
+  /**
+   * Complexity entry for a file, or null when complexity is 10 or lower.
+   */
+  analyzeFileComplexity(filePath, content) {
+    const MAX_LEN = 300000;
+    const text = content.length > MAX_LEN ? content.slice(0, MAX_LEN) : content;
+    const ifCount = (text.match(/\bif\s*\(/g) || []).length;
+    const elseCount = (text.match(/\belse\b/g) || []).length;
+    const forCount = (text.match(/\bfor\s*\(/g) || []).length;
+    const whileCount = (text.match(/\bwhile\s*\(/g) || []).length;
+    const switchCount = (text.match(/\bswitch\s*\(/g) || []).length;
+    const caseCount = (text.match(/\bcase\s+/g) || []).length;
+    const catchCount = (text.match(/\bcatch\s*\(/g) || []).length;
+    const ternaryCount = (text.match(/\?[^?.:]/g) || []).length;
+    const andOrCount = (text.match(/&&|\|\|/g) || []).length;
+
+    const complexity = 1 + ifCount + elseCount + forCount + whileCount + switchCount + caseCount + catchCount + ternaryCount + andOrCount;
+    const lines = text.split('\n').length;
+
+    if (complexity <= 10) return null;
+
+    return {
+      file: filePath,
+      complexity,
+      lines,
+      complexityPerLine: +(complexity / lines).toFixed(3),
+      breakdown: { if: ifCount, else: elseCount, for: forCount, while: whileCount, switch: switchCount, case: caseCount, catch: catchCount, ternary: ternaryCount, logicalOps: andOrCount }
+    };
+  }
+
   escapeRegex(str) {
     return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
   }
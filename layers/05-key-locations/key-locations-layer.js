@@ -7,7 +7,11 @@ const path = require('path');
  */
 class KeyLocationsLayer extends BaseLayer {
   constructor() {
-    super('key-locations');
+    super('key-locations', {
+      displayName: 'Key Locations',
+      reads: ['fileSystem', '_fileContents'],
+      writes: ['keyLocations']
+    });
   }
 
   async process(snapshot, context) {
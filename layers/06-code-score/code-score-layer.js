@@ -1,13 +1,19 @@
 const BaseLayer = require('../core/base-layer');
+const { packageOf } = require('../02-tech-stack/workspaces');
 
 /**
  * CodeScoreLayer — оценивает качество кода по шкале 0–10.
  * Учитывает: закомментированный код, размер файлов (монолиты), SQL-безопасность (PDO prepare),
- * типизацию (PHP), ES6+ (JS). НЕ учитывает "unused" — много ложных срабатываний (Adminer, плагины).
+ * типизацию (PHP), ES6+ (JS), уязвимые зависимости. НЕ учитывает "unused" — много ложных срабатываний (Adminer, плагины).
+ * В монорепозитории (techStack.workspaces) оценивается и каждый пакет отдельно.
  */
 class CodeScoreLayer extends BaseLayer {
   constructor() {
-    super('code-score');
+    super('code-score', {
+      displayName: 'Code Score',
+      reads: ['fileSystem', '_fileContents', 'codeStructure', 'codeQuality', 'techStack'],
+      writes: ['codeScore']
+    });
   }
 
   async process(snapshot, context) {
@@ -15,9 +21,26 @@ class CodeScoreLayer extends BaseLayer {
     const cs = snapshot.codeStructure || {};
     const fs = snapshot.fileSystem || {};
     const fileContents = snapshot._fileContents || {};
-    const issues = cq.issues || [];
+    // Ignored / won't-fix issues (triage) do not cost points
+    const issues = (cq.issues || []).filter(i => !i.triage);
     const files = fs.files || [];
 
+    const codeScore = this.scoreFiles(issues, files, fileContents, cs);
+
+    // ─── Монорепозиторий: отдельная оценка каждого пакета ───
+    const workspaces = snapshot.techStack?.workspaces;
+    if (workspaces) {
+      codeScore.packages = this.scorePackages(workspaces.packages, issues, files, fileContents, cs);
+    }
+
+    return { codeScore };
+  }
+
+  /**
+   * Оценка набора файлов (весь проект или один пакет монорепозитория).
+   * @returns {{ score, message, deductions, factors }}
+   */
+  scoreFiles(issues, files, fileContents, cs) {
     let deduction = 0;
 
     // ─── Штрафы только за реальное качество (не unused!) ───
@@ -26,7 +49,7 @@ class CodeScoreLayer extends BaseLayer {
 
     // ─── Штраф за большие файлы (монолиты >100KB) — только код (php, js, ts и т.д.) ───
     const CODE_EXT = /\.(php|js|jsx|ts|tsx|mjs|vue|svelte)$/i;
-    const codeFiles = files.filter(f => CODE_EXT.test(f.path || ''));
+    const codeFiles = files.filter(f => CODE_EXT.test(f.path || '') && !f.vendoredCopy);
     const BIG_FILE = 100 * 1024;   // 100 KB
     const HUGE_FILE = 500 * 1024;  // 500 KB
     for (const f of codeFiles) {
@@ -40,6 +63,17 @@ class CodeScoreLayer extends BaseLayer {
     const sqlPenalty = this.checkSqlSafety(fileContents);
     deduction += sqlPenalty;
 
+    // ─── Штраф за уязвимые зависимости (известные advisory) ───
+    // Одна зависимость из нескольких манифестов считается один раз
+    const vulnerable = new Map();
+    for (const i of issues.filter(i => i.type === 'vulnerable_dependency')) {
+      const key = `${i.name}@${i.version}`;
+      if (vulnerable.get(key) !== 'critical') vulnerable.set(key, i.severity);
+    }
+    const criticalVulnerable = [...vulnerable.values()].filter(s => s === 'critical').length;
+    const vulnPenalty = Math.min(criticalVulnerable * 1 + (vulnerable.size - criticalVulnerable) * 0.3, 3); // макс −3
+    deduction += vulnPenalty;
+
     deduction = Math.min(deduction, 10);
     let score = Math.max(0, 10 - deduction);
 
@@ -59,19 +93,55 @@ class CodeScoreLayer extends BaseLayer {
     if (hugeCount > 0) deductions.push({ key: 'large_huge', count: hugeCount });
     if (bigCount > 0) deductions.push({ key: 'large_big', count: bigCount });
     if (sqlPenalty > 0) deductions.push({ key: 'unsafe_sql' });
+    if (vulnerable.size > 0) deductions.push({ key: 'vulnerable_dependencies', count: vulnerable.size });
 
     return {
-      codeScore: {
+      score,
+      message,
+      deductions,
+      factors: {
+        commentedCode: commentedIssues.length,
+        largeFiles: codeFiles.filter(f => (f.size || 0) > BIG_FILE).length,
+        vulnerableDependencies: vulnerable.size,
+        bonusApplied: bonus
+      }
+    };
+  }
+
+  /**
+   * Оценка и число проблем по пакетам. Файл относится к самому глубокому
+   * пакету, в котором лежит; проблема — к пакету своего файла (зависимость —
+   * к пакету своего манифеста).
+   */
+  scorePackages(packages, issues, files, fileContents, cs) {
+    const packagePaths = packages.map(p => p.path);
+    const inPackage = (pkg, filePath) => !!filePath && packageOf(filePath, packagePaths) === pkg.path;
+
+    return packages.map(pkg => {
+      const pkgIssues = issues.filter(i => inPackage(pkg, i.file || i.source));
+      const pkgContents = {};
+      for (const [filePath, content] of Object.entries(fileContents)) {
+        if (inPackage(pkg, filePath)) pkgContents[filePath] = content;
+      }
+      const { score, message, deductions } = this.scoreFiles(
+        pkgIssues,
+        files.filter(f => inPackage(pkg, f.path)),
+        pkgContents,
+        { ...cs, files: (cs.files || []).filter(f => inPackage(pkg, f.path)) }
+      );
+      return {
+        path: pkg.path,
+        name: pkg.name,
         score,
         message,
         deductions,
-        factors: {
-          commentedCode: commentedIssues.length,
-          largeFiles: codeFiles.filter(f => (f.size || 0) > BIG_FILE).length,
-          bonusApplied: bonus
+        issues: {
+          critical: pkgIssues.filter(i => i.severity === 'critical').length,
+          warning: pkgIssues.filter(i => i.severity === 'warning').length,
+          info: pkgIssues.filter(i => i.severity === 'info').length
         }
-      }
-    };
+      };
+    });
   }
 
   checkSqlSafety(fileContents) {
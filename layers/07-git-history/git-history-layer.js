@@ -0,0 +1,278 @@
+const BaseLayer = require('../core/base-layer');
+const GitRepository = require('../core/git-repo');
+const { diffStat } = require('../core/line-diff');
+
+/**
+ * GitHistoryLayer — per-file history from the project's git repository
+ * (read directly from .git, no git executable): commits, authors and lines
+ * added/removed within a time window, the last commit of every file, and
+ * hotspots — files that both change often and are complex.
+ *
+ * Without a repository the layer reports `available: false` and nothing else.
+ * A revision run (context.revision) reads the history of that commit, with
+ * the window ending at its commit date.
+ */
+class GitHistoryLayer extends BaseLayer {
+  constructor() {
+    super('git-history', {
+      displayName: 'Git History',
+      reads: ['fileSystem', 'codeQuality'],
+      writes: ['gitHistory']
+    });
+  }
+
+  static DEFAULT_WINDOW_DAYS = 90;
+  // Commits read in total (window + looking further back for last commits)
+  static MAX_COMMITS = 5000;
+  // Blobs larger than this are not line-diffed
+  static MAX_DIFF_BYTES = 1024 * 1024;
+  static MAX_HOTSPOTS = 30;
+
+  async process(snapshot, context) {
+    this.context = context;
+    const rootPath = context.project.root_path;
+    const windowDays = GitHistoryLayer.windowDays(context.project.git_history_days);
+
+    let repo;
+    try {
+      repo = GitRepository.open(rootPath);
+    } catch (err) {
+      return { gitHistory: { available: false, reason: `Cannot read the git repository: ${err.message}` } };
+    }
+    if (!repo) {
+      return { gitHistory: { available: false, reason: 'No git repository found' } };
+    }
+
+    try {
+      const revision = context.revision;
+      const head = revision ? revision.commit : repo.resolveRef('HEAD');
+      if (!head) {
+        return { gitHistory: { available: false, reason: 'The repository has no commits' } };
+      }
+      const until = revision ? repo.readCommit(head)?.committer.time ?? Date.now() : Date.now();
+      const history = await this.readHistory(repo, head, snapshot.fileSystem?.files || [], windowDays, until);
+      return {
+        gitHistory: {
+          available: true,
+          head,
+          branch: revision ? null : repo.currentBranch(),
+          ...history,
+          hotspots: this.findHotspots(history.files, snapshot.codeQuality?.complexity || [])
+        }
+      };
+    } catch (err) {
+      if (context.signal?.aborted) throw err;
+      return { gitHistory: { available: false, reason: `Cannot read the git history: ${err.message}` } };
+    } finally {
+      repo.close();
+    }
+  }
+
+  static windowDays(value) {
+    const days = parseInt(value, 10);
+    return days > 0 ? days : GitHistoryLayer.DEFAULT_WINDOW_DAYS;
+  }
+
+  // ─── History walk ───
+
+  async readHistory(repo, head, files, windowDays, until = Date.now()) {
+    const prefix = repo.relativePath(this.context.project.root_path);
+    const since = until - windowDays * 24 * 60 * 60 * 1000;
+    const stats = new Map(files.map(f => [f.path, {
+      path: f.path, commits: 0, authors: new Set(), added: 0, removed: 0, lastCommitAt: null, lastAuthor: null
+    }]));
+    const authors = new Map(); // email → { name, email, commits }
+
+    // 1. Every reachable commit, newest first — one older than the window does not end the walk,
+    // in-window commits may still come through another parent. Then the window's diffs with a known total
+    const windowCommits = [];
+    const olderCommits = [];
+    let walked = 0;
+    for (const commit of walkCommits(repo, head, GitHistoryLayer.MAX_COMMITS)) {
+      (commit.committer.time >= since ? windowCommits : olderCommits).push(commit);
+      if (++walked % 200 === 0) await this.tick(walked, GitHistoryLayer.MAX_COMMITS, 'Walking git history');
+    }
+
+    let touching = 0;
+    for (let i = 0; i < windowCommits.length; i++) {
+      const commit = windowCommits[i];
+      const changes = this.changedFiles(repo, commit, prefix, stats);
+      const author = authorKey(commit);
+      if (changes.length > 0) {
+        touching++;
+        if (!authors.has(author)) authors.set(author, { name: commit.author.name, email: commit.author.email, commits: 0 });
+        authors.get(author).commits++;
+      }
+
+      for (const change of changes) {
+        const s = stats.get(change.path);
+        s.commits++;
+        s.authors.add(author);
+        this.recordLast(s, commit);
+        const lines = this.lineStat(repo, change);
+        s.added += lines.added;
+        s.removed += lines.removed;
+      }
+
+      if (i % 10 === 0) await this.tick(i + 1, windowCommits.length, 'Reading git history');
+    }
+
+    // 2. Older commits only for files not changed within the window
+    let pending = [...stats.values()].filter(s => !s.lastCommitAt).length;
+    for (let i = 0; i < olderCommits.length && pending > 0; i++) {
+      for (const change of this.changedFiles(repo, olderCommits[i], prefix, stats)) {
+        const s = stats.get(change.path);
+        if (!s.lastCommitAt) {
+          this.recordLast(s, olderCommits[i]);
+          pending--;
+        }
+      }
+      if ((i + 1) % 25 === 0) await this.tick(i + 1, olderCommits.length, 'Finding last commits');
+    }
+
+    const fileList = [...stats.values()]
+      .map(s => ({ ...s, authors: s.authors.size }))
+      .sort((a, b) => b.commits - a.commits || (b.added + b.removed) - (a.added + a.removed) || a.path.localeCompare(b.path));
+
+    return {
+      windowDays,
+      since: new Date(since).toISOString(),
+      totalCommits: touching,
+      truncated: walked >= GitHistoryLayer.MAX_COMMITS && pending > 0,
+      authors: [...authors.values()].sort((a, b) => b.commits - a.commits),
+      files: fileList
+    };
+  }
+
+  /**
+   * Files of the analysis changed by a commit, compared with its first parent.
+   * Merge commits count for nobody (their changes belong to the merged commits).
+   */
+  changedFiles(repo, commit, prefix, stats) {
+    if (commit.parents.length > 1) return [];
+    const tree = subtree(repo, commit.tree, prefix);
+    const parent = commit.parents.length > 0 ? repo.readCommit(commit.parents[0]) : null;
+    const parentTree = parent ? subtree(repo, parent.tree, prefix) : null;
+
+    const changes = [];
+    diffTrees(repo, parentTree, tree, '', changes);
+    return changes.filter(c => stats.has(c.path));
+  }
+
+  recordLast(s, commit) {
+    if (s.lastCommitAt) return;
+    s.lastCommitAt = new Date(commit.author.time).toISOString();
+    s.lastAuthor = commit.author.name;
+  }
+
+  lineStat(repo, change) {
+    const before = change.before ? repo.readObject(change.before)?.data : null;
+    const after = change.after ? repo.readObject(change.after)?.data : null;
+    const tooLarge = (before?.length || 0) > GitHistoryLayer.MAX_DIFF_BYTES || (after?.length || 0) > GitHistoryLayer.MAX_DIFF_BYTES;
+    if (tooLarge || isBinary(before) || isBinary(after)) return { added: 0, removed: 0 };
+    return diffStat(before ? before.toString('utf-8') : '', after ? after.toString('utf-8') : '');
+  }
+
+  async tick(current, total, label) {
+    this.context.onProgress?.({ layer: label, current, total });
+    await new Promise(r => setImmediate(r));
+    this.context.signal?.throwIfAborted();
+  }
+
+  // ─── Hotspots ───
+
+  /**
+   * Complex files (codeQuality.complexity, above 10) ranked by complexity × churn.
+   */
+  findHotspots(files, complexity) {
+    const byPath = new Map(files.map(f => [f.path, f]));
+    return complexity
+      .map(c => {
+        const history = byPath.get(c.file);
+        const churn = history ? history.added + history.removed : 0;
+        return {
+          file: c.file,
+          complexity: c.complexity,
+          commits: history?.commits || 0,
+          churn,
+          authors: history?.authors || 0,
+          score: c.complexity * churn
+        };
+      })
+      .filter(h => h.commits > 0)
+      .sort((a, b) => b.score - a.score || b.commits - a.commits)
+      .slice(0, GitHistoryLayer.MAX_HOTSPOTS);
+  }
+}
+
+// Authors are told apart by e-mail
+function authorKey(commit) {
+  return (commit.author.email || commit.author.name).toLowerCase();
+}
+
+/**
+ * Commits reachable from `head`, newest (committer date) first, each once.
+ * A missing parent (shallow clone) ends that line of history.
+ */
+function* walkCommits(repo, head, limit) {
+  const seen = new Set([head]);
+  const queue = [repo.readCommit(head)].filter(Boolean);
+  let count = 0;
+
+  while (queue.length > 0 && count < limit) {
+    const commit = queue.shift();
+    count++;
+    yield commit;
+
+    for (const parentSha of commit.parents) {
+      if (seen.has(parentSha)) continue;
+      seen.add(parentSha);
+      const parent = repo.readCommit(parentSha);
+      if (!parent) continue;
+      // Keep the queue ordered by committer time, newest first
+      let i = queue.findIndex(c => c.committer.time < parent.committer.time);
+      if (i === -1) i = queue.length;
+      queue.splice(i, 0, parent);
+    }
+  }
+}
+
+function subtree(repo, treeSha, prefix) {
+  let tree = treeSha;
+  for (const part of prefix.split('/').filter(Boolean)) {
+    const entry = tree && (repo.readTree(tree) || []).find(e => e.name === part && e.type === 'tree');
+    tree = entry ? entry.sha : null;
+  }
+  return tree;
+}
+
+/**
+ * Blob changes between two trees: { path, before, after } (blob SHAs, null when absent).
+ * Subtrees with equal SHAs are skipped without reading them.
+ */
+function diffTrees(repo, beforeSha, afterSha, base, changes) {
+  if (beforeSha === afterSha) return;
+  const before = new Map((beforeSha ? repo.readTree(beforeSha) || [] : []).map(e => [e.name, e]));
+  const after = new Map((afterSha ? repo.readTree(afterSha) || [] : []).map(e => [e.name, e]));
+
+  for (const name of new Set([...before.keys(), ...after.keys()])) {
+    const a = before.get(name);
+    const b = after.get(name);
+    if (a && b && a.sha === b.sha) continue;
+    const path = base + name;
+    const aTree = a?.type === 'tree' ? a.sha : null;
+    const bTree = b?.type === 'tree' ? b.sha : null;
+    if (aTree || bTree) diffTrees(repo, aTree, bTree, path + '/', changes);
+
+    const aBlob = a?.type === 'blob' ? a.sha : null;
+    const bBlob = b?.type === 'blob' ? b.sha : null;
+    if (aBlob !== bBlob) changes.push({ path, before: aBlob, after: bBlob });
+  }
+}
+
+// Same heuristic as git: a NUL byte in the first 8000 bytes
+function isBinary(buffer) {
+  return !!buffer && buffer.subarray(0, 8000).includes(0);
+}
+
+module.exports = GitHistoryLayer;
@@ -0,0 +1,316 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { compareVersions, parseVersion } = require('../core/semver');
+
+/**
+ * OSV advisories (https://ossf.github.io/osv-schema/) — the format of the
+ * offline dumps (`<ecosystem>/all.zip`, one JSON file per advisory) and of
+ * GitHub's advisory database.
+ *
+ *   osvRecords(path | Buffer)              records of a .zip, .json (one advisory or an array) or a folder of them
+ *   readOsvDump(path | Buffer, onRecord)   the same, all at once (CLI --advisories)
+ *   normalizeOsv(record)                   → advisory in the form stored and matched here
+ *   createAdvisoryIndex(advisories)        in-memory lookup (CLI --advisories)
+ *   matchAdvisories(version, advisories)   advisories affecting one installed version
+ */
+
+// OSV ecosystem → dependency ecosystem of techStack
+const ECOSYSTEMS = { npm: 'npm', Packagist: 'composer', PyPI: 'pypi', Go: 'go', RubyGems: 'rubygems', Maven: 'maven' };
+
+const SEVERITIES = ['critical', 'high', 'moderate', 'low', 'unknown'];
+
+/**
+ * @param {Object} record - OSV JSON
+ * @returns {Object|null} { id, summary, severity, cvss, aliases, url, published, modified,
+ *   packages: [{ ecosystem, name, ranges: [{ introduced, fixed, lastAffected }], versions }] };
+ *   null for withdrawn advisories and those without a supported package
+ */
+function normalizeOsv(record) {
+  if (!record || typeof record !== 'object' || typeof record.id !== 'string' || record.withdrawn) return null;
+
+  const packages = [];
+  for (const affected of record.affected || []) {
+    const ecosystem = ECOSYSTEMS[String(affected.package?.ecosystem || '').split(':')[0]];
+    const name = affected.package?.name;
+    if (!ecosystem || typeof name !== 'string') continue;
+    packages.push({
+      ecosystem,
+      name: packageName(ecosystem, name),
+      ranges: (affected.ranges || []).filter(r => r.type === 'SEMVER' || r.type === 'ECOSYSTEM').flatMap(r => intervals(r.events || [])),
+      versions: (affected.versions || []).map(String)
+    });
+  }
+  if (packages.length === 0) return null;
+
+  const cvss = (record.severity || []).find(s => /^CVSS_V3/.test(s.type))?.score || null;
+  return {
+    id: record.id,
+    summary: String(record.summary || (record.details || '').split('\n')[0]).slice(0, 300),
+    severity: severityOf(record, cvss),
+    cvss,
+    aliases: Array.isArray(record.aliases) ? record.aliases : [],
+    url: (record.references || []).find(r => r.type === 'ADVISORY')?.url || (record.references || [])[0]?.url || null,
+    published: record.published || null,
+    modified: record.modified || null,
+    packages
+  };
+}
+
+/**
+ * Range events ("introduced", "fixed", "last_affected") → affected intervals.
+ * Events are applied in version order; introduced "0" is the lowest version.
+ */
+function intervals(events) {
+  const sorted = events
+    .map(e => ({ type: Object.keys(e)[0], version: String(Object.values(e)[0]) }))
+    .filter(e => ['introduced', 'fixed', 'last_affected'].includes(e.type))
+    .sort((a, b) => (a.version === '0' ? -1 : b.version === '0' ? 1 : compareVersions(a.version, b.version)));
+
+  const result = [];
+  let open = null;
+  for (const event of sorted) {
+    if (event.type === 'introduced') {
+      if (!open) open = { introduced: event.version, fixed: null, lastAffected: null };
+    } else if (open) {
+      open[event.type === 'fixed' ? 'fixed' : 'lastAffected'] = event.version;
+      result.push(open);
+      open = null;
+    }
+  }
+  if (open) result.push(open);
+  return result;
+}
+
+// GitHub's rating, else the CVSS v3 base score; malicious packages (MAL-) are critical
+function severityOf(record, cvss) {
+  const rated = String(record.database_specific?.severity || '').toLowerCase();
+  if (rated === 'medium') return 'moderate';
+  if (SEVERITIES.includes(rated)) return rated;
+  if (/^MAL-/.test(record.id)) return 'critical';
+  const score = cvss ? cvssBaseScore(cvss) : null;
+  if (score === null) return 'unknown';
+  return score >= 9 ? 'critical' : score >= 7 ? 'high' : score >= 4 ? 'moderate' : 'low';
+}
+
+const CVSS_WEIGHTS = {
+  AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+  AC: { L: 0.77, H: 0.44 },
+  UI: { N: 0.85, R: 0.62 },
+  CIA: { H: 0.56, L: 0.22, N: 0 }
+};
+
+/**
+ * Base score of a CVSS v3.x vector ("CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H" → 9.8).
+ * @returns {number|null}
+ */
+function cvssBaseScore(vector) {
+  const m = Object.fromEntries(String(vector).split('/').slice(1).map(part => part.split(':')));
+  const changed = m.S === 'C';
+  const pr = { N: 0.85, L: changed ? 0.68 : 0.62, H: changed ? 0.5 : 0.27 }[m.PR];
+  const [av, ac, ui] = [CVSS_WEIGHTS.AV[m.AV], CVSS_WEIGHTS.AC[m.AC], CVSS_WEIGHTS.UI[m.UI]];
+  const [c, i, a] = [CVSS_WEIGHTS.CIA[m.C], CVSS_WEIGHTS.CIA[m.I], CVSS_WEIGHTS.CIA[m.A]];
+  if ([pr, av, ac, ui, c, i, a].some(w => w === undefined)) return null;
+
+  const iss = 1 - (1 - c) * (1 - i) * (1 - a);
+  const impact = changed ? 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15) : 6.42 * iss;
+  if (impact <= 0) return 0;
+  const exploitability = 8.22 * av * ac * pr * ui;
+  const roundUp = (x) => Math.ceil(Math.round(x * 100000) / 10000) / 10;
+  return roundUp(Math.min(changed ? 1.08 * (impact + exploitability) : impact + exploitability, 10));
+}
+
+// ─── Matching ───
+
+/**
+ * Advisories affecting an installed version, with the interval that matched.
+ * @param {string} version
+ * @param {Array<{ advisory, ranges, versions }>} entries - Package entries of advisories (see lookup)
+ * @returns {Array<{ advisory, affected: string, fixed: string|null }>}
+ */
+function matchAdvisories(version, entries) {
+  if (!parseVersion(version)) return [];
+  const matches = [];
+  for (const entry of entries) {
+    const range = entry.ranges.find(r => inInterval(version, r));
+    if (range) {
+      matches.push({ advisory: entry.advisory, affected: describeInterval(range), fixed: range.fixed });
+    } else if (entry.versions.some(v => v === version || (parseVersion(v) && compareVersions(v, version) === 0))) {
+      matches.push({ advisory: entry.advisory, affected: `=${version}`, fixed: null });
+    }
+  }
+  return matches;
+}
+
+function inInterval(version, { introduced, fixed, lastAffected }) {
+  if (introduced !== '0' && compareVersions(version, introduced) < 0) return false;
+  if (fixed) return compareVersions(version, fixed) < 0;
+  if (lastAffected) return compareVersions(version, lastAffected) <= 0;
+  return true;
+}
+
+function describeInterval({ introduced, fixed, lastAffected }) {
+  const parts = [];
+  if (introduced !== '0') parts.push(`>=${introduced}`);
+  if (fixed) parts.push(`<${fixed}`);
+  else if (lastAffected) parts.push(`<=${lastAffected}`);
+  return parts.join(' ') || '*';
+}
+
+/**
+ * In-memory advisory source — the same interface the server builds on its
+ * advisory tables (`context.advisories`).
+ * @param {Object[]} advisories - normalizeOsv() results
+ * @returns {{ count: number, importedAt: string|null, lookup(ecosystem, name): Array<{ advisory, ranges, versions }> }}
+ */
+function createAdvisoryIndex(advisories, importedAt = null) {
+  const byPackage = new Map();
+  for (const advisory of advisories) {
+    const { packages, ...meta } = advisory;
+    for (const pkg of packages) {
+      const key = `${pkg.ecosystem}:${pkg.name}`;
+      if (!byPackage.has(key)) byPackage.set(key, []);
+      byPackage.get(key).push({ advisory: meta, ranges: pkg.ranges, versions: pkg.versions });
+    }
+  }
+  return {
+    count: advisories.length,
+    importedAt,
+    lookup: (ecosystem, name) => byPackage.get(`${ecosystem}:${packageName(ecosystem, name)}`) || []
+  };
+}
+
+// ─── Dumps ───
+
+/**
+ * OSV records of a .zip archive, a .json file (one advisory, an array or
+ * { advisories: [...] }) or a folder of them (not recursive), one at a time —
+ * zip entries are inflated and parsed as they are reached.
+ * @param {string|Buffer} source - Path or file contents
+ * @returns {Generator<Object>}
+ */
+function* osvRecords(source) {
+  if (typeof source === 'string') {
+    const stat = fs.statSync(source);
+    if (stat.isDirectory()) {
+      for (const name of fs.readdirSync(source).sort()) {
+        if (/\.(json|zip)$/i.test(name)) yield* osvRecords(path.join(source, name));
+      }
+      return;
+    }
+    yield* osvRecords(fs.readFileSync(source));
+    return;
+  }
+
+  if (source.length >= 4 && source.readUInt32LE(0) === 0x04034b50) {
+    for (const entry of zipEntries(source)) {
+      if (/\.json$/i.test(entry.name)) yield* jsonRecords(entry.read());
+    }
+    return;
+  }
+  yield* jsonRecords(source);
+}
+
+/**
+ * Reads a whole dump — see osvRecords().
+ * @param {string|Buffer} source - Path or file contents
+ * @param {Function} onRecord - (record) for every OSV record
+ * @returns {number} Records read
+ */
+function readOsvDump(source, onRecord) {
+  let count = 0;
+  for (const record of osvRecords(source)) {
+    onRecord(record);
+    count++;
+  }
+  return count;
+}
+
+function jsonRecords(buffer) {
+  const data = JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+  return Array.isArray(data) ? data : Array.isArray(data.advisories) ? data.advisories : [data];
+}
+
+/**
+ * Entries of a zip archive (stored or deflated; zip64 archives included —
+ * OSV dumps have more than 65535 files).
+ * @returns {Array<{ name: string, read(): Buffer }>}
+ */
+function zipEntries(buffer) {
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd === -1) throw new Error('Not a zip archive (no end of central directory)');
+
+  let count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const locator = eocd - 20;
+  if (locator >= 0 && buffer.readUInt32LE(locator) === 0x07064b50) {
+    const record = Number(buffer.readBigUInt64LE(locator + 8));
+    count = Number(buffer.readBigUInt64LE(record + 32));
+    offset = Number(buffer.readBigUInt64LE(record + 48));
+  }
+
+  const entries = [];
+  for (let n = 0; n < count; n++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Corrupt zip central directory');
+    const method = buffer.readUInt16LE(offset + 10);
+    let compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    let localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    // Zip64 extra field: 64-bit sizes / offset for the fields set to 0xFFFFFFFF
+    let extra = offset + 46 + nameLength;
+    const extraEnd = extra + extraLength;
+    while (extra + 4 <= extraEnd) {
+      const id = buffer.readUInt16LE(extra);
+      const size = buffer.readUInt16LE(extra + 2);
+      if (id === 0x0001) {
+        let field = extra + 4;
+        if (buffer.readUInt32LE(offset + 24) === 0xFFFFFFFF) field += 8;
+        if (compressedSize === 0xFFFFFFFF) { compressedSize = Number(buffer.readBigUInt64LE(field)); field += 8; }
+        if (localOffset === 0xFFFFFFFF) localOffset = Number(buffer.readBigUInt64LE(field));
+      }
+      extra += 4 + size;
+    }
+
+    entries.push({
+      name,
+      read: () => {
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+        if (method === 0) return data;
+        if (method === 8) return zlib.inflateRawSync(data);
+        throw new Error(`Unsupported zip compression method ${method} (${name})`);
+      }
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Package name as stored and looked up: Composer names are case-insensitive,
+ * PyPI names also treat runs of "-", "_" and "." alike (PEP 503).
+ */
+function packageName(ecosystem, name) {
+  if (ecosystem === 'composer') return name.toLowerCase();
+  if (ecosystem === 'pypi') return name.toLowerCase().replace(/[-_.]+/g, '-');
+  return name;
+}
+
+module.exports = {
+  ECOSYSTEMS,
+  packageName,
+  SEVERITIES,
+  normalizeOsv,
+  cvssBaseScore,
+  matchAdvisories,
+  createAdvisoryIndex,
+  osvRecords,
+  readOsvDump
+};
@@ -0,0 +1,131 @@
+const BaseLayer = require('../core/base-layer');
+const { parseRange, compareVersions } = require('../core/semver');
+const { ecosystemOf } = require('../02-tech-stack/manifests');
+const { matchAdvisories, SEVERITIES } = require('./osv');
+
+/**
+ * VulnerabilityLayer — matches the installed packages (npm, Composer, PyPI,
+ * Go, RubyGems, Maven) against a local advisory database (OSV records
+ * imported beforehand), so it works without network access.
+ *
+ * Installed packages are the lockfile's resolved tree (transitive packages
+ * included); without a lockfile only dependencies pinned to an exact version
+ * (or resolved by Gemfile.lock) can be checked. The advisory source is `context.advisories` — the server's
+ * advisory tables or a dump loaded by the CLI (`--advisories`). Without one
+ * the layer reports `available: false`.
+ */
+class VulnerabilityLayer extends BaseLayer {
+  constructor() {
+    super('vulnerabilities', {
+      displayName: 'Vulnerabilities',
+      reads: ['techStack'],
+      writes: ['vulnerabilities']
+    });
+  }
+
+  async process(snapshot, context) {
+    const source = context.advisories;
+    if (!source || !source.count) {
+      return { vulnerabilities: { available: false, reason: 'No advisory database imported' } };
+    }
+
+    const packages = this.installedPackages(snapshot.techStack || {});
+    const findings = [];
+    packages.forEach((pkg, i) => {
+      if (i % 500 === 0) context.signal?.throwIfAborted();
+      const matches = matchAdvisories(pkg.version, source.lookup(pkg.ecosystem, pkg.name));
+      if (matches.length === 0) return;
+
+      const advisories = matches
+        .map(({ advisory, affected, fixed }) => ({
+          id: advisory.id,
+          aliases: advisory.aliases,
+          summary: advisory.summary,
+          severity: advisory.severity,
+          url: advisory.url,
+          affected,
+          fixed
+        }))
+        .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || a.id.localeCompare(b.id));
+      for (const manifest of pkg.sources) {
+        findings.push({
+          name: pkg.name,
+          version: pkg.version,
+          ecosystem: pkg.ecosystem,
+          direct: pkg.direct,
+          dev: pkg.dev,
+          source: manifest,
+          severity: advisories[0].severity,
+          // The lowest version fixing every advisory; null when one of them has no fix
+          fixedIn: advisories.every(a => a.fixed) ? advisories.map(a => a.fixed).sort(compareVersions).pop() : null,
+          advisories
+        });
+      }
+    });
+
+    findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+      Number(b.direct) - Number(a.direct) || a.name.localeCompare(b.name));
+
+    const bySeverity = Object.fromEntries(SEVERITIES.map(s => [s, 0]));
+    const vulnerable = new Map();
+    for (const f of findings) vulnerable.set(`${f.ecosystem}:${f.name}@${f.version}`, f.severity);
+    for (const severity of vulnerable.values()) bySeverity[severity]++;
+
+    return {
+      vulnerabilities: {
+        available: true,
+        database: { advisories: source.count, importedAt: source.importedAt || null },
+        checkedPackages: packages.length,
+        vulnerablePackages: vulnerable.size,
+        advisories: new Set(findings.flatMap(f => f.advisories.map(a => a.id))).size,
+        bySeverity,
+        findings
+      }
+    };
+  }
+
+  /**
+   * Packages to check: { name, version, ecosystem, direct, dev, sources }.
+   * A direct dependency is reported against each manifest declaring it,
+   * a transitive one against its lockfile.
+   */
+  installedPackages(techStack) {
+    const declared = [...(techStack.dependencies || []), ...(techStack.devDependencies || [])]
+      .filter(d => d.source && !d.workspace);
+    const packages = new Map();
+    for (const p of techStack.dependencyTree?.packages || []) {
+      packages.set(`${p.ecosystem}:${p.name}@${p.version}`, {
+        name: p.name,
+        version: p.version,
+        ecosystem: p.ecosystem,
+        direct: p.direct,
+        dev: p.dev,
+        lockfile: p.lockfile,
+        sources: []
+      });
+    }
+
+    for (const d of declared) {
+      const ecosystem = ecosystemOf(d.source);
+      const version = d.locked || (['npm', 'composer'].includes(ecosystem) ? exactVersion(d.version, ecosystem) : null);
+      if (!version) continue;
+      const key = `${ecosystem}:${d.name}@${version}`;
+      if (!packages.has(key)) {
+        packages.set(key, { name: d.name, version, ecosystem, direct: true, dev: d.type === 'dev', sources: [] });
+      }
+      const pkg = packages.get(key);
+      if (!pkg.sources.includes(d.source)) pkg.sources.push(d.source);
+    }
+
+    return [...packages.values()].map(({ lockfile, ...p }) => ({ ...p, sources: p.sources.length > 0 ? p.sources : [lockfile] }));
+  }
+}
+
+// "1.2.3" / "=1.2.3" → "1.2.3"; ranges → null
+function exactVersion(range, ecosystem) {
+  const sets = parseRange(range, ecosystem);
+  if (!sets || sets.length !== 1 || sets[0].length !== 1 || sets[0][0].op !== '=') return null;
+  return String(range).trim().replace(/^[=v]+/, '');
+}
+
+module.exports = VulnerabilityLayer;
@@ -0,0 +1,185 @@
+const BaseLayer = require('../core/base-layer');
+const { satisfies } = require('../core/semver');
+const { DEPENDENCY_DIRS } = require('../02-tech-stack/workspaces');
+const { parsePipeline, providerOf, lineOf } = require('./pipelines');
+
+/**
+ * CiCdLayer — CI pipeline configuration: GitHub Actions workflows, GitLab CI,
+ * Jenkinsfiles, Bitbucket Pipelines, CircleCI, Azure Pipelines and Travis CI
+ * (parsed by pipelines.js). Lists each pipeline's triggers and jobs with the
+ * runtime versions they set up and the package.json scripts they run.
+ *
+ * Warnings: a runtime version the project's own requirement does not allow
+ * (CI on Node 16 while engines.node requires >=20), and `npm run x` of a
+ * script package.json does not define. Without CI files the layer reports
+ * `available: false`.
+ */
+class CiCdLayer extends BaseLayer {
+  constructor() {
+    super('ci-cd', {
+      displayName: 'CI/CD',
+      reads: ['fileSystem', '_fileContents', 'techStack'],
+      writes: ['ciCd']
+    });
+  }
+
+  static RUNTIME_NAMES = { node: 'Node', php: 'PHP', python: 'Python', go: 'Go', ruby: 'Ruby', java: 'Java', bun: 'Bun', deno: 'Deno' };
+
+  async process(snapshot, context) {
+    const fileContents = snapshot._fileContents || {};
+    const files = (snapshot.fileSystem && snapshot.fileSystem.files) || [];
+    const techStack = snapshot.techStack || {};
+
+    const ciFiles = files.filter(f => typeof fileContents[f.path] === 'string' && !DEPENDENCY_DIRS.test(f.path) && providerOf(f.path));
+    if (ciFiles.length === 0) {
+      return { ciCd: { available: false, reason: 'No CI configuration found' } };
+    }
+
+    const scripts = techStack.scripts || {};
+    const hasPackageJson = (techStack.configFiles || []).includes('package.json');
+    const warnings = [];
+    const pipelines = [];
+
+    for (const file of ciFiles) {
+      context.signal?.throwIfAborted();
+      const content = fileContents[file.path];
+      const pipeline = parsePipeline(content, file.path);
+
+      for (const job of pipeline.jobs) {
+        // Commands in another working directory belong to another package.json
+        const references = job.commands.filter(c => !c.dir).flatMap(c => scriptReferences(c.text));
+        job.scripts = [...new Set(references.filter(r => r.name in scripts || (r.explicit && !r.optional)).map(r => r.name))];
+        delete job.commands;
+
+        for (const ref of references) {
+          if (!hasPackageJson || !ref.explicit || ref.optional || ref.name in scripts) continue;
+          if (warnings.some(w => w.type === 'missing_script' && w.file === file.path && w.script === ref.name)) continue;
+          warnings.push({
+            type: 'missing_script',
+            file: file.path,
+            line: lineOf(content, [ref.command], [ref.name]),
+            job: job.id,
+            script: ref.name,
+            message: `CI runs "${ref.command}" but package.json has no "${ref.name}" script`
+          });
+        }
+
+        for (const rt of job.runtimes) {
+          const required = techStack.runtime?.[rt.runtime];
+          if (!required || runtimeAllowed(rt.runtime, rt.version, required) !== false) continue;
+          warnings.push({
+            type: 'runtime_drift',
+            file: file.path,
+            line: rt.line,
+            job: job.id,
+            runtime: rt.runtime,
+            version: rt.version,
+            required,
+            message: `CI uses ${CiCdLayer.RUNTIME_NAMES[rt.runtime] || rt.runtime} ${rt.version}, but the project requires ${required}`
+          });
+        }
+      }
+      pipelines.push(pipeline);
+    }
+
+    const runtimes = {};
+    for (const rt of pipelines.flatMap(p => p.jobs.flatMap(j => j.runtimes))) {
+      runtimes[rt.runtime] = [...new Set([...(runtimes[rt.runtime] || []), rt.version])];
+    }
+
+    return {
+      ciCd: {
+        available: true,
+        providers: [...new Set(pipelines.map(p => p.provider))],
+        pipelines,
+        triggers: [...new Set(pipelines.flatMap(p => p.triggers))],
+        runtimes,
+        scripts: [...new Set(pipelines.flatMap(p => p.jobs.flatMap(j => j.scripts)))],
+        warnings
+      }
+    };
+  }
+}
+
+// ─── package.json scripts run by CI commands ───
+
+const NPM_ALIASES = { test: 'test', t: 'test', tst: 'test', start: 'start', stop: 'stop', restart: 'restart' };
+// Package manager commands that are not scripts ("yarn install", "pnpm add")
+const BUILTIN_COMMANDS = new Set([
+  'install', 'i', 'ci', 'add', 'remove', 'rm', 'upgrade', 'up', 'update', 'why', 'workspace', 'workspaces',
+  'dlx', 'exec', 'x', 'node', 'set', 'config', 'cache', 'info', 'init', 'create', 'global', 'link', 'unlink',
+  'pack', 'publish', 'audit', 'bin', 'version', 'versions', 'login', 'logout', 'outdated', 'import', 'licenses',
+  'list', 'ls', 'check', 'help', 'plugin', 'dedupe', 'explain', 'patch', 'rebuild', 'prune', 'fetch', 'store',
+  'env', 'setup', 'root', 'deploy', 'recursive', 'doctor', 'install-test', 'it', 'npm'
+]);
+// Flags that run the scripts of other packages
+const ELSEWHERE_FLAGS = /^(--workspaces?|-ws?|--prefix|--filter|-F|--cwd|-C|--dir|--recursive|-r)(=|$)/;
+
+/**
+ * Scripts referenced by a shell command: "npm run x", "npm test", "yarn x",
+ * "pnpm run x", "bun run x". `explicit` — a run command, which fails without
+ * the script; "yarn x" / "pnpm x" may also run a binary. Commands after
+ * "cd other-dir" are skipped.
+ * @returns {Array<{ name, command, explicit, optional }>}
+ */
+function scriptReferences(text) {
+  const references = [];
+  let elsewhere = false;
+  for (const segment of String(text).split(/\n|&&|\|\||;/).map(s => s.trim())) {
+    if (/^cd\s+(?!\.\/?$)\S/.test(segment)) {
+      elsewhere = true;
+      continue;
+    }
+    const match = /^(?:\w+=\S*\s+)*(npm|yarn|pnpm|bun)\s+(.+)$/.exec(segment);
+    if (elsewhere || !match) continue;
+
+    const [, tool, rest] = match;
+    const args = rest.split(/\s+/).map(a => a.replace(/^(["'])(.*)\1$/, '$2'));
+    if (args.some(a => ELSEWHERE_FLAGS.test(a))) continue;
+
+    let name = null;
+    let explicit = true;
+    let used = 1;
+    if (['run', 'run-script', 'rum', 'urn'].includes(args[0])) {
+      name = args[1];
+      used = 2;
+    } else if (tool === 'npm' && NPM_ALIASES[args[0]]) {
+      name = NPM_ALIASES[args[0]];
+    } else if ((tool === 'yarn' || tool === 'pnpm') && !BUILTIN_COMMANDS.has(args[0])) {
+      name = args[0];
+      explicit = false;
+    }
+    // "bun run file.ts" runs a file
+    if (!name || name.startsWith('-') || !/^[\w:@.-]+$/.test(name) || /\.[cm]?[jt]sx?$/.test(name)) continue;
+
+    references.push({
+      name,
+      command: `${tool} ${args.slice(0, used).join(' ')}`,
+      explicit,
+      optional: args.includes('--if-present')
+    });
+  }
+  return references;
+}
+
+// ─── Runtime drift ───
+
+/**
+ * Whether a CI runtime version meets the project's requirement. A partial
+ * version ("18", "3.12.x") is the newest release of that line, as setup
+ * steps install it. Go and Java requirements are minimums (go.mod `go`,
+ * the compiler release); a bare Ruby version must match exactly.
+ * @returns {boolean|null} null when either side cannot be evaluated (lts/*, ~=3.10, …)
+ */
+function runtimeAllowed(runtime, version, required) {
+  const java = (v) => String(v).replace(/^1\.(\d+)$/, '$1');
+  const parts = /^v?(\d+)(?:\.(\d+|x|\*))?(?:\.(\d+|x|\*))?$/.exec(runtime === 'java' ? java(version) : String(version).trim());
+  if (!parts) return null;
+  const newest = [parts[1], parts[2], parts[3]].map(p => (/^\d+$/.test(p || '') ? p : '99999')).join('.');
+
+  let range = runtime === 'java' ? java(required) : String(required).trim();
+  if ((runtime === 'go' || runtime === 'java') && /^\d+(\.\d+)*$/.test(range)) range = `>=${range}`;
+  return satisfies(newest, range, runtime === 'node' ? 'npm' : 'composer');
+}
+
+module.exports = CiCdLayer;
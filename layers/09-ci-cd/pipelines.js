@@ -0,0 +1,484 @@
+const path = require('path');
+const { parseYaml } = require('../core/yaml');
+const { parseImage } = require('../02-tech-stack/docker');
+
+/**
+ * CI pipeline files → a common shape:
+ *
+ *   { provider, file, name, triggers: ['push', 'pull_request', …],
+ *     jobs: [{ id, name, stage, runsOn, image, steps,
+ *              runtimes: [{ runtime, version, line }],
+ *              commands: [{ text, dir }] }] }
+ *
+ * Runtimes come from setup steps (actions/setup-node, NodeTool, …), matrix
+ * values they reference, Jenkins tools and the versions of container images
+ * (node:20-alpine → node 20). Commands are the shell lines a job runs; `dir`
+ * is the job's or step's working directory, when it sets one.
+ */
+
+const PROVIDERS = [
+  { id: 'github-actions', name: 'GitHub Actions', test: p => /^\.github\/workflows\/[^/]+\.ya?ml$/.test(p), parse: parseGithubWorkflow },
+  { id: 'gitlab-ci', name: 'GitLab CI', test: p => /^\.gitlab-ci\.ya?ml$/.test(p), parse: parseGitlabCi },
+  { id: 'jenkins', name: 'Jenkins', test: p => /(^|\/)(Jenkinsfile([.-][\w.-]+)?|[\w.-]+\.jenkinsfile)$/i.test(p), parse: parseJenkinsfile },
+  { id: 'bitbucket-pipelines', name: 'Bitbucket Pipelines', test: p => /^bitbucket-pipelines\.ya?ml$/.test(p), parse: parseBitbucketPipelines },
+  { id: 'circleci', name: 'CircleCI', test: p => /^\.circleci\/config\.ya?ml$/.test(p), parse: parseCircleCi },
+  { id: 'azure-pipelines', name: 'Azure Pipelines', test: p => /(^|\/)azure-pipelines[\w.-]*\.ya?ml$/.test(p), parse: parseAzurePipelines },
+  { id: 'travis', name: 'Travis CI', test: p => /^\.travis\.ya?ml$/.test(p), parse: parseTravis }
+];
+
+// Setup steps: action / task → [runtime, input with the version]
+const SETUP_ACTIONS = {
+  'actions/setup-node': ['node', 'node-version'],
+  'actions/setup-python': ['python', 'python-version'],
+  'actions/setup-go': ['go', 'go-version'],
+  'actions/setup-java': ['java', 'java-version'],
+  'ruby/setup-ruby': ['ruby', 'ruby-version'],
+  'shivammathur/setup-php': ['php', 'php-version'],
+  'oven-sh/setup-bun': ['bun', 'bun-version'],
+  'denoland/setup-deno': ['deno', 'deno-version']
+};
+const AZURE_TASKS = {
+  NodeTool: ['node', 'versionSpec'],
+  UseNode: ['node', 'version'],
+  UsePythonVersion: ['python', 'versionSpec'],
+  GoTool: ['go', 'version'],
+  JavaToolInstaller: ['java', 'versionSpec'],
+  UseRubyVersion: ['ruby', 'versionSpec']
+};
+const IMAGE_RUNTIMES = {
+  node: 'node', python: 'python', php: 'php', golang: 'go', ruby: 'ruby',
+  openjdk: 'java', 'eclipse-temurin': 'java', amazoncorretto: 'java', bun: 'bun'
+};
+
+/**
+ * @param {string} filePath
+ * @returns {{ id, name, test, parse } | null}
+ */
+function providerOf(filePath) {
+  return PROVIDERS.find(p => p.test(filePath)) || null;
+}
+
+/**
+ * @param {string} content
+ * @param {string} filePath
+ * @returns {Object|null} Pipeline; null when the path is not a known CI file
+ */
+function parsePipeline(content, filePath) {
+  const provider = providerOf(filePath);
+  if (!provider) return null;
+  const pipeline = { provider: provider.id, file: filePath, name: null, triggers: [], jobs: [] };
+  return { ...pipeline, ...provider.parse(String(content), filePath) };
+}
+
+// ─── GitHub Actions ───
+
+function parseGithubWorkflow(content, filePath) {
+  const doc = asObject(parseYaml(content));
+  const on = doc.on;
+  const triggers = typeof on === 'string' ? [on] : Array.isArray(on) ? on.map(String) : Object.keys(asObject(on));
+
+  const jobs = Object.entries(asObject(doc.jobs)).map(([id, raw]) => {
+    const job = asObject(raw);
+    const matrix = asObject(asObject(job.strategy).matrix);
+    const steps = asList(job.steps).map(asObject);
+    const jobDir = asObject(asObject(job.defaults).run)['working-directory'] || null;
+    const container = typeof job.container === 'string' ? job.container : asObject(job.container).image || null;
+
+    const runtimes = [];
+    for (const step of steps) {
+      const setup = typeof step.uses === 'string' && SETUP_ACTIONS[step.uses.split('@')[0]];
+      if (!setup) continue;
+      const [runtime, input] = setup;
+      for (const version of expandMatrix(asObject(step.with)[input], matrix)) {
+        runtimes.push({ runtime, version: version.value, line: lineOf(content, [version.key || input, version.value], [version.key || input]) });
+      }
+    }
+    const containerRuntime = container && imageRuntime(container);
+    if (containerRuntime) runtimes.push({ ...containerRuntime, line: lineOf(content, [container]) });
+
+    return {
+      id,
+      name: typeof job.name === 'string' ? job.name : id,
+      stage: null,
+      runsOn: formatRunsOn(job['runs-on']),
+      image: container,
+      // A job calling a reusable workflow has no steps of its own
+      uses: typeof job.uses === 'string' ? job.uses : null,
+      steps: steps.length,
+      runtimes,
+      commands: steps.filter(s => typeof s.run === 'string').map(s => ({ text: s.run, dir: s['working-directory'] || jobDir }))
+    };
+  });
+
+  return { name: typeof doc.name === 'string' ? doc.name : path.posix.basename(filePath), triggers, jobs };
+}
+
+/**
+ * "${{ matrix.node }}" → the matrix values (and include entries) of that key;
+ * a multi-line or comma-separated input gives one version per entry.
+ * @returns {Array<{ value: string, key: string|null }>}
+ */
+function expandMatrix(input, matrix) {
+  if (input == null) return [];
+  const ref = /^\$\{\{\s*matrix\.([\w-]+)\s*\}\}$/.exec(String(input).trim());
+  if (ref) {
+    const key = ref[1];
+    const values = [...asList(matrix[key]), ...asList(matrix.include).map(i => asObject(i)[key])];
+    return [...new Set(values.filter(v => v != null && typeof v !== 'object').map(String))].map(value => ({ value, key }));
+  }
+  if (String(input).includes('${{')) return [];
+  return String(input).split(/[\n,]/).map(v => v.trim()).filter(Boolean).map(value => ({ value, key: null }));
+}
+
+function formatRunsOn(runsOn) {
+  if (runsOn == null) return null;
+  if (Array.isArray(runsOn)) return runsOn.join(', ');
+  if (typeof runsOn === 'object') return [runsOn.group, ...asList(runsOn.labels)].filter(Boolean).join(', ');
+  return String(runsOn);
+}
+
+// ─── GitLab CI ───
+
+const GITLAB_KEYWORDS = new Set([
+  'image', 'services', 'stages', 'types', 'before_script', 'after_script', 'variables',
+  'cache', 'include', 'default', 'workflow'
+]);
+
+function parseGitlabCi(content) {
+  const doc = asObject(parseYaml(content));
+  const defaults = { ...doc, ...asObject(doc.default) };
+
+  const jobEntries = Object.entries(doc).filter(([id, job]) => !GITLAB_KEYWORDS.has(id) && !id.startsWith('.') && isObject(job));
+  const jobs = jobEntries
+    .map(([id, job]) => {
+      const image = imageName(job.image ?? defaults.image);
+      const imageRt = image && imageRuntime(image);
+      const commands = [...lines(job.before_script ?? defaults.before_script), ...lines(job.script)];
+      return {
+        id,
+        name: id,
+        stage: typeof job.stage === 'string' ? job.stage : 'test',
+        runsOn: asList(job.tags).map(String).join(', ') || null,
+        image,
+        // Trigger jobs start a downstream pipeline (project or included file)
+        uses: typeof job.trigger === 'string' ? job.trigger : isObject(job.trigger) ? [job.trigger.project, job.trigger.include].find(t => typeof t === 'string') || null : null,
+        steps: commands.length,
+        runtimes: imageRt ? [{ ...imageRt, line: lineOf(content, [image]) }] : [],
+        commands: commands.map(text => ({ text, dir: null }))
+      };
+    });
+
+  // A job runs for the sources its only / rules allow; workflow:rules decide which sources start a
+  // pipeline at all, and without them a job that restricts nothing runs on branch pushes
+  const workflow = gitlabSources({ rules: asObject(doc.workflow).rules });
+  const sources = new Set();
+  for (const [, job] of jobEntries) {
+    for (const source of gitlabSources(job) || workflow || ['push']) sources.add(source);
+  }
+  const triggers = GITLAB_TRIGGERS.filter(t => sources.has(t) && (!workflow || workflow.has(t)));
+
+  return { name: 'GitLab CI', triggers, jobs };
+}
+
+const GITLAB_TRIGGERS = ['push', 'merge_request', 'schedule', 'tag', 'manual'];
+
+// only: keywords → triggers; other entries are branch names / patterns
+const GITLAB_ONLY = {
+  branches: 'push', pushes: 'push', merge_requests: 'merge_request', external_pull_requests: 'merge_request',
+  schedules: 'schedule', tags: 'tag', web: 'manual', api: 'manual',
+  triggers: null, pipelines: null, chat: null
+};
+
+// $CI_PIPELINE_SOURCE values → triggers
+const GITLAB_PIPELINE_SOURCES = {
+  push: 'push', merge_request_event: 'merge_request', external_pull_request_event: 'merge_request',
+  schedule: 'schedule', web: 'manual', api: 'manual'
+};
+
+/**
+ * Triggers a job (or workflow) may run for, from its `rules` or `only`;
+ * null when they don't restrict it — no rules, a rule without a readable
+ * `if`, or `only` without `refs`.
+ */
+function gitlabSources(job) {
+  if (Array.isArray(job.rules) && job.rules.length > 0) {
+    const sources = new Set();
+    for (const rule of job.rules.map(asObject)) {
+      if (rule.when === 'never') continue;
+      const found = ruleSources(typeof rule.if === 'string' ? rule.if : '');
+      if (!found) return null;
+      for (const source of found) sources.add(source);
+    }
+    return sources;
+  }
+  if (job.only == null) return null;
+  const refs = isObject(job.only) ? job.only.refs : job.only;
+  if (refs == null) return null;
+  return new Set(asList(refs).map(ref => String(ref) in GITLAB_ONLY ? GITLAB_ONLY[ref] : 'push').filter(Boolean));
+}
+
+// Triggers an `if:` selects; null when it tests no pipeline source, tag, branch or merge request
+function ruleSources(condition) {
+  const bySource = [...condition.matchAll(/\$CI_PIPELINE_SOURCE\s*==\s*["']([\w-]+)["']/g)];
+  const found = bySource.map(m => GITLAB_PIPELINE_SOURCES[m[1]]).filter(Boolean);
+  if (/(^|[^!])\$CI_COMMIT_TAG\b(?!\s*==\s*null)/.test(condition)) found.push('tag');
+  if (/(^|[^!])\$CI_COMMIT_BRANCH\b(?!\s*==\s*null)/.test(condition)) found.push('push');
+  if (/\$CI_MERGE_REQUEST_\w+/.test(condition)) found.push('merge_request');
+  return found.length > 0 || bySource.length > 0 ? found : null;
+}
+
+// ─── Jenkins ───
+
+function parseJenkinsfile(content) {
+  const lineAt = (offset) => content.slice(0, offset).split('\n').length;
+  const stages = [...content.matchAll(/\bstage\s*\(\s*(['"])(.+?)\1\s*\)/g)].map(m => ({ name: m[2], offset: m.index }));
+  const jobs = (stages.length > 0 ? stages : [{ name: 'pipeline', offset: 0 }]).map(s => ({
+    id: s.name,
+    name: s.name,
+    stage: null,
+    runsOn: null,
+    image: null,
+    uses: null,
+    steps: 0,
+    runtimes: [],
+    commands: [],
+    offset: s.offset
+  }));
+  // Steps and agents belong to the last stage opened before them; those before the first stage to the first
+  const jobAt = (offset) => [...jobs].reverse().find(j => j.offset <= offset) || jobs[0];
+
+  for (const m of content.matchAll(/\b(?:sh|bat|powershell|pwsh)\s*\(?\s*(?:script\s*:\s*)?('''[\s\S]*?'''|"""[\s\S]*?"""|'[^'\n]*'|"[^"\n]*")/g)) {
+    const job = jobAt(m.index);
+    job.steps++;
+    job.commands.push({ text: m[1].replace(/^('''|"""|'|")|('''|"""|'|")$/g, ''), dir: null });
+  }
+
+  for (const m of content.matchAll(/\bimage\s+(['"])([^'"]+)\1|docker\.image\(\s*(['"])([^'"]+)\3\s*\)/g)) {
+    const image = m[2] || m[4];
+    const job = jobAt(m.index);
+    job.image = job.image || image;
+    const runtime = imageRuntime(image);
+    if (runtime) job.runtimes.push({ ...runtime, line: lineAt(m.index) });
+  }
+
+  // tools { nodejs 'node-20'; jdk 'jdk17' } — installation names, versions taken from their digits
+  const tools = { nodejs: 'node', jdk: 'java', go: 'go', python: 'python' };
+  for (const block of content.matchAll(/\btools\s*\{([^}]*)\}/g)) {
+    for (const m of block[1].matchAll(/\b(nodejs|jdk|go|python)\s+(['"])([^'"]+)\2/g)) {
+      const version = /(\d+(?:\.\d+)*)/.exec(m[3]);
+      if (version) jobAt(block.index).runtimes.push({ runtime: tools[m[1]], version: version[1], line: lineAt(block.index + m.index) });
+    }
+  }
+
+  const triggers = [];
+  const triggerBlock = /\btriggers\s*\{([^}]*)\}/.exec(content);
+  if (triggerBlock) {
+    if (/\bcron\s*\(/.test(triggerBlock[1])) triggers.push('schedule');
+    if (/\bpollSCM\s*\(/.test(triggerBlock[1])) triggers.push('poll');
+    if (/\b(githubPush|gitlab|bitbucketPush)\s*\(/.test(triggerBlock[1])) triggers.push('push');
+    if (/\bupstream\s*\(/.test(triggerBlock[1])) triggers.push('upstream');
+  }
+
+  return { name: 'Jenkins', triggers, jobs: jobs.map(({ offset: _, ...job }) => job) };
+}
+
+// ─── Bitbucket Pipelines ───
+
+function parseBitbucketPipelines(content) {
+  const doc = asObject(parseYaml(content));
+  const pipelines = asObject(doc.pipelines);
+  const sectionTriggers = { default: 'push', branches: 'push', 'pull-requests': 'pull_request', tags: 'tag', custom: 'manual' };
+  const triggers = [...new Set(Object.keys(pipelines).map(s => sectionTriggers[s]).filter(Boolean))];
+
+  const jobs = [];
+  const addSteps = (items, label) => {
+    for (const item of asList(items).map(asObject)) {
+      if (item.step) {
+        const step = asObject(item.step);
+        const image = imageName(step.image ?? doc.image);
+        const runtime = image && imageRuntime(image);
+        const commands = lines(step.script);
+        jobs.push({
+          id: `${label} #${jobs.filter(j => j.id.startsWith(`${label} #`)).length + 1}`,
+          name: typeof step.name === 'string' ? step.name : label,
+          stage: label,
+          runsOn: asList(step['runs-on']).map(String).join(', ') || null,
+          image,
+          uses: null,
+          steps: commands.length,
+          runtimes: runtime ? [{ ...runtime, line: lineOf(content, [image]) }] : [],
+          commands: commands.map(text => ({ text, dir: null }))
+        });
+      }
+      if (item.parallel) addSteps(Array.isArray(item.parallel) ? item.parallel : asObject(item.parallel).steps, label);
+      if (item.stage) addSteps(asObject(item.stage).steps, label);
+    }
+  };
+
+  for (const [section, value] of Object.entries(pipelines)) {
+    if (section === 'default') {
+      addSteps(value, section);
+    } else {
+      for (const [pattern, items] of Object.entries(asObject(value))) addSteps(items, `${section}: ${pattern}`);
+    }
+  }
+  return { name: 'Bitbucket Pipelines', triggers, jobs };
+}
+
+// ─── CircleCI ───
+
+function parseCircleCi(content) {
+  const doc = asObject(parseYaml(content));
+  const jobs = Object.entries(asObject(doc.jobs)).map(([id, raw]) => {
+    const job = asObject(raw);
+    const images = asList(job.docker).map(d => asObject(d).image).filter(i => typeof i === 'string');
+    const steps = asList(job.steps);
+    const runtimes = images.map(image => ({ image, runtime: imageRuntime(image) }))
+      .filter(i => i.runtime)
+      .map(i => ({ ...i.runtime, line: lineOf(content, [i.image]) }));
+    const commands = steps.map(s => asObject(s).run).filter(Boolean).map(run => ({
+      text: typeof run === 'string' ? run : String(asObject(run).command || ''),
+      dir: asObject(run).working_directory || job.working_directory || null
+    }));
+    return {
+      id,
+      name: id,
+      stage: null,
+      runsOn: images[0] ? null : (asObject(job.machine).image || (job.macos ? 'macos' : null)),
+      image: images[0] || null,
+      uses: null,
+      steps: steps.length,
+      runtimes,
+      commands
+    };
+  });
+
+  const triggers = ['push'];
+  if (Object.values(asObject(doc.workflows)).some(w => asList(asObject(w).triggers).some(t => asObject(t).schedule))) {
+    triggers.push('schedule');
+  }
+  return { name: 'CircleCI', triggers, jobs };
+}
+
+// ─── Azure Pipelines ───
+
+function parseAzurePipelines(content, filePath) {
+  const doc = asObject(parseYaml(content));
+  const rawJobs = doc.stages
+    ? asList(doc.stages).flatMap(s => asList(asObject(s).jobs).map(j => ({ ...asObject(j), stageName: asObject(s).stage })))
+    : doc.jobs ? asList(doc.jobs).map(asObject) : [{ job: 'job', steps: doc.steps, pool: doc.pool, container: doc.container }];
+
+  const jobs = rawJobs.map((job, i) => {
+    const steps = asList(job.steps ?? asObject(asObject(asObject(job.strategy).runOnce).deploy).steps).map(asObject);
+    const pool = job.pool ?? doc.pool;
+    const container = imageName(job.container ?? doc.container);
+    const runtimes = [];
+    for (const step of steps) {
+      const task = typeof step.task === 'string' ? AZURE_TASKS[step.task.split('@')[0]] : null;
+      const version = task ? asObject(step.inputs)[task[1]] : null;
+      if (version != null) runtimes.push({ runtime: task[0], version: String(version), line: lineOf(content, [task[1], String(version)], [step.task]) });
+    }
+    const containerRuntime = container && imageRuntime(container);
+    if (containerRuntime) runtimes.push({ ...containerRuntime, line: lineOf(content, [container]) });
+
+    const id = job.job || job.deployment || `job ${i + 1}`;
+    return {
+      id,
+      name: job.displayName || id,
+      stage: job.stageName || null,
+      runsOn: typeof pool === 'string' ? pool : asObject(pool).vmImage || asObject(pool).name || null,
+      image: container,
+      uses: job.template || null,
+      steps: steps.length,
+      runtimes,
+      commands: steps.map(s => s.script ?? s.bash ?? s.powershell ?? s.pwsh)
+        .filter(c => typeof c === 'string')
+        .map(text => ({ text, dir: null }))
+    };
+  });
+
+  const triggers = [];
+  if (doc.trigger !== 'none') triggers.push('push');
+  if (doc.pr !== undefined && doc.pr !== 'none') triggers.push('pull_request');
+  if (doc.schedules) triggers.push('schedule');
+  return { name: typeof doc.name === 'string' ? doc.name : path.posix.basename(filePath), triggers, jobs };
+}
+
+// ─── Travis CI ───
+
+function parseTravis(content) {
+  const doc = asObject(parseYaml(content));
+  const keys = { node_js: 'node', php: 'php', python: 'python', go: 'go', rvm: 'ruby', jdk: 'java' };
+  const runtimes = [];
+  for (const [key, runtime] of Object.entries(keys)) {
+    for (const value of asList(doc[key]).map(String)) {
+      const version = /(\d+(?:\.\d+)*)/.exec(value);
+      if (version) runtimes.push({ runtime, version: version[1], line: lineOf(content, [value], [`${key}:`]) });
+    }
+  }
+  const commands = ['before_install', 'install', 'before_script', 'script'].flatMap(key => lines(doc[key]));
+  return {
+    name: 'Travis CI',
+    triggers: ['push', 'pull_request'],
+    jobs: [{
+      id: 'build',
+      name: 'build',
+      stage: null,
+      runsOn: typeof doc.os === 'string' ? doc.os : null,
+      image: null,
+      uses: null,
+      steps: commands.length,
+      runtimes,
+      commands: commands.map(text => ({ text, dir: null }))
+    }]
+  };
+}
+
+// ─── Helpers ───
+
+// node:20-alpine → { runtime: 'node', version: '20' }; cimg/python:3.12 → python 3.12
+function imageRuntime(ref) {
+  const { image, tag } = parseImage(ref);
+  const runtime = IMAGE_RUNTIMES[image.split('/').pop()];
+  const version = tag && /^v?(\d+(?:\.\d+)*)/.exec(tag);
+  return runtime && version ? { runtime, version: version[1] } : null;
+}
+
+// image: "node:20" or { name: "node:20" }
+function imageName(image) {
+  if (typeof image === 'string') return image;
+  return isObject(image) && typeof image.name === 'string' ? image.name : null;
+}
+
+// script: "cmd" or ["cmd", …] (nested lists are flattened, as GitLab does)
+function lines(script) {
+  return asList(script).flat(Infinity).filter(s => typeof s === 'string');
+}
+
+/**
+ * 1-based line of the first line containing all needles of a set; the sets
+ * are tried in order. null when none matches.
+ */
+function lineOf(content, ...needleSets) {
+  const all = content.split('\n');
+  for (const needles of needleSets) {
+    const index = all.findIndex(line => needles.every(n => line.includes(n)));
+    if (index !== -1) return index + 1;
+  }
+  return null;
+}
+
+function asList(value) {
+  if (Array.isArray(value)) return value;
+  return value == null ? [] : [value];
+}
+
+function asObject(value) {
+  return isObject(value) ? value : {};
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = { parsePipeline, providerOf, lineOf, PROVIDERS };
@@ -1,14 +1,43 @@
+const { buildLayerGraph } = require('./layer-graph');
+
 /**
- * AnalysisEngine — runs analysis layers sequentially in Request Mode.
+ * AnalysisEngine — runs analysis layers as a dependency graph in Request Mode.
  *
  * LAYERS pattern flow:
- *   For each layer:
- *     1. Snapshot current state (deep clone, frozen)
- *     2. Call layer.process(snapshot, context)
- *     3. Merge returned delta into state
- *     4. Repeat for next layer
+ *   1. Build the layer graph from `reads` / `writes` declarations and validate it
+ *   2. Start every layer whose dependencies have finished:
+ *        a. Snapshot its declared reads (deep clone, frozen)
+ *        b. Call layer.process(snapshot, context)
+ *        c. Merge returned delta into state
+ *   3. Independent layers run concurrently; a layer starts as soon as
+ *      the producers of all keys it reads are done
  *
+ * Writers of a key are unique, so the merge order never changes the result.
  * The final state IS the complete analysis report.
+ *
+ * Per-file work: `context.runSharded(items, shared)` runs the layer's
+ * analyzeShard() either in the worker pool (`options.pool`, layers with a
+ * `workerModule`) or in-process in small chunks that yield to the event loop.
+ * Results always come back in item order, so both modes produce the same report.
+ *
+ * Cancellation: `options.signal` (AbortSignal) is exposed as `context.signal`.
+ * Layers check it in their chunked loops; once it fires no new layer starts
+ * and analyze() rejects with the signal's reason — there is no partial report.
+ *
+ * Triage: `options.triage` (issue fingerprint → state) is exposed as
+ * `context.triage`; CodeQualityLayer marks ignored / won't-fix issues with it.
+ *
+ * Revision: `options.revision` ({ ref, commit }) analyzes a git commit instead
+ * of the working directory. It is exposed as `context.revision` and recorded
+ * as `meta.revision`; FileSystemLayer reads files from the object store.
+ *
+ * Advisories: `options.advisories` (see 08-vulnerabilities/osv.js
+ * createAdvisoryIndex) is exposed as `context.advisories` for the
+ * vulnerability layer.
+ *
+ * Registry: `options.registry` (see 02-tech-stack/outdated.js
+ * createRegistryClient) is exposed as `context.registry`; TechStackLayer asks
+ * it for the latest release of each dependency.
  */
 class AnalysisEngine {
   constructor() {
@@ -16,21 +45,54 @@ class AnalysisEngine {
   }
 
   /**
-   * Register a layer. Order matters — layers run sequentially.
+   * Register a layer. Execution order is derived from reads/writes;
+   * registration order only breaks ties.
    */
   addLayer(layer) {
     this.layers.push(layer);
     return this;
   }
 
+  /**
+   * Resolved execution order (validates the graph).
+   * @throws {LayerGraphError}
+   */
+  resolveOrder() {
+    return buildLayerGraph(this.layers).order.map(l => l.name);
+  }
+
+  /**
+   * Registered layers in resolved order, for progress reporting and the UI.
+   * @throws {LayerGraphError}
+   */
+  describeLayers() {
+    return buildLayerGraph(this.layers).order.map(l => ({
+      name: l.name,
+      displayName: l.displayName || l.name,
+      plugin: !!l.plugin
+    }));
+  }
+
   /**
    * Run full analysis pipeline.
    * @param {Object} projectConfig - Project settings from database
    * @param {Function} onProgress  - Optional callback(info) for progress updates
+   * @param {Object} options
+   * @param {FileCache} options.cache - Per-file cache from the last completed run (incremental mode)
+   * @param {AbortSignal} options.signal - Cancels the run
+   * @param {WorkerPool} options.pool - Worker threads for layers that support sharding (optional)
+   * @param {Map} options.triage - Issue fingerprint → { state, comment, author } for ignored / won't-fix issues
+   * @param {Object} options.revision - { ref, commit } — analyze this git commit instead of the working directory
+   * @param {Object} options.advisories - Advisory source: { count, importedAt, lookup(ecosystem, name) }
+   * @param {Object} options.registry - Package registry client: { registries, stats, metadata(ecosystem, name, signal) }
    * @returns {Object} Complete analysis report
+   * @throws {LayerGraphError} when layer declarations are inconsistent (nothing is run)
+   * @throws signal.reason when the run was cancelled
    */
-  async analyze(projectConfig, onProgress) {
+  async analyze(projectConfig, onProgress, options = {}) {
     const startTime = Date.now();
+    const { order, dependsOn } = buildLayerGraph(this.layers);
+    const total = order.length;
 
     let state = {
       meta: {
@@ -40,88 +102,172 @@ class AnalysisEngine {
         excludedFolders: projectConfig.excluded_folders,
         analyzedAt: new Date().toISOString(),
         version: '1.1.0',
+        ...(options.revision && { revision: { ref: options.revision.ref, commit: options.revision.commit } }),
         layersExecuted: []
       }
     };
 
-    // Передаём onProgress в context, чтобы слои могли его использовать
     const context = {
       project: projectConfig,
       startTime,
-      onProgress: onProgress ? (info) => {
-        onProgress({
-          ...info,
-          step: info.step || info.status || 1,
-          total: info.total || this.layers.length,
-          current: info.current || 1
-        });
-      } : undefined
+      cache: options.cache || null,
+      signal: options.signal || null,
+      triage: options.triage || null,
+      revision: options.revision || null,
+      advisories: options.advisories || null,
+      registry: options.registry || null
     };
 
-    for (let i = 0; i < this.layers.length; i++) {
-      const layer = this.layers[i];
+    const results = new Map();
+    const running = new Map();
+
+    const runLayer = async (layer) => {
+      const position = order.indexOf(layer) + 1;
       const layerStart = Date.now();
 
+      // Sub-step progress is tagged with the layer that reported it
+      const layerContext = {
+        ...context,
+        onProgress: onProgress ? (info) => {
+          onProgress({
+            ...info,
+            owner: layer.name,
+            step: info.step || info.status || 1,
+            total: info.total || total,
+            current: info.current || 1
+          });
+        } : undefined
+      };
+      layerContext.runSharded = (items, shared, label) =>
+        this.runSharded(layer, items, shared, { ...layerContext, pool: options.pool, label });
+
       if (onProgress) {
-        onProgress({
-          layer: layer.name,
-          step: 'started',
-          current: i + 1,
-          total: this.layers.length,
-          status: 'running'
-        });
+        onProgress({ layer: layer.name, displayName: layer.displayName, step: 'started', current: position, total, status: 'running' });
       }
 
+      const result = {
+        name: layer.name,
+        displayName: layer.displayName,
+        ...(layer.plugin ? { plugin: layer.plugin } : {}),
+        dependsOn: dependsOn.get(layer.name),
+        startedAtMs: layerStart - startTime
+      };
+
       try {
-        const snapshot = deepFreeze(deepClone(state));
-        const delta = await layer.process(snapshot, context);
+        const snapshot = deepFreeze(deepClone(pick(state, ['meta', ...layer.reads])));
+        const delta = await layer.process(snapshot, layerContext);
 
         if (delta && typeof delta === 'object') {
+          const undeclared = Object.keys(delta).filter(k => !layer.writes.includes(k));
+          if (undeclared.length > 0) {
+            throw new Error(`delta contains undeclared keys: ${undeclared.join(', ')}`);
+          }
           state = deepMerge(state, delta);
         }
 
-        state.meta.layersExecuted.push({
-          name: layer.name,
-          durationMs: Date.now() - layerStart,
-          status: 'completed'
-        });
-
-        if (onProgress) {
-          onProgress({
-            layer: layer.name,
-            step: 'completed',
-            current: i + 1,
-            total: this.layers.length,
-            status: 'completed'
-          });
-        }
-
+        result.status = 'completed';
       } catch (err) {
+        // Cancellation is not a layer failure — it ends the whole run
+        if (context.signal?.aborted) throw context.signal.reason;
+
         console.error(`[AnalysisEngine] Layer "${layer.name}" failed:`, err.message);
+        result.status = 'failed';
+        result.error = err.message;
+      }
 
-        state.meta.layersExecuted.push({
-          name: layer.name,
-          durationMs: Date.now() - layerStart,
-          status: 'failed',
-          error: err.message
+      result.finishedAtMs = Date.now() - startTime;
+      result.durationMs = result.finishedAtMs - result.startedAtMs;
+      results.set(layer.name, result);
+
+      if (onProgress) {
+        onProgress({
+          layer: layer.name,
+          displayName: layer.displayName,
+          step: result.status,
+          current: position,
+          total,
+          status: result.status,
+          ...(result.error ? { error: result.error } : {})
         });
+      }
+    };
 
-        if (onProgress) {
-          onProgress({
-            layer: layer.name,
-            step: 'failed',
-            current: i + 1,
-            total: this.layers.length,
-            status: 'failed',
-            error: err.message
-          });
-        }
+    // A failed layer still counts as finished — dependents run with whatever state exists
+    while (results.size < total) {
+      context.signal?.throwIfAborted();
+      for (const layer of order) {
+        if (results.has(layer.name) || running.has(layer.name)) continue;
+        if (!dependsOn.get(layer.name).every(d => results.has(d))) continue;
+        running.set(layer.name, runLayer(layer).then(() => running.delete(layer.name)));
       }
+      await Promise.race(running.values());
+    }
+    context.signal?.throwIfAborted();
+
+    state.meta.layersExecuted = order.map(layer => {
+      const r = results.get(layer.name);
+      const concurrentWith = order
+        .map(other => results.get(other.name))
+        .filter(o => o.name !== r.name && o.startedAtMs < r.finishedAtMs && r.startedAtMs < o.finishedAtMs)
+        .map(o => o.name);
+      return { ...r, concurrentWith };
+    });
+    state.meta.schedule = this.describeSchedule(state.meta.layersExecuted, Date.now() - startTime);
+
+    if (context.cache) {
+      state.meta.incremental = context.cache.stats();
     }
 
     state.meta.durationMs = Date.now() - startTime;
     return stripInternal(state);
   }
+
+  /**
+   * Run layer.analyzeShard() over `items`; results are returned in item order.
+   */
+  async runSharded(layer, items, shared, { pool, signal, onProgress, label = 'Analyzing files' }) {
+    const report = (done) => {
+      if (onProgress) onProgress({ layer: label, current: done, total: items.length });
+    };
+
+    if (pool && layer.workerModule) {
+      return pool.runShards(layer.workerModule, items, shared, { signal, onShardDone: report });
+    }
+
+    // In-process: small chunks with a yield in between keep the server responsive
+    const CHUNK = 25;
+    const results = [];
+    for (let i = 0; i < items.length; i += CHUNK) {
+      signal?.throwIfAborted();
+      results.push(...layer.analyzeShard(items.slice(i, i + CHUNK), shared));
+      report(Math.min(i + CHUNK, items.length));
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    return results;
+  }
+
+  /**
+   * Wall-clock summary: how much layer time overlapped thanks to concurrent execution.
+   */
+  describeSchedule(executed, wallClockMs) {
+    const layerTimeMs = executed.reduce((sum, l) => sum + l.durationMs, 0);
+
+    // Length of the union of [start, finish] intervals
+    let busyMs = 0;
+    let cursor = -1;
+    for (const l of [...executed].sort((a, b) => a.startedAtMs - b.startedAtMs)) {
+      const from = Math.max(l.startedAtMs, cursor);
+      if (l.finishedAtMs > from) busyMs += l.finishedAtMs - from;
+      cursor = Math.max(cursor, l.finishedAtMs);
+    }
+
+    return {
+      order: executed.map(l => l.name),
+      wallClockMs,
+      layerTimeMs,
+      overlapMs: layerTimeMs - busyMs
+    };
+  }
 }
 
 // ─── Utility Functions ───
@@ -166,6 +312,14 @@ function deepMerge(target, source) {
   return output;
 }
 
+function pick(obj, keys) {
+  const out = {};
+  for (const key of keys) {
+    if (key in obj) out[key] = obj[key];
+  }
+  return out;
+}
+
 function stripInternal(obj) {
   if (obj === null || typeof obj !== 'object') return obj;
   if (Array.isArray(obj)) return obj.map(stripInternal);
@@ -9,15 +9,51 @@
  *   5. Next layer sees the updated snapshot
  *
  * Each layer MUST:
- *   - Have a unique `name`
+ *   - Have a unique `name` (plus an optional human-readable `displayName`)
+ *   - Declare the top-level state keys it `reads` and `writes`
  *   - Implement `async process(snapshot, context)` → returns delta object
  *   - NEVER mutate the snapshot
  *   - Have a LAYER.md contract describing its inputs/outputs
+ *
+ * The engine orders layers by these declarations (a layer runs after the
+ * producers of every key it reads) and runs independent layers concurrently.
+ * The snapshot contains only the declared `reads` plus `meta`; a delta may
+ * contain only the declared `writes`.
+ *
+ * Long-running layers must call `context.signal?.throwIfAborted()` inside
+ * their per-file loops (and yield to the event loop now and then) so that a
+ * cancelled analysis stops promptly.
+ *
+ * CPU-heavy layers can implement `analyzeShard(items, shared)` (pure per-file
+ * work, one result per item) and call `context.runSharded(items, shared)`;
+ * with `workerModule: __filename` the engine may run the shards in worker
+ * threads (the module must export the layer class, constructible without args).
+ *
+ * Layers that cache per-file outputs in `context.cache` (FileCache) must bump
+ * `cacheVersion` whenever the shape or meaning of those outputs changes.
  */
 class BaseLayer {
-  constructor(name) {
+  /**
+   * @param {string} name
+   * @param {Object} options
+   * @param {string}   options.displayName - Name shown in progress and the UI (defaults to `name`)
+   * @param {string[]} options.reads  - State keys this layer reads (e.g. ['fileSystem', '_fileContents'])
+   * @param {string[]} options.writes - State keys this layer's delta contains (e.g. ['techStack'])
+   * @param {number} options.cacheVersion - Version of per-file outputs stored in context.cache
+   * @param {string} options.workerModule - Module exporting this layer class; enables worker threads for analyzeShard()
+   */
+  constructor(name, options = {}) {
     if (!name) throw new Error('Layer must have a name');
     this.name = name;
+    this.displayName = options.displayName || name;
+    this.reads = options.reads || [];
+    this.writes = options.writes || [];
+    this.cacheVersion = options.cacheVersion || 1;
+    this.workerModule = options.workerModule || null;
+
+    if (!Array.isArray(this.reads) || !Array.isArray(this.writes)) {
+      throw new Error(`${name}: reads/writes must be arrays of state keys`);
+    }
   }
 
   /**
@@ -29,6 +65,18 @@ class BaseLayer {
   async process(snapshot, context) {
     throw new Error(`${this.name}: process() not implemented`);
   }
+
+  /**
+   * Per-file work for context.runSharded(). Runs in a worker thread when the
+   * layer has a `workerModule`, so it must not use `this.context` or other
+   * state set up in process().
+   * @param {Array} items  - Work items (structured-cloneable)
+   * @param {*}     shared - Data shared by all items
+   * @returns {Array} One result per item, in the same order
+   */
+  analyzeShard(items, shared) {
+    throw new Error(`${this.name}: analyzeShard() not implemented`);
+  }
 }
 
 module.exports = BaseLayer;
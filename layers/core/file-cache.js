@@ -0,0 +1,110 @@
+/**
+ * FileCache — per-file content hashes and cached per-file layer outputs.
+ *
+ * Used for incremental re-analysis:
+ *   1. The runner loads the entries saved by the last completed analysis
+ *   2. FileSystemLayer calls track() for every scanned file (size, mtime, hash)
+ *      and untrack() for the duplicate copies it leaves out of the analysis
+ *   3. Layers ask get(layer, path) before doing per-file work and call
+ *      set(layer, path, value) after it — unchanged files reuse old outputs
+ *   4. After a completed run the runner persists entries() for the next one
+ *
+ * Outputs are stored per layer together with the layer's `cacheVersion`,
+ * so bumping that version invalidates only that layer's cached data.
+ * The cache never affects results: a cached output is exactly what the
+ * layer would have produced for the same file content.
+ */
+class FileCache {
+  /**
+   * @param {Array} previous - Entries from the last completed analysis:
+   *                           [{ path, size, mtimeMs, hash, outputs }]
+   */
+  constructor(previous = []) {
+    this.previous = new Map();
+    for (const entry of previous) {
+      if (entry && entry.path && entry.hash) this.previous.set(entry.path, entry);
+    }
+    this.current = new Map();
+  }
+
+  /**
+   * Hash recorded for a file if its size and mtime did not change since the
+   * last analysis, otherwise null (caller must hash the content itself).
+   */
+  knownHash(path, size, mtimeMs) {
+    const prev = this.previous.get(path);
+    if (!prev) return null;
+    return prev.size === size && prev.mtimeMs === mtimeMs ? prev.hash : null;
+  }
+
+  /**
+   * Register a file seen in the current run.
+   */
+  track(path, { size, mtimeMs, hash }) {
+    const prev = this.previous.get(path);
+    this.current.set(path, {
+      path,
+      size,
+      mtimeMs,
+      hash,
+      unchanged: !!prev && prev.hash === hash,
+      reused: false,
+      outputs: {}
+    });
+  }
+
+  /**
+   * Forget a file of the current run that no layer analyzes (an excluded
+   * duplicate copy), so it is neither counted nor persisted.
+   */
+  untrack(path) {
+    this.current.delete(path);
+  }
+
+  /**
+   * Cached output of `layer` for `path`, or undefined when the file changed
+   * or the layer has no (compatible) cached output for it.
+   */
+  get(layer, path) {
+    const entry = this.current.get(path);
+    if (!entry || !entry.unchanged) return undefined;
+
+    const cached = this.previous.get(path).outputs?.[layer.name];
+    if (!cached || cached.v !== layer.cacheVersion) return undefined;
+
+    entry.outputs[layer.name] = cached;
+    entry.reused = true;
+    return cached.data;
+  }
+
+  set(layer, path, data) {
+    const entry = this.current.get(path);
+    if (!entry) return;
+    entry.outputs[layer.name] = { v: layer.cacheVersion, data };
+  }
+
+  /**
+   * Reuse statistics for report meta.
+   */
+  stats() {
+    let reusedFiles = 0;
+    for (const entry of this.current.values()) {
+      if (entry.reused) reusedFiles++;
+    }
+    return {
+      reusedFiles,
+      reanalyzedFiles: this.current.size - reusedFiles
+    };
+  }
+
+  /**
+   * Entries to persist after a completed analysis.
+   */
+  entries() {
+    return [...this.current.values()].map(({ path, size, mtimeMs, hash, outputs }) => ({
+      path, size, mtimeMs, hash, outputs
+    }));
+  }
+}
+
+module.exports = FileCache;
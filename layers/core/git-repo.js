@@ -0,0 +1,500 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+/**
+ * GitRepository — read-only access to an on-disk git repository without the
+ * git executable: refs (loose + packed-refs), loose objects and pack files
+ * (idx v2, ofs/ref deltas). Enough to walk history and read trees and blobs.
+ *
+ * Not supported: alternates, SHA-256 repositories, commit-graph files (history
+ * is walked through the commit objects themselves).
+ */
+
+const OBJECT_TYPES = { 1: 'commit', 2: 'tree', 3: 'blob', 4: 'tag' };
+const OFS_DELTA = 6;
+const REF_DELTA = 7;
+
+// Resolved pack objects kept for delta chains (bytes)
+const PACK_CACHE_BYTES = 32 * 1024 * 1024;
+
+class GitRepository {
+  /**
+   * @param {string} gitDir   - The repository's .git directory (or worktree git dir)
+   * @param {string} workTree - Directory the repository's paths are relative to
+   */
+  constructor(gitDir, workTree) {
+    this.gitDir = gitDir;
+    this.workTree = workTree;
+    this.commonDir = readCommonDir(gitDir);
+    this.objectsDir = path.join(this.commonDir, 'objects');
+    this.packs = null;
+    this.packedRefs = null;
+  }
+
+  /**
+   * Find the repository containing `startPath` (the directory or any parent).
+   * @returns {GitRepository|null} null when there is no repository
+   */
+  static open(startPath) {
+    let dir = path.resolve(startPath);
+    for (;;) {
+      const dotGit = path.join(dir, '.git');
+      let stat = null;
+      try { stat = fs.statSync(dotGit); } catch { /* not here */ }
+
+      if (stat?.isDirectory() && fs.existsSync(path.join(dotGit, 'HEAD'))) {
+        return new GitRepository(dotGit, dir);
+      }
+      if (stat?.isFile()) {
+        // Worktrees and submodules: ".git" is a file with "gitdir: <path>"
+        const match = /^gitdir:\s*(.+)$/m.exec(fs.readFileSync(dotGit, 'utf-8'));
+        if (match) return new GitRepository(path.resolve(dir, match[1].trim()), dir);
+      }
+
+      const parent = path.dirname(dir);
+      if (parent === dir) return null;
+      dir = parent;
+    }
+  }
+
+  /**
+   * Resolve `ref` for analyzing the project at `projectPath` (context.revision).
+   * @returns {{ ref: string, commit: string }}
+   * @throws {Error} no repository, unknown ref, or the project folder is missing in that commit
+   */
+  static resolveRevision(projectPath, ref) {
+    const repo = GitRepository.open(projectPath);
+    if (!repo) throw new Error('The project is not in a git repository');
+    try {
+      const commit = repo.resolveRef(ref);
+      if (!commit) throw new Error(`Unknown git ref "${ref}"`);
+      if (!repo.treeAt(commit, repo.relativePath(projectPath))) {
+        throw new Error(`The project folder does not exist at "${ref}"`);
+      }
+      return { ref, commit };
+    } finally {
+      repo.close();
+    }
+  }
+
+  /**
+   * Path of `absolutePath` inside the work tree ("" for the root), "/"-separated.
+   */
+  relativePath(absolutePath) {
+    return path.relative(this.workTree, path.resolve(absolutePath)).replace(/\\/g, '/');
+  }
+
+  // ─── Refs ───
+
+  /**
+   * Commit SHA a ref points to: HEAD, branch, tag, remote branch, full or
+   * abbreviated SHA. Annotated tags are peeled to their commit. Ancestor
+   * suffixes follow the first parent: "v1.2~3", "HEAD^^".
+   * @returns {string|null}
+   */
+  resolveRef(ref = 'HEAD') {
+    const ancestor = /^(.+?)((?:~\d*|\^)+)$/.exec(ref);
+    if (ancestor) {
+      let sha = this.resolveRef(ancestor[1]);
+      for (const [, op, count] of ancestor[2].matchAll(/(~|\^)(\d*)/g)) {
+        const steps = op === '~' && count !== '' ? parseInt(count, 10) : 1;
+        for (let i = 0; i < steps && sha; i++) sha = this.readCommit(sha)?.parents[0] || null;
+      }
+      return sha;
+    }
+
+    const candidates = ref === 'HEAD' || ref.startsWith('refs/')
+      ? [ref]
+      : [ref, `refs/heads/${ref}`, `refs/tags/${ref}`, `refs/remotes/${ref}`];
+
+    for (const name of candidates) {
+      const sha = this.readRef(name);
+      if (sha) return this.peelToCommit(sha);
+    }
+    if (/^[0-9a-f]{4,40}$/i.test(ref)) {
+      const sha = this.expandSha(ref.toLowerCase());
+      if (sha) return this.peelToCommit(sha);
+    }
+    return null;
+  }
+
+  /**
+   * Branch HEAD points to ("main"), or null when HEAD is detached.
+   */
+  currentBranch() {
+    const head = this.readRefFile('HEAD');
+    const match = head && /^ref:\s*refs\/heads\/(.+)$/.exec(head);
+    return match ? match[1] : null;
+  }
+
+  readRef(name, depth = 0) {
+    if (depth > 10) return null;
+    const value = this.readRefFile(name) ?? this.readPackedRefs().get(name) ?? null;
+    if (!value) return null;
+    const symbolic = /^ref:\s*(.+)$/.exec(value);
+    if (symbolic) return this.readRef(symbolic[1], depth + 1);
+    return /^[0-9a-f]{40}$/.test(value) ? value : null;
+  }
+
+  readRefFile(name) {
+    for (const dir of [this.gitDir, this.commonDir]) {
+      try {
+        return fs.readFileSync(path.join(dir, name), 'utf-8').trim();
+      } catch { /* try the next */ }
+    }
+    return null;
+  }
+
+  readPackedRefs() {
+    if (!this.packedRefs) {
+      this.packedRefs = new Map();
+      let content = '';
+      try { content = fs.readFileSync(path.join(this.commonDir, 'packed-refs'), 'utf-8'); } catch { /* none */ }
+      for (const line of content.split('\n')) {
+        const match = /^([0-9a-f]{40}) (.+)$/.exec(line.trim());
+        if (match) this.packedRefs.set(match[2], match[1]);
+      }
+    }
+    return this.packedRefs;
+  }
+
+  peelToCommit(sha) {
+    for (let i = 0; i < 10 && sha; i++) {
+      const object = this.readObject(sha);
+      if (!object) return null;
+      if (object.type === 'commit') return sha;
+      if (object.type !== 'tag') return null;
+      sha = /^object ([0-9a-f]{40})/m.exec(object.data.toString('utf-8'))?.[1];
+    }
+    return null;
+  }
+
+  /**
+   * Full SHA for an abbreviated one, or null when unknown or ambiguous.
+   */
+  expandSha(prefix) {
+    if (prefix.length === 40) return this.hasObject(prefix) ? prefix : null;
+    const matches = new Set();
+    try {
+      for (const name of fs.readdirSync(path.join(this.objectsDir, prefix.slice(0, 2)))) {
+        const sha = prefix.slice(0, 2) + name;
+        if (sha.startsWith(prefix)) matches.add(sha);
+      }
+    } catch { /* no loose objects with this prefix */ }
+    for (const pack of this.getPacks()) {
+      for (const sha of pack.findPrefix(prefix)) matches.add(sha);
+    }
+    return matches.size === 1 ? [...matches][0] : null;
+  }
+
+  // ─── Objects ───
+
+  hasObject(sha) {
+    return fs.existsSync(this.loosePath(sha)) || this.getPacks().some(p => p.offsetOf(sha) !== null);
+  }
+
+  /**
+   * @returns {{ type: string, data: Buffer } | null} null when the object is missing
+   */
+  readObject(sha) {
+    const loose = this.readLoose(sha);
+    if (loose) return loose;
+    for (const pack of this.getPacks()) {
+      const offset = pack.offsetOf(sha);
+      if (offset !== null) return pack.readAt(offset, (base) => this.readObject(base));
+    }
+    return null;
+  }
+
+  loosePath(sha) {
+    return path.join(this.objectsDir, sha.slice(0, 2), sha.slice(2));
+  }
+
+  readLoose(sha) {
+    let raw;
+    try {
+      raw = zlib.inflateSync(fs.readFileSync(this.loosePath(sha)));
+    } catch {
+      return null;
+    }
+    const nul = raw.indexOf(0);
+    const [type] = raw.subarray(0, nul).toString('latin1').split(' ');
+    return { type, data: raw.subarray(nul + 1) };
+  }
+
+  getPacks() {
+    if (!this.packs) {
+      const packDir = path.join(this.objectsDir, 'pack');
+      let names = [];
+      try { names = fs.readdirSync(packDir).filter(n => n.endsWith('.idx')); } catch { /* no packs */ }
+      this.packs = names.map(n => new PackFile(path.join(packDir, n.slice(0, -4))));
+    }
+    return this.packs;
+  }
+
+  /**
+   * Release pack file handles.
+   */
+  close() {
+    for (const pack of this.packs || []) pack.close();
+    this.packs = null;
+  }
+
+  /**
+   * @returns {{ sha, tree, parents, author, committer, message } | null}
+   *   author / committer: { name, email, time } (time in ms)
+   */
+  readCommit(sha) {
+    const object = this.readObject(sha);
+    if (!object || object.type !== 'commit') return null;
+
+    const text = object.data.toString('utf-8');
+    const headerEnd = text.indexOf('\n\n');
+    const header = headerEnd === -1 ? text : text.slice(0, headerEnd);
+    const commit = { sha, tree: null, parents: [], author: null, committer: null, message: headerEnd === -1 ? '' : text.slice(headerEnd + 2) };
+
+    for (const line of header.split('\n')) {
+      const space = line.indexOf(' ');
+      const key = line.slice(0, space);
+      const value = line.slice(space + 1);
+      if (key === 'tree') commit.tree = value;
+      else if (key === 'parent') commit.parents.push(value);
+      else if (key === 'author' || key === 'committer') commit[key] = parseSignature(value);
+    }
+    return commit;
+  }
+
+  /**
+   * @returns {{ mode: string, name: string, sha: string, type: 'tree'|'blob'|'commit' }[] | null}
+   */
+  readTree(sha) {
+    const object = this.readObject(sha);
+    if (!object || object.type !== 'tree') return null;
+
+    const entries = [];
+    const data = object.data;
+    let i = 0;
+    while (i < data.length) {
+      const space = data.indexOf(0x20, i);
+      const nul = data.indexOf(0, space);
+      const mode = data.toString('latin1', i, space);
+      entries.push({
+        mode,
+        name: data.toString('utf-8', space + 1, nul),
+        sha: data.toString('hex', nul + 1, nul + 21),
+        type: mode === '40000' ? 'tree' : mode === '160000' ? 'commit' : 'blob'
+      });
+      i = nul + 21;
+    }
+    return entries;
+  }
+
+  /**
+   * SHA of the tree at `subPath` ("" → the root tree) of a commit, or null.
+   */
+  treeAt(commitSha, subPath = '') {
+    let tree = this.readCommit(commitSha)?.tree || null;
+    for (const part of subPath.split('/').filter(Boolean)) {
+      const entry = tree && (this.readTree(tree) || []).find(e => e.name === part && e.type === 'tree');
+      tree = entry ? entry.sha : null;
+    }
+    return tree;
+  }
+}
+
+// ─── Pack files ───
+
+class PackFile {
+  constructor(basePath) {
+    this.packPath = basePath + '.pack';
+    const idx = fs.readFileSync(basePath + '.idx');
+    if (idx.readUInt32BE(0) !== 0xff744f63 || idx.readUInt32BE(4) !== 2) {
+      throw new Error(`Unsupported pack index: ${path.basename(basePath)}.idx`);
+    }
+    this.idx = idx;
+    this.count = idx.readUInt32BE(8 + 255 * 4);
+    this.shaStart = 8 + 256 * 4;
+    this.offsetStart = this.shaStart + this.count * 20 + this.count * 4;
+    this.largeOffsetStart = this.offsetStart + this.count * 4;
+    this.fd = null;
+    this.endOffsets = null;
+    this.cache = new Map();
+    this.cacheBytes = 0;
+  }
+
+  close() {
+    if (this.fd !== null) fs.closeSync(this.fd);
+    this.fd = null;
+  }
+
+  /**
+   * Byte offset of an object in the pack, or null.
+   */
+  offsetOf(sha) {
+    const target = Buffer.from(sha, 'hex');
+    const first = target[0];
+    let lo = first === 0 ? 0 : this.idx.readUInt32BE(8 + (first - 1) * 4);
+    let hi = this.idx.readUInt32BE(8 + first * 4);
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      const cmp = target.compare(this.idx, this.shaStart + mid * 20, this.shaStart + mid * 20 + 20);
+      if (cmp === 0) return this.offsetAtIndex(mid);
+      if (cmp < 0) hi = mid;
+      else lo = mid + 1;
+    }
+    return null;
+  }
+
+  findPrefix(prefix) {
+    const first = parseInt(prefix.slice(0, 2), 16);
+    const lo = first === 0 ? 0 : this.idx.readUInt32BE(8 + (first - 1) * 4);
+    const hi = this.idx.readUInt32BE(8 + first * 4);
+    const found = [];
+    for (let i = lo; i < hi; i++) {
+      const sha = this.idx.toString('hex', this.shaStart + i * 20, this.shaStart + i * 20 + 20);
+      if (sha.startsWith(prefix)) found.push(sha);
+    }
+    return found;
+  }
+
+  offsetAtIndex(i) {
+    const offset = this.idx.readUInt32BE(this.offsetStart + i * 4);
+    if (!(offset & 0x80000000)) return offset;
+    const large = (offset & 0x7fffffff) * 8 + this.largeOffsetStart;
+    return Number(this.idx.readBigUInt64BE(large));
+  }
+
+  /**
+   * Where the object at `offset` ends (start of the next object or the pack trailer).
+   */
+  endOf(offset) {
+    if (!this.endOffsets) {
+      const offsets = [];
+      for (let i = 0; i < this.count; i++) offsets.push(this.offsetAtIndex(i));
+      offsets.sort((a, b) => a - b);
+      const packSize = fs.statSync(this.packPath).size;
+      this.endOffsets = new Map(offsets.map((o, i) => [o, i + 1 < offsets.length ? offsets[i + 1] : packSize - 20]));
+    }
+    return this.endOffsets.get(offset);
+  }
+
+  read(offset, length) {
+    if (this.fd === null) this.fd = fs.openSync(this.packPath, 'r');
+    const buffer = Buffer.alloc(length);
+    fs.readSync(this.fd, buffer, 0, length, offset);
+    return buffer;
+  }
+
+  /**
+   * @param {number} offset
+   * @param {Function} readBase - sha → object, for REF_DELTA bases outside this pack
+   * @returns {{ type: string, data: Buffer } | null}
+   */
+  readAt(offset, readBase) {
+    const cached = this.cache.get(offset);
+    if (cached) return cached;
+
+    const raw = this.read(offset, this.endOf(offset) - offset);
+    let pos = 0;
+    let byte = raw[pos++];
+    const type = (byte >> 4) & 7;
+    while (byte & 0x80) byte = raw[pos++];
+
+    let object;
+    if (type === OFS_DELTA) {
+      byte = raw[pos++];
+      let distance = byte & 0x7f;
+      while (byte & 0x80) {
+        byte = raw[pos++];
+        distance = ((distance + 1) * 128) + (byte & 0x7f);
+      }
+      const base = this.readAt(offset - distance, readBase);
+      object = base && { type: base.type, data: applyDelta(base.data, zlib.inflateSync(raw.subarray(pos))) };
+    } else if (type === REF_DELTA) {
+      const baseSha = raw.toString('hex', pos, pos + 20);
+      const baseOffset = this.offsetOf(baseSha);
+      const base = baseOffset !== null ? this.readAt(baseOffset, readBase) : readBase(baseSha);
+      object = base && { type: base.type, data: applyDelta(base.data, zlib.inflateSync(raw.subarray(pos + 20))) };
+    } else if (OBJECT_TYPES[type]) {
+      object = { type: OBJECT_TYPES[type], data: zlib.inflateSync(raw.subarray(pos)) };
+    } else {
+      throw new Error(`Unknown pack object type ${type} at ${offset}`);
+    }
+
+    if (object) this.remember(offset, object);
+    return object;
+  }
+
+  remember(offset, object) {
+    if (object.data.length > PACK_CACHE_BYTES / 4) return;
+    this.cache.set(offset, object);
+    this.cacheBytes += object.data.length;
+    // Map iteration order is insertion order: drop the oldest first
+    for (const [key, value] of this.cache) {
+      if (this.cacheBytes <= PACK_CACHE_BYTES) break;
+      this.cache.delete(key);
+      this.cacheBytes -= value.data.length;
+    }
+  }
+}
+
+/**
+ * Apply a git delta (copy / insert instructions) to its base object.
+ */
+function applyDelta(base, delta) {
+  let pos = 0;
+  const readSize = () => {
+    let size = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = delta[pos++];
+      size += (byte & 0x7f) * 2 ** shift;
+      shift += 7;
+    } while (byte & 0x80);
+    return size;
+  };
+
+  const baseSize = readSize();
+  if (baseSize !== base.length) throw new Error('Delta base size mismatch');
+  const result = Buffer.alloc(readSize());
+  let out = 0;
+
+  while (pos < delta.length) {
+    const op = delta[pos++];
+    if (op & 0x80) {
+      let copyOffset = 0;
+      let copySize = 0;
+      for (let i = 0; i < 4; i++) if (op & (1 << i)) copyOffset += delta[pos++] * 2 ** (8 * i);
+      for (let i = 0; i < 3; i++) if (op & (0x10 << i)) copySize += delta[pos++] * 2 ** (8 * i);
+      if (copySize === 0) copySize = 0x10000;
+      base.copy(result, out, copyOffset, copyOffset + copySize);
+      out += copySize;
+    } else if (op > 0) {
+      delta.copy(result, out, pos, pos + op);
+      out += op;
+      pos += op;
+    } else {
+      throw new Error('Invalid delta instruction');
+    }
+  }
+  return result;
+}
+
+function readCommonDir(gitDir) {
+  try {
+    return path.resolve(gitDir, fs.readFileSync(path.join(gitDir, 'commondir'), 'utf-8').trim());
+  } catch {
+    return gitDir;
+  }
+}
+
+// "Jane Doe <jane@example.com> 1700000000 +0100"
+function parseSignature(value) {
+  const match = /^(.*?) <([^>]*)> (\d+) ([+-]\d{4})$/.exec(value.trim());
+  if (!match) return { name: value.trim(), email: '', time: 0 };
+  return { name: match[1], email: match[2], time: Number(match[3]) * 1000 };
+}
+
+module.exports = GitRepository;
@@ -0,0 +1,147 @@
+/**
+ * Glob patterns with .gitignore semantics, compiled to regular expressions.
+ *
+ *   *       any characters except "/"
+ *   ?       one character except "/"
+ *   [a-z]   character class ([!a-z] negates)
+ *   **      as a whole path segment: any number of directories
+ *   \x      the character x literally
+ *
+ * Paths are relative and "/"-separated (no leading "./").
+ */
+
+const REGEX_SPECIAL = /[.+^${}()|[\]\\*?]/g;
+
+/**
+ * Regular expression source for a glob (without ^ / $ anchors).
+ * @param {string} glob
+ * @returns {string}
+ */
+function globToRegExpSource(glob) {
+  let source = '';
+  let i = 0;
+
+  while (i < glob.length) {
+    const ch = glob[i];
+
+    if (ch === '*') {
+      const segmentStart = i === 0 || glob[i - 1] === '/';
+      if (glob[i + 1] === '*' && segmentStart && (i + 2 === glob.length || glob[i + 2] === '/')) {
+        if (i + 2 === glob.length) {
+          // Trailing "**": everything below
+          source += '.*';
+          i += 2;
+        } else {
+          // "**/": zero or more directories
+          source += '(?:.*/)?';
+          i += 3;
+        }
+        continue;
+      }
+      // "*" (and "**" inside a segment, as git treats it)
+      while (glob[i] === '*') i++;
+      source += '[^/]*';
+      continue;
+    }
+
+    if (ch === '?') {
+      source += '[^/]';
+      i++;
+      continue;
+    }
+
+    if (ch === '[') {
+      const end = classEnd(glob, i);
+      if (end === -1) {
+        source += '\\[';
+        i++;
+        continue;
+      }
+      let body = glob.slice(i + 1, end);
+      const negated = body[0] === '!' || body[0] === '^';
+      if (negated) body = body.slice(1);
+      body = body.replace(/\\(.)/g, '$1').replace(/[\\\]^]/g, '\\$&');
+      source += `${negated ? '[^/' : '['}${body}]`;
+      i = end + 1;
+      continue;
+    }
+
+    if (ch === '\\' && i + 1 < glob.length) {
+      source += glob[i + 1].replace(REGEX_SPECIAL, '\\$&');
+      i += 2;
+      continue;
+    }
+
+    source += ch.replace(REGEX_SPECIAL, '\\$&');
+    i++;
+  }
+
+  return source;
+}
+
+/**
+ * Index of the "]" closing the class opened at `start`, or -1.
+ * A "]" right after "[" or "[!" belongs to the class.
+ */
+function classEnd(glob, start) {
+  let i = start + 1;
+  if (glob[i] === '!' || glob[i] === '^') i++;
+  if (glob[i] === ']') i++;
+  for (; i < glob.length; i++) {
+    if (glob[i] === '\\') i++;
+    else if (glob[i] === ']') return i;
+  }
+  return -1;
+}
+
+/**
+ * Parse one line of a .gitignore-style file.
+ *
+ * A pattern with a "/" at the start or in the middle is relative to the
+ * directory of the ignore file; without one it matches at any depth.
+ * A trailing "/" matches directories only, a leading "!" re-includes.
+ *
+ * @param {string} line
+ * @returns {{ pattern: string, negate: boolean, dirOnly: boolean, regex: RegExp } | null}
+ *   null for blank lines and comments
+ */
+function parseIgnorePattern(line) {
+  let text = line.replace(/\r$/, '');
+  if (text.startsWith('#')) return null;
+
+  // Trailing spaces are ignored unless escaped
+  text = text.replace(/(^|[^\\])( +)$/, '$1');
+  if (!text.trim()) return null;
+
+  const pattern = text;
+  const negate = text.startsWith('!');
+  if (negate) text = text.slice(1);
+
+  const dirOnly = text.endsWith('/') && !text.endsWith('\\/');
+  if (dirOnly) text = text.replace(/\/+$/, '');
+
+  const anchored = text.includes('/');
+  if (text.startsWith('/')) text = text.slice(1);
+  if (!text) return null;
+
+  const prefix = anchored ? '' : '(?:.*/)?';
+  return {
+    pattern,
+    negate,
+    dirOnly,
+    regex: new RegExp(`^${prefix}${globToRegExpSource(text)}$`)
+  };
+}
+
+/**
+ * Compile a plain glob to a RegExp matching whole relative paths
+ * (always anchored at the start, unlike .gitignore patterns).
+ * @param {string} glob - e.g. "packages/*" or "docs/**"
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  const text = glob.replace(/^\.?\//, '').replace(/\/+$/, '');
+  return new RegExp(`^${globToRegExpSource(text)}$`);
+}
+
+module.exports = { globToRegExp, globToRegExpSource, parseIgnorePattern };
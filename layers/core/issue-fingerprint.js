@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+
+/**
+ * Issue fingerprints — identify the same codeQuality issue across reports.
+ *
+ * Line numbers are not part of the identity: they shift whenever code above
+ * the issue changes. The fingerprint is a hash of
+ *   type | file (or dependency source) | class | name
+ * where a commented-out block, whose name only counts its lines, is named by
+ * the hash of its content instead. Issues sharing that identity in one report
+ * (e.g. two functions of one name in a file) are told apart by the content of
+ * their lines (`~<contentHash>`), so triage follows the code, not its position.
+ * Only issues that are identical in content too — or come from a report
+ * without content hashes — fall back to their order in the file (`~2`, `~3`).
+ */
+
+// Types whose `name` describes the finding ("12 commented lines") rather than a symbol
+const VOLATILE_NAME_TYPES = new Set(['commented_code']);
+
+/**
+ * Short hash of the lines an issue covers, whitespace-insensitive.
+ * @param {string} content - File content
+ * @param {number} line    - First line (1-based)
+ * @param {number} [count] - Number of lines
+ * @returns {string|null} 8 hex chars; null when the lines are out of range
+ */
+function contentHash(content, line, count = 1) {
+  if (typeof content !== 'string' || !(line >= 1)) return null;
+  const lines = content.split('\n').slice(line - 1, line - 1 + Math.max(1, count));
+  const normalized = lines.map(l => l.trim().replace(/\s+/g, ' ')).filter(Boolean).join('\n');
+  if (!normalized) return null;
+  return crypto.createHash('sha1').update(normalized).digest('hex').slice(0, 8);
+}
+
+/**
+ * Identity of one issue, before duplicates are told apart.
+ * @param {Object} issue - codeQuality issue
+ * @returns {string} 16 hex chars
+ */
+function fingerprint(issue) {
+  const name = VOLATILE_NAME_TYPES.has(issue.type) ? (issue.contentHash || '') : (issue.name || issue.description || '');
+  const identity = [issue.type || '', issue.file || issue.source || '', issue.className || '', name].join('|');
+  return crypto.createHash('sha1').update(identity).digest('hex').slice(0, 16);
+}
+
+/**
+ * Fingerprints of all issues of a report, unique within the list.
+ * @param {Object[]} issues
+ * @returns {string[]} Same order as `issues`
+ */
+function fingerprintIssues(issues = []) {
+  const base = issues.map(fingerprint);
+  const baseCount = new Map();
+  for (const b of base) baseCount.set(b, (baseCount.get(b) || 0) + 1);
+  const ids = issues.map((issue, i) =>
+    baseCount.get(base[i]) > 1 && issue.contentHash ? `${base[i]}~${issue.contentHash}` : base[i]);
+
+  // Still equal: number in file order, independent of the issue list order
+  const byLine = issues.map((issue, index) => index)
+    .sort((a, b) => (issues[a].line || 0) - (issues[b].line || 0) || a - b);
+  const seen = new Map();
+  const result = new Array(issues.length);
+  for (const index of byLine) {
+    const count = (seen.get(ids[index]) || 0) + 1;
+    seen.set(ids[index], count);
+    result[index] = count === 1 ? ids[index] : `${ids[index]}~${count}`;
+  }
+  return result;
+}
+
+module.exports = { contentHash, fingerprint, fingerprintIssues };
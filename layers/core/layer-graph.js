@@ -0,0 +1,98 @@
+/**
+ * Layer dependency graph — built from the `reads` / `writes` declarations of
+ * registered layers.
+ *
+ * A layer depends on every layer that writes a state key it reads.
+ * The graph is validated before anything runs:
+ *   - every key is written by at most one layer (conflicting writers)
+ *   - every key that is read has a producer (missing producers)
+ *   - there are no dependency cycles
+ *
+ * `meta` is owned by the engine: layers may read it but never write it.
+ */
+
+const ENGINE_KEYS = new Set(['meta']);
+
+class LayerGraphError extends Error {
+  constructor(problems) {
+    super(`Invalid layer graph: ${problems.join('; ')}`);
+    this.name = 'LayerGraphError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * @param {BaseLayer[]} layers - Layers in registration order
+ * @returns {{ order: BaseLayer[], dependsOn: Map<string, string[]> }}
+ *          `order` is a topological order (ties keep registration order)
+ * @throws {LayerGraphError}
+ */
+function buildLayerGraph(layers) {
+  const problems = [];
+  const producers = new Map();
+  const names = new Set();
+
+  for (const layer of layers) {
+    if (names.has(layer.name)) problems.push(`duplicate layer name "${layer.name}"`);
+    names.add(layer.name);
+
+    for (const key of layer.writes) {
+      if (ENGINE_KEYS.has(key)) {
+        problems.push(`"${layer.name}" writes engine-owned key "${key}"`);
+      } else if (producers.has(key)) {
+        problems.push(`"${key}" is written by both "${producers.get(key).name}" and "${layer.name}"`);
+      } else {
+        producers.set(key, layer);
+      }
+    }
+  }
+
+  const dependsOn = new Map();
+  for (const layer of layers) {
+    const deps = new Set();
+    for (const key of layer.reads) {
+      if (ENGINE_KEYS.has(key)) continue;
+      const producer = producers.get(key);
+      if (!producer) {
+        problems.push(`"${layer.name}" reads "${key}" but no layer writes it`);
+      } else if (producer !== layer) {
+        deps.add(producer.name);
+      }
+    }
+    dependsOn.set(layer.name, [...deps]);
+  }
+
+  if (problems.length > 0) throw new LayerGraphError(problems);
+
+  // Kahn's algorithm; among ready layers the earliest registered goes first
+  const order = [];
+  const placed = new Set();
+  while (order.length < layers.length) {
+    const next = layers.find(l => !placed.has(l.name) && dependsOn.get(l.name).every(d => placed.has(d)));
+    if (!next) {
+      const cycle = findCycle(layers.filter(l => !placed.has(l.name)).map(l => l.name), dependsOn);
+      throw new LayerGraphError([`dependency cycle ${cycle.map(n => `"${n}"`).join(' → ')}`]);
+    }
+    order.push(next);
+    placed.add(next.name);
+  }
+
+  return { order, dependsOn };
+}
+
+/**
+ * Walk dependencies from the first unplaced layer until a layer repeats.
+ * Every unplaced layer has an unplaced dependency, so the walk always loops.
+ */
+function findCycle(unplaced, dependsOn) {
+  const remaining = new Set(unplaced);
+  const path = [];
+  let current = unplaced[0];
+  while (!path.includes(current)) {
+    path.push(current);
+    current = dependsOn.get(current).find(d => remaining.has(d));
+  }
+  return [...path.slice(path.indexOf(current)), current];
+}
+
+module.exports = { buildLayerGraph, LayerGraphError };
@@ -0,0 +1,32 @@
+const { parentPort } = require('worker_threads');
+
+/**
+ * Worker thread entry for WorkerPool.
+ *
+ * Message in:  { id, module, items, shared }
+ * Message out: { id, results } or { id, error }
+ *
+ * `module` is a layer's `workerModule`; its class is instantiated once per
+ * worker and `analyzeShard(items, shared)` does the per-file work.
+ */
+
+const layers = new Map();
+
+function layerFor(modulePath) {
+  let layer = layers.get(modulePath);
+  if (!layer) {
+    const Layer = require(modulePath);
+    layer = new Layer();
+    layers.set(modulePath, layer);
+  }
+  return layer;
+}
+
+parentPort.on('message', ({ id, module, items, shared }) => {
+  try {
+    const results = layerFor(module).analyzeShard(items, shared);
+    parentPort.postMessage({ id, results });
+  } catch (err) {
+    parentPort.postMessage({ id, error: err.message });
+  }
+});
@@ -0,0 +1,94 @@
+/**
+ * Line diff statistics — lines added and removed between two texts, the
+ * numbers `git diff --numstat` reports.
+ *
+ * Uses Myers' O((N+M)·D) algorithm on the lines left after trimming the common
+ * prefix and suffix. Past MAX_EDIT_DISTANCE (rewritten or generated files) it
+ * falls back to counting lines that occur in only one version, which is a
+ * lower bound of the real numbers.
+ */
+
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * @param {string} before
+ * @param {string} after
+ * @returns {{ added: number, removed: number }}
+ */
+function diffStat(before, after) {
+  if (before === after) return { added: 0, removed: 0 };
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  // Common prefix / suffix never changes the result
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n === 0 || m === 0) return { added: m, removed: n };
+
+  // Compare small integers instead of strings
+  const ids = new Map();
+  const toId = line => {
+    let id = ids.get(line);
+    if (id === undefined) { id = ids.size; ids.set(line, id); }
+    return id;
+  };
+  const x = Int32Array.from(a.slice(start, endA), toId);
+  const y = Int32Array.from(b.slice(start, endB), toId);
+
+  const distance = editDistance(x, y);
+  if (distance === null) return multisetStat(x, y);
+
+  // distance = added + removed, and added - removed = m - n
+  return { added: (distance + m - n) / 2, removed: (distance - m + n) / 2 };
+}
+
+/**
+ * Length of the shortest edit script (insertions + deletions), or null when
+ * it exceeds MAX_EDIT_DISTANCE.
+ */
+function editDistance(x, y) {
+  const n = x.length;
+  const m = y.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+
+  for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let i = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let j = i - k;
+      while (i < n && j < m && x[i] === y[j]) { i++; j++; }
+      v[offset + k] = i;
+      if (i >= n && j >= m) return d;
+    }
+  }
+  return null;
+}
+
+function multisetStat(x, y) {
+  const counts = new Map();
+  for (const id of x) counts.set(id, (counts.get(id) || 0) + 1);
+  let common = 0;
+  for (const id of y) {
+    const left = counts.get(id);
+    if (left) { counts.set(id, left - 1); common++; }
+  }
+  return { added: y.length - common, removed: x.length - common };
+}
+
+function splitLines(text) {
+  if (text === '') return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+module.exports = { diffStat };
@@ -0,0 +1,226 @@
+const path = require('path');
+const fs = require('fs');
+const BaseLayer = require('./base-layer');
+
+/**
+ * Plugin loader — third-party analysis layers configured per project.
+ *
+ * A plugin spec (one entry of `project.plugins`) is one of:
+ *   - a plugin directory with a `layer.json` manifest
+ *   - a package (name or path) whose package.json has a `codeInspector` field
+ *   - a directory of plugins — every subdirectory is loaded as a plugin
+ * Relative paths and package names are resolved from the project root first,
+ * then from Code Inspector itself.
+ *
+ * Manifest (layer.json / package.json "codeInspector"):
+ *   { "name": "acme-conventions", "displayName": "ACME Conventions",
+ *     "main": "index.js", "reads": ["_fileContents"], "writes": ["acmeConventions"] }
+ *
+ * The module at `main` exports either a BaseLayer subclass or a factory
+ * `({ BaseLayer }) => LayerClass | layerInstance`, so plugins do not need
+ * Code Inspector installed to extend BaseLayer.
+ *
+ * Loading never throws: a plugin that cannot be resolved, required,
+ * instantiated or validated becomes a FailedPluginLayer, which the engine
+ * reports as a failed layer.
+ */
+
+const MANIFEST_FILE = 'layer.json';
+const NAME_PATTERN = /^[a-z0-9][a-z0-9._-]*$/;
+
+class PluginError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PluginError';
+  }
+}
+
+/**
+ * Stand-in for a plugin that could not be loaded.
+ * Reads and writes nothing, so it never affects the layer graph.
+ */
+class FailedPluginLayer extends BaseLayer {
+  constructor(name, displayName, error) {
+    super(name, { displayName });
+    this.loadError = error;
+  }
+
+  async process() {
+    throw new PluginError(`Plugin not loaded: ${this.loadError}`);
+  }
+}
+
+/**
+ * @param {string[]} specs       - Plugin specs from project settings
+ * @param {Object}   options
+ * @param {string}   options.rootPath - Project root (resolution base for relative specs)
+ * @returns {BaseLayer[]} One layer per plugin (failed plugins included)
+ */
+function loadPlugins(specs, { rootPath } = {}) {
+  const layers = [];
+  for (const spec of specs || []) {
+    if (typeof spec !== 'string' || !spec.trim()) continue;
+
+    let dirs;
+    try {
+      dirs = resolvePluginDirs(spec.trim(), rootPath);
+    } catch (err) {
+      layers.push(failedLayer(spec, null, err));
+      continue;
+    }
+
+    for (const dir of dirs) {
+      let manifest = null;
+      try {
+        manifest = readManifest(dir);
+        layers.push(instantiate(manifest, dir, spec));
+      } catch (err) {
+        layers.push(failedLayer(spec, manifest, err, dir));
+      }
+    }
+  }
+  return layers;
+}
+
+// ─── Resolution ───
+
+function resolvePluginDirs(spec, rootPath) {
+  const isPath = path.isAbsolute(spec) || spec.startsWith('.');
+  if (isPath) {
+    const dir = path.resolve(rootPath || process.cwd(), spec);
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+      throw new PluginError(`plugin directory not found: ${dir}`);
+    }
+    if (hasManifest(dir)) return [dir];
+
+    // Directory of plugins
+    const dirs = fs.readdirSync(dir, { withFileTypes: true })
+      .filter(e => e.isDirectory() && hasManifest(path.join(dir, e.name)))
+      .map(e => path.join(dir, e.name))
+      .sort();
+    if (dirs.length === 0) {
+      throw new PluginError(`no ${MANIFEST_FILE} or package.json "codeInspector" manifest in ${dir}`);
+    }
+    return dirs;
+  }
+
+  // Package name
+  const searchPaths = [rootPath, path.join(__dirname, '..', '..')].filter(Boolean);
+  let pkgJson;
+  try {
+    pkgJson = require.resolve(`${spec}/package.json`, { paths: searchPaths });
+  } catch {
+    throw new PluginError(`package "${spec}" not found`);
+  }
+  return [path.dirname(pkgJson)];
+}
+
+function hasManifest(dir) {
+  if (fs.existsSync(path.join(dir, MANIFEST_FILE))) return true;
+  const pkg = readJson(path.join(dir, 'package.json'));
+  return !!(pkg && pkg.codeInspector);
+}
+
+function readManifest(dir) {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  if (fs.existsSync(manifestPath)) {
+    const manifest = readJson(manifestPath);
+    if (!manifest) throw new PluginError(`${manifestPath} is not valid JSON`);
+    return manifest;
+  }
+
+  const pkg = readJson(path.join(dir, 'package.json'));
+  if (!pkg || !pkg.codeInspector) {
+    throw new PluginError(`no ${MANIFEST_FILE} or package.json "codeInspector" manifest in ${dir}`);
+  }
+  return {
+    name: pkg.name,
+    main: pkg.main,
+    version: pkg.version,
+    ...pkg.codeInspector
+  };
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+// ─── Validation ───
+
+function instantiate(manifest, dir, spec) {
+  validateManifest(manifest);
+
+  const mainPath = require.resolve(path.resolve(dir, manifest.main || 'index.js'));
+  delete require.cache[mainPath]; // pick up plugin edits between runs
+  const exported = require(mainPath);
+
+  let layer;
+  if (isLayerClass(exported)) {
+    layer = new exported();
+  } else if (typeof exported === 'function') {
+    const produced = exported({ BaseLayer });
+    layer = isLayerClass(produced) ? new produced() : produced;
+  } else {
+    layer = exported;
+  }
+
+  if (!layer || typeof layer.process !== 'function') {
+    throw new PluginError(`${mainPath} must export a BaseLayer subclass or a factory returning one`);
+  }
+  if (layer.name !== manifest.name) {
+    throw new PluginError(`layer name "${layer.name}" does not match manifest name "${manifest.name}"`);
+  }
+
+  // The manifest is the contract: a layer may repeat it but not contradict it
+  for (const field of ['reads', 'writes']) {
+    const expected = manifest[field] || [];
+    const declared = layer[field];
+    if (Array.isArray(declared) && declared.length > 0 && !sameKeys(declared, expected)) {
+      throw new PluginError(`layer ${field} [${declared.join(', ')}] do not match the manifest [${expected.join(', ')}]`);
+    }
+    layer[field] = [...expected];
+  }
+
+  layer.displayName = manifest.displayName || layer.displayName || layer.name;
+  layer.cacheVersion = layer.cacheVersion || 1;
+  layer.plugin = { spec, path: dir, version: manifest.version || null, writes: layer.writes };
+  return layer;
+}
+
+function validateManifest(manifest) {
+  if (!manifest.name || !NAME_PATTERN.test(manifest.name)) {
+    throw new PluginError(`invalid plugin name "${manifest.name || ''}" (lowercase letters, digits, ".", "_", "-")`);
+  }
+  for (const field of ['reads', 'writes']) {
+    const keys = manifest[field];
+    if (keys !== undefined && (!Array.isArray(keys) || !keys.every(k => typeof k === 'string' && k))) {
+      throw new PluginError(`"${field}" must be an array of state keys`);
+    }
+  }
+  if (!manifest.writes || manifest.writes.length === 0) {
+    throw new PluginError('"writes" must declare at least one state key');
+  }
+}
+
+function isLayerClass(value) {
+  return typeof value === 'function' && !!value.prototype && typeof value.prototype.process === 'function';
+}
+
+function sameKeys(a, b) {
+  return a.length === b.length && [...a].sort().join('\n') === [...b].sort().join('\n');
+}
+
+function failedLayer(spec, manifest, err, dir = null) {
+  const name = manifest && NAME_PATTERN.test(manifest.name || '')
+    ? manifest.name
+    : `plugin:${path.basename(dir || spec)}`;
+  const layer = new FailedPluginLayer(name, manifest?.displayName, err.message);
+  layer.plugin = { spec, path: dir, version: manifest?.version || null };
+  return layer;
+}
+
+module.exports = { loadPlugins, FailedPluginLayer, PluginError };
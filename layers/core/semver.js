@@ -0,0 +1,225 @@
+/**
+ * Version numbers and ranges of npm and Composer packages.
+ *
+ *   parseVersion("v1.2.3-beta.1")          → { major: 1, minor: 2, patch: 3, prerelease: ["beta", 1] }
+ *   compareVersions("1.10.0", "1.9.3")     → 1
+ *   satisfies("4.18.2", "^4.17", "npm")    → true
+ *   satisfies("5.4.3", "~5.4 || ^6.0", "composer") → true
+ *
+ * Ranges: ||, hyphen ranges (1.2 - 2.3), comparators (< <= > >= =), x-ranges
+ * (1.x, 1.2.*, *), tilde and caret. Composer also separates AND with "," and
+ * OR with a single "|", ignores stability flags (@dev) and reads "~1.2" as
+ * ">=1.2 <2.0" (npm: "<1.3.0").
+ *
+ * Versions may have a fourth number (7.0.8.1 — RubyGems, Maven, PyPI); it is
+ * compared after the patch number.
+ *
+ * satisfies() returns null for what is not a version range: dist-tags
+ * ("latest"), URLs, git and file references, workspace:, dev branches.
+ */
+
+const VERSION = /^\s*[v=]?\s*(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:\.(\d+))?(?:-?([0-9A-Za-z.-]+?))?(?:\+[0-9A-Za-z.-]+)?\s*$/;
+const PARTIAL = /^[v=]?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:\.\d+)?(?:-?([0-9A-Za-z.-]+?))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * @param {string} version
+ * @returns {{ major: number, minor: number, patch: number, revision: number, prerelease: Array<string|number> } | null}
+ *   revision: a fourth number (RubyGems, Maven and PyPI versions such as 7.0.8.1), 0 when absent
+ */
+function parseVersion(version) {
+  const match = VERSION.exec(String(version ?? ''));
+  if (!match) return null;
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2] || 0),
+    patch: Number(match[3] || 0),
+    revision: Number(match[4] || 0),
+    prerelease: parsePrerelease(match[5])
+  };
+}
+
+function parsePrerelease(text) {
+  if (!text) return [];
+  // Composer stability suffixes: 1.0.0-RC1, 2.0-beta2
+  return text.split(/[.-]/).filter(Boolean).map(part => (/^\d+$/.test(part) ? Number(part) : part));
+}
+
+/**
+ * @returns {number} -1, 0 or 1; unparsable versions sort first
+ */
+function compareVersions(a, b) {
+  const va = typeof a === 'string' ? parseVersion(a) : a;
+  const vb = typeof b === 'string' ? parseVersion(b) : b;
+  if (!va || !vb) return va ? 1 : vb ? -1 : 0;
+  for (const key of ['major', 'minor', 'patch', 'revision']) {
+    const a = va[key] || 0;
+    const b = vb[key] || 0;
+    if (a !== b) return a < b ? -1 : 1;
+  }
+  return comparePrerelease(va.prerelease, vb.prerelease);
+}
+
+function comparePrerelease(a, b) {
+  // A release is newer than any of its prereleases
+  if (a.length === 0 || b.length === 0) return a.length === b.length ? 0 : a.length === 0 ? 1 : -1;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    if (a[i] === b[i]) continue;
+    const numeric = typeof a[i] === 'number';
+    if (numeric !== (typeof b[i] === 'number')) return numeric ? -1 : 1;
+    return a[i] < b[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+// ─── Ranges ───
+
+/**
+ * @param {string} version - Exact version (e.g. a locked one)
+ * @param {string} range
+ * @param {string} ecosystem - "npm" or "composer"
+ * @returns {boolean|null} null when the range (or version) cannot be evaluated
+ */
+function satisfies(version, range, ecosystem = 'npm') {
+  const v = parseVersion(version);
+  const sets = parseRange(range, ecosystem);
+  if (!v || !sets) return null;
+  return sets.some(set => set.every(c => test(v, c)) && prereleaseAllowed(v, set));
+}
+
+/**
+ * Range → OR-list of AND-lists of comparators { op, version }.
+ * @returns {Array<Array<{ op: string, version: object }>> | null}
+ */
+function parseRange(range, ecosystem = 'npm') {
+  let text = String(range ?? '').trim();
+  // npm aliases: "npm:other-package@^1.0"
+  const alias = text.match(/^npm:(?:@[^/@]+\/)?[^@]+@(.*)$/);
+  if (alias) text = alias[1].trim();
+  if (ecosystem === 'composer') {
+    text = text.replace(/@(dev|alpha|beta|RC|stable)\b/gi, '').replace(/(^|[^|])\|(?!\|)/g, '$1||').replace(/\s*,\s*/g, ' ');
+    if (/(^|\s)dev-|\.x-dev\b/.test(text)) return null;
+  }
+  if (text === '' || text === '*' || text.toLowerCase() === 'x') return [[]];
+  if (/[/:#]|^[a-z][\w-]*$/i.test(text) && !/^[vV]?\d/.test(text)) return null;
+
+  const sets = [];
+  for (const part of text.split('||')) {
+    const set = parseComparatorSet(part.trim(), ecosystem);
+    if (!set) return null;
+    sets.push(set);
+  }
+  return sets;
+}
+
+function parseComparatorSet(text, ecosystem) {
+  if (text === '' || text === '*') return [];
+
+  const hyphen = text.match(/^(\S+)\s+-\s+(\S+)$/);
+  if (hyphen) {
+    const from = parsePartial(hyphen[1]);
+    const to = parsePartial(hyphen[2]);
+    if (!from || !to) return null;
+    return [...lowerBound('>=', from), ...upperBound('<=', to)];
+  }
+
+  const comparators = [];
+  // ">= 1.2" is one comparator
+  for (const token of text.replace(/(<=|>=|<|>|=|~>|~|\^)\s+/g, '$1').split(/\s+/)) {
+    const match = token.match(/^(<=|>=|<|>|=|~>|~|\^)?(.*)$/);
+    const op = match[1] || '';
+    const partial = parsePartial(match[2]);
+    if (!partial) return null;
+    comparators.push(...expand(op, partial, ecosystem));
+  }
+  return comparators;
+}
+
+// "1.2" → { major: 1, minor: 2, patch: null, prerelease: [] } (null = wildcard / missing)
+function parsePartial(text) {
+  const match = PARTIAL.exec(text);
+  if (!match) return null;
+  const part = (value) => (value === undefined || /^[xX*]$/.test(value) ? null : Number(value));
+  const major = part(match[1]);
+  const minor = major === null ? null : part(match[2]);
+  const patch = minor === null ? null : part(match[3]);
+  return { major, minor, patch, prerelease: patch === null ? [] : parsePrerelease(match[4]) };
+}
+
+function full(p) {
+  return { major: p.major ?? 0, minor: p.minor ?? 0, patch: p.patch ?? 0, prerelease: p.prerelease };
+}
+
+function expand(op, p, ecosystem) {
+  if (p.major === null) return op === '<' || op === '>' ? [{ op: '<', version: full({ major: 0, prerelease: [0] }) }] : [];
+
+  switch (op) {
+    case '^': {
+      // Up to the next change of the first non-zero part
+      const upper = p.major > 0 || p.minor === null ? { major: p.major + 1, minor: 0, patch: 0 }
+        : p.minor > 0 || p.patch === null ? { major: 0, minor: p.minor + 1, patch: 0 }
+          : { major: 0, minor: 0, patch: p.patch + 1 };
+      return [{ op: '>=', version: full(p) }, { op: '<', version: { ...upper, prerelease: [0] } }];
+    }
+    case '~':
+    case '~>': {
+      // Composer (and "~>"): ~1.2 allows 1.x, ~1.2.3 allows 1.2.x; npm: ~1.2 and ~1.2.3 allow 1.2.x
+      const minorOnly = p.minor === null || (p.patch === null && (ecosystem === 'composer' || op === '~>'));
+      const upper = minorOnly ? { major: p.major + 1, minor: 0, patch: 0 } : { major: p.major, minor: p.minor + 1, patch: 0 };
+      return [{ op: '>=', version: full(p) }, { op: '<', version: { ...upper, prerelease: [0] } }];
+    }
+    case '>=':
+    case '>':
+      return lowerBound(op, p);
+    case '<=':
+    case '<':
+      return upperBound(op, p);
+    default:
+      // "1.2" / "1.2.x" / "=1.2.3"
+      if (p.patch !== null) return [{ op: '=', version: full(p) }];
+      return [...lowerBound('>=', p), ...upperBound('<=', p)];
+  }
+}
+
+// Bounds of a partial version: ">1.2" means ">=1.3.0", "<=1.2" means "<1.3.0-0", "<1.2" means "<1.2.0-0"
+function lowerBound(op, p) {
+  if (p.patch !== null || op === '>=') return [{ op, version: full(p) }];
+  return [{ op: '>=', version: full(nextPartial(p)) }];
+}
+
+function upperBound(op, p) {
+  if (p.patch !== null) return [{ op, version: full(p) }];
+  const bound = op === '<' ? full(p) : full(nextPartial(p));
+  return [{ op: '<', version: { ...bound, prerelease: [0] } }];
+}
+
+function nextPartial(p) {
+  return p.minor === null
+    ? { major: p.major + 1, minor: 0, patch: 0, prerelease: [] }
+    : { major: p.major, minor: p.minor + 1, patch: 0, prerelease: [] };
+}
+
+function test(v, { op, version }) {
+  const cmp = compareVersions(v, version);
+  switch (op) {
+    case '<': return cmp < 0;
+    case '<=': return cmp <= 0;
+    case '>': return cmp > 0;
+    case '>=': return cmp >= 0;
+    default: return cmp === 0;
+  }
+}
+
+/**
+ * Like npm: a prerelease only matches a comparator set that names a
+ * prerelease of the same major.minor.patch. (Bounds ending in "-0" are
+ * internal and do not count.)
+ */
+function prereleaseAllowed(v, set) {
+  if (v.prerelease.length === 0) return true;
+  return set.some(({ version }) => version.prerelease.length > 0 && !(version.prerelease.length === 1 && version.prerelease[0] === 0) &&
+    version.major === v.major && version.minor === v.minor && version.patch === v.patch);
+}
+
+module.exports = { parseVersion, compareVersions, satisfies, parseRange };
@@ -0,0 +1,233 @@
+/**
+ * A small TOML reader for the manifests layers look at — pyproject.toml,
+ * Pipfile. Supported:
+ *
+ *   [tables], [[arrays of tables]], dotted and quoted keys
+ *   "basic" and 'literal' strings, """multi-line""" and '''multi-line''' ones
+ *   integers, floats, booleans; dates and times are kept as strings
+ *   arrays (may span lines, trailing comma, comments) and { inline = "tables" }
+ *
+ * Malformed input does not throw — parsing stops at the first error and
+ * whatever was read up to there is returned.
+ */
+
+/**
+ * @param {string} text
+ * @returns {Object} Root table
+ */
+function parseToml(text) {
+  const parser = new TomlParser(String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n'));
+  try {
+    parser.parseDocument();
+  } catch {
+    // Keep what was read before the error
+  }
+  return parser.root;
+}
+
+class TomlParser {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+    this.root = {};
+    this.table = this.root;
+  }
+
+  parseDocument() {
+    while (this.skipBlank(), this.pos < this.text.length) {
+      if (this.text[this.pos] === '[') {
+        this.parseHeader();
+      } else {
+        this.parseKeyValue(this.table);
+      }
+      this.expectLineEnd();
+    }
+  }
+
+  // [a.b] or [[a.b]]
+  parseHeader() {
+    const array = this.text.startsWith('[[', this.pos);
+    this.pos += array ? 2 : 1;
+    const keys = this.parseKey();
+    this.skipSpaces();
+    if (!this.text.startsWith(array ? ']]' : ']', this.pos)) throw new Error('unterminated table header');
+    this.pos += array ? 2 : 1;
+
+    let table = this.root;
+    keys.slice(0, -1).forEach(key => { table = descend(table, key); });
+    const last = keys[keys.length - 1];
+    if (array) {
+      if (!Array.isArray(table[last])) table[last] = [];
+      table[last].push({});
+      this.table = table[last][table[last].length - 1];
+    } else {
+      this.table = descend(table, last);
+    }
+  }
+
+  parseKeyValue(table) {
+    const keys = this.parseKey();
+    this.skipSpaces();
+    if (this.text[this.pos] !== '=') throw new Error('expected "="');
+    this.pos++;
+    this.skipSpaces();
+    let target = table;
+    keys.slice(0, -1).forEach(key => { target = descend(target, key); });
+    target[keys[keys.length - 1]] = this.parseValue();
+  }
+
+  // a."b.c".d → ['a', 'b.c', 'd']
+  parseKey() {
+    const keys = [];
+    for (;;) {
+      this.skipSpaces();
+      const ch = this.text[this.pos];
+      if (ch === '"' || ch === '\'') {
+        keys.push(this.parseString());
+      } else {
+        const match = /^[A-Za-z0-9_-]+/.exec(this.text.slice(this.pos, this.pos + 256));
+        if (!match) throw new Error('expected a key');
+        keys.push(match[0]);
+        this.pos += match[0].length;
+      }
+      this.skipSpaces();
+      if (this.text[this.pos] !== '.') return keys;
+      this.pos++;
+    }
+  }
+
+  parseValue() {
+    const ch = this.text[this.pos];
+    if (ch === '"' || ch === '\'') return this.parseString();
+    if (ch === '[') return this.parseArray();
+    if (ch === '{') return this.parseInlineTable();
+
+    const match = /^[^\s,\]}#]+/.exec(this.text.slice(this.pos, this.pos + 256));
+    if (!match) throw new Error('expected a value');
+    this.pos += match[0].length;
+    const raw = match[0];
+    if (raw === 'true' || raw === 'false') return raw === 'true';
+    if (/^[+-]?(\d[\d_]*)(\.\d[\d_]*)?([eE][+-]?\d+)?$/.test(raw)) return Number(raw.replace(/_/g, ''));
+    if (/^0x[\da-f_]+$/i.test(raw)) return parseInt(raw.slice(2).replace(/_/g, ''), 16);
+    // Dates, times, inf / nan
+    return raw;
+  }
+
+  parseString() {
+    const quote = this.text[this.pos];
+    const multiline = this.text.startsWith(quote.repeat(3), this.pos);
+    const delimiter = multiline ? quote.repeat(3) : quote;
+    this.pos += delimiter.length;
+    // A newline right after the opening delimiter is not part of the string
+    if (multiline && this.text[this.pos] === '\n') this.pos++;
+
+    let value = '';
+    for (;;) {
+      if (this.pos >= this.text.length) throw new Error('unterminated string');
+      if (this.text.startsWith(delimiter, this.pos)) {
+        this.pos += delimiter.length;
+        // """a"""" — up to two quotes before the delimiter belong to the string
+        for (let extra = 0; multiline && extra < 2 && this.text[this.pos] === quote; extra++) {
+          value += quote;
+          this.pos++;
+        }
+        return value;
+      }
+      const ch = this.text[this.pos];
+      if (ch === '\n' && !multiline) throw new Error('newline in string');
+      if (ch === '\\' && quote === '"') {
+        value += this.parseEscape(multiline);
+        continue;
+      }
+      value += ch;
+      this.pos++;
+    }
+  }
+
+  parseEscape(multiline) {
+    const next = this.text[this.pos + 1];
+    // Line-ending backslash: the newline and the following whitespace are dropped
+    if (multiline && /^\\[ \t]*\n/.test(this.text.slice(this.pos, this.pos + 64))) {
+      this.pos++;
+      while (/\s/.test(this.text[this.pos] || '')) this.pos++;
+      return '';
+    }
+    const simple = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' };
+    if (next in simple) {
+      this.pos += 2;
+      return simple[next];
+    }
+    const hex = (next === 'u' ? /^[\da-fA-F]{4}/ : /^[\da-fA-F]{8}/).exec(this.text.slice(this.pos + 2, this.pos + 10));
+    if ((next === 'u' || next === 'U') && hex) {
+      this.pos += 2 + hex[0].length;
+      return String.fromCodePoint(parseInt(hex[0], 16));
+    }
+    throw new Error('invalid escape');
+  }
+
+  parseArray() {
+    this.pos++;
+    const items = [];
+    for (;;) {
+      this.skipBlank();
+      if (this.text[this.pos] === ']') break;
+      items.push(this.parseValue());
+      this.skipBlank();
+      if (this.text[this.pos] === ',') {
+        this.pos++;
+      } else if (this.text[this.pos] !== ']') {
+        throw new Error('expected "," or "]"');
+      }
+    }
+    this.pos++;
+    return items;
+  }
+
+  parseInlineTable() {
+    this.pos++;
+    const table = {};
+    for (;;) {
+      this.skipSpaces();
+      if (this.text[this.pos] === '}') break;
+      this.parseKeyValue(table);
+      this.skipSpaces();
+      if (this.text[this.pos] === ',') {
+        this.pos++;
+      } else if (this.text[this.pos] !== '}') {
+        throw new Error('expected "," or "}"');
+      }
+    }
+    this.pos++;
+    return table;
+  }
+
+  skipSpaces() {
+    while (this.text[this.pos] === ' ' || this.text[this.pos] === '\t') this.pos++;
+  }
+
+  // Whitespace, newlines and comments
+  skipBlank() {
+    for (;;) {
+      while (/\s/.test(this.text[this.pos] || '')) this.pos++;
+      if (this.text[this.pos] !== '#') return;
+      while (this.pos < this.text.length && this.text[this.pos] !== '\n') this.pos++;
+    }
+  }
+
+  expectLineEnd() {
+    this.skipSpaces();
+    if (this.text[this.pos] === '#') {
+      while (this.pos < this.text.length && this.text[this.pos] !== '\n') this.pos++;
+    }
+    if (this.pos < this.text.length && this.text[this.pos] !== '\n') throw new Error('expected the end of the line');
+  }
+}
+
+// Sub-table of a table (created when missing; the last entry of an array of tables)
+function descend(table, key) {
+  if (Array.isArray(table[key])) return table[key][table[key].length - 1];
+  if (typeof table[key] !== 'object' || table[key] === null) table[key] = {};
+  return table[key];
+}
+
+module.exports = { parseToml };
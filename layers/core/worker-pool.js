@@ -0,0 +1,146 @@
+const path = require('path');
+const os = require('os');
+const { Worker } = require('worker_threads');
+
+/**
+ * WorkerPool — runs CPU-heavy per-file layer work in worker_threads.
+ *
+ * A layer opts in by passing `workerModule: __filename` to BaseLayer and
+ * implementing `analyzeShard(items, shared) → results[]` (one result per item,
+ * same order, no access to `this.context`). Each worker keeps one instance
+ * of every layer module it has loaded.
+ *
+ * runShards() cuts the items into contiguous shards, runs them on idle
+ * workers and concatenates the results in shard order — the output is the
+ * same as `layer.analyzeShard(items, shared)` in-process, regardless of which
+ * worker finished first.
+ */
+
+const WORKER_SCRIPT = path.join(__dirname, 'layer-worker.js');
+const SHARDS_PER_WORKER = 4; // more shards than workers keeps every worker busy until the end
+
+class WorkerPool {
+  /**
+   * @param {number} size - Number of worker threads
+   */
+  constructor(size) {
+    this.size = Math.max(1, size);
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Pool size from ANALYSIS_WORKERS: a number, or "auto" (CPU count - 1).
+   * Returns null (run in-process) when unset, 0, or there is a single CPU.
+   */
+  static fromEnv(value = process.env.ANALYSIS_WORKERS) {
+    if (!value) return null;
+    const size = value === 'auto' ? os.cpus().length - 1 : parseInt(value, 10);
+    return Number.isFinite(size) && size > 0 ? new WorkerPool(size) : null;
+  }
+
+  /**
+   * @param {string} workerModule - Absolute path of the layer module (exports the layer class)
+   * @param {Array}  items        - Per-file work items (structured-cloneable)
+   * @param {*}      shared       - Data every shard needs (sent with each shard)
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Queued shards are dropped once it fires
+   * @param {Function} options.onShardDone - callback(doneItems, totalItems)
+   * @returns {Promise<Array>} Results in item order
+   */
+  async runShards(workerModule, items, shared, { signal, onShardDone } = {}) {
+    if (items.length === 0) return [];
+
+    const shardSize = Math.max(1, Math.ceil(items.length / (this.size * SHARDS_PER_WORKER)));
+    const shards = [];
+    for (let i = 0; i < items.length; i += shardSize) {
+      shards.push(items.slice(i, i + shardSize));
+    }
+
+    let done = 0;
+    const results = await Promise.all(shards.map(shard =>
+      this.submit({ module: workerModule, items: shard, shared }, signal).then(result => {
+        done += shard.length;
+        if (onShardDone) onShardDone(done, items.length);
+        return result;
+      })
+    ));
+    return results.flat();
+  }
+
+  /**
+   * Stop all workers. Pending tasks are rejected.
+   */
+  async close() {
+    for (const task of this.queue.splice(0)) task.reject(new Error('Worker pool closed'));
+    const workers = this.workers.splice(0);
+    this.idle = [];
+    await Promise.all(workers.map(w => w.terminate()));
+  }
+
+  // ─── Internals ───
+
+  submit(message, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(signal.reason);
+      this.queue.push({ id: this.nextId++, message, signal, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.queue.length > 0) {
+      const task = this.queue.shift();
+      if (task.signal?.aborted) {
+        task.reject(task.signal.reason);
+        continue;
+      }
+
+      const worker = this.idle.pop() || (this.workers.length < this.size ? this.spawn() : null);
+      if (!worker) {
+        this.queue.unshift(task);
+        return;
+      }
+
+      worker.task = task;
+      worker.ref();
+      worker.postMessage({ id: task.id, ...task.message });
+    }
+  }
+
+  spawn() {
+    const worker = new Worker(WORKER_SCRIPT);
+    worker.unref(); // only busy workers keep the process alive
+    this.workers.push(worker);
+
+    worker.on('message', ({ id, results, error }) => {
+      const task = worker.task;
+      if (!task || task.id !== id) return;
+      worker.task = null;
+      worker.unref();
+      this.idle.push(worker);
+
+      if (error) task.reject(new Error(error));
+      else task.resolve(results);
+      this.dispatch();
+    });
+
+    // A crashed worker fails its task and is replaced on demand
+    const retire = (err) => {
+      const task = worker.task;
+      worker.task = null;
+      this.workers = this.workers.filter(w => w !== worker);
+      this.idle = this.idle.filter(w => w !== worker);
+      if (task) task.reject(err);
+      this.dispatch();
+    };
+    worker.on('error', retire);
+    worker.on('exit', (code) => retire(new Error(`Analysis worker exited with code ${code}`)));
+
+    return worker;
+  }
+}
+
+module.exports = WorkerPool;
@@ -0,0 +1,329 @@
+/**
+ * A small YAML reader for the files layers look at — lockfiles, compose files,
+ * CI workflows. Supported:
+ *
+ *   block mappings and sequences ("- key: value" items included)
+ *   flow collections ([a, b], {k: v}) — may span lines
+ *   plain, 'single' and "double" quoted scalars, comments
+ *   block scalars (| and >, with - / + chomping)
+ *
+ * Not supported: anchors and aliases (kept as plain text), tags, complex
+ * keys, multiple documents (only the first is read). Malformed input does not
+ * throw — whatever could be read is returned.
+ *
+ * Plain scalars stay strings except null / ~, true / false and integers:
+ * floats are not converted, so versions like 1.10 survive.
+ */
+
+/**
+ * @param {string} text
+ * @returns {*} Mapping (object), sequence (array), scalar or null for an empty document
+ */
+function parseYaml(text) {
+  const parser = new YamlParser(text);
+  const first = parser.peek();
+  return first ? parser.parseNode(first.indent) : null;
+}
+
+class YamlParser {
+  constructor(text) {
+    this.lines = String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+    this.i = 0;
+  }
+
+  /**
+   * Next meaningful line (blank lines, comments and the document start are skipped).
+   * @returns {{ indent: number, text: string } | null}
+   */
+  peek() {
+    while (this.i < this.lines.length) {
+      const line = this.lines[this.i];
+      const text = line.trim();
+      if (text === '---' && this.i === 0) { this.i++; continue; }
+      // A second document or the document end
+      if (text === '---' || text === '...') return null;
+      if (text === '' || text.startsWith('#')) { this.i++; continue; }
+      return { indent: line.length - line.trimStart().length, text };
+    }
+    return null;
+  }
+
+  parseNode(indent) {
+    const next = this.peek();
+    if (!next || next.indent < indent) return null;
+    if (isSequenceItem(next.text)) return this.parseSequence(next.indent);
+    if (splitKey(next.text)) return this.parseMapping(next.indent);
+    this.i++;
+    return this.inlineValue(next.text, next.indent);
+  }
+
+  parseMapping(indent) {
+    const map = {};
+    for (let next = this.peek(); next && next.indent === indent; next = this.peek()) {
+      const entry = splitKey(next.text);
+      if (!entry) break;
+      this.i++;
+      map[entry.key] = this.valueAfterKey(entry.rest, indent);
+    }
+    return map;
+  }
+
+  parseSequence(indent) {
+    const list = [];
+    for (let next = this.peek(); next && next.indent === indent && isSequenceItem(next.text); next = this.peek()) {
+      const rest = next.text.slice(1).trimStart();
+      if (rest === '' || rest.startsWith('#')) {
+        this.i++;
+        list.push(this.parseNode(indent + 1));
+      } else if (isSequenceItem(rest) || splitKey(rest)) {
+        // "- key: value" / "- - item": the rest of the line starts a nested node at its own column
+        const column = this.lines[this.i].length - rest.length;
+        this.lines[this.i] = ' '.repeat(column) + rest;
+        list.push(isSequenceItem(rest) ? this.parseSequence(column) : this.parseMapping(column));
+      } else {
+        this.i++;
+        list.push(this.inlineValue(rest, indent));
+      }
+    }
+    return list;
+  }
+
+  // Value of "key: rest" — inline, a block scalar or a nested node below the key
+  valueAfterKey(rest, indent) {
+    if (rest === '' || rest.startsWith('#')) {
+      const next = this.peek();
+      if (!next) return null;
+      if (next.indent > indent) return this.parseNode(next.indent);
+      // A sequence may sit at the same indentation as its key
+      if (next.indent === indent && isSequenceItem(next.text)) return this.parseSequence(indent);
+      return null;
+    }
+    return this.inlineValue(rest, indent);
+  }
+
+  inlineValue(text, indent) {
+    if (/^[|>][-+0-9]*\s*(#.*)?$/.test(text)) return this.blockScalar(text, indent);
+    if (text.startsWith('[') || text.startsWith('{')) {
+      // A flow collection may continue on the following lines
+      let source = stripComment(text);
+      while (!isBalanced(source) && this.i < this.lines.length) {
+        source += ' ' + stripComment(this.lines[this.i].trim());
+        this.i++;
+      }
+      return new FlowParser(source).parse();
+    }
+    return scalar(stripComment(text));
+  }
+
+  blockScalar(header, indent) {
+    const folded = header.startsWith('>');
+    const chomp = header.includes('-') ? 'strip' : header.includes('+') ? 'keep' : 'clip';
+    const body = [];
+    let blockIndent = null;
+    while (this.i < this.lines.length) {
+      const line = this.lines[this.i];
+      const lineIndent = line.length - line.trimStart().length;
+      if (line.trim() !== '') {
+        if (lineIndent <= indent) break;
+        if (blockIndent === null) blockIndent = lineIndent;
+        if (lineIndent < blockIndent) break;
+      }
+      body.push(line.trim() === '' ? '' : line.slice(blockIndent));
+      this.i++;
+    }
+
+    let trailing = 0;
+    while (body.length > 0 && body[body.length - 1] === '') { body.pop(); trailing++; }
+    let value = folded
+      ? body.reduce((text, line, i) => (i === 0 ? line : text + (line === '' || body[i - 1] === '' || /^\s/.test(line) ? '\n' : ' ') + line), '')
+      : body.join('\n');
+    if (chomp === 'clip' && body.length > 0) value += '\n';
+    if (chomp === 'keep') value += '\n'.repeat(trailing + (body.length > 0 ? 1 : 0));
+    return value;
+  }
+}
+
+// ─── Flow collections ───
+
+class FlowParser {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+  }
+
+  parse() {
+    this.skipSpace();
+    return this.value();
+  }
+
+  value() {
+    this.skipSpace();
+    const ch = this.text[this.pos];
+    if (ch === '[') return this.sequence();
+    if (ch === '{') return this.mapping();
+    if (ch === '"' || ch === "'") return this.quoted();
+    return scalar(this.plain());
+  }
+
+  sequence() {
+    const list = [];
+    this.pos++;
+    for (this.skipSpace(); this.pos < this.text.length && this.text[this.pos] !== ']'; this.skipSpace()) {
+      const start = this.pos;
+      list.push(this.value());
+      this.skipSpace();
+      if (this.text[this.pos] === ',' || this.pos === start) this.pos++;
+    }
+    this.pos++;
+    return list;
+  }
+
+  mapping() {
+    const map = {};
+    this.pos++;
+    for (this.skipSpace(); this.pos < this.text.length && this.text[this.pos] !== '}'; this.skipSpace()) {
+      const start = this.pos;
+      const ch = this.text[this.pos];
+      const key = ch === '"' || ch === "'" ? this.quoted() : this.plain(true);
+      this.skipSpace();
+      let value = null;
+      if (this.text[this.pos] === ':') {
+        this.pos++;
+        value = this.value();
+      }
+      map[key] = value;
+      this.skipSpace();
+      if (this.text[this.pos] === ',' || this.pos === start) this.pos++;
+    }
+    this.pos++;
+    return map;
+  }
+
+  quoted() {
+    // An unterminated quote runs to the end of the text
+    const end = closingQuote(this.text, this.pos);
+    if (end === -1) {
+      const raw = this.text.slice(this.pos + 1);
+      this.pos = this.text.length;
+      return raw;
+    }
+    const raw = this.text.slice(this.pos, end + 1);
+    this.pos = end + 1;
+    return unquote(raw);
+  }
+
+  // Plain scalar up to a flow indicator (and ": " for keys)
+  plain(isKey = false) {
+    const start = this.pos;
+    while (this.pos < this.text.length) {
+      const ch = this.text[this.pos];
+      if (ch === ',' || ch === ']' || ch === '}') break;
+      if (ch === ':' && (isKey || /[\s,\]}]/.test(this.text[this.pos + 1] || ' '))) break;
+      this.pos++;
+    }
+    return this.text.slice(start, this.pos).trim();
+  }
+
+  skipSpace() {
+    while (/\s/.test(this.text[this.pos] || '')) this.pos++;
+  }
+}
+
+// ─── Scalars ───
+
+function isSequenceItem(text) {
+  return text === '-' || text.startsWith('- ');
+}
+
+/**
+ * "key: rest" → { key, rest }; null when the line is not a mapping entry.
+ */
+function splitKey(text) {
+  let key;
+  let after;
+  if (text.startsWith('"') || text.startsWith("'")) {
+    const end = closingQuote(text, 0);
+    if (end === -1 || text[end + 1] !== ':') return null;
+    key = unquote(text.slice(0, end + 1));
+    after = end + 2;
+  } else {
+    if (text.startsWith('[') || text.startsWith('{') || isSequenceItem(text)) return null;
+    const match = text.match(/:(\s|$)/);
+    if (!match) return null;
+    key = text.slice(0, match.index).trim();
+    after = match.index + 1;
+  }
+  if (after < text.length && !/\s/.test(text[after])) return null;
+  return { key, rest: text.slice(after).trim() };
+}
+
+function closingQuote(text, start) {
+  const quote = text[start];
+  for (let i = start + 1; i < text.length; i++) {
+    if (quote === '"' && text[i] === '\\') { i++; continue; }
+    if (text[i] === quote) {
+      // '' is an escaped quote inside single quotes
+      if (quote === "'" && text[i + 1] === "'") { i++; continue; }
+      return i;
+    }
+  }
+  return -1;
+}
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', '0': '\0', '"': '"', '\\': '\\', '/': '/', ' ': ' ' };
+
+function unquote(raw) {
+  if (raw.startsWith("'")) return raw.slice(1, -1).replace(/''/g, "'");
+  return raw.slice(1, -1).replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|.)/g, (_, code) =>
+    (code.length > 1 ? String.fromCharCode(parseInt(code.slice(1), 16)) : ESCAPES[code] ?? code));
+}
+
+// " # comment" ends a value (outside quotes)
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text;
+}
+
+function isBalanced(text) {
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '[' || ch === '{') {
+      depth++;
+    } else if (ch === ']' || ch === '}') {
+      depth--;
+    }
+  }
+  return depth <= 0;
+}
+
+function scalar(text) {
+  if (text.startsWith('"') || text.startsWith("'")) {
+    const end = closingQuote(text, 0);
+    if (end !== -1) return unquote(text.slice(0, end + 1));
+  }
+  if (text === '' || text === '~' || text === 'null' || text === 'Null' || text === 'NULL') return null;
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+  if (/^[-+]?(0|[1-9]\d*)$/.test(text) && Number.isSafeInteger(Number(text))) return Number(text);
+  return text;
+}
+
+module.exports = { parseYaml };
@@ -0,0 +1,96 @@
+const AnalysisEngine = require('./core/analysis-engine');
+const { buildLayerGraph, LayerGraphError } = require('./core/layer-graph');
+const { loadPlugins, FailedPluginLayer } = require('./core/plugin-loader');
+const FileSystemLayer = require('./01-file-system/file-system-layer');
+const TechStackLayer = require('./02-tech-stack/tech-stack-layer');
+const CodeStructureLayer = require('./03-code-structure/code-structure-layer');
+const CodeQualityLayer = require('./04-code-quality/code-quality-layer');
+const KeyLocationsLayer = require('./05-key-locations/key-locations-layer');
+const CodeScoreLayer = require('./06-code-score/code-score-layer');
+const GitHistoryLayer = require('./07-git-history/git-history-layer');
+const VulnerabilityLayer = require('./08-vulnerabilities/vulnerability-layer');
+const CiCdLayer = require('./09-ci-cd/ci-cd-layer');
+
+/**
+ * Layer registry — built-in layers plus per-project plugins.
+ *
+ * Built-in layers are always registered; plugins from `project.plugins` are
+ * added after them. A plugin that does not fit the layer graph (writes a key
+ * another layer owns, reads a key nobody writes, forms a cycle, reuses a
+ * name) is replaced by a FailedPluginLayer — it never prevents the run.
+ */
+
+const BUILTIN_LAYERS = [
+  FileSystemLayer,
+  TechStackLayer,
+  CodeStructureLayer,
+  CodeQualityLayer,
+  KeyLocationsLayer,
+  CodeScoreLayer,
+  GitHistoryLayer,
+  VulnerabilityLayer,
+  CiCdLayer
+];
+
+/**
+ * @param {Object} project - Project settings (`plugins`, `root_path`)
+ * @returns {AnalysisEngine}
+ */
+function buildEngine(project = {}) {
+  const engine = new AnalysisEngine();
+  for (const Layer of BUILTIN_LAYERS) {
+    engine.addLayer(new Layer());
+  }
+
+  const plugins = loadPlugins(project.plugins || [], { rootPath: project.root_path });
+  for (const layer of fitPlugins(engine.layers, plugins)) {
+    engine.addLayer(layer);
+  }
+  return engine;
+}
+
+/**
+ * Accept plugins that keep the graph valid. Repeats until nothing changes,
+ * so a plugin may read a key written by a plugin listed after it.
+ */
+function fitPlugins(builtins, plugins) {
+  const accepted = [];
+  const rejected = new Map();
+  let pending = plugins.filter(p => !(p instanceof FailedPluginLayer));
+
+  let changed = true;
+  while (changed && pending.length > 0) {
+    changed = false;
+    for (const plugin of [...pending]) {
+      try {
+        buildLayerGraph([...builtins, ...accepted, plugin]);
+        accepted.push(plugin);
+        pending = pending.filter(p => p !== plugin);
+        rejected.delete(plugin);
+        changed = true;
+      } catch (err) {
+        if (!(err instanceof LayerGraphError)) throw err;
+        rejected.set(plugin, err.problems.join('; '));
+      }
+    }
+  }
+
+  const taken = new Set([...builtins, ...accepted].map(l => l.name));
+  return plugins.map(plugin => {
+    if (accepted.includes(plugin)) return plugin;
+    if (plugin instanceof FailedPluginLayer && !taken.has(plugin.name)) {
+      taken.add(plugin.name);
+      return plugin;
+    }
+
+    let name = taken.has(plugin.name) ? `plugin:${plugin.name}` : plugin.name;
+    while (taken.has(name)) name += '_';
+    taken.add(name);
+
+    const failed = new FailedPluginLayer(name, plugin.displayName, plugin.loadError || rejected.get(plugin));
+    failed.plugin = plugin.plugin;
+    return failed;
+  });
+}
+
+module.exports = { buildEngine, BUILTIN_LAYERS };
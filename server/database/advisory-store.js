@@ -0,0 +1,113 @@
+const { getDb } = require('./db');
+const { normalizeOsv, packageName } = require('../../layers/08-vulnerabilities/osv');
+
+/**
+ * Local advisory database: OSV records imported through /api/advisories,
+ * matched by VulnerabilityLayer without network access. An advisory that is
+ * imported again replaces the stored one (and its affected packages).
+ */
+
+/**
+ * Store OSV records in one transaction.
+ * @param {Object[]} records - Raw OSV JSON records
+ * @returns {{ imported: number, skipped: number }} skipped: withdrawn or unsupported ecosystems
+ */
+function importAdvisories(records) {
+  const db = getDb();
+  const upsert = db.prepare(`
+    INSERT INTO advisories (id, summary, severity, cvss, aliases, url, published, modified, imported_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    ON CONFLICT (id) DO UPDATE SET
+      summary = excluded.summary,
+      severity = excluded.severity,
+      cvss = excluded.cvss,
+      aliases = excluded.aliases,
+      url = excluded.url,
+      published = excluded.published,
+      modified = excluded.modified,
+      imported_at = excluded.imported_at
+  `);
+  const removePackages = db.prepare('DELETE FROM advisory_packages WHERE advisory_id = ?');
+  const insertPackage = db.prepare(`
+    INSERT INTO advisory_packages (advisory_id, ecosystem, name, ranges, versions) VALUES (?, ?, ?, ?, ?)
+  `);
+
+  let imported = 0;
+  let skipped = 0;
+  db.transaction(() => {
+    for (const record of records) {
+      const advisory = normalizeOsv(record);
+      if (!advisory) {
+        skipped++;
+        continue;
+      }
+      upsert.run(advisory.id, advisory.summary, advisory.severity, advisory.cvss, JSON.stringify(advisory.aliases),
+        advisory.url, advisory.published, advisory.modified);
+      removePackages.run(advisory.id);
+      for (const pkg of advisory.packages) {
+        insertPackage.run(advisory.id, pkg.ecosystem, pkg.name, JSON.stringify(pkg.ranges), JSON.stringify(pkg.versions));
+      }
+      imported++;
+    }
+  })();
+  return { imported, skipped };
+}
+
+/**
+ * @returns {{ advisories: number, packages: number, byEcosystem: Object, importedAt: string|null }}
+ */
+function advisoryStats() {
+  const db = getDb();
+  const { advisories, importedAt } = db.prepare('SELECT COUNT(*) AS advisories, MAX(imported_at) AS importedAt FROM advisories').get();
+  const rows = db.prepare(`
+    SELECT ecosystem, COUNT(DISTINCT advisory_id) AS advisories, COUNT(DISTINCT name) AS packages
+    FROM advisory_packages GROUP BY ecosystem
+  `).all();
+  return {
+    advisories,
+    packages: rows.reduce((sum, r) => sum + r.packages, 0),
+    byEcosystem: Object.fromEntries(rows.map(r => [r.ecosystem, r.advisories])),
+    importedAt
+  };
+}
+
+function clearAdvisories() {
+  getDb().exec('DELETE FROM advisory_packages; DELETE FROM advisories;');
+}
+
+/**
+ * The advisory tables as `context.advisories` for AnalysisEngine
+ * (same interface as createAdvisoryIndex in osv.js).
+ */
+function createAdvisorySource() {
+  const db = getDb();
+  const { count, importedAt } = db.prepare('SELECT COUNT(*) AS count, MAX(imported_at) AS importedAt FROM advisories').get();
+  const query = db.prepare(`
+    SELECT p.ranges, p.versions, a.id, a.summary, a.severity, a.cvss, a.aliases, a.url, a.published, a.modified
+    FROM advisory_packages p JOIN advisories a ON a.id = p.advisory_id
+    WHERE p.ecosystem = ? AND p.name = ?
+  `);
+
+  return {
+    count,
+    importedAt,
+    lookup(ecosystem, name) {
+      return query.all(ecosystem, packageName(ecosystem, name)).map(row => ({
+        advisory: {
+          id: row.id,
+          summary: row.summary,
+          severity: row.severity,
+          cvss: row.cvss,
+          aliases: JSON.parse(row.aliases || '[]'),
+          url: row.url,
+          published: row.published,
+          modified: row.modified
+        },
+        ranges: JSON.parse(row.ranges || '[]'),
+        versions: JSON.parse(row.versions || '[]')
+      }));
+    }
+  };
+}
+
+module.exports = { importAdvisories, advisoryStats, clearAdvisories, createAdvisorySource };
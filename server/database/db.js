@@ -31,6 +31,59 @@ function migrateSchema() {
     if (!info.some(c => c.name === 'project_type')) {
       db.exec('ALTER TABLE projects ADD COLUMN project_type TEXT DEFAULT "auto"');
     }
+    if (!info.some(c => c.name === 'plugins')) {
+      db.exec("ALTER TABLE projects ADD COLUMN plugins TEXT DEFAULT '[]'");
+    }
+    // .gitignore-style include / exclude patterns (FileSystemLayer)
+    if (!info.some(c => c.name === 'include_globs')) {
+      db.exec("ALTER TABLE projects ADD COLUMN include_globs TEXT DEFAULT '[]'");
+    }
+    if (!info.some(c => c.name === 'exclude_globs')) {
+      db.exec("ALTER TABLE projects ADD COLUMN exclude_globs TEXT DEFAULT '[]'");
+    }
+    // Time window of GitHistoryLayer (commits, authors, churn)
+    if (!info.some(c => c.name === 'git_history_days')) {
+      db.exec('ALTER TABLE projects ADD COLUMN git_history_days INTEGER DEFAULT 90');
+    }
+    // Copies found by duplicate detection are left out of the later layers
+    if (!info.some(c => c.name === 'exclude_duplicates')) {
+      db.exec('ALTER TABLE projects ADD COLUMN exclude_duplicates INTEGER DEFAULT 0');
+    }
+    // License policy of the dependencies (SPDX ids, "*" wildcard)
+    if (!info.some(c => c.name === 'license_allow')) {
+      db.exec("ALTER TABLE projects ADD COLUMN license_allow TEXT DEFAULT '[]'");
+    }
+    if (!info.some(c => c.name === 'license_deny')) {
+      db.exec("ALTER TABLE projects ADD COLUMN license_deny TEXT DEFAULT '[]'");
+    }
+    // npm / Composer registry for the outdated-dependency report ('' — not checked)
+    if (!info.some(c => c.name === 'registry_npm')) {
+      db.exec("ALTER TABLE projects ADD COLUMN registry_npm TEXT DEFAULT ''");
+    }
+    if (!info.some(c => c.name === 'registry_composer')) {
+      db.exec("ALTER TABLE projects ADD COLUMN registry_composer TEXT DEFAULT ''");
+    }
+    // Analysis queue: status queued → running → completed | failed | cancelled
+    const analysisInfo = db.pragma('table_info(analyses)');
+    if (!analysisInfo.some(c => c.name === 'queued_at')) {
+      db.exec('ALTER TABLE analyses ADD COLUMN queued_at TEXT');
+    }
+    if (!analysisInfo.some(c => c.name === 'options')) {
+      db.exec("ALTER TABLE analyses ADD COLUMN options TEXT DEFAULT '{}'");
+    }
+    if (!analysisInfo.some(c => c.name === 'attempts')) {
+      db.exec('ALTER TABLE analyses ADD COLUMN attempts INTEGER DEFAULT 0');
+    }
+  } catch (e) { /* ignore */ }
+
+  // One-time data fixes, counted by PRAGMA user_version
+  try {
+    if (db.pragma('user_version', { simple: true }) < 1) {
+      // Registry cache keys once held the registry URL with its user:password@.
+      // Entries of scoped npm packages go too — they are refetched on the next run
+      db.exec("DELETE FROM registry_cache WHERE key GLOB '*://*@*' AND key NOT GLOB '*://[*][*][*]@*'");
+      db.pragma('user_version = 1');
+    }
   } catch (e) { /* ignore */ }
 }
 
@@ -67,6 +120,63 @@ function initSchema() {
       error_message TEXT,
       FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
     );
+
+    CREATE TABLE IF NOT EXISTS file_cache (
+      project_id INTEGER NOT NULL,
+      path TEXT NOT NULL,
+      size INTEGER,
+      mtime_ms REAL,
+      hash TEXT NOT NULL,
+      outputs TEXT DEFAULT '{}',
+      PRIMARY KEY (project_id, path),
+      FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+    );
+
+    -- Triage of codeQuality issues, keyed by issue fingerprint (survives line shifts)
+    CREATE TABLE IF NOT EXISTS issue_triage (
+      project_id INTEGER NOT NULL,
+      fingerprint TEXT NOT NULL,
+      state TEXT NOT NULL DEFAULT 'open',
+      comment TEXT DEFAULT '',
+      author TEXT DEFAULT '',
+      issue_type TEXT,
+      issue_file TEXT,
+      issue_name TEXT,
+      updated_at TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY (project_id, fingerprint),
+      FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+    );
+
+    -- Local advisory database (imported OSV records) for VulnerabilityLayer
+    CREATE TABLE IF NOT EXISTS advisories (
+      id TEXT PRIMARY KEY,
+      summary TEXT DEFAULT '',
+      severity TEXT DEFAULT 'unknown',
+      cvss TEXT,
+      aliases TEXT DEFAULT '[]',
+      url TEXT,
+      published TEXT,
+      modified TEXT,
+      imported_at TEXT DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS advisory_packages (
+      advisory_id TEXT NOT NULL,
+      ecosystem TEXT NOT NULL,
+      name TEXT NOT NULL,
+      ranges TEXT DEFAULT '[]',
+      versions TEXT DEFAULT '[]',
+      FOREIGN KEY (advisory_id) REFERENCES advisories(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_advisory_packages_name ON advisory_packages (ecosystem, name);
+
+    -- Package releases fetched from npm / Composer registries (outdated dependencies)
+    CREATE TABLE IF NOT EXISTS registry_cache (
+      key TEXT PRIMARY KEY,
+      data TEXT,
+      fetched_at INTEGER NOT NULL
+    );
   `);
 }
 
@@ -0,0 +1,40 @@
+const { getDb } = require('./db');
+const FileCache = require('../../layers/core/file-cache');
+
+/**
+ * Load the per-file cache saved by the last completed analysis of a project.
+ * With `full` set, the previous entries are ignored (everything is re-analyzed).
+ */
+function loadFileCache(projectId, { full = false } = {}) {
+  if (full) return new FileCache();
+
+  const rows = getDb().prepare(`
+    SELECT path, size, mtime_ms, hash, outputs FROM file_cache WHERE project_id = ?
+  `).all(projectId);
+
+  return new FileCache(rows.map(r => {
+    let outputs = {};
+    try { outputs = JSON.parse(r.outputs || '{}'); } catch { /* corrupted row — re-analyze */ }
+    return { path: r.path, size: r.size, mtimeMs: r.mtime_ms, hash: r.hash, outputs };
+  }));
+}
+
+/**
+ * Replace the project's cache with the entries of a completed analysis.
+ */
+function saveFileCache(projectId, cache) {
+  const db = getDb();
+  const insert = db.prepare(`
+    INSERT INTO file_cache (project_id, path, size, mtime_ms, hash, outputs)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  db.transaction((entries) => {
+    db.prepare('DELETE FROM file_cache WHERE project_id = ?').run(projectId);
+    for (const e of entries) {
+      insert.run(projectId, e.path, e.size, e.mtimeMs, e.hash, JSON.stringify(e.outputs));
+    }
+  })(cache.entries());
+}
+
+module.exports = { loadFileCache, saveFileCache };
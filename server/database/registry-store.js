@@ -0,0 +1,38 @@
+const { getDb } = require('./db');
+const { createRegistryClient } = require('../../layers/02-tech-stack/outdated');
+
+/**
+ * Registry answers (latest releases of a package) cached across analyses, so
+ * repeated runs do not query the project's npm / Composer registry again.
+ * Entries are keyed by ecosystem, registry URL and package name; their age
+ * is checked by the registry client (REGISTRY_CACHE_HOURS).
+ */
+
+/**
+ * Registry client for a project's registry settings, or null when it has none.
+ * @param {{ registry_npm: string, registry_composer: string }} project
+ */
+function createRegistrySource(project) {
+  const db = getDb();
+  const select = db.prepare('SELECT data, fetched_at FROM registry_cache WHERE key = ?');
+  const upsert = db.prepare(`
+    INSERT INTO registry_cache (key, data, fetched_at) VALUES (?, ?, ?)
+    ON CONFLICT (key) DO UPDATE SET data = excluded.data, fetched_at = excluded.fetched_at
+  `);
+
+  return createRegistryClient({
+    npm: project.registry_npm,
+    composer: project.registry_composer,
+    cache: {
+      get(key) {
+        const row = select.get(key);
+        return row && { data: JSON.parse(row.data), fetchedAt: row.fetched_at };
+      },
+      set(key, { data, fetchedAt }) {
+        upsert.run(key, JSON.stringify(data), fetchedAt);
+      }
+    }
+  });
+}
+
+module.exports = { createRegistrySource };
@@ -0,0 +1,80 @@
+const { getDb } = require('./db');
+const { fingerprintIssues } = require('../../layers/core/issue-fingerprint');
+
+/**
+ * Issue triage state per project: open, ignored or wontfix.
+ * Ignored and won't-fix issues stay in the report but do not count
+ * (issue totals, CodeScoreLayer deductions, CLI thresholds).
+ */
+
+const TRIAGE_STATES = ['open', 'ignored', 'wontfix'];
+
+/**
+ * Triage rows of a project.
+ * @returns {Object[]} { fingerprint, state, comment, author, issue_type, issue_file, issue_name, updated_at }
+ */
+function listTriage(projectId) {
+  return getDb().prepare(`
+    SELECT fingerprint, state, comment, author, issue_type, issue_file, issue_name, updated_at
+    FROM issue_triage WHERE project_id = ?
+    ORDER BY updated_at DESC
+  `).all(projectId);
+}
+
+/**
+ * Fingerprint → { state, comment, author } for issues that are not open
+ * (the form AnalysisEngine passes to layers as `context.triage`).
+ */
+function loadTriage(projectId) {
+  const rows = getDb().prepare(`
+    SELECT fingerprint, state, comment, author FROM issue_triage
+    WHERE project_id = ? AND state != 'open'
+  `).all(projectId);
+  return new Map(rows.map(r => [r.fingerprint, { state: r.state, comment: r.comment, author: r.author }]));
+}
+
+/**
+ * Create or update the triage state of one issue.
+ * @param {Object} issue - Optional { type, file, name } so the list stays readable
+ */
+function saveTriage(projectId, fingerprint, { state, comment = '', author = '', issue = {} }) {
+  getDb().prepare(`
+    INSERT INTO issue_triage (project_id, fingerprint, state, comment, author, issue_type, issue_file, issue_name, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    ON CONFLICT (project_id, fingerprint) DO UPDATE SET
+      state = excluded.state,
+      comment = excluded.comment,
+      author = excluded.author,
+      issue_type = COALESCE(excluded.issue_type, issue_triage.issue_type),
+      issue_file = COALESCE(excluded.issue_file, issue_triage.issue_file),
+      issue_name = COALESCE(excluded.issue_name, issue_triage.issue_name),
+      updated_at = excluded.updated_at
+  `).run(projectId, fingerprint, state, comment, author, issue.type || null, issue.file || null, issue.name || null);
+
+  return getDb().prepare(`
+    SELECT fingerprint, state, comment, author, issue_type, issue_file, issue_name, updated_at
+    FROM issue_triage WHERE project_id = ? AND fingerprint = ?
+  `).get(projectId, fingerprint);
+}
+
+/**
+ * Show the current triage state on a stored report's issues. Counts and the
+ * score keep the values of the run (they follow on the next analysis);
+ * reports from before fingerprints existed get them here.
+ */
+function applyTriage(report, projectId) {
+  const issues = report?.codeQuality?.issues;
+  if (!issues) return report;
+
+  const triage = loadTriage(projectId);
+  const fingerprints = fingerprintIssues(issues);
+  issues.forEach((issue, i) => {
+    issue.fingerprint = issue.fingerprint || fingerprints[i];
+    const t = triage.get(issue.fingerprint);
+    if (t) issue.triage = t;
+    else delete issue.triage;
+  });
+  return report;
+}
+
+module.exports = { TRIAGE_STATES, listTriage, loadTriage, saveTriage, applyTriage };
@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const { osvRecords } = require('../../layers/08-vulnerabilities/osv');
+const { importAdvisories, advisoryStats, clearAdvisories } = require('../database/advisory-store');
+
+// OSV dumps: npm/all.zip is ~50 MB; larger dumps can be imported by { path }
+const UPLOAD_LIMIT = '100mb';
+// Records stored per transaction; the import yields to other requests between batches
+const IMPORT_BATCH = 1000;
+
+let importing = false;
+
+// ─── GET /api/advisories ─── Size of the local advisory database
+router.get('/', (req, res) => {
+  try {
+    res.json({ success: true, data: advisoryStats() });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ─── POST /api/advisories/import ─── Import OSV records
+// JSON body { path } — a .zip, .json or folder on the server; any other body is the file itself
+router.post('/import', express.raw({ type: () => true, limit: UPLOAD_LIMIT }), async (req, res) => {
+  if (importing) {
+    return res.status(409).json({ success: false, error: 'Another advisory import is running' });
+  }
+  importing = true;
+  try {
+    let source;
+    if (req.is('application/json')) {
+      const dumpPath = req.body?.path;
+      if (typeof dumpPath !== 'string' || !dumpPath.trim()) {
+        return res.status(400).json({ success: false, error: 'Path to an OSV .zip, .json or folder is required' });
+      }
+      source = path.resolve(dumpPath.trim());
+      if (!fs.existsSync(source)) {
+        return res.status(400).json({ success: false, error: 'Path does not exist' });
+      }
+    } else {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ success: false, error: 'Empty upload' });
+      }
+      source = req.body;
+    }
+
+    const totals = { records: 0, imported: 0, skipped: 0 };
+    let batch = [];
+    const flush = () => {
+      const { imported, skipped } = importAdvisories(batch);
+      totals.imported += imported;
+      totals.skipped += skipped;
+      batch = [];
+    };
+    const records = osvRecords(source);
+    for (;;) {
+      let next;
+      try {
+        next = records.next();
+      } catch (err) {
+        return res.status(400).json({ success: false, error: `Not an OSV dump: ${err.message}` });
+      }
+      if (next.done) break;
+      totals.records++;
+      batch.push(next.value);
+      if (batch.length >= IMPORT_BATCH) {
+        flush();
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+    flush();
+
+    res.json({ success: true, data: { ...totals, database: advisoryStats() } });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  } finally {
+    importing = false;
+  }
+});
+
+// ─── DELETE /api/advisories ─── Empty the advisory database
+router.delete('/', (req, res) => {
+  try {
+    clearAdvisories();
+    res.json({ success: true, data: advisoryStats() });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
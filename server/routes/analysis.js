@@ -1,95 +1,62 @@
 // ..\..\nodejs\code-inspector\server\routes\analysis.js
 const express = require('express');
 const router = express.Router();
-const path = require('path');
-const fs = require('fs');
 const { getDb } = require('../database/db');
+const queue = require('../services/analysis-queue');
+const { layerEvent } = require('../services/analysis-runner');
+const GitRepository = require('../../layers/core/git-repo');
 
-// Import LAYERS engine and layers
-const AnalysisEngine = require('../../layers/core/analysis-engine');
-const FileSystemLayer = require('../../layers/01-file-system/file-system-layer');
-const TechStackLayer = require('../../layers/02-tech-stack/tech-stack-layer');
-const CodeStructureLayer = require('../../layers/03-code-structure/code-structure-layer');
-const CodeQualityLayer = require('../../layers/04-code-quality/code-quality-layer');
-const KeyLocationsLayer = require('../../layers/05-key-locations/key-locations-layer');
-const CodeScoreLayer = require('../../layers/06-code-score/code-score-layer');
-
-// Track running analyses
-const runningAnalyses = new Map();
-
-// Общее количество слоёв — вынесено НАРУЖУ, чтобы было доступно везде
-const TOTAL_LAYERS = 6;
-
-const LAYERS_INFO = [
-  { name: 'File System' },
-  { name: 'Tech Stack' },
-  { name: 'Code Structure' },
-  { name: 'Code Quality' },
-  { name: 'Key Locations' },
-  { name: 'Code Score' }
-];
-
-// ─── POST /api/analysis/start ─── Start analysis for a project
+// ─── POST /api/analysis/start ─── Queue analysis for a project
+//   ref (optional) — tag, branch or commit to analyze instead of the working directory
 router.post('/start', (req, res) => {
   try {
-    const { projectId } = req.body;
+    const { projectId, full = false, ref = null } = req.body;
     const db = getDb();
 
+    if (ref !== null && (typeof ref !== 'string' || !ref.trim())) {
+      return res.status(400).json({ success: false, error: 'ref must be a non-empty string' });
+    }
+
     // Get project
-    const project = db.prepare('SELECT * FROM projects WHERE id = ?').get(projectId);
+    const project = db.prepare('SELECT id, root_path FROM projects WHERE id = ?').get(projectId);
     if (!project) {
       return res.status(404).json({ success: false, error: 'Project not found' });
     }
 
-    // Parse JSON fields
-    project.technologies = JSON.parse(project.technologies || '[]');
-    project.excluded_folders = JSON.parse(project.excluded_folders || '[]');
-    project.enable_llm = Boolean(project.enable_llm);
-    project.project_type = project.project_type || 'auto';
-
-    // Check if analysis is already running for this project
-    if (runningAnalyses.has(projectId)) {
-      return res.status(409).json({ success: false, error: 'Analysis already running for this project' });
+    // The ref is resolved now: a branch that moves while the job waits still analyzes this commit
+    let revision = null;
+    if (ref !== null) {
+      try {
+        revision = GitRepository.resolveRevision(project.root_path, ref.trim());
+      } catch (err) {
+        return res.status(400).json({ success: false, error: err.message });
+      }
     }
 
-    // Create analysis record
-    const result = db.prepare(`
-      INSERT INTO analyses (project_id, status)
-      VALUES (?, 'running')
-    `).run(projectId);
-
-    const analysisId = result.lastInsertRowid;
-
-    // ✅ Устанавливаем начальное состояние прогресса
-    runningAnalyses.set(projectId, {
-      analysisId,
-      progress: {
-        step: 0,
-        total: TOTAL_LAYERS,
-        layer: 'starting',
-        detail: null
-      },
-      currentLayerIndex: 0
-    });
-
-    // Run analysis in background
-    runAnalysis(project, analysisId)
-      .then(() => {
-        runningAnalyses.delete(projectId);
-      })
-      .catch(err => {
-        console.error('[Analysis] Fatal error:', err);
-        runningAnalyses.delete(projectId);
-      });
+    // Starts right away when a slot is free, otherwise waits in the queue
+    const { analysisId, status, position } = queue.enqueue(project.id, { full, ...revision });
 
     res.json({
       success: true,
       data: {
         analysisId,
-        status: 'running',
-        message: 'Analysis started'
+        status,
+        position,
+        message: status === 'queued' ? `Analysis queued (position ${position})` : 'Analysis started'
       }
     });
+  } catch (err) {
+    if (err instanceof queue.QueueError) {
+      return res.status(409).json({ success: false, error: err.message, analysisId: err.analysisId });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ─── GET /api/analysis/queue ─── Queued and running analyses (all projects)
+router.get('/queue', (req, res) => {
+  try {
+    res.json({ success: true, data: queue.list() });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
@@ -105,9 +72,8 @@ router.get('/:id/status', (req, res) => {
       return res.status(404).json({ success: false, error: 'Analysis not found' });
     }
 
-    // Check if running and add progress info
-    const running = runningAnalyses.get(analysis.project_id);
-    const progress = running ? running.progress : null;
+    // Live progress for queued/running jobs
+    const run = queue.getRun(analysis.id);
 
     res.json({
       success: true,
@@ -115,11 +81,14 @@ router.get('/:id/status', (req, res) => {
         id: analysis.id,
         project_id: analysis.project_id,
         status: analysis.status,
+        queued_at: analysis.queued_at,
         started_at: analysis.started_at,
         finished_at: analysis.finished_at,
         duration_ms: analysis.duration_ms,
         error_message: analysis.error_message,
-        progress
+        position: analysis.status === 'queued' ? queue.position(analysis.id) : null,
+        layers: run ? run.layers : null,
+        progress: run ? run.progress : null
       }
     });
   } catch (err) {
@@ -127,104 +96,100 @@ router.get('/:id/status', (req, res) => {
   }
 });
 
-// ─── Analysis Runner ───
-async function runAnalysis(project, analysisId) {
-  const db = getDb();
-  const startTime = Date.now();
-
+// ─── POST /api/analysis/:id/cancel ─── Cancel a queued or running analysis
+router.post('/:id/cancel', (req, res) => {
   try {
-    // Build the LAYERS engine
-    const engine = new AnalysisEngine();
-    engine.addLayer(new FileSystemLayer());
-    engine.addLayer(new TechStackLayer());
-    engine.addLayer(new CodeStructureLayer());
-    engine.addLayer(new CodeQualityLayer());
-    engine.addLayer(new KeyLocationsLayer());
-    engine.addLayer(new CodeScoreLayer());
-
-    // Run analysis with progress tracking
-    const report = await engine.analyze(project, (progress) => {
-      const running = runningAnalyses.get(project.id);
-      if (!running) return;
-
-      // Если это прогресс внутри слоя (например, code-quality)
-        if (progress.layer && !['file-system', 'tech-stack', 'code-structure', 'code-quality', 'key-locations', 'code-score'].includes(progress.layer)) {
-        running.progress = {
-          step: running.currentLayerIndex,
-          total: TOTAL_LAYERS,
-          layer: LAYERS_INFO[running.currentLayerIndex]?.name || 'Processing',
-          detail: progress.layer,
-          current: progress.current,
-          total: progress.total,
-          subStep: true
-        };
-      } else {
-        // Transition between layers
-        running.progress = {
-          step: progress.current,
-          total: progress.total,
-          current: progress.current,
-          layer: progress.layer,
-          detail: null,
-          subStep: false
-        };
-        running.currentLayerIndex = (progress.current || 1) - 1;
-      }
-
-      console.log(`[Progress] ${JSON.stringify(running.progress)}`);
-    });
+    const db = getDb();
+    const analysis = db.prepare('SELECT * FROM analyses WHERE id = ?').get(req.params.id);
 
-    // Save report as JSON file
-    const reportsDir = path.join(__dirname, '..', '..', 'reports', String(project.id));
-    if (!fs.existsSync(reportsDir)) {
-      fs.mkdirSync(reportsDir, { recursive: true });
+    if (!analysis) {
+      return res.status(404).json({ success: false, error: 'Analysis not found' });
     }
 
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const reportPath = path.join(reportsDir, `${timestamp}.json`);
+    // Queued jobs are cancelled at once; running ones once their layers have stopped
+    const status = queue.cancel(analysis.id);
 
-    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2), 'utf-8');
+    res.json({
+      success: true,
+      data: {
+        analysisId: analysis.id,
+        status,
+        message: status === 'cancelled' ? 'Analysis cancelled' : 'Cancellation requested'
+      }
+    });
+  } catch (err) {
+    if (err instanceof queue.QueueError) {
+      return res.status(409).json({ success: false, error: err.message });
+    }
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-    // Build summary for quick access
-    const summary = {
-      totalFiles: report.fileSystem?.totalFiles || 0,
-      totalLines: report.fileSystem?.totalLines || 0,
-      totalClasses: report.codeStructure?.totalClasses || 0,
-      totalFunctions: report.codeStructure?.totalFunctions || 0,
-      totalIssues: report.codeQuality?.summary?.totalIssues || 0,
-      languages: report.techStack?.languages?.map(l => l.name) || [],
-      frameworks: report.techStack?.frameworks?.map(f => f.name) || []
-    };
+// ─── GET /api/analysis/:id/events ─── Server-Sent Events stream of analysis progress
+//   event: status   — { status: 'queued' | 'running', position }
+//   event: layer    — { name, displayName, status, completed, total, error? }
+//   event: progress — same shape as `progress` in /status
+//   event: done     — { status, durationMs, summary, error } (last event, stream closes)
+router.get('/:id/events', (req, res) => {
+  try {
+    const db = getDb();
+    const analysis = db.prepare('SELECT * FROM analyses WHERE id = ?').get(req.params.id);
 
-    const durationMs = Date.now() - startTime;
+    if (!analysis) {
+      return res.status(404).json({ success: false, error: 'Analysis not found' });
+    }
 
-    // Update analysis record
-    db.prepare(`
-      UPDATE analyses SET
-        status = 'completed',
-        finished_at = datetime('now'),
-        duration_ms = ?,
-        report_path = ?,
-        summary = ?
-      WHERE id = ?
-    `).run(durationMs, reportPath, JSON.stringify(summary), analysisId);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
 
-    console.log(`[Analysis] Completed in ${durationMs}ms → ${reportPath}`);
+    const run = queue.getRun(analysis.id);
+    if (!run) {
+      // Already finished — replay the final state
+      sendEvent(res, 'done', queue.doneEvent(analysis));
+      return res.end();
+    }
 
+    // Current state first, so a late subscriber does not wait for the next tick
+    sendEvent(res, 'status', { status: analysis.status, position: queue.position(analysis.id) });
+    for (const layer of run.layers) {
+      if (layer.status) sendEvent(res, 'layer', layerEvent(run, layer));
+    }
+    if (run.progress) sendEvent(res, 'progress', run.progress);
+
+    const onStatus = (data) => sendEvent(res, 'status', data);
+    const onLayer = (data) => sendEvent(res, 'layer', data);
+    const onProgress = (data) => sendEvent(res, 'progress', data);
+    const onDone = (data) => {
+      sendEvent(res, 'done', data);
+      res.end();
+    };
+    run.events.on('status', onStatus);
+    run.events.on('layer', onLayer);
+    run.events.on('progress', onProgress);
+    run.events.once('done', onDone);
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      run.events.off('status', onStatus);
+      run.events.off('layer', onLayer);
+      run.events.off('progress', onProgress);
+      run.events.off('done', onDone);
+    });
   } catch (err) {
-    const durationMs = Date.now() - startTime;
-
-    db.prepare(`
-      UPDATE analyses SET
-        status = 'failed',
-        finished_at = datetime('now'),
-        duration_ms = ?,
-        error_message = ?
-      WHERE id = ?
-    `).run(durationMs, err.message, analysisId);
-
-    console.error(`[Analysis] Failed after ${durationMs}ms:`, err.message);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ success: false, error: err.message });
   }
+});
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 }
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -21,7 +21,13 @@ router.get('/', (req, res) => {
       ...p,
       technologies: JSON.parse(p.technologies || '[]'),
       excluded_folders: JSON.parse(p.excluded_folders || '[]'),
-      enable_llm: Boolean(p.enable_llm)
+      plugins: JSON.parse(p.plugins || '[]'),
+      include_globs: JSON.parse(p.include_globs || '[]'),
+      exclude_globs: JSON.parse(p.exclude_globs || '[]'),
+      license_allow: JSON.parse(p.license_allow || '[]'),
+      license_deny: JSON.parse(p.license_deny || '[]'),
+      enable_llm: Boolean(p.enable_llm),
+      exclude_duplicates: Boolean(p.exclude_duplicates)
     }));
 
     res.json({ success: true, data: parsed });
@@ -90,16 +96,26 @@ router.get('/:id', (req, res) => {
 
     project.technologies = JSON.parse(project.technologies || '[]');
     project.excluded_folders = JSON.parse(project.excluded_folders || '[]');
+    project.plugins = JSON.parse(project.plugins || '[]');
+    project.include_globs = JSON.parse(project.include_globs || '[]');
+    project.exclude_globs = JSON.parse(project.exclude_globs || '[]');
+    project.license_allow = JSON.parse(project.license_allow || '[]');
+    project.license_deny = JSON.parse(project.license_deny || '[]');
     project.enable_llm = Boolean(project.enable_llm);
+    project.exclude_duplicates = Boolean(project.exclude_duplicates);
 
     // Get analyses history
     const analyses = db.prepare(`
-      SELECT id, status, started_at, finished_at, duration_ms, report_path
+      SELECT id, status, queued_at, started_at, finished_at, duration_ms, report_path, options
       FROM analyses
       WHERE project_id = ?
-      ORDER BY started_at DESC
+      ORDER BY id DESC
       LIMIT 20
-    `).all(req.params.id);
+    `).all(req.params.id).map(({ options, ...a }) => {
+      // Revision runs record the analyzed ref and commit
+      const { ref, commit } = JSON.parse(options || '{}');
+      return commit ? { ...a, ref, commit } : a;
+    });
 
     res.json({ success: true, data: { ...project, analyses } });
   } catch (err) {
@@ -116,13 +132,32 @@ router.post('/', (req, res) => {
       framework = 'none',
       excluded_folders, wp_db_host = '', wp_db_name = '',
       wp_db_user = '', wp_db_pass = '',
-      enable_llm = false, llm_model = 'tinyllama', notes = ''
+      enable_llm = false, llm_model = 'tinyllama', notes = '',
+      plugins = [], include_globs = [], exclude_globs = [],
+      git_history_days = 90, exclude_duplicates = false,
+      license_allow = [], license_deny = [],
+      registry_npm = '', registry_composer = ''
     } = req.body;
 
     // Validation
     if (!root_path || !root_path.trim()) {
       return res.status(400).json({ success: false, error: 'Root path is required' });
     }
+    if (!isPluginList(plugins)) {
+      return res.status(400).json({ success: false, error: 'Plugins must be a list of paths or package names' });
+    }
+    if (!isGlobList(include_globs) || !isGlobList(exclude_globs)) {
+      return res.status(400).json({ success: false, error: 'Include and exclude globs must be lists of patterns' });
+    }
+    if (!isHistoryDays(git_history_days)) {
+      return res.status(400).json({ success: false, error: 'Git history window must be 1–3650 days' });
+    }
+    if (!isGlobList(license_allow) || !isGlobList(license_deny)) {
+      return res.status(400).json({ success: false, error: 'Allowed and denied licenses must be lists of license ids' });
+    }
+    if (!isRegistryUrl(registry_npm) || !isRegistryUrl(registry_composer)) {
+      return res.status(400).json({ success: false, error: 'Registry URLs must be http(s) URLs' });
+    }
     const finalName = (name && name.trim()) ? name.trim() : path.basename(root_path.trim()) || 'Project';
 
     // Check if path exists
@@ -137,8 +172,9 @@ router.post('/', (req, res) => {
     const stmt = db.prepare(`
       INSERT INTO projects (name, root_path, entry_point, project_type, technologies, framework,
         excluded_folders, wp_db_host, wp_db_name, wp_db_user, wp_db_pass,
-        enable_llm, llm_model, notes)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        enable_llm, llm_model, notes, plugins, include_globs, exclude_globs, git_history_days, exclude_duplicates,
+        license_allow, license_deny, registry_npm, registry_composer)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     const result = stmt.run(
@@ -152,7 +188,16 @@ router.post('/', (req, res) => {
       wp_db_host, wp_db_name, wp_db_user, wp_db_pass,
       enable_llm ? 1 : 0,
       llm_model,
-      notes.trim()
+      notes.trim(),
+      JSON.stringify(plugins.map(p => p.trim()).filter(Boolean)),
+      JSON.stringify(cleanGlobs(include_globs)),
+      JSON.stringify(cleanGlobs(exclude_globs)),
+      Number(git_history_days),
+      exclude_duplicates ? 1 : 0,
+      JSON.stringify(cleanGlobs(license_allow)),
+      JSON.stringify(cleanGlobs(license_deny)),
+      registry_npm.trim(),
+      registry_composer.trim()
     );
 
     // Create reports directory for this project
@@ -164,7 +209,13 @@ router.post('/', (req, res) => {
     const project = db.prepare('SELECT * FROM projects WHERE id = ?').get(result.lastInsertRowid);
     project.technologies = JSON.parse(project.technologies);
     project.excluded_folders = JSON.parse(project.excluded_folders);
+    project.plugins = JSON.parse(project.plugins || '[]');
+    project.include_globs = JSON.parse(project.include_globs || '[]');
+    project.exclude_globs = JSON.parse(project.exclude_globs || '[]');
+    project.license_allow = JSON.parse(project.license_allow || '[]');
+    project.license_deny = JSON.parse(project.license_deny || '[]');
     project.enable_llm = Boolean(project.enable_llm);
+    project.exclude_duplicates = Boolean(project.exclude_duplicates);
 
     res.status(201).json({ success: true, data: project });
   } catch (err) {
@@ -187,9 +238,30 @@ router.put('/:id', (req, res) => {
       project_type, technologies, framework,
       excluded_folders, wp_db_host, wp_db_name,
       wp_db_user, wp_db_pass,
-      enable_llm, llm_model, notes
+      enable_llm, llm_model, notes, plugins,
+      include_globs, exclude_globs, git_history_days, exclude_duplicates,
+      license_allow, license_deny, registry_npm, registry_composer
     } = req.body;
 
+    if (plugins !== undefined && !isPluginList(plugins)) {
+      return res.status(400).json({ success: false, error: 'Plugins must be a list of paths or package names' });
+    }
+    if ((include_globs !== undefined && !isGlobList(include_globs)) ||
+        (exclude_globs !== undefined && !isGlobList(exclude_globs))) {
+      return res.status(400).json({ success: false, error: 'Include and exclude globs must be lists of patterns' });
+    }
+    if (git_history_days !== undefined && !isHistoryDays(git_history_days)) {
+      return res.status(400).json({ success: false, error: 'Git history window must be 1–3650 days' });
+    }
+    if ((license_allow !== undefined && !isGlobList(license_allow)) ||
+        (license_deny !== undefined && !isGlobList(license_deny))) {
+      return res.status(400).json({ success: false, error: 'Allowed and denied licenses must be lists of license ids' });
+    }
+    if ((registry_npm !== undefined && !isRegistryUrl(registry_npm)) ||
+        (registry_composer !== undefined && !isRegistryUrl(registry_composer))) {
+      return res.status(400).json({ success: false, error: 'Registry URLs must be http(s) URLs' });
+    }
+
     // Validate path if changed
     const finalRootPath = root_path?.trim() || existing.root_path;
     if (finalRootPath && !fs.existsSync(finalRootPath)) {
@@ -213,6 +285,15 @@ router.put('/:id', (req, res) => {
         enable_llm = COALESCE(?, enable_llm),
         llm_model = COALESCE(?, llm_model),
         notes = COALESCE(?, notes),
+        plugins = COALESCE(?, plugins),
+        include_globs = COALESCE(?, include_globs),
+        exclude_globs = COALESCE(?, exclude_globs),
+        git_history_days = COALESCE(?, git_history_days),
+        exclude_duplicates = COALESCE(?, exclude_duplicates),
+        license_allow = COALESCE(?, license_allow),
+        license_deny = COALESCE(?, license_deny),
+        registry_npm = COALESCE(?, registry_npm),
+        registry_composer = COALESCE(?, registry_composer),
         updated_at = datetime('now')
       WHERE id = ?
     `);
@@ -232,13 +313,28 @@ router.put('/:id', (req, res) => {
       enable_llm !== undefined ? (enable_llm ? 1 : 0) : null,
       llm_model || null,
       notes !== undefined ? notes.trim() : null,
+      plugins !== undefined ? JSON.stringify(plugins.map(p => p.trim()).filter(Boolean)) : null,
+      include_globs !== undefined ? JSON.stringify(cleanGlobs(include_globs)) : null,
+      exclude_globs !== undefined ? JSON.stringify(cleanGlobs(exclude_globs)) : null,
+      git_history_days !== undefined ? Number(git_history_days) : null,
+      exclude_duplicates !== undefined ? (exclude_duplicates ? 1 : 0) : null,
+      license_allow !== undefined ? JSON.stringify(cleanGlobs(license_allow)) : null,
+      license_deny !== undefined ? JSON.stringify(cleanGlobs(license_deny)) : null,
+      registry_npm !== undefined ? registry_npm.trim() : null,
+      registry_composer !== undefined ? registry_composer.trim() : null,
       req.params.id
     );
 
     const project = db.prepare('SELECT * FROM projects WHERE id = ?').get(req.params.id);
     project.technologies = JSON.parse(project.technologies);
     project.excluded_folders = JSON.parse(project.excluded_folders);
+    project.plugins = JSON.parse(project.plugins || '[]');
+    project.include_globs = JSON.parse(project.include_globs || '[]');
+    project.exclude_globs = JSON.parse(project.exclude_globs || '[]');
+    project.license_allow = JSON.parse(project.license_allow || '[]');
+    project.license_deny = JSON.parse(project.license_deny || '[]');
     project.enable_llm = Boolean(project.enable_llm);
+    project.exclude_duplicates = Boolean(project.exclude_duplicates);
 
     res.json({ success: true, data: project });
   } catch (err) {
@@ -270,4 +366,36 @@ router.delete('/:id', (req, res) => {
   }
 });
 
+// ─── Helpers ───
+
+/**
+ * Plugin specs: plugin/plugin-directory paths or package names (see layers/core/plugin-loader.js)
+ */
+function isPluginList(value) {
+  return Array.isArray(value) && value.every(p => typeof p === 'string');
+}
+
+/**
+ * Include / exclude globs: .gitignore-style patterns (see layers/01-file-system/ignore-rules.js)
+ */
+function isGlobList(value) {
+  return Array.isArray(value) && value.every(g => typeof g === 'string');
+}
+
+// Days of history GitHistoryLayer reads (layers/07-git-history)
+function isHistoryDays(value) {
+  const days = Number(value);
+  return Number.isInteger(days) && days >= 1 && days <= 3650;
+}
+
+// npm / Composer registry of the outdated-dependency report; empty — not checked
+function isRegistryUrl(value) {
+  return typeof value === 'string' && (value.trim() === '' || /^https?:\/\/[^\s/]+/i.test(value.trim()));
+}
+
+// Blank lines and comments carry no rule
+function cleanGlobs(globs) {
+  return globs.map(g => g.trim()).filter(g => g && !g.startsWith('#'));
+}
+
 module.exports = router;
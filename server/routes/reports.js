@@ -3,20 +3,27 @@ const router = express.Router();
 const path = require('path');
 const fs = require('fs');
 const { getDb } = require('../database/db');
+const { diffReports } = require('../services/report-diff');
+const { applyTriage } = require('../database/triage-store');
+const GitRepository = require('../../layers/core/git-repo');
+const { GitTreeSource } = require('../../layers/01-file-system/file-source');
+const { decodeFile } = require('../../layers/01-file-system/encoding');
+const { buildNotice } = require('../../layers/02-tech-stack/licenses');
 
 // ─── GET /api/projects/:projectId/reports ─── List reports for a project
 router.get('/project/:projectId', (req, res) => {
   try {
     const db = getDb();
     const analyses = db.prepare(`
-      SELECT id, status, started_at, finished_at, duration_ms, report_path, summary
+      SELECT id, status, started_at, finished_at, duration_ms, report_path, summary, options
       FROM analyses
       WHERE project_id = ? AND status = 'completed'
       ORDER BY started_at DESC
     `).all(req.params.projectId);
 
-    const reports = analyses.map(a => ({
+    const reports = analyses.map(({ options, ...a }) => ({
       ...a,
+      ...revisionOf(options),
       summary: JSON.parse(a.summary || '{}')
     }));
 
@@ -40,7 +47,7 @@ router.get('/:id', (req, res) => {
     let reportData = null;
     if (analysis.report_path && fs.existsSync(analysis.report_path)) {
       const raw = fs.readFileSync(analysis.report_path, 'utf-8');
-      reportData = JSON.parse(raw);
+      reportData = applyTriage(JSON.parse(raw), analysis.project_id);
     }
 
     res.json({
@@ -61,6 +68,61 @@ router.get('/:id', (req, res) => {
   }
 });
 
+// ─── GET /api/reports/:id/diff/:otherId ─── Compare two reports (:id = base, :otherId = compared)
+router.get('/:id/diff/:otherId', (req, res) => {
+  try {
+    const db = getDb();
+    const base = db.prepare('SELECT * FROM analyses WHERE id = ?').get(req.params.id);
+    const other = db.prepare('SELECT * FROM analyses WHERE id = ?').get(req.params.otherId);
+    if (!base || !other) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+    // Reports of two projects are two codebases — nothing to compare
+    if (base.project_id !== other.project_id) {
+      return res.status(400).json({ success: false, error: 'Reports belong to different projects' });
+    }
+
+    const baseReport = readReportFile(base);
+    const otherReport = readReportFile(other);
+    if (!baseReport || !otherReport) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        base: reportInfo(base, baseReport),
+        other: reportInfo(other, otherReport),
+        diff: diffReports(baseReport, otherReport)
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ─── GET /api/reports/:id/notice ─── Third-party NOTICE document (text); ?dev=1 also lists dev-only packages
+router.get('/:id/notice', (req, res) => {
+  try {
+    const analysis = getDb().prepare('SELECT * FROM analyses WHERE id = ?').get(req.params.id);
+    const report = readReportFile(analysis);
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Report not found' });
+    }
+    const licenses = report.techStack?.licenses;
+    if (!licenses) {
+      return res.status(404).json({ success: false, error: 'The report has no license inventory' });
+    }
+
+    const text = buildNotice(licenses, { projectName: report.meta?.projectName, includeDev: req.query.dev === '1' });
+    res.set('Content-Type', 'text/plain; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="NOTICE-${analysis.id}.txt"`);
+    res.send(text);
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 // ─── DELETE /api/reports/:id ─── Delete a report
 router.delete('/:id', (req, res) => {
   try {
@@ -71,6 +133,10 @@ router.delete('/:id', (req, res) => {
       return res.status(404).json({ success: false, error: 'Report not found' });
     }
 
+    if (analysis.status === 'queued' || analysis.status === 'running') {
+      return res.status(409).json({ success: false, error: `Analysis is ${analysis.status} — cancel it first` });
+    }
+
     // Delete report file
     if (analysis.report_path && fs.existsSync(analysis.report_path)) {
       fs.unlinkSync(analysis.report_path);
@@ -85,6 +151,7 @@ router.delete('/:id', (req, res) => {
 });
 
 // ─── GET /api/reports/file-preview ─── Read a source file for code preview
+//   ref (optional) — read the file from this commit (report of a revision run) instead of the working directory
 router.get('/file-preview/:projectId', (req, res) => {
   try {
     const db = getDb();
@@ -99,6 +166,10 @@ router.get('/file-preview/:projectId', (req, res) => {
       return res.status(400).json({ success: false, error: 'File path is required' });
     }
 
+    if (req.query.ref) {
+      return previewFromGit(project.root_path, String(req.query.ref), relativePath, res);
+    }
+
     // Security: resolve and verify the path is inside the project root
     const fullPath = path.resolve(project.root_path, relativePath);
     if (!fullPath.startsWith(path.resolve(project.root_path))) {
@@ -114,20 +185,89 @@ router.get('/file-preview/:projectId', (req, res) => {
       return res.status(413).json({ success: false, error: 'File too large for preview' });
     }
 
-    const content = fs.readFileSync(fullPath, 'utf-8');
-
-    res.json({
-      success: true,
-      data: {
-        path: relativePath,
-        content,
-        lines: content.split('\n').length,
-        size: stat.size
-      }
-    });
+    sendPreview(res, relativePath, fs.readFileSync(fullPath));
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
+function previewFromGit(rootPath, ref, relativePath, res) {
+  const file = path.posix.normalize(String(relativePath).replace(/\\/g, '/'));
+  if (file.startsWith('../') || file === '..' || path.posix.isAbsolute(file)) {
+    return res.status(403).json({ success: false, error: 'Access denied' });
+  }
+
+  const repo = GitRepository.open(rootPath);
+  if (!repo) {
+    return res.status(400).json({ success: false, error: 'The project is not in a git repository' });
+  }
+
+  try {
+    const commit = repo.resolveRef(ref);
+    if (!commit) {
+      return res.status(404).json({ success: false, error: `Unknown git ref "${ref}"` });
+    }
+
+    const source = new GitTreeSource(repo, commit, repo.relativePath(rootPath));
+    const stat = source.stat(file);
+    if (!stat) {
+      return res.status(404).json({ success: false, error: 'File not found' });
+    }
+    if (stat.size > 2 * 1024 * 1024) {
+      return res.status(413).json({ success: false, error: 'File too large for preview' });
+    }
+
+    sendPreview(res, relativePath, source.readBytes(file), { commit });
+  } finally {
+    repo.close();
+  }
+}
+
+// Legacy charsets are transcoded like in the analysis; binary files have no preview
+function sendPreview(res, relativePath, bytes, extra = {}) {
+  const decoded = decodeFile(bytes);
+  if (decoded.binary) {
+    return res.status(415).json({ success: false, error: 'Binary file — no preview' });
+  }
+  res.json({
+    success: true,
+    data: {
+      path: relativePath,
+      content: decoded.text,
+      lines: decoded.lines,
+      size: bytes.length,
+      encoding: decoded.encoding,
+      lineEndings: decoded.lineEndings,
+      ...extra
+    }
+  });
+}
+
+// { ref, commit } of a revision run (analyses.options), empty for working-directory runs
+function revisionOf(options) {
+  try {
+    const { ref, commit } = JSON.parse(options || '{}');
+    return commit ? { ref, commit } : {};
+  } catch {
+    return {};
+  }
+}
+
+// Parsed report of a completed analysis, or null (missing row, file or unfinished run)
+function readReportFile(analysis) {
+  if (!analysis || !analysis.report_path || !fs.existsSync(analysis.report_path)) return null;
+  return JSON.parse(fs.readFileSync(analysis.report_path, 'utf-8'));
+}
+
+function reportInfo(analysis, report) {
+  return {
+    id: analysis.id,
+    project_id: analysis.project_id,
+    started_at: analysis.started_at,
+    analyzedAt: report.meta?.analyzedAt || null,
+    revision: report.meta?.revision || null,
+    projectName: report.meta?.projectName || null
+  };
+}
+
 module.exports = router;
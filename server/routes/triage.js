@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { getDb } = require('../database/db');
+const { TRIAGE_STATES, listTriage, saveTriage } = require('../database/triage-store');
+
+// ─── GET /api/projects/:projectId/triage ─── Triage state of a project's issues
+router.get('/', (req, res) => {
+  try {
+    const project = getDb().prepare('SELECT id FROM projects WHERE id = ?').get(req.params.projectId);
+    if (!project) {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+
+    res.json({ success: true, data: listTriage(project.id) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ─── PUT /api/projects/:projectId/triage/:fingerprint ─── Set the triage state of an issue
+router.put('/:fingerprint', (req, res) => {
+  try {
+    const { state, comment = '', author = '', issue = {} } = req.body;
+
+    if (!TRIAGE_STATES.includes(state)) {
+      return res.status(400).json({ success: false, error: `State must be one of: ${TRIAGE_STATES.join(', ')}` });
+    }
+    if (!/^[0-9a-f]{16}(~\d+)?$/.test(req.params.fingerprint)) {
+      return res.status(400).json({ success: false, error: 'Invalid issue fingerprint' });
+    }
+    if (typeof comment !== 'string' || typeof author !== 'string' || typeof issue !== 'object' || issue === null) {
+      return res.status(400).json({ success: false, error: 'Comment and author must be strings' });
+    }
+
+    const project = getDb().prepare('SELECT id FROM projects WHERE id = ?').get(req.params.projectId);
+    if (!project) {
+      return res.status(404).json({ success: false, error: 'Project not found' });
+    }
+
+    const row = saveTriage(project.id, req.params.fingerprint, {
+      state,
+      comment: comment.trim(),
+      author: author.trim(),
+      issue
+    });
+
+    res.json({ success: true, data: row });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
@@ -16,7 +16,9 @@ app.use(express.static(path.join(__dirname, '..', 'frontend')));
 
 // ─── API Routes
 app.use('/api/projects', require('./routes/projects'));
+app.use('/api/projects/:projectId/triage', require('./routes/triage'));
 app.use('/api/reports', require('./routes/reports'));
+app.use('/api/advisories', require('./routes/advisories'));
 
 // Lazy-load analysis route (loads 4 layers + engine — defers ~5–10s startup delay)
 let analysisRouter = null;
@@ -63,6 +65,9 @@ function tryListen(port, attemptsLeft) {
     }
     console.log('  ╚══════════════════════════════════════════╝');
     console.log('');
+
+    // Resume analyses queued or interrupted before the last shutdown
+    require('./services/analysis-queue').recover();
   });
 
   server.on('error', (err) => {
@@ -0,0 +1,269 @@
+const { EventEmitter } = require('events');
+const { getDb } = require('../database/db');
+
+/**
+ * Analysis queue — SQLite-backed job queue for analyses.
+ *
+ * Every analysis is a row in `analyses`; its status is the job state:
+ *   queued → running → completed | failed | cancelled
+ * At most ANALYSIS_CONCURRENCY jobs (default 2) run at once across all
+ * projects, oldest first; a project never has more than one queued/running job.
+ *
+ * Live state of queued and running jobs (abort controller, progress, event
+ * emitter for /events streams) is kept in memory by analysis id. Rows are the
+ * source of truth: on startup recover() turns jobs left 'running' by a
+ * previous process back into 'queued' (or 'failed' once they were
+ * interrupted MAX_ATTEMPTS times) and starts the queue.
+ */
+
+const DEFAULT_CONCURRENCY = 2;
+const MAX_ATTEMPTS = 2;
+
+const runs = new Map();
+
+function concurrency() {
+  const value = parseInt(process.env.ANALYSIS_CONCURRENCY, 10);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_CONCURRENCY;
+}
+
+/**
+ * Queue an analysis for a project.
+ * @param {number} projectId
+ * @param {Object} options
+ * @param {boolean} options.full - Ignore the incremental cache
+ * @param {string} options.ref - Git ref to analyze instead of the working directory (with its resolved `commit`)
+ * @returns {{ analysisId: number, status: string, position: number|null }}
+ * @throws {QueueError} code 'ALREADY_QUEUED' when the project has a queued or running job
+ */
+function enqueue(projectId, { full = false, ref = null, commit = null } = {}) {
+  const db = getDb();
+
+  const active = db.prepare(`
+    SELECT id, status FROM analyses
+    WHERE project_id = ? AND status IN ('queued', 'running')
+  `).get(projectId);
+  if (active) {
+    throw new QueueError('ALREADY_QUEUED', `Analysis already ${active.status} for this project`, active.id);
+  }
+
+  const result = db.prepare(`
+    INSERT INTO analyses (project_id, status, queued_at, started_at, options)
+    VALUES (?, 'queued', datetime('now'), NULL, ?)
+  `).run(projectId, JSON.stringify({ full: Boolean(full), ...(commit && { ref, commit }) }));
+
+  const analysisId = Number(result.lastInsertRowid);
+  createRun(analysisId, projectId);
+  pump();
+
+  const status = db.prepare('SELECT status FROM analyses WHERE id = ?').get(analysisId).status;
+  return { analysisId, status, position: position(analysisId) };
+}
+
+/**
+ * Cancel a queued or running job.
+ * @returns {'cancelled'|'cancelling'} 'cancelled' for queued jobs (immediate),
+ *          'cancelling' for running ones (the runner finishes the row)
+ * @throws {QueueError} code 'NOT_ACTIVE'
+ */
+function cancel(analysisId) {
+  const db = getDb();
+  const analysis = db.prepare('SELECT id, status FROM analyses WHERE id = ?').get(analysisId);
+  const run = runs.get(analysisId);
+
+  if (analysis?.status === 'queued') {
+    db.prepare(`
+      UPDATE analyses SET status = 'cancelled', finished_at = datetime('now'), error_message = ?
+      WHERE id = ?
+    `).run('Analysis cancelled by user', analysisId);
+    finishRun(analysisId);
+    return 'cancelled';
+  }
+
+  if (analysis?.status === 'running' && run) {
+    run.controller.abort(new Error('Analysis cancelled by user'));
+    run.progress = { ...run.progress, layer: 'cancelling', detail: null, subStep: false };
+    run.events.emit('progress', run.progress);
+    return 'cancelling';
+  }
+
+  throw new QueueError('NOT_ACTIVE', `Analysis is not running (status: ${analysis?.status || 'unknown'})`, analysisId);
+}
+
+/**
+ * Live state of a queued or running job, or null.
+ */
+function getRun(analysisId) {
+  return runs.get(Number(analysisId)) || null;
+}
+
+/**
+ * 1-based position among queued jobs, or null if the job is not queued.
+ */
+function position(analysisId) {
+  const queued = getDb().prepare(`SELECT id FROM analyses WHERE status = 'queued' ORDER BY id`).all();
+  const index = queued.findIndex(row => row.id === Number(analysisId));
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Queued and running jobs, running first, then in queue order.
+ */
+function list() {
+  const jobs = getDb().prepare(`
+    SELECT a.id, a.project_id, p.name AS project_name, a.status, a.queued_at, a.started_at, a.attempts
+    FROM analyses a JOIN projects p ON p.id = a.project_id
+    WHERE a.status IN ('queued', 'running')
+    ORDER BY a.status = 'queued', a.id
+  `).all();
+
+  let queuedIndex = 0;
+  return {
+    concurrency: concurrency(),
+    jobs: jobs.map(job => ({
+      ...job,
+      position: job.status === 'queued' ? ++queuedIndex : null,
+      progress: runs.get(job.id)?.progress || null
+    }))
+  };
+}
+
+/**
+ * Startup recovery: re-queue (or fail) jobs orphaned by a previous process, then start the queue.
+ * @returns {{ requeued: number, failed: number }}
+ */
+function recover() {
+  const db = getDb();
+  const orphaned = db.prepare(`SELECT id, attempts FROM analyses WHERE status = 'running'`).all();
+  let requeued = 0;
+  let failed = 0;
+
+  for (const job of orphaned) {
+    if (job.attempts < MAX_ATTEMPTS) {
+      db.prepare(`UPDATE analyses SET status = 'queued', started_at = NULL WHERE id = ?`).run(job.id);
+      requeued++;
+    } else {
+      db.prepare(`
+        UPDATE analyses SET status = 'failed', finished_at = datetime('now'), error_message = ?
+        WHERE id = ?
+      `).run(`Interrupted by server restart ${job.attempts} times`, job.id);
+      failed++;
+    }
+  }
+
+  for (const job of db.prepare(`SELECT id, project_id FROM analyses WHERE status = 'queued'`).all()) {
+    if (!runs.has(job.id)) createRun(job.id, job.project_id);
+  }
+
+  if (orphaned.length > 0) {
+    console.log(`[Queue] Recovered ${orphaned.length} interrupted analyses (${requeued} re-queued, ${failed} failed)`);
+  }
+  pump();
+  return { requeued, failed };
+}
+
+// ─── Internals ───
+
+function createRun(analysisId, projectId) {
+  const events = new EventEmitter();
+  events.setMaxListeners(0); // one listener per watching browser tab
+  const run = {
+    analysisId,
+    projectId,
+    controller: new AbortController(),
+    events,
+    layers: [],
+    progress: null,
+    completedLayers: 0
+  };
+  runs.set(analysisId, run);
+  return run;
+}
+
+/**
+ * Start queued jobs while there are free slots.
+ */
+function pump() {
+  const db = getDb();
+  let running = db.prepare(`SELECT COUNT(*) AS n FROM analyses WHERE status = 'running'`).get().n;
+
+  while (running < concurrency()) {
+    const job = db.prepare(`SELECT * FROM analyses WHERE status = 'queued' ORDER BY id LIMIT 1`).get();
+    if (!job) break;
+
+    db.prepare(`
+      UPDATE analyses SET status = 'running', started_at = datetime('now'), attempts = attempts + 1
+      WHERE id = ?
+    `).run(job.id);
+    running++;
+
+    startJob(job);
+  }
+
+  // Everyone still waiting moved up
+  for (const run of runs.values()) {
+    const pos = position(run.analysisId);
+    if (pos !== null) run.events.emit('status', { status: 'queued', position: pos });
+  }
+}
+
+function startJob(job) {
+  // Loaded on first use: the runner pulls in the layers (slow startup otherwise)
+  const { runAnalysis, loadProject } = require('./analysis-runner');
+  const run = runs.get(job.id) || createRun(job.id, job.project_id);
+  run.events.emit('status', { status: 'running', position: null });
+
+  const project = loadProject(job.project_id);
+  const options = JSON.parse(job.options || '{}');
+
+  const work = project
+    ? runAnalysis(project, run, {
+        full: Boolean(options.full),
+        revision: options.commit ? { ref: options.ref, commit: options.commit } : null
+      })
+    : Promise.resolve(getDb().prepare(`
+        UPDATE analyses SET status = 'failed', finished_at = datetime('now'), error_message = 'Project not found'
+        WHERE id = ?
+      `).run(job.id));
+
+  work
+    .catch(err => console.error('[Queue] Fatal error:', err))
+    .finally(() => {
+      finishRun(job.id);
+      pump();
+    });
+}
+
+/**
+ * Publish the final state to /events subscribers and drop the live state.
+ */
+function finishRun(analysisId) {
+  const run = runs.get(analysisId);
+  if (!run) return;
+  const analysis = getDb().prepare('SELECT * FROM analyses WHERE id = ?').get(analysisId);
+  if (analysis) run.events.emit('done', doneEvent(analysis));
+  runs.delete(analysisId);
+}
+
+/**
+ * Payload of the final `done` event on /events streams.
+ */
+function doneEvent(analysis) {
+  return {
+    analysisId: analysis.id,
+    status: analysis.status,
+    durationMs: analysis.duration_ms,
+    summary: JSON.parse(analysis.summary || '{}'),
+    error: analysis.error_message || null
+  };
+}
+
+class QueueError extends Error {
+  constructor(code, message, analysisId) {
+    super(message);
+    this.name = 'QueueError';
+    this.code = code;
+    this.analysisId = analysisId;
+  }
+}
+
+module.exports = { enqueue, cancel, getRun, position, list, recover, doneEvent, QueueError };
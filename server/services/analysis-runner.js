@@ -0,0 +1,209 @@
+const path = require('path');
+const fs = require('fs');
+const { getDb } = require('../database/db');
+const { loadFileCache, saveFileCache } = require('../database/file-cache-store');
+const { loadTriage } = require('../database/triage-store');
+const { createAdvisorySource } = require('../database/advisory-store');
+const { createRegistrySource } = require('../database/registry-store');
+
+// LAYERS registry: built-in layers + per-project plugins
+const { buildEngine } = require('../../layers');
+const WorkerPool = require('../../layers/core/worker-pool');
+
+// Worker threads for CPU-heavy layers (ANALYSIS_WORKERS=<n>|auto); null → in-process
+const workerPool = WorkerPool.fromEnv();
+
+// Minimum gap between sub-step progress events on /events streams
+const PROGRESS_EVENT_INTERVAL_MS = 100;
+
+/**
+ * Project row with JSON fields parsed, or null if it no longer exists.
+ */
+function loadProject(projectId) {
+  const project = getDb().prepare('SELECT * FROM projects WHERE id = ?').get(projectId);
+  if (!project) return null;
+
+  project.technologies = JSON.parse(project.technologies || '[]');
+  project.excluded_folders = JSON.parse(project.excluded_folders || '[]');
+  project.enable_llm = Boolean(project.enable_llm);
+  project.exclude_duplicates = Boolean(project.exclude_duplicates);
+  project.project_type = project.project_type || 'auto';
+  project.plugins = JSON.parse(project.plugins || '[]');
+  project.include_globs = JSON.parse(project.include_globs || '[]');
+  project.exclude_globs = JSON.parse(project.exclude_globs || '[]');
+  project.license_allow = JSON.parse(project.license_allow || '[]');
+  project.license_deny = JSON.parse(project.license_deny || '[]');
+  return project;
+}
+
+/**
+ * Run one analysis job to its final state (completed / failed / cancelled).
+ * Never throws — every outcome is written to the analyses row.
+ *
+ * @param {Object} project - Parsed project (see loadProject)
+ * @param {Object} run     - Live run state owned by the queue:
+ *                           { analysisId, controller, events, layers, progress, completedLayers }
+ * @param {Object} options
+ * @param {boolean} options.full - Ignore the incremental cache
+ * @param {Object} options.revision - { ref, commit } — analyze a git commit instead of the working directory
+ */
+async function runAnalysis(project, run, { full = false, revision = null } = {}) {
+  const db = getDb();
+  const startTime = Date.now();
+  const { analysisId } = run;
+  const signal = run.controller.signal;
+  let reportPath = null;
+
+  try {
+    // Built-in layers + project plugins (broken plugins become failed layers)
+    const engine = buildEngine(project);
+    run.layers = engine.describeLayers();
+    run.progress = { step: 0, total: run.layers.length, layer: 'starting', detail: null };
+    run.events.emit('progress', run.progress);
+
+    // Per-file cache from the last completed analysis (incremental mode)
+    const cache = loadFileCache(project.id, { full });
+
+    // Run analysis with progress tracking
+    const report = await engine.analyze(project, (progress) => {
+      const displayName = (name) => run.layers.find(l => l.name === name)?.displayName || name;
+
+      // Sub-step inside a layer (e.g. code-quality passes) — tagged with its owner layer
+      if (progress.owner) {
+        run.progress = {
+          step: run.completedLayers,
+          layer: displayName(progress.owner),
+          detail: progress.layer,
+          current: progress.current,
+          total: progress.total,
+          subStep: true
+        };
+      } else {
+        // Layer started / finished — independent layers may run concurrently,
+        // so the step counter tracks finished layers rather than positions
+        if (progress.status !== 'running') run.completedLayers++;
+        const layer = run.layers.find(l => l.name === progress.layer);
+        if (layer) {
+          layer.status = progress.status;
+          if (progress.error) layer.error = progress.error;
+          run.events.emit('layer', layerEvent(run, layer));
+        }
+        run.progress = {
+          step: run.completedLayers,
+          total: progress.total,
+          current: run.completedLayers,
+          layer: displayName(progress.layer),
+          detail: null,
+          subStep: false
+        };
+      }
+
+      // Sub-steps can fire per file chunk — stream at most ~10 per second
+      const now = Date.now();
+      if (!run.progress.subStep || now - (run.progressEmittedAt || 0) >= PROGRESS_EVENT_INTERVAL_MS) {
+        run.progressEmittedAt = now;
+        run.events.emit('progress', run.progress);
+      }
+    }, {
+      cache,
+      signal,
+      pool: workerPool,
+      triage: loadTriage(project.id),
+      advisories: createAdvisorySource(),
+      registry: createRegistrySource(project),
+      revision
+    });
+
+    // Save report as JSON file
+    const reportsDir = path.join(__dirname, '..', '..', 'reports', String(project.id));
+    if (!fs.existsSync(reportsDir)) {
+      fs.mkdirSync(reportsDir, { recursive: true });
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    reportPath = path.join(reportsDir, `${timestamp}.json`);
+
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2), 'utf-8');
+
+    // Next run re-analyzes only files changed since this one. A revision run
+    // keeps the working directory's cache for the next regular run.
+    if (!revision) saveFileCache(project.id, cache);
+
+    // Build summary for quick access
+    const summary = {
+      totalFiles: report.fileSystem?.totalFiles || 0,
+      totalLines: report.fileSystem?.totalLines || 0,
+      totalClasses: report.codeStructure?.totalClasses || 0,
+      totalFunctions: report.codeStructure?.totalFunctions || 0,
+      totalIssues: report.codeQuality?.summary?.totalIssues || 0,
+      languages: report.techStack?.languages?.map(l => l.name) || [],
+      frameworks: report.techStack?.frameworks?.map(f => f.name) || []
+    };
+
+    const durationMs = Date.now() - startTime;
+
+    // Update analysis record
+    db.prepare(`
+      UPDATE analyses SET
+        status = 'completed',
+        finished_at = datetime('now'),
+        duration_ms = ?,
+        report_path = ?,
+        summary = ?
+      WHERE id = ?
+    `).run(durationMs, reportPath, JSON.stringify(summary), analysisId);
+
+    const { reusedFiles, reanalyzedFiles } = report.meta.incremental;
+    console.log(`[Analysis] #${analysisId} completed in ${durationMs}ms (${reusedFiles} files reused, ${reanalyzedFiles} re-analyzed) → ${reportPath}`);
+
+  } catch (err) {
+    const durationMs = Date.now() - startTime;
+
+    // Never leave a report file behind for a run that did not complete
+    if (reportPath && fs.existsSync(reportPath)) {
+      fs.rmSync(reportPath, { force: true });
+    }
+
+    if (signal.aborted) {
+      db.prepare(`
+        UPDATE analyses SET
+          status = 'cancelled',
+          finished_at = datetime('now'),
+          duration_ms = ?,
+          report_path = NULL,
+          error_message = ?
+        WHERE id = ?
+      `).run(durationMs, signal.reason?.message || 'Cancelled', analysisId);
+
+      console.log(`[Analysis] #${analysisId} cancelled after ${durationMs}ms`);
+      return;
+    }
+
+    db.prepare(`
+      UPDATE analyses SET
+        status = 'failed',
+        finished_at = datetime('now'),
+        duration_ms = ?,
+        error_message = ?
+      WHERE id = ?
+    `).run(durationMs, err.message, analysisId);
+
+    console.error(`[Analysis] #${analysisId} failed after ${durationMs}ms:`, err.message);
+  }
+}
+
+/**
+ * Payload of a `layer` event on /events streams.
+ */
+function layerEvent(run, layer) {
+  return {
+    name: layer.name,
+    displayName: layer.displayName,
+    status: layer.status,
+    completed: run.completedLayers,
+    total: run.layers.length,
+    ...(layer.error ? { error: layer.error } : {})
+  };
+}
+
+module.exports = { runAnalysis, loadProject, layerEvent };
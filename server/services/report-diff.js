@@ -0,0 +1,121 @@
+const { fingerprintIssues } = require('../../layers/core/issue-fingerprint');
+
+/**
+ * Report diff — what changed between two analysis reports.
+ *
+ * Files are matched by path and count as changed when their content hash
+ * differs — or, for reports without hashes, their size or line count
+ * (modification time alone does not count). Issues are matched
+ * by fingerprint, so an issue that only moved lines is neither new nor
+ * resolved. Dependencies are matched by manifest and name across both
+ * production and dev dependencies.
+ */
+
+/**
+ * @param {Object} before - Base report (older)
+ * @param {Object} after  - Compared report (newer)
+ * @returns {Object} { score, totals, files, issues, dependencies }
+ */
+function diffReports(before, after) {
+  return {
+    score: delta(before.codeScore?.score, after.codeScore?.score),
+    totals: {
+      files: delta(before.fileSystem?.totalFiles, after.fileSystem?.totalFiles),
+      lines: delta(before.fileSystem?.totalLines, after.fileSystem?.totalLines),
+      issues: delta(before.codeQuality?.summary?.totalIssues, after.codeQuality?.summary?.totalIssues)
+    },
+    files: diffFiles(before.fileSystem?.files || [], after.fileSystem?.files || []),
+    issues: diffIssues(before.codeQuality?.issues || [], after.codeQuality?.issues || []),
+    dependencies: diffDependencies(dependencyList(before.techStack), dependencyList(after.techStack))
+  };
+}
+
+function delta(before, after) {
+  const known = typeof before === 'number' && typeof after === 'number';
+  return {
+    before: before ?? null,
+    after: after ?? null,
+    delta: known ? Math.round((after - before) * 10) / 10 : null
+  };
+}
+
+function diffFiles(beforeFiles, afterFiles) {
+  const beforeByPath = new Map(beforeFiles.map(f => [f.path, f]));
+  const afterByPath = new Map(afterFiles.map(f => [f.path, f]));
+
+  const added = afterFiles.filter(f => !beforeByPath.has(f.path)).map(fileEntry);
+  const removed = beforeFiles.filter(f => !afterByPath.has(f.path)).map(fileEntry);
+  const changed = [];
+  for (const f of afterFiles) {
+    const old = beforeByPath.get(f.path);
+    if (!old || !contentChanged(old, f)) continue;
+    changed.push({
+      path: f.path,
+      sizeBefore: old.size,
+      sizeAfter: f.size,
+      linesBefore: old.lines,
+      linesAfter: f.lines
+    });
+  }
+
+  const byPath = (a, b) => a.path.localeCompare(b.path);
+  return { added: added.sort(byPath), removed: removed.sort(byPath), changed: changed.sort(byPath) };
+}
+
+function contentChanged(before, after) {
+  if (before.hash && after.hash) return before.hash !== after.hash;
+  return before.size !== after.size || before.lines !== after.lines;
+}
+
+function fileEntry(f) {
+  return { path: f.path, size: f.size, lines: f.lines };
+}
+
+function diffIssues(beforeIssues, afterIssues) {
+  const beforeIds = fingerprintIssues(beforeIssues);
+  const afterIds = fingerprintIssues(afterIssues);
+  const beforeSet = new Set(beforeIds);
+  const afterSet = new Set(afterIds);
+
+  const withId = (issue, fingerprint) => ({ ...issue, fingerprint });
+  const added = afterIssues.map((issue, i) => withId(issue, afterIds[i])).filter(i => !beforeSet.has(i.fingerprint));
+  const resolved = beforeIssues.map((issue, i) => withId(issue, beforeIds[i])).filter(i => !afterSet.has(i.fingerprint));
+
+  return {
+    new: added,
+    resolved,
+    unchanged: afterIds.filter(id => beforeSet.has(id)).length
+  };
+}
+
+function dependencyList(techStack = {}) {
+  return [...(techStack.dependencies || []), ...(techStack.devDependencies || [])];
+}
+
+function diffDependencies(beforeDeps, afterDeps) {
+  const key = d => `${d.source || ''}|${d.name}`;
+  const beforeByKey = new Map(beforeDeps.map(d => [key(d), d]));
+  const afterByKey = new Map(afterDeps.map(d => [key(d), d]));
+  const entry = d => ({ name: d.name, version: d.version || '', type: d.type || null, source: d.source || null });
+
+  const added = afterDeps.filter(d => !beforeByKey.has(key(d))).map(entry);
+  const removed = beforeDeps.filter(d => !afterByKey.has(key(d))).map(entry);
+  const changed = [];
+  for (const d of afterDeps) {
+    const old = beforeByKey.get(key(d));
+    if (!old || ((old.version || '') === (d.version || '') && old.type === d.type)) continue;
+    changed.push({
+      name: d.name,
+      source: d.source || null,
+      versionBefore: old.version || '',
+      versionAfter: d.version || '',
+      typeBefore: old.type || null,
+      typeAfter: d.type || null
+    });
+  }
+
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  return { added: added.sort(byName), removed: removed.sort(byName), changed: changed.sort(byName) };
+}
+
+module.exports = { diffReports };